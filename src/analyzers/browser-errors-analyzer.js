@@ -0,0 +1,166 @@
+import { diffIssues } from '../utils/issue-model.js';
+import { findRepoFile } from './coverage-analyzer.js';
+import { createFirstPartyCheck } from './network-analyzer.js';
+
+/**
+ * Reports errors raised in the browser while the form loads and is used (see utils/browser-errors.js)
+ *
+ * Custom functions are also run in Node (RulePerformanceAnalyzer), but errors that need a
+ * real page - missing DOM, load order, conflicts with third-party scripts, failing
+ * requests - only show up here. Stack frames are mapped to repo files by URL path, so
+ * errors in repo code point at a file and line; others are labelled inline, first-party
+ * or third-party.
+ */
+
+const RULE_IDS = {
+  exception: 'uncaught-exception',
+  'unhandled-rejection': 'unhandled-rejection',
+  'console-error': 'console-error',
+  'failed-request': 'failed-request'
+};
+
+const LABELS = {
+  exception: 'Uncaught',
+  'unhandled-rejection': 'Unhandled promise rejection:',
+  'console-error': 'console.error:',
+  'failed-request': 'Request failed -'
+};
+
+// A script or stylesheet that doesn't load breaks the form as surely as an exception
+const CRITICAL_RESOURCES = ['document', 'script', 'stylesheet'];
+
+const RECOMMENDATIONS = {
+  repo: 'Fix the error or guard the code path - an uncaught error stops the rest of the script, which can leave fields without rules or handlers.',
+  other: 'This error is raised outside the repo\'s files. If it is new, check what the change does to the page the script relies on (globals, DOM, load order).',
+  'console-error': 'Look at the code logging this error - it usually reports a failed call or an unexpected state the form then runs with.',
+  'failed-request': 'Fix the URL or the server response. A missing script or stylesheet breaks the form; failing API calls leave fields empty.'
+};
+
+export class BrowserErrorsAnalyzer {
+  constructor(config = null) {
+    this.config = config;
+  }
+
+  /**
+   * Attribute errors to repo files and turn them into issues
+   * @param {Object} browserErrors - { pageUrl, errors } from URLAnalyzer
+   * @param {Object} repo - { jsFiles } from the checked-out repository
+   * @returns {Object} { pageUrl, summary, errors, issues }
+   */
+  analyze(browserErrors, repo = {}) {
+    const ignore = this.config?.browserErrors?.ignore || [];
+    const isFirstParty = createFirstPartyCheck(browserErrors.pageUrl, this.config?.network?.firstPartyDomains || []);
+    const pageHost = getHost(browserErrors.pageUrl);
+
+    const errors = (browserErrors.errors || [])
+      .filter(error => !ignore.some(pattern => error.message.includes(pattern) || (error.url || '').includes(pattern)))
+      .map(error => ({ ...error, ...attribute(error, browserErrors.pageUrl, repo.jsFiles, isFirstParty) }));
+
+    const issues = errors.map(error => {
+      const critical = error.kind === 'failed-request' ? CRITICAL_RESOURCES.includes(error.resourceType) : error.kind !== 'console-error';
+      const where = error.kind === 'failed-request' ? ''
+        : error.file ? ` (${error.file}${error.line ? `:${error.line}` : ''})`
+          : error.source === 'inline' ? ' (inline script)'
+            : ` (${error.source} script ${getURLKey(error.url, pageHost)})`;
+
+      return {
+        type: RULE_IDS[error.kind],
+        severity: critical ? 'error' : 'warning',
+        signature: getSignature(error, pageHost),
+        ...(error.file ? { file: error.file, line: error.line } : {}),
+        ...(error.functionName ? { functionName: error.functionName } : {}),
+        source: error.source,
+        phase: error.phase,
+        count: error.count,
+        message: `${LABELS[error.kind]} ${error.message}${where}${error.phase === 'interaction' ? ' - after the form rendered' : ''}`,
+        recommendation: RECOMMENDATIONS[error.kind === 'exception' || error.kind === 'unhandled-rejection'
+          ? (error.source === 'repo' ? 'repo' : 'other')
+          : error.kind]
+      };
+    });
+
+    return { pageUrl: browserErrors.pageUrl, summary: summarizeErrors(errors), errors, issues };
+  }
+
+  /**
+   * Compare before/after errors - errors only the after page raises are new
+   */
+  compare(before, after) {
+    return {
+      before,
+      after,
+      ...diffIssues(before.issues, after.issues)
+    };
+  }
+}
+
+/**
+ * Where an error comes from: the first stack frame in a repo file, else the error's script
+ * @returns {Object} { source, file, line, column, functionName } - file only for repo code
+ */
+function attribute(error, pageUrl, jsFiles, isFirstParty) {
+  const frames = error.stack?.length > 0 ? error.stack : [{ url: error.url, line: error.line, column: error.column }];
+  for (const frame of frames) {
+    const match = frame.url && error.kind !== 'failed-request' ? findRepoFile(frame.url, jsFiles) : null;
+    if (match) {
+      return { source: 'repo', file: match.filename, line: frame.line, column: frame.column, functionName: frame.functionName || null };
+    }
+  }
+
+  if (!error.url || error.url === pageUrl?.replace(/[?#].*$/, '')) return { source: 'inline', file: null };
+  return { source: isFirstParty(error.url) ? 'first-party' : 'third-party', file: null };
+}
+
+/**
+ * Identifies an error across before/after loads: kind, message and script, without the
+ * page's host (before and after are usually different deployments) or numbers (ids, counts)
+ */
+function getSignature(error, pageHost) {
+  const message = error.kind === 'failed-request'
+    ? error.reason
+    : error.message.replace(/https?:\/\/[^\s/]+/g, '').replace(/\d+/g, '#');
+  return `${error.kind}|${message}|${error.file || (error.url ? getURLKey(error.url, pageHost) : '')}`;
+}
+
+function getURLKey(url, pageHost) {
+  try {
+    const parsed = new URL(url);
+    return parsed.hostname === pageHost ? parsed.pathname : `${parsed.hostname}${parsed.pathname}`;
+  } catch (error) {
+    return url;
+  }
+}
+
+function getHost(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (error) {
+    return null;
+  }
+}
+
+function summarizeErrors(errors) {
+  const count = kind => errors.filter(error => error.kind === kind).reduce((sum, error) => sum + error.count, 0);
+  return {
+    exceptions: count('exception'),
+    rejections: count('unhandled-rejection'),
+    consoleErrors: count('console-error'),
+    failedRequests: count('failed-request'),
+    repoErrors: errors.filter(error => error.source === 'repo').length,
+    total: errors.reduce((sum, error) => sum + error.count, 0)
+  };
+}
+
+/**
+ * One-line summary, e.g. "2 uncaught errors, 1 console error, 3 failed requests"
+ * @param {Object} summary - analyze() summary
+ */
+export function formatBrowserErrorsSummary(summary) {
+  const parts = [
+    [summary.exceptions, 'uncaught error'],
+    [summary.rejections, 'unhandled rejection'],
+    [summary.consoleErrors, 'console error'],
+    [summary.failedRequests, 'failed request']
+  ].filter(([count]) => count > 0).map(([count, label]) => `${count} ${label}${count === 1 ? '' : 's'}`);
+  return parts.join(', ') || 'No errors';
+}
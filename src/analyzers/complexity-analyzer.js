@@ -0,0 +1,339 @@
+import { diffIssues } from '../utils/issue-model.js';
+import { applyFormSuppressions } from '../utils/suppressions.js';
+import { FRAGMENT_PROPERTY, isFragmentNode, getFragmentPath, getChildNodes } from '../utils/fragments.js';
+
+/**
+ * Weighted complexity model for form JSON
+ *
+ * Every panel gets a cost from what it renders and keeps up to date:
+ *
+ *   cost = panel + field x fields + rule x rules + event x event handlers + dependent x dependents
+ *
+ * counted over the panel's own rules/events and its fields (not its child panels, which
+ * have their own cost). Dependents are rules and events elsewhere in the form that read one
+ * of the fields - each change fans out to them. A repeatable panel renders everything again
+ * per instance, so its cost and the cost of the panels inside it is multiplied by
+ * `repeatable` (or by minOccur when the form starts with more instances). A panel's total
+ * includes the panels inside it; the form score is the total of the form.
+ *
+ * Weights come from config.complexity.weights, thresholds from thresholds.complexity.
+ * The ranked panels tell authors which section to split or lazy-load first; the treemap
+ * is the same tree as { name, value, children } for treemap charts.
+ */
+
+const DEFAULT_WEIGHTS = {
+  panel: 2,      // Each panel (container, layout)
+  field: 1,      // Each field rendered
+  rule: 3,       // Each rule expression (value, visible, enabled, ...) - re-evaluated when its inputs change
+  event: 2,      // Each event handler
+  dependent: 1,  // Each rule/event elsewhere in the form that reads one of the panel's fields
+  repeatable: 2  // Multiplier for repeatable panels
+};
+
+const DEFAULT_OPTIONS = {
+  maxPanels: 10 // Panels listed in reports, most expensive first
+};
+
+const DEFAULT_THRESHOLDS = {
+  maxScore: 600,     // Form score over this is reported
+  maxPanelCost: 150, // Panels costing more are reported (the innermost ones, so the issue points at what to split)
+  maxIncrease: 50    // Score higher than before by more than this is reported
+};
+
+export class ComplexityAnalyzer {
+  constructor(config = null) {
+    this.config = config;
+  }
+
+  /**
+   * Weights and options from config.complexity
+   */
+  getOptions() {
+    const options = this.config?.complexity || {};
+    return {
+      ...DEFAULT_OPTIONS,
+      ...options,
+      weights: { ...DEFAULT_WEIGHTS, ...(options.weights || {}) }
+    };
+  }
+
+  /**
+   * Thresholds from config (thresholds.complexity)
+   */
+  getThresholds() {
+    return { ...DEFAULT_THRESHOLDS, ...(this.config?.thresholds?.complexity || {}) };
+  }
+
+  /**
+   * Score a form JSON and attribute its cost to panels
+   * @param {Object} formJson - Form JSON
+   * @returns {Object} { score, weights, totals, panels, treemap, issues, suppressedIssues }
+   *   - panels: [{ name, path, label, depth, fragment, repeatable, multiplier, fields, rules, events, dependents, ownCost, cost, share }] most expensive first
+   *   - treemap: { name, path, value, cost, children } - value is the node's own cost, so summing a subtree gives its cost
+   */
+  analyze(formJson) {
+    if (!formJson) {
+      return { error: 'No form JSON provided' };
+    }
+
+    const { weights } = this.getOptions();
+    const readers = countReaders(formJson);
+    const panels = [];
+
+    const visit = (node, path, depth, multiplier) => {
+      const repeatable = depth > 0 && !!node.repeatable;
+      const factor = multiplier * (repeatable ? Math.max(weights.repeatable, node.minOccur || 1) : 1);
+      const own = countOwn(node, readers);
+      const children = [];
+
+      getChildNodes(node).forEach((child, index) => {
+        const childPath = path ? `${path}.${child.name || index}` : `${child.name || index}`;
+        if (isContainer(child)) {
+          children.push(visit(child, childPath, depth + 1, factor));
+        } else {
+          const field = countOwn(child, readers);
+          own.fields++;
+          own.rules += field.rules;
+          own.events += field.events;
+          own.dependents += field.dependents;
+        }
+      });
+
+      const ownCost = round(factor * (
+        (depth > 0 ? weights.panel : 0) +
+        own.fields * weights.field +
+        own.rules * weights.rule +
+        own.events * weights.event +
+        own.dependents * weights.dependent
+      ));
+      const totals = children.reduce((sum, child) => ({
+        fields: sum.fields + child.panel.fields,
+        rules: sum.rules + child.panel.rules,
+        events: sum.events + child.panel.events,
+        dependents: sum.dependents + child.panel.dependents,
+        cost: sum.cost + child.panel.cost
+      }), { ...own, cost: ownCost });
+
+      const panel = {
+        name: node.name || node.id || (depth === 0 ? 'form' : path),
+        path: path || null,
+        label: node.label?.value || null,
+        depth,
+        fragment: (isFragmentNode(node) && getFragmentPath(node)) || node[FRAGMENT_PROPERTY] || null,
+        repeatable,
+        multiplier: factor,
+        fields: totals.fields,
+        rules: totals.rules,
+        events: totals.events,
+        dependents: totals.dependents,
+        ownCost,
+        cost: round(totals.cost)
+      };
+      if (depth > 0) panels.push(panel);
+
+      return {
+        panel,
+        treemap: {
+          name: panel.label || panel.name,
+          path: panel.path,
+          value: ownCost,
+          cost: panel.cost,
+          ...(children.length > 0 ? { children: children.map(child => child.treemap) } : {})
+        }
+      };
+    };
+
+    const root = visit(formJson, '', 0, 1);
+    const score = root.panel.cost;
+    panels.forEach(panel => {
+      panel.share = score > 0 ? Math.round((panel.cost / score) * 100) : 0;
+    });
+    panels.sort((a, b) => b.cost - a.cost || a.depth - b.depth);
+
+    const { issues, suppressedIssues } = applyFormSuppressions(this.detectIssues(score, panels), formJson);
+
+    return {
+      score,
+      weights,
+      totals: {
+        panels: panels.length,
+        fields: root.panel.fields,
+        rules: root.panel.rules,
+        events: root.panel.events,
+        dependents: root.panel.dependents
+      },
+      panels,
+      treemap: root.treemap,
+      issues,
+      suppressedIssues
+    };
+  }
+
+  /**
+   * Form score and panel costs over thresholds
+   * A panel is reported only when no panel inside it is over the threshold too - the
+   * innermost expensive panel is the one to split or lazy-load.
+   */
+  detectIssues(score, panels) {
+    const { maxScore, maxPanelCost } = this.getThresholds();
+    const issues = [];
+
+    if (maxScore !== null && score > maxScore) {
+      const top = panels[0];
+      issues.push({
+        severity: 'warning',
+        type: 'complexity-score',
+        message: `Form complexity score is ${score} (threshold ${maxScore})${top ? ` - the most expensive panel is ${describePanel(top)} with ${top.share}%` : ''}`,
+        value: score,
+        threshold: maxScore,
+        recommendation: 'Split the most expensive panels into separate forms or steps, or lazy-load panels that start collapsed or hidden.'
+      });
+    }
+
+    if (maxPanelCost !== null) {
+      const expensive = panels.filter(panel => panel.cost > maxPanelCost);
+      expensive
+        .filter(panel => !expensive.some(other => other !== panel && other.path?.startsWith(`${panel.path}.`)))
+        .forEach(panel => {
+          issues.push({
+            severity: 'info',
+            type: 'expensive-panel',
+            field: panel.name,
+            path: panel.path,
+            message: `Panel ${describePanel(panel)} costs ${panel.cost} (${panel.share}% of the form): ${formatPanelCounts(panel)}`,
+            value: panel.cost,
+            threshold: maxPanelCost,
+            recommendation: panel.repeatable
+              ? 'Keep repeatable panels small - every instance renders its fields and rules again. Move rarely used fields out of the repeated template.'
+              : 'Split the panel into smaller panels or wizard steps, or lazy-load it as a fragment when it is not visible at first.'
+          });
+        });
+    }
+
+    return issues;
+  }
+
+  /**
+   * Compare before/after scores and panel costs (panels matched by path)
+   * @returns {Object} { before, after, delta: { score }, panels, newIssues, resolvedIssues }
+   */
+  compare(before, after) {
+    const { maxIncrease } = this.getThresholds();
+    const beforeCosts = new Map(before.panels.map(panel => [panel.path, panel.cost]));
+    const panels = after.panels.map(panel => {
+      const previous = beforeCosts.get(panel.path) ?? null;
+      return { ...panel, before: previous, delta: round(panel.cost - (previous ?? 0)) };
+    });
+    const delta = { score: round(after.score - before.score) };
+
+    const { newIssues, resolvedIssues } = diffIssues(before.issues, after.issues);
+    if (maxIncrease !== null && delta.score > maxIncrease) {
+      const grown = [...panels].sort((a, b) => b.delta - a.delta)[0];
+      newIssues.push({
+        severity: 'warning',
+        type: 'complexity-increase',
+        message: `Form complexity score grew by ${delta.score} to ${after.score} (was ${before.score})${grown?.delta > 0 ? ` - most in ${describePanel(grown)} (+${grown.delta})` : ''}`,
+        value: after.score,
+        before: before.score,
+        threshold: maxIncrease,
+        recommendation: 'Check whether the added fields, rules and events belong in this form, or can move to a panel that loads later.'
+      });
+    }
+
+    return { before, after, delta, panels, newIssues, resolvedIssues };
+  }
+}
+
+/**
+ * Whether a node holds other components (panels, wizards, accordions, fragments)
+ */
+function isContainer(node) {
+  return node.fieldType === 'panel' || getChildNodes(node).length > 0;
+}
+
+/**
+ * Rules, events and dependents of one node (not its children)
+ */
+function countOwn(node, readers) {
+  const rules = node.rules && typeof node.rules === 'object' ? Object.keys(node.rules).length : 0;
+  const events = Object.values(node.events || {})
+    .reduce((sum, handlers) => sum + (Array.isArray(handlers) ? handlers.length : 1), 0);
+  return { fields: 0, rules, events, dependents: node.name ? readers.get(node.name) || 0 : 0 };
+}
+
+/**
+ * Field name -> number of other nodes whose rules or events mention it
+ */
+function countReaders(formJson) {
+  const names = new Set();
+  const expressions = [];
+
+  const collect = (node) => {
+    if (node.name) names.add(node.name);
+    const own = getNodeExpressions(node).map(({ expression }) => expression);
+    if (own.length > 0) expressions.push({ name: node.name, text: own.join('\n') });
+    getChildNodes(node).forEach(collect);
+  };
+  collect(formJson);
+
+  const readers = new Map();
+  expressions.forEach(({ name, text }) => {
+    findReferencedNames(text, names).forEach(identifier => {
+      if (identifier !== name) {
+        readers.set(identifier, (readers.get(identifier) || 0) + 1);
+      }
+    });
+  });
+  return readers;
+}
+
+/**
+ * Rule and event expressions of one node
+ * @returns {Array} [{ kind: 'rule' | 'event', key, expression }] - key is the rule property or event name
+ */
+export function getNodeExpressions(node) {
+  const rules = Object.entries(node.rules && typeof node.rules === 'object' ? node.rules : {})
+    .map(([key, expression]) => ({ kind: 'rule', key, expression }));
+  const events = Object.entries(node.events || {})
+    .flatMap(([key, handlers]) => [].concat(handlers).map(expression => ({ kind: 'event', key, expression })));
+  return [...rules, ...events].filter(({ expression }) => typeof expression === 'string');
+}
+
+/**
+ * Field names an expression mentions ($form.address.city mentions address and city)
+ * @param {string} expression - Rule or event expression
+ * @param {Set<string>} names - Field names of the form
+ */
+export function findReferencedNames(expression, names) {
+  return [...new Set(expression.match(/[A-Za-z_][\w]*/g) || [])].filter(identifier => names.has(identifier));
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Panel name for messages, e.g. "address" or "Address details (address)"
+ */
+export function describePanel(panel) {
+  return panel.label && panel.label !== panel.name ? `"${panel.label}" (${panel.name})` : `"${panel.name}"`;
+}
+
+/**
+ * What a panel's cost is made of, e.g. "24 field(s), 10 rule(s), 3 event(s), 12 dependent(s), repeatable x2"
+ */
+export function formatPanelCounts(panel) {
+  const parts = [`${panel.fields} field(s)`, `${panel.rules} rule(s)`, `${panel.events} event(s)`, `${panel.dependents} dependent(s)`];
+  if (panel.multiplier > 1) parts.push(`${panel.repeatable ? 'repeatable' : 'inside a repeatable panel'} x${panel.multiplier}`);
+  return parts.join(', ');
+}
+
+/**
+ * One-line summary, e.g. "score 412 - address 120 (29%), employment 80 (19%)"
+ * @param {Object} analysis - analyze() result (or the scan summary)
+ * @param {number} count - Panels listed
+ */
+export function formatComplexitySummary(analysis, count = 3) {
+  const top = analysis.panels.slice(0, count).map(panel => `${panel.name} ${panel.cost} (${panel.share}%)`);
+  return `score ${analysis.score}${top.length > 0 ? ` - ${top.join(', ')}` : ''}`;
+}
@@ -0,0 +1,169 @@
+import { diffIssues } from '../utils/issue-model.js';
+import { formatKB } from './network-analyzer.js';
+
+/**
+ * Reports unused JavaScript and CSS on the form page (see utils/coverage.js)
+ *
+ * Scripts and stylesheets are mapped back to repo files by URL path
+ * (/blocks/form/form.js → blocks/form/form.js). Only repo files raise issues - they are
+ * the ones a PR can split or defer; third-party and inline code is listed in the totals.
+ */
+
+const DEFAULT_THRESHOLDS = {
+  maxUnusedPercent: 50, // Flag a file when more than this share of it is unused...
+  minUnusedBytes: 20480 // ...and at least this many bytes (20KB) are unused
+};
+
+const RECOMMENDATIONS = {
+  js: 'Split code that only runs after render (validation, submit, rarely opened widgets) into modules loaded with import() when needed.',
+  css: 'Move styles for components the form does not render at load into their own stylesheet, loaded with the component.'
+};
+
+export class CoverageAnalyzer {
+  constructor(config = null) {
+    this.config = config;
+  }
+
+  /**
+   * Thresholds from config (thresholds.coverage)
+   */
+  getThresholds() {
+    return { ...DEFAULT_THRESHOLDS, ...(this.config?.thresholds?.coverage || {}) };
+  }
+
+  /**
+   * Summarize coverage and flag repo files that are mostly unused
+   * @param {Object} coverage - { pageUrl, files } from URLAnalyzer
+   * @param {Object} repo - { jsFiles, cssFiles } from the checked-out repository
+   * @returns {Object} { pageUrl, summary, files, issues }
+   */
+  analyze(coverage, repo = {}) {
+    const { maxUnusedPercent, minUnusedBytes } = this.getThresholds();
+    const files = (coverage.files || [])
+      .map(file => ({ ...file, ...mapToRepoFile(file, repo) }))
+      .sort((a, b) => b.unusedBytes - a.unusedBytes);
+
+    const issues = files
+      .filter(file => file.file && file.unusedPercent > maxUnusedPercent && file.unusedBytes >= minUnusedBytes)
+      .map(file => ({
+        severity: 'warning',
+        type: file.type === 'js' ? 'unused-javascript' : 'unused-css',
+        file: file.file,
+        // Line numbers only match the repo file when it is served unmodified
+        ...(file.exact && file.unusedRanges[0] ? { line: file.unusedRanges[0].startLine } : {}),
+        message: `${file.unusedPercent}% of ${file.file} is unused while the form loads (${formatKB(file.unusedBytes)} of ${formatKB(file.totalBytes)})`,
+        unusedBytes: file.unusedBytes,
+        unusedPercent: file.unusedPercent,
+        threshold: maxUnusedPercent,
+        recommendation: RECOMMENDATIONS[file.type]
+      }));
+
+    return { pageUrl: coverage.pageUrl, summary: summarizeFiles(files), files, issues };
+  }
+
+  /**
+   * Compare before/after coverage: unused bytes per type and per file
+   */
+  compare(before, after) {
+    const beforeFiles = new Map(before.files.map(file => [fileKey(file, before.pageUrl), file]));
+
+    return {
+      before,
+      after,
+      delta: {
+        jsUnusedBytes: after.summary.js.unusedBytes - before.summary.js.unusedBytes,
+        cssUnusedBytes: after.summary.css.unusedBytes - before.summary.css.unusedBytes
+      },
+      files: after.files.map(file => ({
+        ...file,
+        beforeUnusedBytes: beforeFiles.get(fileKey(file, after.pageUrl))?.unusedBytes ?? null
+      })),
+      ...diffIssues(before.issues, after.issues)
+    };
+  }
+}
+
+/**
+ * Find the repo file served at a script/stylesheet URL
+ * exact is true when the served text has the repo file's length (line numbers line up)
+ */
+function mapToRepoFile(file, repo) {
+  if (file.inline) return { file: null, exact: false };
+
+  const match = findRepoFile(file.url, file.type === 'js' ? repo.jsFiles : repo.cssFiles);
+  return match
+    ? { file: match.filename, exact: match.content.length === file.totalBytes }
+    : { file: null, exact: false };
+}
+
+/**
+ * Repo file served at a URL, matched by path (/blocks/form/form.js → blocks/form/form.js)
+ * @param {string} url - Script or stylesheet URL
+ * @param {Array} files - Repo files ({ filename, content })
+ * @returns {Object|null} The matching repo file
+ */
+export function findRepoFile(url, files) {
+  let path;
+  try {
+    path = decodeURIComponent(new URL(url).pathname).replace(/^\/+/, '');
+  } catch (error) {
+    return null;
+  }
+
+  return (path && (files || []).find(candidate => candidate.filename === path || candidate.filename.endsWith(`/${path}`))) || null;
+}
+
+function summarizeFiles(files) {
+  const total = type => {
+    const ofType = files.filter(file => file.type === type);
+    const totalBytes = ofType.reduce((sum, file) => sum + file.totalBytes, 0);
+    const unusedBytes = ofType.reduce((sum, file) => sum + file.unusedBytes, 0);
+    return {
+      files: ofType.length,
+      totalBytes,
+      usedBytes: totalBytes - unusedBytes,
+      unusedBytes,
+      unusedPercent: totalBytes > 0 ? Math.round((unusedBytes / totalBytes) * 100) : 0
+    };
+  };
+  return { js: total('js'), css: total('css') };
+}
+
+/**
+ * Match files across before/after loads: repo path, else URL without the page's own host
+ */
+function fileKey(file, pageUrl) {
+  if (file.file) return file.file;
+  if (file.inline) return `inline:${file.type}`;
+  try {
+    const url = new URL(file.url);
+    return url.hostname === new URL(pageUrl).hostname ? url.pathname : `${url.hostname}${url.pathname}`;
+  } catch (error) {
+    return file.url;
+  }
+}
+
+/**
+ * Label for a covered file: repo path, "inline" or the URL without query string
+ */
+export function getCoverageLabel(file) {
+  if (file.file) return file.file;
+  if (file.inline) return `inline ${file.type === 'js' ? 'scripts' : 'styles'}`;
+  try {
+    const url = new URL(file.url);
+    return `${url.hostname}${url.pathname}`;
+  } catch (error) {
+    return file.url;
+  }
+}
+
+/**
+ * One-line summary, e.g. "JS 42% unused of 310.2 KB, CSS 71% unused of 84.0 KB"
+ * @param {Object} summary - analyze() summary
+ */
+export function formatCoverageSummary(summary) {
+  return ['js', 'css']
+    .filter(type => summary[type].files > 0)
+    .map(type => `${type.toUpperCase()} ${summary[type].unusedPercent}% unused of ${formatKB(summary[type].totalBytes)}`)
+    .join(', ') || 'No scripts or stylesheets';
+}
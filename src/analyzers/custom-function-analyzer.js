@@ -1,6 +1,8 @@
 import * as acorn from 'acorn';
 import * as walk from 'acorn-walk';
 import * as core from '@actions/core';
+import { diffIssues } from '../utils/issue-model.js';
+import { applyCodeSuppressions } from '../utils/suppressions.js';
 
 /**
  * Analyzes custom functions used in forms for performance anti-patterns
@@ -49,7 +51,7 @@ export class CustomFunctionAnalyzer {
         }
       }
       
-      const violations = this.detectViolations(allFunctionAnalyses);
+      const { issues: violations, suppressedIssues } = applyCodeSuppressions(this.detectViolations(allFunctionAnalyses), jsFiles);
       core.info(`[CustomFunctions] Found ${allFunctionAnalyses.length} exported function(s), ${violations.length} violation(s)`);
       
       return {
@@ -58,6 +60,7 @@ export class CustomFunctionAnalyzer {
         functionsAnalyzed: allFunctionAnalyses.length,
         violations: violations.length,
         issues: violations,
+        suppressedIssues,
         details: allFunctionAnalyses,
       };
     }
@@ -131,8 +134,11 @@ export class CustomFunctionAnalyzer {
     const functionAnalyses = this.analyzeFunctionsInJS(functionNames, filteredJsFiles);
     core.info(`[CustomFunctions] Found ${functionAnalyses.length} function definition(s) in JS files`);
 
-    // Step 3: Detect violations
-    const violations = this.detectViolations(functionAnalyses);
+    // Step 3: Detect violations (suppression comments silence single findings)
+    const { issues: violations, suppressedIssues } = applyCodeSuppressions(
+      this.detectViolations(functionAnalyses),
+      filteredJsFiles
+    );
     
     if (violations.length > 0) {
       core.info(`[CustomFunctions] Detected ${violations.length} violation(s):`);
@@ -149,6 +155,7 @@ export class CustomFunctionAnalyzer {
       functionsAnalyzed: functionAnalyses.length,
       violations: violations.length,
       issues: violations,
+      suppressedIssues,
       details: functionAnalyses,
     };
   }
@@ -464,12 +471,7 @@ export class CustomFunctionAnalyzer {
       };
     }
 
-    const resolvedIssues = (beforeAnalysis.issues || []).filter(beforeIssue =>
-      !(afterAnalysis.issues || []).some(afterIssue =>
-        afterIssue.functionName === beforeIssue.functionName &&
-        afterIssue.type === beforeIssue.type
-      )
-    );
+    const { resolvedIssues } = diffIssues(beforeAnalysis.issues, afterAnalysis.issues);
 
     return {
       before: beforeAnalysis,
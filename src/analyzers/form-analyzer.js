@@ -1,3 +1,6 @@
+import { diffIssues } from '../utils/issue-model.js';
+import { applyFormSuppressions } from '../utils/suppressions.js';
+import { isFragmentNode, getFragmentPath, getChildNodes } from '../utils/fragments.js';
 /**
  * Analyzes adaptive form JSON for performance issues
  */
@@ -16,13 +19,18 @@ export class FormAnalyzer {
       return { error: 'No form JSON provided' };
     }
 
+    // perf-bot:ignore on the form root silences form-wide issues
+    // This analyzer also reports perf-bot:ignore entries that have no reason
+    const { issues, suppressedIssues } = applyFormSuppressions(this.detectIssues(formJson), formJson, { reportInvalid: true });
+
     return {
       metadata: this.extractMetadata(formJson),
       components: this.analyzeComponents(formJson),
       events: this.analyzeEvents(formJson),
       rules: this.analyzeRules(formJson),
       fragments: this.analyzeFragments(formJson),
-      issues: this.detectIssues(formJson),
+      issues,
+      suppressedIssues,
     };
   }
 
@@ -166,26 +174,28 @@ export class FormAnalyzer {
 
   /**
    * Analyze form fragments usage
+   * resolved counts references whose fields are in the form JSON (inlined by the server
+   * or by FragmentResolver)
    */
   analyzeFragments(formJson) {
     const fragments = {
       count: 0,
+      resolved: 0,
       paths: [],
     };
 
     const traverse = (node) => {
       if (!node) return;
 
-      if (node.fieldType === 'fragment' || node[':type']?.includes('fragment')) {
+      if (isFragmentNode(node)) {
         fragments.count++;
-        if (node.properties?.['fd:path']) {
-          fragments.paths.push(node.properties['fd:path']);
+        if (getChildNodes(node).length > 0) fragments.resolved++;
+        if (getFragmentPath(node)) {
+          fragments.paths.push(getFragmentPath(node));
         }
       }
 
-      if (node[':items']) {
-        Object.values(node[':items']).forEach(traverse);
-      }
+      getChildNodes(node).forEach(traverse);
     };
 
     traverse(formJson);
@@ -265,9 +275,13 @@ export class FormAnalyzer {
       return { error: 'Missing form JSON for comparison' };
     }
 
-    const beforeAnalysis = this.analyze(beforeJson);
-    const afterAnalysis = this.analyze(afterJson);
+    return this.compareAnalyses(this.analyze(beforeJson), this.analyze(afterJson));
+  }
 
+  /**
+   * Compare two results of analyze()
+   */
+  compareAnalyses(beforeAnalysis, afterAnalysis) {
     return {
       before: beforeAnalysis,
       after: afterAnalysis,
@@ -282,21 +296,17 @@ export class FormAnalyzer {
   }
 
   /**
-   * Find new issues introduced
+   * Find new issues introduced (matched by fingerprint)
    */
   findNewIssues(beforeIssues, afterIssues) {
-    return afterIssues.filter(afterIssue => {
-      return !beforeIssues.some(beforeIssue => beforeIssue.type === afterIssue.type);
-    });
+    return diffIssues(beforeIssues, afterIssues).newIssues;
   }
 
   /**
-   * Find issues that were resolved
+   * Find issues that were resolved (matched by fingerprint)
    */
   findResolvedIssues(beforeIssues, afterIssues) {
-    return beforeIssues.filter(beforeIssue => {
-      return !afterIssues.some(afterIssue => afterIssue.type === beforeIssue.type);
-    });
+    return diffIssues(beforeIssues, afterIssues).resolvedIssues;
   }
 }
 
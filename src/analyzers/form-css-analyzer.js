@@ -1,3 +1,6 @@
+import { diffIssues } from '../utils/issue-model.js';
+import { applyCodeSuppressions } from '../utils/suppressions.js';
+
 /**
  * Analyzes CSS for form-specific performance and architectural issues
  * Focus: Issues that linters cannot detect (architectural, not syntax)
@@ -17,6 +20,7 @@ export class FormCSSAnalyzer {
       return { 
         filesAnalyzed: 0,
         issues: [],
+        suppressedIssues: [],
         summary: {},
       };
     }
@@ -32,22 +36,25 @@ export class FormCSSAnalyzer {
     };
 
     cssFiles.forEach(file => {
-      const fileIssues = this.analyzeFile(file.filename, file.content);
-      allIssues.push(...fileIssues);
-
-      // Update summary
-      fileIssues.forEach(issue => {
-        if (issue.type === 'css-background-image') summary.backgroundImages++;
-        if (issue.type === 'excessive-important') summary.importantRules += issue.count || 0;
-        if (issue.type === 'inline-data-uri') summary.inlineDataURIs++;
-        if (issue.type === 'deep-selector') summary.deepSelectors++;
-        if (issue.type === 'duplicate-selector') summary.duplicateSelectors++;
-      });
+      allIssues.push(...this.analyzeFile(file.filename, file.content));
+    });
+
+    // Suppression comments silence single findings (with a reason)
+    const { issues, suppressedIssues } = applyCodeSuppressions(allIssues, cssFiles);
+
+    // Update summary
+    issues.forEach(issue => {
+      if (issue.type === 'css-background-image') summary.backgroundImages++;
+      if (issue.type === 'excessive-important') summary.importantRules += issue.count || 0;
+      if (issue.type === 'inline-data-uri') summary.inlineDataURIs++;
+      if (issue.type === 'deep-selector') summary.deepSelectors++;
+      if (issue.type === 'duplicate-selector') summary.duplicateSelectors++;
     });
 
     return {
       filesAnalyzed: cssFiles.length,
-      issues: allIssues,
+      issues,
+      suppressedIssues,
       summary,
     };
   }
@@ -59,7 +66,8 @@ export class FormCSSAnalyzer {
    */
   stripComments(content) {
     // Remove /* ... */ style comments (standard CSS)
-    let cleaned = content.replace(/\/\*[\s\S]*?\*\//g, '');
+    // Keep their newlines so line numbers match the original file (and suppression comments)
+    let cleaned = content.replace(/\/\*[\s\S]*?\*\//g, comment => comment.replace(/[^\n]/g, ''));
     
     // Remove // style comments (SCSS/LESS/SASS)
     // Match // to end of line, but preserve the newline for accurate line numbers
@@ -437,6 +445,9 @@ export class FormCSSAnalyzer {
    * Compare before and after analyses
    */
   compare(beforeData, afterData) {
+    // Matched by fingerprint - moving a rule to another line doesn't make it a new issue
+    const { newIssues, resolvedIssues } = diffIssues(beforeData.issues, afterData.issues);
+
     return {
       before: beforeData,
       after: afterData,
@@ -445,20 +456,8 @@ export class FormCSSAnalyzer {
         importantRules: afterData.summary.importantRules - beforeData.summary.importantRules,
         inlineDataURIs: afterData.summary.inlineDataURIs - beforeData.summary.inlineDataURIs,
       },
-      newIssues: afterData.issues.filter(afterIssue =>
-        !beforeData.issues.some(beforeIssue =>
-          beforeIssue.file === afterIssue.file &&
-          beforeIssue.type === afterIssue.type &&
-          beforeIssue.line === afterIssue.line
-        )
-      ),
-      resolvedIssues: beforeData.issues.filter(beforeIssue =>
-        !afterData.issues.some(afterIssue =>
-          afterIssue.file === beforeIssue.file &&
-          afterIssue.type === beforeIssue.type &&
-          afterIssue.line === beforeIssue.line
-        )
-      ),
+      newIssues,
+      resolvedIssues,
     };
   }
 }
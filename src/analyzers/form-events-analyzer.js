@@ -1,3 +1,14 @@
+import { diffIssues } from '../utils/issue-model.js';
+import { applyFormSuppressions } from '../utils/suppressions.js';
+import { parseExpression, findFunctionCalls } from './rule-expression-analyzer.js';
+
+// Functions that send a request, by the apiCallType they are reported as
+const API_FUNCTIONS = {
+  request: 'request',
+  requestWithRetry: 'request',
+  fetch: 'fetch'
+};
+
 /**
  * Analyzes form events for performance anti-patterns
  * Specific check: API calls in initialize events should be in render instead
@@ -17,12 +28,15 @@ export class FormEventsAnalyzer {
       return { error: 'No form JSON provided' };
     }
 
-    const issues = [];
-    const apiCallPatterns = this.findAPICallsInInitialize(formJson, issues);
+    const found = [];
+    const apiCallPatterns = this.findAPICallsInInitialize(formJson, found);
+    const { issues, suppressedIssues } = applyFormSuppressions(found, formJson);
+    const suppressedFields = new Set(suppressedIssues.map(issue => issue.path));
 
     return {
-      apiCallsInInitialize: apiCallPatterns,
+      apiCallsInInitialize: apiCallPatterns.filter(call => !suppressedFields.has(call.path)),
       issues,
+      suppressedIssues,
     };
   }
 
@@ -94,6 +108,11 @@ export class FormEventsAnalyzer {
 
   /**
    * Detect if an expression contains an API call
+   * The expression is parsed with af-core's formula grammar, so request functions inside
+   * strings or field names don't match; expressions that don't parse (e.g. plain
+   * JavaScript) fall back to text patterns. Calls through JavaScript libraries (jQuery,
+   * XHR, axios) are not formula functions - e.g. axios.get('x') parses as a field
+   * access - so their patterns are checked either way.
    * @param {string} expression - Expression to check
    * @returns {Object|null} API call info or null
    */
@@ -101,15 +120,23 @@ export class FormEventsAnalyzer {
     if (typeof expression !== 'string') return null;
 
     // Common API call patterns in adaptive forms
-    const patterns = [
+    const requestPatterns = [
       { regex: /request\s*\([^)]+\)/gi, type: 'request' },
       { regex: /fetch\s*\([^)]+\)/gi, type: 'fetch' },
+    ];
+    const libraryPatterns = [
       { regex: /\$\.(get|post|ajax|getJSON)\s*\(/gi, type: 'jquery-ajax' },
       { regex: /XMLHttpRequest/gi, type: 'xhr' },
       { regex: /axios\.(get|post|request)/gi, type: 'axios' },
     ];
 
-    for (const pattern of patterns) {
+    const { ast } = parseExpression(expression);
+    if (ast) {
+      const call = findFunctionCalls(ast).find(name => API_FUNCTIONS[name]);
+      if (call) return { type: API_FUNCTIONS[call] };
+    }
+
+    for (const pattern of ast ? libraryPatterns : [...requestPatterns, ...libraryPatterns]) {
       if (pattern.regex.test(expression)) {
         return { type: pattern.type };
       }
@@ -126,14 +153,14 @@ export class FormEventsAnalyzer {
       return { error: 'Missing form JSON for comparison' };
     }
 
-    const beforeAnalysis = this.analyze(beforeJson);
-    const afterAnalysis = this.analyze(afterJson);
+    return this.compareAnalyses(this.analyze(beforeJson), this.analyze(afterJson));
+  }
 
-    const resolvedIssues = beforeAnalysis.issues.filter(beforeIssue =>
-      !afterAnalysis.issues.some(afterIssue =>
-        afterIssue.field === beforeIssue.field && afterIssue.type === beforeIssue.type
-      )
-    );
+  /**
+   * Compare two results of analyze()
+   */
+  compareAnalyses(beforeAnalysis, afterAnalysis) {
+    const { resolvedIssues } = diffIssues(beforeAnalysis.issues, afterAnalysis.issues);
 
     return {
       before: beforeAnalysis,
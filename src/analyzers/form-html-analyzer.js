@@ -1,4 +1,5 @@
 import * as cheerio from 'cheerio';
+import { diffIssues } from '../utils/issue-model.js';
 
 /**
  * Analyzes rendered form HTML for performance issues
@@ -456,9 +457,13 @@ export class FormHTMLAnalyzer {
    * Compare before and after HTML analyses
    */
   compare(beforeHtml, afterHtml) {
-    const beforeAnalysis = this.analyzeWithIssues(beforeHtml);
-    const afterAnalysis = this.analyzeWithIssues(afterHtml);
+    return this.compareAnalyses(this.analyzeWithIssues(beforeHtml), this.analyzeWithIssues(afterHtml));
+  }
 
+  /**
+   * Compare two results of analyzeWithIssues()
+   */
+  compareAnalyses(beforeAnalysis, afterAnalysis) {
     if (beforeAnalysis.error || afterAnalysis.error) {
       return { 
         error: beforeAnalysis.error || afterAnalysis.error,
@@ -467,6 +472,8 @@ export class FormHTMLAnalyzer {
       };
     }
 
+    const { newIssues, resolvedIssues } = diffIssues(beforeAnalysis.issues, afterAnalysis.issues);
+
     return {
       before: beforeAnalysis,
       after: afterAnalysis,
@@ -477,12 +484,8 @@ export class FormHTMLAnalyzer {
         hiddenElements: afterAnalysis.rendering.hiddenElements - beforeAnalysis.rendering.hiddenElements,
         blockingScripts: afterAnalysis.scripts.blocking - beforeAnalysis.scripts.blocking,
       },
-      newIssues: afterAnalysis.issues.filter(afterIssue =>
-        !beforeAnalysis.issues.some(beforeIssue => beforeIssue.type === afterIssue.type)
-      ),
-      resolvedIssues: beforeAnalysis.issues.filter(beforeIssue =>
-        !afterAnalysis.issues.some(afterIssue => afterIssue.type === beforeIssue.type)
-      ),
+      newIssues,
+      resolvedIssues,
     };
   }
 }
@@ -3,6 +3,8 @@
  * Detects fields that are always hidden and only used for data storage
  */
 import * as core from '@actions/core';
+import { diffIssues } from '../utils/issue-model.js';
+import { applyFormSuppressions } from '../utils/suppressions.js';
 
 export class HiddenFieldsAnalyzer {
   constructor(config = null) {
@@ -41,7 +43,10 @@ export class HiddenFieldsAnalyzer {
       core.info(`[HiddenFields] Visibility changes detected for: ${Object.keys(visibilityChangesInEvents).slice(0, 5).join(', ')}${visibilityChangeCountInEvents > 5 ? '...' : ''}`);
     }
     
-    const issues = this.detectUnnecessaryHiddenFields(hiddenFields, fieldVisibilityChangesInJS, visibilityChangesInEvents);
+    const { issues, suppressedIssues } = applyFormSuppressions(
+      this.detectUnnecessaryHiddenFields(hiddenFields, fieldVisibilityChangesInJS, visibilityChangesInEvents),
+      formJson
+    );
     
     return {
       totalHiddenFields: hiddenFields.length,
@@ -50,6 +55,7 @@ export class HiddenFieldsAnalyzer {
       fieldVisibilityChangesInEvents: visibilityChangesInEvents,
       unnecessaryHiddenFields: issues.length,
       issues,
+      suppressedIssues,
     };
   }
 
@@ -434,11 +440,7 @@ export class HiddenFieldsAnalyzer {
    * Compare before and after analyses
    */
   compare(beforeData, afterData) {
-    const resolvedIssues = beforeData.issues.filter(beforeIssue =>
-      !afterData.issues.some(afterIssue =>
-        afterIssue.field === beforeIssue.field && afterIssue.type === beforeIssue.type
-      )
-    );
+    const { resolvedIssues } = diffIssues(beforeData.issues, afterData.issues);
 
     return {
       before: beforeData,
@@ -0,0 +1,145 @@
+import { diffIssues } from '../utils/issue-model.js';
+import { compareSamples } from '../utils/statistics.js';
+
+/**
+ * Judges the steps of a scripted user journey (see utils/journey.js) against
+ * thresholds.journey and reports journeys that no longer get through the form
+ */
+
+const DEFAULT_THRESHOLDS = {
+  maxStepDuration: 3000, // Action until network idle and painted (ms)
+  maxStepINP: 200, // Slowest interaction of a step (ms) - the INP "good" limit
+  maxStepBlockingTime: 300 // Long task time over 50ms during a step (ms)
+};
+
+const CHECKS = [
+  { type: 'slow-journey-step', threshold: 'maxStepDuration', value: step => step.duration, describe: (value, threshold) => `took ${value}ms (threshold: ${threshold}ms)` },
+  { type: 'slow-journey-interaction', threshold: 'maxStepINP', value: step => step.inp, describe: (value, threshold) => `responded to input in ${value}ms (target: ${threshold}ms)` },
+  { type: 'journey-step-blocking', threshold: 'maxStepBlockingTime', value: step => step.blockingTime, describe: (value, threshold) => `blocked the main thread for ${value}ms (threshold: ${threshold}ms)` },
+];
+
+const RECOMMENDATIONS = {
+  'slow-journey-step': 'Look at the requests and rules this step triggers - prefetch data for the next panel, lazy load fragments earlier, or drop calls the step does not need.',
+  'slow-journey-interaction': 'Keep event handlers and rules on this field short; move heavy custom functions and validations off the input path or debounce them.',
+  'journey-step-blocking': 'Split long custom functions and rule chains, and defer work that does not change what the user sees next.',
+  'journey-failed': 'Check the step\'s field names and selectors against the form. If they are right, the form no longer lets users through this step.',
+};
+
+export class JourneyAnalyzer {
+  constructor(config = null) {
+    this.config = config;
+  }
+
+  /**
+   * Thresholds from config (thresholds.journey)
+   */
+  getThresholds() {
+    return { ...DEFAULT_THRESHOLDS, ...(this.config?.thresholds?.journey || {}) };
+  }
+
+  /**
+   * Check every step against the thresholds
+   * @param {Object} journey - runJourney() / aggregateJourneyRuns() result from URLAnalyzer
+   * @returns {Object} { name, completed, failedStep, steps, totals, runs, failedRuns, issues }
+   */
+  analyze(journey) {
+    const thresholds = this.getThresholds();
+    const issues = [];
+
+    journey.steps.forEach(step => {
+      CHECKS.forEach(({ type, threshold, value, describe }) => {
+        const actual = value(step);
+        if (actual === null || actual === undefined || thresholds[threshold] === null || actual <= thresholds[threshold]) return;
+        issues.push({
+          type,
+          severity: 'warning',
+          step: step.name,
+          value: actual,
+          threshold: thresholds[threshold],
+          message: `Step ${step.index + 1} "${step.name}" of journey "${journey.name}" ${describe(actual, thresholds[threshold])}`,
+          recommendation: RECOMMENDATIONS[type],
+          cwvImpact: 'INP'
+        });
+      });
+    });
+
+    if (!journey.completed) {
+      const { index, name, error } = journey.failedStep;
+      issues.push({
+        type: 'journey-failed',
+        severity: 'error',
+        step: name,
+        message: `Journey "${journey.name}" failed at step ${index + 1} "${name}": ${error}`,
+        recommendation: RECOMMENDATIONS['journey-failed']
+      });
+    }
+
+    return {
+      name: journey.name,
+      completed: journey.completed,
+      failedStep: journey.failedStep,
+      steps: journey.steps,
+      totals: journey.totals,
+      runs: journey.runs || 1,
+      failedRuns: journey.failedRuns || 0,
+      issues
+    };
+  }
+
+  /**
+   * Compare before/after journeys step by step (steps are matched by name)
+   * A journey that no longer completes is an error. With several runs per URL
+   * (config.sampling), a step only got slower when the Mann-Whitney U test says so -
+   * step issues from steps that did not are left out of newIssues.
+   */
+  compare(before, after) {
+    const alpha = this.config?.sampling?.alpha ?? 0.05;
+
+    const steps = after.steps.map(step => {
+      const previous = before.steps.find(candidate => candidate.name === step.name) || null;
+      const entry = {
+        ...step,
+        before: previous ? previous.duration : null,
+        beforeInp: previous ? previous.inp : null,
+        delta: previous ? step.duration - previous.duration : null
+      };
+      const beforeSamples = previous?.samples?.duration || [];
+      const afterSamples = step.samples?.duration || [];
+      if (beforeSamples.length > 1 && afterSamples.length > 1) {
+        const { pValue, significant, change } = compareSamples(beforeSamples, afterSamples, { alpha });
+        Object.assign(entry, { pValue, significant, change });
+      }
+      return entry;
+    });
+    const removedSteps = before.steps
+      .filter(step => !after.steps.some(candidate => candidate.name === step.name))
+      .map(step => step.name);
+
+    const { newIssues, resolvedIssues } = diffIssues(before.issues, after.issues);
+    const notSlower = name => {
+      const step = steps.find(candidate => candidate.name === name);
+      return step?.change && step.change !== 'increased';
+    };
+
+    return {
+      before,
+      after,
+      steps,
+      removedSteps,
+      delta: { duration: after.totals.duration - before.totals.duration },
+      // Sampled, but not significantly slower - run-to-run noise, not a regression
+      newIssues: newIssues.filter(issue => issue.type === 'journey-failed' || !notSlower(issue.step)),
+      resolvedIssues
+    };
+  }
+}
+
+/**
+ * One-line summary, e.g. "loan-wizard: 8 steps in 6400ms, slowest interaction 310ms"
+ * @param {Object} journey - analyze() result (or runJourney() result)
+ */
+export function formatJourneySummary(journey) {
+  const { steps, totals } = journey;
+  const status = journey.completed ? '' : `, failed at step ${journey.failedStep.index + 1} (${journey.failedStep.name})`;
+  return `${journey.name}: ${steps.length} step${steps.length === 1 ? '' : 's'} in ${totals.duration}ms, slowest interaction ${totals.inp ?? '-'}ms${status}`;
+}
@@ -0,0 +1,349 @@
+import * as cheerio from 'cheerio';
+import { diffIssues } from '../utils/issue-model.js';
+import { applyFormSuppressions } from '../utils/suppressions.js';
+import { getChildNodes } from '../utils/fragments.js';
+import { getNodeExpressions, findReferencedNames } from './complexity-analyzer.js';
+
+/**
+ * Finds panels that could be rendered later (lazy-loading candidates)
+ *
+ * Wizards, tabs and accordions show one panel at a time, but the form renders all of them
+ * up front. Every panel of such a layout except the first (and any panel that starts
+ * hidden) is not visible on first paint. For each one the analyzer estimates what deferring
+ * it saves - components, rules and events, DOM nodes - and lists the rules that would still
+ * make it initialize with the form:
+ *
+ *   initialize     - initialize event handlers inside the panel run on form load
+ *   reads-outside  - rules inside the panel read fields outside it, so they subscribe on load
+ *   read-by-form   - rules outside the panel read fields inside it, so the panel's model is needed on load
+ *
+ * DOM nodes are counted in the rendered HTML when available, estimated per field type otherwise.
+ * Panels with at least thresholds.lazyLoading.minComponents components are reported.
+ */
+
+const DEFAULT_THRESHOLDS = {
+  minComponents: 10 // Deferrable panels with fewer components are not worth a recommendation
+};
+
+// Layouts showing one panel at a time, matched on :type, fd:viewType or the component id
+const LAYOUTS = [
+  { layout: 'wizard', pattern: /wizard/i },
+  { layout: 'tabs', pattern: /tabs|tabsontop|verticaltabs/i },
+  { layout: 'accordion', pattern: /accordion/i }
+];
+
+// Estimated DOM nodes per rendered component (wrapper, label, input, description)
+const DOM_NODES = {
+  panel: 3,
+  'plain-text': 2,
+  image: 2,
+  button: 2,
+  default: 4
+};
+
+export class LazyLoadingAnalyzer {
+  constructor(config = null) {
+    this.config = config;
+  }
+
+  /**
+   * Thresholds from config (thresholds.lazyLoading)
+   */
+  getThresholds() {
+    return { ...DEFAULT_THRESHOLDS, ...(this.config?.thresholds?.lazyLoading || {}) };
+  }
+
+  /**
+   * Find deferrable panels under wizard/tab/accordion layouts
+   * @param {Object} formJson - Form JSON
+   * @param {string} html - Rendered HTML (optional - DOM nodes are estimated without it)
+   * @returns {Object} { layouts, candidates, totals, issues, suppressedIssues }
+   *   - candidates: [{ name, path, label, layout, container, step, components, rules, events, domNodes, domSource, blockers }] largest first
+   */
+  analyze(formJson, html = null) {
+    if (!formJson) {
+      return { error: 'No form JSON provided' };
+    }
+
+    const $ = html ? cheerio.load(html) : null;
+    const names = collectNames(formJson);
+    const layouts = [];
+    const candidates = [];
+
+    const visit = (node, path, deferred) => {
+      const layout = getLayout(node);
+      const children = getOrderedChildren(node);
+
+      if (layout && !deferred) {
+        const panels = children.filter(child => getChildNodes(child).length > 0 || child.fieldType === 'panel');
+        layouts.push({ name: node.name || node.id || 'form', path: path || null, layout, panels: panels.length, initial: panels[0]?.name || null });
+        panels.forEach((child, index) => {
+          if (index === 0 && child.visible !== false) return;
+          candidates.push(this.measurePanel(child, joinPath(path, child), { layout, container: node.name || node.id, step: index + 1 }, formJson, names, $));
+        });
+      } else if (!deferred && node.visible === false && path && getChildNodes(node).length > 0) {
+        candidates.push(this.measurePanel(node, path, { layout: 'hidden', container: null, step: null }, formJson, names, $));
+        deferred = true;
+      }
+
+      children.forEach(child => {
+        const childPath = joinPath(path, child);
+        visit(child, childPath, deferred || candidates.some(candidate => candidate.path === childPath));
+      });
+    };
+
+    visit(formJson, '', false);
+    candidates.sort((a, b) => b.components - a.components);
+
+    const totalComponents = countComponents(formJson) - 1;
+    const deferrable = candidates.reduce((sum, candidate) => sum + candidate.components, 0);
+    const { issues, suppressedIssues } = applyFormSuppressions(this.detectIssues(candidates), formJson);
+
+    return {
+      layouts,
+      candidates,
+      totals: {
+        panels: candidates.length,
+        components: deferrable,
+        rules: candidates.reduce((sum, candidate) => sum + candidate.rules + candidate.events, 0),
+        domNodes: candidates.reduce((sum, candidate) => sum + candidate.domNodes, 0),
+        share: totalComponents > 0 ? Math.round((deferrable / totalComponents) * 100) : 0
+      },
+      issues,
+      suppressedIssues
+    };
+  }
+
+  /**
+   * What deferring a panel saves, and the rules that keep it from being deferred
+   */
+  measurePanel(panel, path, placement, formJson, names, $) {
+    const inside = collectNames(panel);
+    let rules = 0;
+    let events = 0;
+    const blockers = [];
+
+    const collect = (node) => {
+      getNodeExpressions(node).forEach(({ kind, key, expression }) => {
+        if (kind === 'rule') rules++;
+        else events++;
+
+        if (kind === 'event' && key === 'initialize') {
+          blockers.push({ field: node.name || node.id, kind: 'initialize', key, expression });
+          return;
+        }
+        const outside = findReferencedNames(expression, names).filter(name => !inside.has(name) && name !== node.name);
+        if (kind === 'rule' && outside.length > 0) {
+          blockers.push({ field: node.name || node.id, kind: 'reads-outside', key, expression, fields: outside });
+        }
+      });
+      getChildNodes(node).forEach(collect);
+    };
+    collect(panel);
+
+    // Rules outside the panel that read its fields
+    const readers = (node) => {
+      if (node === panel) return;
+      getNodeExpressions(node)
+        .filter(({ kind }) => kind === 'rule')
+        .forEach(({ key, expression }) => {
+          const read = findReferencedNames(expression, inside).filter(name => name !== node.name);
+          if (read.length > 0) {
+            blockers.push({ field: node.name || node.id, kind: 'read-by-form', key, expression, fields: read });
+          }
+        });
+      getChildNodes(node).forEach(readers);
+    };
+    readers(formJson);
+
+    const rendered = $ ? findRenderedPanel($, panel) : null;
+
+    return {
+      name: panel.name || panel.id || path,
+      path,
+      label: panel.label?.value || null,
+      ...placement,
+      components: countComponents(panel),
+      rules,
+      events,
+      domNodes: rendered ? rendered.find('*').length + 1 : estimatePanelDomNodes(panel),
+      domSource: rendered ? 'html' : 'estimate',
+      blockers
+    };
+  }
+
+  /**
+   * One recommendation per deferrable panel, one issue per rule that forces it to load early
+   */
+  detectIssues(candidates) {
+    const { minComponents } = this.getThresholds();
+    const issues = [];
+
+    candidates.filter(candidate => candidate.components >= minComponents).forEach(candidate => {
+      issues.push({
+        severity: 'info',
+        type: 'lazy-load-candidate',
+        field: candidate.name,
+        path: candidate.path,
+        message: `${describePlacement(candidate)} is not visible on first paint - deferring it saves ${candidate.components} component(s), ${candidate.rules + candidate.events} rule(s)/event(s) and ${candidate.domSource === 'estimate' ? '~' : ''}${candidate.domNodes} DOM node(s)`,
+        value: candidate.components,
+        threshold: minComponents,
+        recommendation: candidate.blockers.length > 0
+          ? `Defer the panel (load it as a fragment when ${SHOWN_WHEN[candidate.layout]}) after moving the ${candidate.blockers.length} rule(s) that need it on load.`
+          : `Defer the panel - load it as a fragment when ${SHOWN_WHEN[candidate.layout]}.`
+      });
+
+      candidate.blockers.forEach(blocker => {
+        issues.push({
+          severity: 'info',
+          type: 'eager-panel-rule',
+          field: blocker.field,
+          property: `${blocker.kind === 'initialize' ? 'events' : 'rules'}.${blocker.key}`,
+          panel: candidate.name,
+          message: describeBlocker(blocker, candidate),
+          recommendation: BLOCKER_RECOMMENDATIONS[blocker.kind]
+        });
+      });
+    });
+
+    return issues;
+  }
+
+  /**
+   * Compare before/after candidates
+   * @returns {Object} { before, after, delta: { components, domNodes }, newIssues, resolvedIssues }
+   */
+  compare(before, after) {
+    const { newIssues, resolvedIssues } = diffIssues(before.issues, after.issues);
+    return {
+      before,
+      after,
+      delta: {
+        components: after.totals.components - before.totals.components,
+        domNodes: after.totals.domNodes - before.totals.domNodes
+      },
+      newIssues,
+      resolvedIssues
+    };
+  }
+}
+
+const SHOWN_WHEN = {
+  wizard: 'the step is reached',
+  tabs: 'the tab is opened',
+  accordion: 'the item is expanded',
+  hidden: 'it is shown'
+};
+
+const BLOCKER_RECOMMENDATIONS = {
+  initialize: 'Move the initialize handler to the event that shows the panel (or custom:formViewInitialized) so it runs when the panel loads.',
+  'reads-outside': 'Compute the value when the panel is shown, or keep the fields it reads in the same panel.',
+  'read-by-form': 'Move the rule into the panel, or store what it needs in a field outside the panel.'
+};
+
+/**
+ * Layout of a panel that shows one child at a time (wizard, tabs, accordion), or null
+ */
+export function getLayout(node) {
+  if (!node || (node.fieldType && node.fieldType !== 'panel' && node.fieldType !== 'form')) return null;
+  const hints = [node[':type'], node.properties?.['fd:viewType'], node.viewType, typeof node.id === 'string' ? node.id.split('-')[0] : null].filter(Boolean).join(' ');
+  return LAYOUTS.find(({ pattern }) => pattern.test(hints))?.layout || null;
+}
+
+/**
+ * Children in display order (:itemsOrder when present)
+ */
+function getOrderedChildren(node) {
+  const order = Array.isArray(node[':itemsOrder']) && node[':items'] ? node[':itemsOrder'] : null;
+  const named = order
+    ? order.map(key => node[':items'][key]).filter(Boolean)
+    : Object.values(node[':items'] || {});
+  const listed = Array.isArray(node.items) ? node.items : [];
+  return [...listed, ...named].filter(child => child && typeof child === 'object');
+}
+
+function joinPath(path, child) {
+  const name = child.name || child.id || 'panel';
+  return path ? `${path}.${name}` : name;
+}
+
+/**
+ * Names of the fields in a subtree (panels left out - a rule reading $form.panel.field is about the field)
+ */
+export function collectNames(formJson) {
+  const names = new Set();
+  const visit = (node) => {
+    if (node.name && getChildNodes(node).length === 0) names.add(node.name);
+    getChildNodes(node).forEach(visit);
+  };
+  visit(formJson);
+  return names;
+}
+
+/**
+ * Nodes in a subtree, the node included
+ */
+export function countComponents(node) {
+  return 1 + getChildNodes(node).reduce((sum, child) => sum + countComponents(child), 0);
+}
+
+/**
+ * Estimated DOM nodes a panel renders (see DOM_NODES), the panel included
+ */
+export function estimatePanelDomNodes(panel) {
+  return estimateDomNodes(panel) + getChildNodes(panel).reduce((sum, child) => sum + estimatePanelDomNodes(child), 0);
+}
+
+function estimateDomNodes(node) {
+  const options = Array.isArray(node.enum) ? node.enum.length : 0;
+  if (node.fieldType === 'drop-down') return DOM_NODES.default + options;
+  if (node.fieldType === 'radio-group' || node.fieldType === 'checkbox-group') return DOM_NODES.default + options * 2;
+  if (getChildNodes(node).length > 0) return DOM_NODES.panel;
+  return DOM_NODES[node.fieldType] || DOM_NODES.default;
+}
+
+/**
+ * The panel's element in the rendered HTML, by id or name
+ */
+function findRenderedPanel($, panel) {
+  const selectors = [];
+  if (panel.id) selectors.push(`[id="${panel.id}"]`);
+  if (panel.name) selectors.push(`fieldset[name="${panel.name}"]`, `[data-name="${panel.name}"]`);
+  for (const selector of selectors) {
+    const element = $(selector).first();
+    if (element.length > 0) return element;
+  }
+  return null;
+}
+
+/**
+ * Where a panel sits, e.g. 'Step 3 "Employment" (employment) of wizard "loan"'
+ */
+export function describePlacement(candidate) {
+  const name = candidate.label && candidate.label !== candidate.name ? `"${candidate.label}" (${candidate.name})` : `"${candidate.name}"`;
+  if (candidate.layout === 'hidden') return `Hidden panel ${name}`;
+  const kind = { wizard: 'Step', tabs: 'Tab', accordion: 'Accordion item' }[candidate.layout];
+  return `${kind} ${candidate.step} ${name} of ${candidate.layout} "${candidate.container}"`;
+}
+
+function describeBlocker(blocker, candidate) {
+  const where = `"${blocker.field}"`;
+  if (blocker.kind === 'initialize') {
+    return `Initialize event on ${where} makes panel "${candidate.name}" load with the form`;
+  }
+  if (blocker.kind === 'reads-outside') {
+    return `Rule "${blocker.key}" on ${where} reads ${blocker.fields.join(', ')} outside panel "${candidate.name}", so the panel has to load with the form`;
+  }
+  return `Rule "${blocker.key}" on ${where} reads ${blocker.fields.join(', ')} inside panel "${candidate.name}", so the panel has to load with the form`;
+}
+
+/**
+ * One-line summary, e.g. "3 panel(s) could be deferred: 64 component(s) (40%), 18 rule(s)/event(s), ~250 DOM node(s)"
+ * @param {Object} analysis - analyze() result (or the scan summary)
+ */
+export function formatLazyLoadingSummary(analysis) {
+  const { totals } = analysis;
+  if (totals.panels === 0) return 'no deferrable panels';
+  const estimated = analysis.candidates.some(candidate => candidate.domSource === 'estimate') ? '~' : '';
+  return `${totals.panels} panel(s) could be deferred: ${totals.components} component(s) (${totals.share}%), ${totals.rules} rule(s)/event(s), ${estimated}${totals.domNodes} DOM node(s)`;
+}
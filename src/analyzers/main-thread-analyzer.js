@@ -0,0 +1,161 @@
+import { compareSamples } from '../utils/statistics.js';
+import { MAIN_THREAD_CATEGORIES } from '../utils/trace.js';
+import { findRepoFile } from './coverage-analyzer.js';
+
+/**
+ * Reports where the main thread spent its time while the form loaded (see utils/trace.js)
+ *
+ * Scripts and long tasks are mapped to repo files by URL path, like coverage. Before/after,
+ * more main-thread time than thresholds.mainThread.maxIncrease is a warning naming the
+ * category and the script that grew most - "slower" with a place to look.
+ */
+
+export const CATEGORY_LABELS = {
+  script: 'Script evaluation',
+  styleLayout: 'Style & layout',
+  paint: 'Paint',
+  parse: 'HTML parsing',
+  gc: 'Garbage collection',
+  other: 'Other'
+};
+
+const DEFAULT_THRESHOLDS = {
+  maxIncrease: 300 // More main-thread time than before by more than this is reported (ms)
+};
+
+const RECOMMENDATIONS = {
+  script: 'Profile the script in the trace artifact (Performance panel) - look for work that can wait until after render or run once instead of per field.',
+  styleLayout: 'Look for layout thrashing (reading sizes right after changing the DOM) and large style changes - batch DOM writes and avoid rendering fields that start hidden.',
+  paint: 'Large or frequent repaints - check animations, shadows and filters added to the form, and images decoded during load.',
+  parse: 'The page has more HTML to parse - check markup added to the page or the form block.',
+  gc: 'More garbage collection means more allocation - look for objects created per field or per event that could be reused.',
+  other: 'Open the trace artifact in the Performance panel to see which tasks grew.'
+};
+
+export class MainThreadAnalyzer {
+  constructor(config = null) {
+    this.config = config;
+  }
+
+  /**
+   * Thresholds from config (thresholds.mainThread)
+   */
+  getThresholds() {
+    return { ...DEFAULT_THRESHOLDS, ...(this.config?.thresholds?.mainThread || {}) };
+  }
+
+  /**
+   * Map scripts and long tasks to repo files
+   * @param {Object} mainThread - summarizeTrace() result from URLAnalyzer (medians with samples when sampled)
+   * @param {Object} repo - { jsFiles } from the checked-out repository
+   * @returns {Object} { pageUrl, total, categories, scripts, longTasks, longTaskCount, blockingTime, samples, issues }
+   */
+  analyze(mainThread, repo = {}) {
+    const attribute = item => ({ ...item, file: item.url ? findRepoFile(item.url, repo.jsFiles)?.filename || null : null });
+    return {
+      pageUrl: mainThread.pageUrl,
+      total: mainThread.total,
+      categories: mainThread.categories,
+      scripts: mainThread.scripts.map(attribute),
+      longTasks: mainThread.longTasks.map(attribute),
+      longTaskCount: mainThread.longTaskCount,
+      blockingTime: mainThread.blockingTime,
+      samples: mainThread.samples || null,
+      issues: []
+    };
+  }
+
+  /**
+   * Compare before/after main-thread time by category and by script
+   * With several runs per URL (config.sampling) the total also has to be significantly
+   * higher (Mann-Whitney U test).
+   */
+  compare(before, after) {
+    const alpha = this.config?.sampling?.alpha ?? 0.05;
+    const { maxIncrease } = this.getThresholds();
+
+    const categories = MAIN_THREAD_CATEGORIES.map(category => ({
+      category,
+      label: CATEGORY_LABELS[category],
+      before: before.categories[category] ?? 0,
+      after: after.categories[category] ?? 0,
+      delta: (after.categories[category] ?? 0) - (before.categories[category] ?? 0)
+    }));
+
+    const beforeScripts = new Map(before.scripts.map(script => [scriptKey(script, before.pageUrl), script.time]));
+    const scripts = after.scripts.map(script => {
+      const previous = beforeScripts.get(scriptKey(script, after.pageUrl)) ?? null;
+      return { ...script, before: previous, delta: previous !== null ? script.time - previous : script.time };
+    });
+
+    const total = { before: before.total, after: after.total, delta: after.total - before.total };
+    if (before.samples?.total?.length > 1 && after.samples?.total?.length > 1) {
+      const { pValue, significant, change } = compareSamples(before.samples.total, after.samples.total, { alpha });
+      Object.assign(total, { pValue, significant, change });
+    }
+
+    const newIssues = [];
+    if (maxIncrease !== null && total.delta > maxIncrease && (!total.change || total.change === 'increased')) {
+      const grown = [...categories].sort((a, b) => b.delta - a.delta)[0];
+      const script = [...scripts].sort((a, b) => b.delta - a.delta)[0];
+      const blame = script?.delta > 0 ? `, most in ${getScriptLabel(script, after.pageUrl)} (+${script.delta}ms)` : '';
+      newIssues.push({
+        type: 'main-thread-regression',
+        severity: 'warning',
+        ...(script?.file && script.delta > 0 ? { file: script.file } : {}),
+        value: after.total,
+        before: before.total,
+        threshold: maxIncrease,
+        category: grown.category,
+        message: `The main thread is busy ${total.delta}ms longer while the form loads: ${after.total}ms (was ${before.total}ms) - ${grown.label.toLowerCase()} +${grown.delta}ms${blame}`,
+        recommendation: RECOMMENDATIONS[grown.category],
+        cwvImpact: 'INP'
+      });
+    }
+
+    return { before, after, total, categories, scripts, newIssues, resolvedIssues: [] };
+  }
+}
+
+/**
+ * Match scripts across before/after loads: repo path, else URL without the page's own host
+ */
+function scriptKey(script, pageUrl) {
+  if (script.file) return script.file;
+  try {
+    const url = new URL(script.url);
+    return url.hostname === new URL(pageUrl).hostname ? url.pathname : `${url.hostname}${url.pathname}`;
+  } catch (error) {
+    return script.url;
+  }
+}
+
+/**
+ * Label for a script or long task: repo path, "inline" or the URL without query string
+ * @param {Object} item - { url, file } from analyze()
+ * @param {string} pageUrl - Analyzed URL
+ */
+export function getScriptLabel(item, pageUrl = null) {
+  if (item.file) return item.file;
+  if (!item.url) return 'browser';
+  if (pageUrl && item.url.replace(/[?#].*$/, '') === pageUrl.replace(/[?#].*$/, '')) return 'inline';
+  try {
+    const url = new URL(item.url);
+    return `${url.hostname}${url.pathname}`;
+  } catch (error) {
+    return item.url;
+  }
+}
+
+/**
+ * One-line summary, e.g. "1240ms busy: script evaluation 820ms, style & layout 210ms, ... - 4 long task(s)"
+ * @param {Object} analysis - analyze() result
+ */
+export function formatMainThreadSummary(analysis) {
+  const busiest = MAIN_THREAD_CATEGORIES
+    .filter(category => analysis.categories[category] > 0)
+    .sort((a, b) => analysis.categories[b] - analysis.categories[a])
+    .slice(0, 3)
+    .map(category => `${CATEGORY_LABELS[category].toLowerCase()} ${analysis.categories[category]}ms`);
+  return `${analysis.total}ms busy${busiest.length > 0 ? `: ${busiest.join(', ')}` : ''} - ${analysis.longTaskCount} long task(s)`;
+}
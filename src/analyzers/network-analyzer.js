@@ -0,0 +1,246 @@
+/**
+ * Summarizes the requests a form page makes while loading (see utils/network-recorder.js)
+ * and checks the totals against thresholds.network budgets
+ */
+
+const DEFAULT_BUDGETS = {
+  maxRequests: 80,
+  maxTransferSize: 1572864, // 1.5MB
+  maxScriptSize: 512000, // 500KB transferred
+  maxThirdPartyRequests: 20,
+  maxRequestsBeforeRender: 40
+};
+
+const BUDGETS = [
+  { type: 'network-request-budget', budget: 'maxRequests', value: summary => summary.requests, label: 'requests', bytes: false },
+  { type: 'network-transfer-budget', budget: 'maxTransferSize', value: summary => summary.transferSize, label: 'transferred', bytes: true, cwvImpact: 'LCP' },
+  { type: 'network-script-budget', budget: 'maxScriptSize', value: summary => summary.byType.script?.transferSize || 0, label: 'of JavaScript transferred', bytes: true, cwvImpact: 'LCP, TBT' },
+  { type: 'network-third-party-budget', budget: 'maxThirdPartyRequests', value: summary => summary.thirdParty.requests, label: 'third-party requests', bytes: false, cwvImpact: 'LCP, TBT' },
+  { type: 'network-requests-before-render', budget: 'maxRequestsBeforeRender', value: summary => summary.requestsBeforeRender, label: 'requests before the form rendered', bytes: false, cwvImpact: 'LCP' },
+];
+
+const RECOMMENDATIONS = {
+  'network-request-budget': 'Bundle small scripts and styles, lazy load images and fragments below the fold, and drop unused libraries.',
+  'network-transfer-budget': 'Compress and resize images (WebP/AVIF), lazy load below-the-fold content and check for unminified or duplicate bundles.',
+  'network-script-budget': 'Load only the scripts the form needs for first render; defer widgets, analytics and rarely used custom functions.',
+  'network-third-party-budget': 'Load third-party tags (analytics, chat, A/B testing) after the form is interactive, or remove the ones nobody uses.',
+  'network-requests-before-render': 'Everything requested before the form renders delays it - defer non-critical scripts, styles and data calls until after render.',
+};
+
+// Requests whose size changed by less than this are not listed as changed
+const SIZE_CHANGE_MIN_BYTES = 1024;
+
+export class NetworkAnalyzer {
+  constructor(config = null) {
+    this.config = config;
+  }
+
+  /**
+   * Budgets from config (thresholds.network)
+   */
+  getBudgets() {
+    return { ...DEFAULT_BUDGETS, ...(this.config?.thresholds?.network || {}) };
+  }
+
+  /**
+   * Summarize recorded requests and check them against the budgets
+   * @param {Object} network - { pageUrl, requests } from URLAnalyzer
+   * @returns {Object} { summary, requests, issues }
+   */
+  analyze(network) {
+    const firstPartyDomains = this.config?.network?.firstPartyDomains || [];
+    const isFirstParty = createFirstPartyCheck(network.pageUrl, firstPartyDomains);
+    const requests = (network.requests || []).map(request => ({ ...request, firstParty: isFirstParty(request.url) }));
+    const summary = summarizeRequests(requests);
+    const budgets = this.getBudgets();
+
+    const issues = BUDGETS
+      .filter(({ budget, value }) => budgets[budget] !== null && budgets[budget] !== undefined && value(summary) > budgets[budget])
+      .map(({ type, budget, value, label, bytes, cwvImpact }) => {
+        const actual = value(summary);
+        const format = bytes ? formatKB : count => `${count}`;
+        return {
+          severity: 'error',
+          type,
+          message: `${format(actual)} ${label} (budget: ${format(budgets[budget])})`,
+          count: actual,
+          threshold: budgets[budget],
+          recommendation: RECOMMENDATIONS[type],
+          ...(cwvImpact ? { cwvImpact } : {})
+        };
+      });
+
+    return { pageUrl: network.pageUrl, summary, requests, issues };
+  }
+
+  /**
+   * Compare before/after recordings: summary deltas, request list diff and budgets newly crossed
+   */
+  compare(before, after) {
+    const newIssues = after.issues.filter(issue => !before.issues.some(previous => previous.type === issue.type));
+    const resolvedIssues = before.issues.filter(issue => !after.issues.some(current => current.type === issue.type));
+
+    return {
+      before,
+      after,
+      delta: {
+        requests: after.summary.requests - before.summary.requests,
+        transferSize: after.summary.transferSize - before.summary.transferSize,
+        scriptSize: (after.summary.byType.script?.transferSize || 0) - (before.summary.byType.script?.transferSize || 0),
+        thirdPartyRequests: after.summary.thirdParty.requests - before.summary.thirdParty.requests,
+        requestsBeforeRender: after.summary.requestsBeforeRender - before.summary.requestsBeforeRender
+      },
+      requestDiff: diffRequests(before, after),
+      newIssues,
+      resolvedIssues
+    };
+  }
+}
+
+/**
+ * Totals by resource type and party
+ * @returns {Object} { requests, transferSize, resourceSize, byType: { script: { requests, transferSize } },
+ *   firstParty, thirdParty: { requests, transferSize, domains }, requestsBeforeRender, transferSizeBeforeRender,
+ *   failedRequests, cachedRequests }
+ */
+export function summarizeRequests(requests) {
+  const summary = {
+    requests: requests.length,
+    transferSize: 0,
+    resourceSize: 0,
+    byType: {},
+    firstParty: { requests: 0, transferSize: 0 },
+    thirdParty: { requests: 0, transferSize: 0, domains: [] },
+    requestsBeforeRender: 0,
+    transferSizeBeforeRender: 0,
+    failedRequests: 0,
+    cachedRequests: 0
+  };
+
+  requests.forEach(request => {
+    const size = request.transferSize || 0;
+    summary.transferSize += size;
+    summary.resourceSize += request.resourceSize || 0;
+
+    const type = summary.byType[request.resourceType] || (summary.byType[request.resourceType] = { requests: 0, transferSize: 0 });
+    type.requests++;
+    type.transferSize += size;
+
+    const party = request.firstParty ? summary.firstParty : summary.thirdParty;
+    party.requests++;
+    party.transferSize += size;
+    if (!request.firstParty) {
+      const host = getHost(request.url);
+      if (host && !summary.thirdParty.domains.includes(host)) summary.thirdParty.domains.push(host);
+    }
+
+    if (request.beforeRender) {
+      summary.requestsBeforeRender++;
+      summary.transferSizeBeforeRender += size;
+    }
+    if (request.failed) summary.failedRequests++;
+    if (request.cache && request.cache !== 'network') summary.cachedRequests++;
+  });
+
+  return summary;
+}
+
+/**
+ * Requests added, removed or changed in size between two recordings
+ * The before and after pages usually live on different hosts (main-- vs branch--), so
+ * requests to the page's own host are matched by path; query strings are ignored.
+ */
+function diffRequests(before, after) {
+  const index = analysis => {
+    const pageHost = getHost(analysis.pageUrl);
+    const byKey = new Map();
+    analysis.requests.forEach(request => {
+      const key = requestKey(request, pageHost);
+      const existing = byKey.get(key);
+      byKey.set(key, existing
+        ? { ...existing, count: existing.count + 1, transferSize: existing.transferSize + (request.transferSize || 0) }
+        : { url: request.url, resourceType: request.resourceType, firstParty: request.firstParty, transferSize: request.transferSize || 0, count: 1 });
+    });
+    return byKey;
+  };
+
+  const beforeRequests = index(before);
+  const afterRequests = index(after);
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  afterRequests.forEach((request, key) => {
+    const previous = beforeRequests.get(key);
+    if (!previous) {
+      added.push(request);
+    } else if (Math.abs(request.transferSize - previous.transferSize) >= SIZE_CHANGE_MIN_BYTES || request.count !== previous.count) {
+      changed.push({ ...request, before: previous.transferSize, beforeCount: previous.count });
+    }
+  });
+  beforeRequests.forEach((request, key) => {
+    if (!afterRequests.has(key)) removed.push(request);
+  });
+
+  const bySize = (a, b) => b.transferSize - a.transferSize;
+  return { added: added.sort(bySize), removed: removed.sort(bySize), changed: changed.sort(bySize) };
+}
+
+function requestKey(request, pageHost) {
+  const url = parseURL(request.url);
+  if (!url) return `${request.method || 'GET'} ${request.url}`;
+  const host = url.hostname.toLowerCase() === pageHost ? '' : url.hostname.toLowerCase();
+  return `${request.method || 'GET'} ${host}${url.pathname}`;
+}
+
+/**
+ * First party: the page's site (last two host labels, three for co.uk-style suffixes)
+ * plus config.network.firstPartyDomains
+ * @returns {Function} url => boolean
+ */
+export function createFirstPartyCheck(pageUrl, extraDomains) {
+  const site = getSite(getHost(pageUrl));
+  const domains = [site, ...extraDomains].filter(Boolean).map(domain => domain.toLowerCase());
+
+  return url => {
+    const host = getHost(url);
+    if (!host) return true; // data:, blob: and friends come from the page itself
+    return domains.some(domain => host === domain || host.endsWith(`.${domain}`));
+  };
+}
+
+function getSite(host) {
+  if (!host) return null;
+  const labels = host.split('.');
+  const secondLevel = labels[labels.length - 2] || '';
+  const keep = labels.length > 2 && secondLevel.length <= 3 && ['co', 'com', 'net', 'org', 'gov', 'ac', 'edu'].includes(secondLevel) ? 3 : 2;
+  return labels.slice(-keep).join('.');
+}
+
+function getHost(url) {
+  const parsed = parseURL(url);
+  return parsed && /^https?:$/.test(parsed.protocol) ? parsed.hostname.toLowerCase() : null;
+}
+
+function parseURL(url) {
+  try {
+    return new URL(url);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * One-line summary, e.g. "47 requests, 901.0 KB (12 third-party, 31 before render)"
+ * @param {Object} summary - summarizeRequests() result
+ */
+export function formatNetworkSummary(summary) {
+  return `${summary.requests} requests, ${formatKB(summary.transferSize)} (${summary.thirdParty.requests} third-party, ${summary.requestsBeforeRender} before render)`;
+}
+
+/**
+ * Format a byte count as KB, e.g. "1536.0 KB"
+ */
+export function formatKB(bytes) {
+  return `${((bytes || 0) / 1024).toFixed(1)} KB`;
+}
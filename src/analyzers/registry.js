@@ -0,0 +1,492 @@
+import * as core from '@actions/core';
+import { resolve } from 'path';
+import { pathToFileURL } from 'url';
+import { FormAnalyzer } from './form-analyzer.js';
+import { FormEventsAnalyzer } from './form-events-analyzer.js';
+import { HiddenFieldsAnalyzer } from './hidden-fields-analyzer.js';
+import { RulePerformanceAnalyzer } from './rule-performance-analyzer.js';
+import { FormHTMLAnalyzer } from './form-html-analyzer.js';
+import { FormCSSAnalyzer } from './form-css-analyzer.js';
+import { CustomFunctionAnalyzer } from './custom-function-analyzer.js';
+import { WebVitalsAnalyzer } from './web-vitals-analyzer.js';
+import { RenderMilestonesAnalyzer } from './render-milestones-analyzer.js';
+import { NetworkAnalyzer } from './network-analyzer.js';
+import { CoverageAnalyzer } from './coverage-analyzer.js';
+import { JourneyAnalyzer } from './journey-analyzer.js';
+import { BrowserErrorsAnalyzer } from './browser-errors-analyzer.js';
+import { MainThreadAnalyzer } from './main-thread-analyzer.js';
+import { ComplexityAnalyzer } from './complexity-analyzer.js';
+import { LazyLoadingAnalyzer } from './lazy-loading-analyzer.js';
+import { RepeatableAnalyzer } from './repeatable-analyzer.js';
+import { RuleExpressionAnalyzer } from './rule-expression-analyzer.js';
+
+/**
+ * Analyzer registry
+ *
+ * Every analyzer is described by a descriptor with a common interface, so the
+ * pipeline can run built-in and third-party analyzers the same way:
+ *
+ *   {
+ *     id: 'noLargeDropdowns',          // Unique id - also the key of its results
+ *     title: 'Large Dropdowns',        // Shown in reports (defaults to id)
+ *     inputs: ['formJson'],            // Required inputs (see ANALYZER_INPUTS)
+ *     optionalInputs: ['jsFiles'],     // Used when available, never cause a skip
+ *     scope: 'form',                   // 'form' (per form) or 'workspace' (once per run)
+ *     section: 'forms',                // Scan report section: forms, customFunctions, rules, html, css (null = compare only)
+ *     create(config) { ... },          // Optional - returns the analyzer passed to analyze/compare
+ *     analyze(input, analyzer) { ... },        // Returns { issues: [...], ... } (may be async)
+ *     compare(before, after, analyzer) { ... } // Optional - returns { before, after, newIssues, resolvedIssues }
+ *   }
+ *
+ * `input` holds { formJson, html, jsFiles, cssFiles, webVitals, renderMilestones, network, coverage,
+ * journey, browserErrors, mainThread, config }. webVitals ({ lcp, cls, inp, tbt }), renderMilestones
+ * ({ formCreated, firstField, allFieldsVisible, modelReady }), network ({ pageUrl, requests }),
+ * coverage ({ pageUrl, files }), journey ({ name, completed, steps, totals }), browserErrors
+ * ({ pageUrl, errors }) and mainThread ({ pageUrl, total, categories, scripts, longTasks }, traced
+ * loads only) are only recorded for forms rendered from a URL. Without `create`, the analyzer argument is { config }.
+ */
+
+export const ANALYZER_INPUTS = ['formJson', 'html', 'jsFiles', 'cssFiles', 'webVitals', 'renderMilestones', 'network', 'coverage', 'journey', 'browserErrors', 'mainThread'];
+
+export const SCAN_SECTIONS = ['forms', 'customFunctions', 'rules', 'html', 'css'];
+
+/**
+ * Built-in analyzers, in the order they run and are reported
+ */
+const BUILTIN_ANALYZERS = [
+  {
+    id: 'formStructure',
+    title: 'Form Structure',
+    inputs: ['formJson'],
+    section: null, // Thresholds are only compared before/after
+    create: config => new FormAnalyzer(config),
+    analyze: ({ formJson }, analyzer) => analyzer.analyze(formJson),
+    compare: (before, after, analyzer) => analyzer.compareAnalyses(before, after),
+    empty: () => ({ after: { components: { total: 0 } }, before: { components: { total: 0 } } })
+  },
+  {
+    id: 'complexity',
+    title: 'Form Complexity',
+    inputs: ['formJson'],
+    section: 'forms',
+    create: config => new ComplexityAnalyzer(config),
+    analyze: ({ formJson }, analyzer) => analyzer.analyze(formJson),
+    compare: (before, after, analyzer) => analyzer.compare(before, after),
+    scan: (result, formResult, urlData, analyzer) => {
+      formResult.complexity = {
+        score: result.score,
+        totals: result.totals,
+        panels: result.panels.slice(0, analyzer.getOptions().maxPanels),
+        treemap: result.treemap
+      };
+      formResult.forms.issues.push(...result.issues);
+    },
+    empty: () => ({ panels: [], newIssues: [], resolvedIssues: [] })
+  },
+  {
+    id: 'lazyLoading',
+    title: 'Lazy-Loading Candidates',
+    inputs: ['formJson'],
+    optionalInputs: ['html'], // Count DOM nodes of deferrable panels instead of estimating them
+    section: 'forms',
+    create: config => new LazyLoadingAnalyzer(config),
+    analyze: ({ formJson, html }, analyzer) => analyzer.analyze(formJson, html),
+    compare: (before, after, analyzer) => analyzer.compare(before, after),
+    scan: (result, formResult) => {
+      formResult.lazyLoading = {
+        layouts: result.layouts,
+        candidates: result.candidates,
+        totals: result.totals
+      };
+      formResult.forms.issues.push(...result.issues);
+    },
+    empty: () => ({ newIssues: [], resolvedIssues: [] })
+  },
+  {
+    id: 'repeatables',
+    title: 'Repeatable Panels',
+    inputs: ['formJson'],
+    section: 'forms',
+    create: config => new RepeatableAnalyzer(config),
+    analyze: ({ formJson }, analyzer) => analyzer.analyze(formJson),
+    compare: (before, after, analyzer) => analyzer.compare(before, after),
+    scan: (result, formResult) => {
+      formResult.repeatables = { instances: result.instances, panels: result.panels };
+      formResult.forms.issues.push(...result.issues);
+    },
+    empty: () => ({ panels: [], newIssues: [], resolvedIssues: [] })
+  },
+  {
+    id: 'ruleExpressions',
+    title: 'Rule Expressions',
+    inputs: ['formJson'],
+    optionalInputs: ['jsFiles'], // Custom functions - without them, unknown functions are not reported
+    section: 'forms',
+    create: config => new RuleExpressionAnalyzer(config),
+    analyze: ({ formJson, jsFiles }, analyzer) => analyzer.analyze(formJson, jsFiles || []),
+    compare: (before, after, analyzer) => analyzer.compare(before, after),
+    scan: (result, formResult) => {
+      formResult.ruleExpressions = {
+        expressions: result.expressions,
+        parsed: result.parsed,
+        functions: result.functions,
+        customFunctionsChecked: result.customFunctionsChecked,
+        issues: result.issues
+      };
+      formResult.forms.issues.push(...result.issues);
+    },
+    empty: () => ({ newIssues: [], resolvedIssues: [] })
+  },
+  {
+    id: 'formEvents',
+    title: 'Form Events',
+    inputs: ['formJson'],
+    section: 'forms',
+    create: config => new FormEventsAnalyzer(config),
+    analyze: ({ formJson }, analyzer) => analyzer.analyze(formJson),
+    compare: (before, after, analyzer) => analyzer.compareAnalyses(before, after),
+    empty: () => ({ after: { apiCallsInInitialize: [] }, newIssues: [], resolvedIssues: [] })
+  },
+  {
+    id: 'hiddenFields',
+    title: 'Hidden Fields',
+    inputs: ['formJson', 'jsFiles'],
+    section: 'forms',
+    create: config => new HiddenFieldsAnalyzer(config),
+    analyze: ({ formJson, jsFiles }, analyzer) => analyzer.analyze(formJson, jsFiles),
+    compare: (before, after, analyzer) => analyzer.compare(before, after),
+    empty: () => {
+      const none = { unnecessaryHiddenFields: 0, fields: [] };
+      return { before: none, after: none, newIssues: [], resolvedIssues: [] };
+    }
+  },
+  {
+    id: 'ruleCycles',
+    title: 'Rule Cycles',
+    inputs: ['formJson'],
+    section: 'rules',
+    create: config => new RulePerformanceAnalyzer(config),
+    // Async - uses real function implementations from the checked-out repo
+    analyze: ({ formJson }, analyzer) => analyzer.analyze(formJson),
+    compare: (before, after, analyzer) => {
+      core.info(`Before rules: ${before.totalRules || 0} rules, ${before.cycles || 0} cycles, ${before.slowRuleCount || 0} slow`);
+      core.info(`After rules: ${after.totalRules || 0} rules, ${after.cycles || 0} cycles, ${after.slowRuleCount || 0} slow`);
+      if (after.cycles > 0) {
+        core.warning(`  Found ${after.cycles} cycle(s) in AFTER state`);
+        (after.cycleDetails || []).forEach((cycle, i) => {
+          core.warning(`    Cycle ${i + 1}: ${(cycle.fields || []).join(' → ')}`);
+        });
+      }
+      return analyzer.compare(before, after);
+    },
+    // Scan reports list cycles, not individual rule issues; measured repeatable panels join
+    // the repeatables estimate (which runs first)
+    scan: (result, formResult) => {
+      if (result.cycles > 0) {
+        formResult.rules.issues.push({
+          cycles: result.cycles,
+          details: result.cycleDetails,
+          totalRules: result.totalRules
+        });
+      }
+      (result.repeatableScaling || []).forEach(measured => {
+        const panel = formResult.repeatables?.panels.find(candidate => candidate.path === measured.path);
+        if (panel) panel.measured = measured;
+      });
+      formResult.forms.issues.push(...(result.issues || []).filter(issue => issue.type === 'repeatable-slowdown'));
+    },
+    empty: () => {
+      const none = { totalRules: 0, cycles: 0, slowRuleCount: 0, runtimeErrors: [] };
+      return { before: none, after: none, newCycles: [], resolvedCycles: [], slowRuleCount: 0, repeatableScaling: [], newSlowdowns: [] };
+    }
+  },
+  {
+    id: 'formHTML',
+    title: 'Form HTML',
+    inputs: ['html'],
+    section: 'html',
+    create: config => new FormHTMLAnalyzer(config),
+    analyze: ({ html }, analyzer) => analyzer.analyzeWithIssues(html),
+    compare: (before, after, analyzer) => analyzer.compareAnalyses(before, after),
+    scan: (result, formResult, urlData) => {
+      if (result.issues) {
+        formResult.html = {
+          domSize: urlData.html.length,
+          formRendered: urlData.performanceMetrics?.formRendered || false,
+          issues: result.issues
+        };
+      }
+    },
+    empty: () => ({ after: { issues: [] }, newIssues: [], resolvedIssues: [] })
+  },
+  {
+    id: 'formCSS',
+    title: 'Form CSS',
+    inputs: ['cssFiles'],
+    scope: 'workspace',
+    section: 'css',
+    create: config => new FormCSSAnalyzer(config),
+    analyze: ({ cssFiles }, analyzer) => analyzer.analyze(cssFiles)
+  },
+  {
+    id: 'customFunctions',
+    title: 'Custom Functions',
+    inputs: ['jsFiles'],
+    optionalInputs: ['formJson'], // Without form JSON, all exported functions are analyzed
+    section: 'customFunctions',
+    create: config => new CustomFunctionAnalyzer(config),
+    analyze: ({ formJson, jsFiles }, analyzer) => analyzer.analyze(formJson || null, jsFiles),
+    compare: (before, after, analyzer) => analyzer.compare(before, after)
+  },
+  {
+    id: 'webVitals',
+    title: 'Core Web Vitals',
+    inputs: ['webVitals'], // Measured in the browser - not available for form files
+    section: 'forms',
+    create: config => new WebVitalsAnalyzer(config),
+    analyze: ({ webVitals }, analyzer) => analyzer.analyze(webVitals),
+    compare: (before, after, analyzer) => analyzer.compare(before, after),
+    scan: (result, formResult) => {
+      formResult.webVitals = result.metrics;
+      if (result.issues.length > 0) {
+        formResult.forms.issues.push(...result.issues);
+      }
+    },
+    empty: () => ({ deltas: [], newIssues: [], resolvedIssues: [] })
+  },
+  {
+    id: 'renderMilestones',
+    title: 'Render Milestones',
+    inputs: ['renderMilestones'], // Observed in the browser - not available for form files
+    section: 'forms',
+    create: config => new RenderMilestonesAnalyzer(config),
+    analyze: ({ renderMilestones }, analyzer) => analyzer.analyze(renderMilestones),
+    compare: (before, after, analyzer) => analyzer.compare(before, after),
+    scan: (result, formResult) => {
+      formResult.renderMilestones = { milestones: result.milestones, phases: result.phases, visibleFields: result.visibleFields };
+    },
+    empty: () => ({ deltas: [], newIssues: [], resolvedIssues: [] })
+  },
+  {
+    id: 'network',
+    title: 'Network Requests',
+    inputs: ['network'], // Recorded in the browser - not available for form files
+    section: 'html',
+    create: config => new NetworkAnalyzer(config),
+    analyze: ({ network }, analyzer) => analyzer.analyze(network),
+    compare: (before, after, analyzer) => analyzer.compare(before, after),
+    scan: (result, formResult) => {
+      formResult.network = result.summary;
+      formResult.html = formResult.html || { issues: [] };
+      formResult.html.issues.push(...result.issues);
+    },
+    empty: () => ({ newIssues: [], resolvedIssues: [] })
+  },
+  {
+    id: 'coverage',
+    title: 'Unused Code',
+    inputs: ['coverage'], // Collected in the browser - not available for form files
+    optionalInputs: ['jsFiles', 'cssFiles'], // Map covered scripts/stylesheets to repo files
+    section: 'html',
+    create: config => new CoverageAnalyzer(config),
+    analyze: ({ coverage, jsFiles, cssFiles }, analyzer) => analyzer.analyze(coverage, { jsFiles, cssFiles }),
+    compare: (before, after, analyzer) => analyzer.compare(before, after),
+    scan: (result, formResult) => {
+      formResult.coverage = result.summary;
+      formResult.html = formResult.html || { issues: [] };
+      formResult.html.issues.push(...result.issues);
+    },
+    empty: () => ({ newIssues: [], resolvedIssues: [] })
+  },
+  {
+    id: 'mainThread',
+    title: 'Main-Thread Activity',
+    inputs: ['mainThread'], // From a Chrome trace (config.trace) - not available for form files
+    optionalInputs: ['jsFiles'], // Map scripts and long tasks to repo files
+    section: 'forms',
+    create: config => new MainThreadAnalyzer(config),
+    analyze: ({ mainThread, jsFiles }, analyzer) => analyzer.analyze(mainThread, { jsFiles }),
+    compare: (before, after, analyzer) => analyzer.compare(before, after),
+    scan: (result, formResult) => {
+      formResult.mainThread = {
+        pageUrl: result.pageUrl,
+        total: result.total,
+        categories: result.categories,
+        scripts: result.scripts,
+        longTasks: result.longTasks,
+        longTaskCount: result.longTaskCount,
+        blockingTime: result.blockingTime
+      };
+    },
+    empty: () => ({ categories: [], scripts: [], newIssues: [], resolvedIssues: [] })
+  },
+  {
+    id: 'journey',
+    title: 'User Journey',
+    inputs: ['journey'], // Scripted in the browser (config.journeys) - not available for form files
+    section: 'forms',
+    create: config => new JourneyAnalyzer(config),
+    analyze: ({ journey }, analyzer) => analyzer.analyze(journey),
+    compare: (before, after, analyzer) => analyzer.compare(before, after),
+    scan: (result, formResult) => {
+      const { issues, ...journey } = result;
+      formResult.journey = journey;
+      formResult.forms.issues.push(...issues);
+    },
+    empty: () => ({ steps: [], newIssues: [], resolvedIssues: [] })
+  },
+  {
+    id: 'browserErrors',
+    title: 'Browser Errors',
+    inputs: ['browserErrors'], // Raised in the browser - not available for form files
+    optionalInputs: ['jsFiles'], // Attribute stack frames to repo files
+    section: 'customFunctions',
+    create: config => new BrowserErrorsAnalyzer(config),
+    analyze: ({ browserErrors, jsFiles }, analyzer) => analyzer.analyze(browserErrors, { jsFiles }),
+    compare: (before, after, analyzer) => analyzer.compare(before, after),
+    scan: (result, formResult) => {
+      formResult.browserErrors = result.summary;
+      formResult.customFunctions.issues.push(...result.issues);
+    },
+    empty: () => ({ newIssues: [], resolvedIssues: [] })
+  }
+];
+
+const BUILTIN_SOURCE = 'built-in';
+
+export const BUILTIN_ANALYZER_IDS = BUILTIN_ANALYZERS.map(descriptor => descriptor.id);
+
+/**
+ * Holds analyzer descriptors and creates the analyzers for a run
+ */
+export class AnalyzerRegistry {
+  constructor() {
+    this.descriptors = new Map();
+  }
+
+  /**
+   * Register an analyzer descriptor
+   * @param {Object} descriptor - Analyzer descriptor (see top of file)
+   * @param {string} source - Where the descriptor came from (used in error messages)
+   * @returns {Object} Normalized descriptor
+   */
+  register(descriptor, source = 'custom') {
+    const normalized = normalizeDescriptor(descriptor, source);
+
+    if (this.descriptors.has(normalized.id)) {
+      throw new Error(`Analyzer "${normalized.id}" from ${source} is already registered`);
+    }
+
+    this.descriptors.set(normalized.id, normalized);
+    return normalized;
+  }
+
+  get(id) {
+    return this.descriptors.get(id) || null;
+  }
+
+  list() {
+    return [...this.descriptors.values()];
+  }
+
+  /**
+   * Create the analyzers for a run
+   * Creating them once lets a scan reuse them across every form
+   * @param {Object} config - Bot configuration
+   * @returns {Array<Object>} [{ descriptor, analyzer }] in registration order
+   */
+  instantiate(config = null) {
+    return this.list().map(descriptor => ({
+      descriptor,
+      analyzer: descriptor.create ? descriptor.create(config) : { config }
+    }));
+  }
+}
+
+/**
+ * Create a registry with the built-in analyzers
+ */
+export function createDefaultRegistry() {
+  const registry = new AnalyzerRegistry();
+  BUILTIN_ANALYZERS.forEach(descriptor => registry.register(descriptor, BUILTIN_SOURCE));
+  return registry;
+}
+
+/**
+ * Create a registry with the built-in analyzers plus the ones listed in config.analyzers
+ * Paths are resolved against the workspace. A module's default export (or its named
+ * `analyzers` export) may be one descriptor or an array of descriptors.
+ * @param {Object} config - Bot configuration
+ * @param {string} workspaceRoot - Repository root
+ * @returns {Promise<AnalyzerRegistry>} Registry
+ */
+export async function loadAnalyzerRegistry(config = null, workspaceRoot = process.cwd()) {
+  const registry = createDefaultRegistry();
+
+  for (const modulePath of config?.analyzers || []) {
+    let module;
+    try {
+      module = await import(pathToFileURL(resolve(workspaceRoot, modulePath)).href);
+    } catch (error) {
+      throw new Error(`Failed to load analyzer from ${modulePath}: ${error.message}`);
+    }
+
+    const exported = module.default || module.analyzers;
+    if (!exported) {
+      throw new Error(`Analyzer module ${modulePath} has no default export`);
+    }
+
+    (Array.isArray(exported) ? exported : [exported]).forEach(descriptor => {
+      const registered = registry.register(descriptor, modulePath);
+      core.info(`Registered analyzer "${registered.id}" from ${modulePath}`);
+    });
+  }
+
+  return registry;
+}
+
+/**
+ * Validate a descriptor and fill in defaults
+ */
+function normalizeDescriptor(descriptor, source) {
+  const fail = (reason) => {
+    throw new Error(`Invalid analyzer from ${source}: ${reason}`);
+  };
+
+  if (!descriptor || typeof descriptor !== 'object') {
+    fail('expected an analyzer descriptor object');
+  }
+  if (typeof descriptor.id !== 'string' || !descriptor.id) {
+    fail('"id" must be a non-empty string');
+  }
+  if (typeof descriptor.analyze !== 'function') {
+    fail(`"${descriptor.id}" must have an analyze(input) function`);
+  }
+
+  const inputs = descriptor.inputs || [];
+  const optionalInputs = descriptor.optionalInputs || [];
+  const unknown = [...inputs, ...optionalInputs].filter(input => !ANALYZER_INPUTS.includes(input));
+  if (unknown.length > 0) {
+    fail(`"${descriptor.id}" has unknown input(s) ${unknown.join(', ')} (supported: ${ANALYZER_INPUTS.join(', ')})`);
+  }
+
+  const scope = descriptor.scope || 'form';
+  if (!['form', 'workspace'].includes(scope)) {
+    fail(`"${descriptor.id}" has unknown scope "${scope}" (supported: form, workspace)`);
+  }
+
+  const section = descriptor.section === undefined ? 'forms' : descriptor.section;
+  if (section !== null && !SCAN_SECTIONS.includes(section)) {
+    fail(`"${descriptor.id}" has unknown section "${section}" (supported: ${SCAN_SECTIONS.join(', ')})`);
+  }
+
+  return {
+    ...descriptor,
+    title: descriptor.title || descriptor.id,
+    inputs,
+    optionalInputs,
+    scope,
+    section,
+    builtin: source === BUILTIN_SOURCE
+  };
+}
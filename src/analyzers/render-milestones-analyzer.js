@@ -0,0 +1,143 @@
+import { compareSamples } from '../utils/statistics.js';
+
+/**
+ * Reports form render milestones (see utils/render-milestones.js) and splits the render
+ * into the page (navigation until the form was created) and the form runtime (form
+ * created until every visible field rendered), so a slower render can be blamed on the
+ * right side
+ */
+
+const MILESTONES = [
+  { key: 'formCreated', label: 'Form created' },
+  { key: 'firstField', label: 'First field' },
+  { key: 'allFieldsVisible', label: 'All visible fields' },
+  { key: 'modelReady', label: 'Form model ready' },
+];
+
+// Milestones that end the render - a later one is reported as an issue
+const REPORTED_MILESTONES = ['allFieldsVisible', 'modelReady'];
+
+const DEFAULT_THRESHOLDS = {
+  maxIncrease: 500 // Milestone later than before by more than this is reported (ms)
+};
+
+const RECOMMENDATIONS = {
+  page: 'The page takes longer before the form block runs - check scripts, stylesheets and requests added ahead of the form (see Network Requests).',
+  runtime: 'The form itself renders slower - look at rules and custom functions that run on load, initialize events and how many fields render up front.'
+};
+
+export class RenderMilestonesAnalyzer {
+  constructor(config = null) {
+    this.config = config;
+  }
+
+  /**
+   * Thresholds from config (thresholds.renderMilestones)
+   */
+  getThresholds() {
+    return { ...DEFAULT_THRESHOLDS, ...(this.config?.thresholds?.renderMilestones || {}) };
+  }
+
+  /**
+   * Milestones and phases of one load
+   * @param {Object} renderMilestones - collectRenderMilestones() result (medians with samples when sampled)
+   * @returns {Object} { milestones: [{ key, label, value }], phases: { page, runtime }, visibleFields, samples, issues }
+   */
+  analyze(renderMilestones) {
+    return {
+      milestones: MILESTONES.map(({ key, label }) => ({ key, label, value: renderMilestones[key] ?? null })),
+      phases: getPhases(renderMilestones),
+      visibleFields: renderMilestones.visibleFields || 0,
+      samples: renderMilestones.samples || null,
+      issues: []
+    };
+  }
+
+  /**
+   * Compare before/after milestones
+   * A render-ending milestone more than thresholds.renderMilestones.maxIncrease later is a
+   * warning, blamed on the phase that grew most. With several runs per URL (config.sampling)
+   * it also has to be significantly later (Mann-Whitney U test).
+   */
+  compare(before, after) {
+    const alpha = this.config?.sampling?.alpha ?? 0.05;
+    const { maxIncrease } = this.getThresholds();
+
+    const deltas = after.milestones.map((milestone, i) => {
+      const previous = before.milestones[i];
+      const entry = {
+        ...milestone,
+        before: previous.value,
+        after: milestone.value,
+        delta: milestone.value !== null && previous.value !== null ? milestone.value - previous.value : null
+      };
+      const beforeSamples = before.samples?.[milestone.key] || [];
+      const afterSamples = after.samples?.[milestone.key] || [];
+      if (beforeSamples.length > 1 && afterSamples.length > 1) {
+        const { pValue, significant, change } = compareSamples(beforeSamples, afterSamples, { alpha });
+        Object.assign(entry, { pValue, significant, change });
+      }
+      return entry;
+    });
+
+    const phases = Object.fromEntries(['page', 'runtime'].map(phase => {
+      const previous = before.phases[phase];
+      const current = after.phases[phase];
+      return [phase, { before: previous, after: current, delta: previous !== null && current !== null ? current - previous : null }];
+    }));
+    const blamed = (phases.runtime.delta ?? 0) >= (phases.page.delta ?? 0) ? 'runtime' : 'page';
+
+    const newIssues = deltas
+      .filter(milestone => REPORTED_MILESTONES.includes(milestone.key))
+      .filter(milestone => milestone.delta !== null && maxIncrease !== null && milestone.delta > maxIncrease)
+      .filter(milestone => !milestone.change || milestone.change === 'increased')
+      .map(milestone => ({
+        type: 'slower-form-render',
+        severity: 'warning',
+        milestone: milestone.key,
+        value: milestone.after,
+        before: milestone.before,
+        threshold: maxIncrease,
+        phase: blamed,
+        message: `"${milestone.label}" is ${milestone.delta}ms later: ${milestone.after}ms (was ${milestone.before}ms) - ${blamed === 'runtime'
+          ? `the form runtime grew by ${phases.runtime.delta}ms`
+          : `the page before the form grew by ${phases.page.delta}ms`}`,
+        recommendation: RECOMMENDATIONS[blamed],
+        cwvImpact: 'LCP'
+      }));
+
+    return { before, after, deltas, phases, newIssues, resolvedIssues: [] };
+  }
+}
+
+/**
+ * page: navigation until the form was created (or the first field, for forms without a
+ * <form> element); runtime: from there until every visible field rendered
+ */
+function getPhases(milestones) {
+  const formStart = milestones.formCreated ?? milestones.firstField ?? null;
+  const end = milestones.allFieldsVisible ?? milestones.firstField ?? null;
+  return {
+    page: formStart,
+    runtime: formStart !== null && end !== null ? Math.max(0, end - formStart) : null
+  };
+}
+
+/**
+ * One-line summary, e.g. "all 24 fields at 1900ms (page 820ms, form runtime 1080ms), model ready at 1700ms"
+ * @param {Object} analysis - analyze() result without issues
+ */
+export function formatRenderMilestones(analysis) {
+  const value = key => analysis.milestones.find(milestone => milestone.key === key)?.value ?? null;
+  const allFields = value('allFieldsVisible');
+  const parts = [];
+  if (allFields !== null) {
+    parts.push(`all ${analysis.visibleFields} field${analysis.visibleFields === 1 ? '' : 's'} at ${allFields}ms (page ${analysis.phases.page}ms, form runtime ${analysis.phases.runtime}ms)`);
+  } else {
+    parts.push('fields not rendered');
+  }
+  if (value('modelReady') !== null) {
+    parts.push(`model ready at ${value('modelReady')}ms`);
+  }
+  return parts.join(', ');
+}
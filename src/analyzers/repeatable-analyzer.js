@@ -0,0 +1,262 @@
+import { diffIssues } from '../utils/issue-model.js';
+import { applyFormSuppressions } from '../utils/suppressions.js';
+import { getChildNodes } from '../utils/fragments.js';
+import { getNodeExpressions, findReferencedNames, describePanel } from './complexity-analyzer.js';
+import { collectNames, countComponents, estimatePanelDomNodes } from './lazy-loading-analyzer.js';
+
+/**
+ * Estimates how repeatable panels scale with their number of instances
+ *
+ * Every instance of a repeatable panel renders its fields again and runs its rules again.
+ * For each repeatable panel (minOccur/maxOccur from the form JSON) the analyzer counts what
+ * one added instance costs:
+ *
+ *   rule executions  - rules and initialize events inside the panel run for the new instance,
+ *                      and rules outside it that read its fields (totals, counts) run again
+ *   dependencies     - every field reference of a rule inside the panel subscribes once more,
+ *                      and rules outside it gain one subscription per instance
+ *   DOM nodes        - estimated per field type (see lazy-loading-analyzer.js)
+ *
+ * and projects the panel at repeatables.instances instances. Rules inside the panel that read
+ * the panel itself (count or sum over its instances) run again in every instance whenever one
+ * is added, so adding the Nth instance costs N times as much - they are why a section with 5+
+ * instances gets slow. Rules outside the panel that read its fields walk every instance, and
+ * rules inside it that read fields outside run once per instance when those fields change;
+ * all three are listed. RulePerformanceAnalyzer adds the instances in af-core and measures
+ * the real cost (see measureRepeatableScaling()).
+ *
+ * Thresholds come from thresholds.repeatables.
+ */
+
+const DEFAULT_OPTIONS = {
+  instances: 5 // Instances the panel is projected (and measured) at
+};
+
+const DEFAULT_THRESHOLDS = {
+  maxDomNodes: 1500,       // DOM nodes of the panel at `instances` instances
+  maxRuleExecutions: 100,  // Rule executions to add `instances` instances
+  maxGrowth: 1.5           // Measured: last added instance costs this many times the first (see RulePerformanceAnalyzer)
+};
+
+export class RepeatableAnalyzer {
+  constructor(config = null) {
+    this.config = config;
+  }
+
+  /**
+   * Options from config.repeatables
+   */
+  getOptions() {
+    return { ...DEFAULT_OPTIONS, ...(this.config?.repeatables || {}) };
+  }
+
+  /**
+   * Thresholds from config (thresholds.repeatables)
+   */
+  getThresholds() {
+    return { ...DEFAULT_THRESHOLDS, ...(this.config?.thresholds?.repeatables || {}) };
+  }
+
+  /**
+   * Estimate the per-instance cost of every repeatable panel
+   * @param {Object} formJson - Form JSON
+   * @returns {Object} { instances, panels, issues, suppressedIssues }
+   *   - panels: [{ name, path, label, minOccur, maxOccur, components, rules, events, perInstance, projected, crossInstance, aggregates, readsOutside }]
+   *     perInstance/projected: { components, domNodes, executions, dependencies }
+   */
+  analyze(formJson) {
+    if (!formJson) {
+      return { error: 'No form JSON provided' };
+    }
+
+    const { instances } = this.getOptions();
+    const names = collectNames(formJson);
+    const panels = [];
+
+    const visit = (node, path, depth) => {
+      if (depth > 0 && node.repeatable) {
+        panels.push(this.measurePanel(node, path, formJson, names, instances));
+      }
+      getChildNodes(node).forEach(child => {
+        const name = child.name || child.id || 'panel';
+        visit(child, path ? `${path}.${name}` : name, depth + 1);
+      });
+    };
+    visit(formJson, '', 0);
+
+    const { issues, suppressedIssues } = applyFormSuppressions(this.detectIssues(panels), formJson);
+    return { instances, panels, issues, suppressedIssues };
+  }
+
+  /**
+   * What one more instance of a repeatable panel costs
+   */
+  measurePanel(panel, path, formJson, names, instances) {
+    const inside = collectNames(panel);
+    let rules = 0;
+    let events = 0;
+    let initializeEvents = 0;
+    let subscriptions = 0;
+    const readsOutside = [];
+    const crossInstance = [];
+
+    const collect = (node) => {
+      getNodeExpressions(node).forEach(({ kind, key, expression }) => {
+        if (kind === 'event') {
+          events++;
+          if (key === 'initialize') initializeEvents++;
+          return;
+        }
+        rules++;
+        if (panel.name && findReferencedNames(expression, new Set([panel.name])).length > 0) {
+          crossInstance.push({ field: node.name || node.id, key, expression });
+        }
+        const read = findReferencedNames(expression, names).filter(name => name !== node.name);
+        subscriptions += read.length;
+        const outside = read.filter(name => !inside.has(name));
+        if (outside.length > 0) {
+          readsOutside.push({ field: node.name || node.id, key, expression, fields: outside });
+        }
+      });
+      getChildNodes(node).forEach(collect);
+    };
+    collect(panel);
+
+    // Rules outside the panel reading its fields (or the panel itself) see every instance
+    const panelNames = new Set([...inside, ...(panel.name ? [panel.name] : [])]);
+    const aggregates = [];
+    const readers = (node) => {
+      if (node === panel) return;
+      getNodeExpressions(node)
+        .filter(({ kind }) => kind === 'rule')
+        .forEach(({ key, expression }) => {
+          const read = findReferencedNames(expression, panelNames).filter(name => name !== node.name);
+          if (read.length > 0) {
+            aggregates.push({ field: node.name || node.id, key, expression, fields: read });
+          }
+        });
+      getChildNodes(node).forEach(readers);
+    };
+    readers(formJson);
+
+    const perInstance = {
+      components: countComponents(panel),
+      domNodes: estimatePanelDomNodes(panel),
+      executions: rules + initializeEvents + aggregates.length,
+      dependencies: subscriptions + aggregates.reduce((sum, reader) => sum + reader.fields.length, 0)
+    };
+    const maxOccur = typeof panel.maxOccur === 'number' && panel.maxOccur >= 0 ? panel.maxOccur : null;
+    const count = maxOccur !== null ? Math.min(instances, maxOccur) : instances;
+
+    return {
+      name: panel.name || panel.id || path,
+      path,
+      label: panel.label?.value || null,
+      minOccur: typeof panel.minOccur === 'number' ? panel.minOccur : 0,
+      maxOccur,
+      components: perInstance.components,
+      rules,
+      events,
+      perInstance,
+      projected: {
+        instances: count,
+        components: perInstance.components * count,
+        domNodes: perInstance.domNodes * count,
+        // Cross-instance rules re-run in the instances already there: 1 + 2 + ... + (count - 1) more
+        executions: perInstance.executions * count + crossInstance.length * ((count * (count - 1)) / 2),
+        dependencies: perInstance.dependencies * count
+      },
+      crossInstance,
+      aggregates,
+      readsOutside
+    };
+  }
+
+  /**
+   * One issue per repeatable panel whose projection exceeds thresholds.repeatables
+   */
+  detectIssues(panels) {
+    const { maxDomNodes, maxRuleExecutions } = this.getThresholds();
+    const issues = [];
+
+    panels.forEach(panel => {
+      const { projected } = panel;
+      const over = [];
+      if (maxDomNodes !== null && projected.domNodes > maxDomNodes) {
+        over.push(`~${projected.domNodes} DOM node(s) (threshold ${maxDomNodes})`);
+      }
+      if (maxRuleExecutions !== null && projected.executions > maxRuleExecutions) {
+        over.push(`${projected.executions} rule execution(s) (threshold ${maxRuleExecutions})`);
+      }
+      if (over.length === 0) return;
+
+      issues.push({
+        severity: 'warning',
+        type: 'repeatable-scaling',
+        field: panel.name,
+        path: panel.path,
+        message: `Repeatable panel ${describePanel(panel)} at ${projected.instances} instance(s) costs ${over.join(' and ')} - each instance adds ${formatPerInstance(panel.perInstance)}`,
+        value: projected.domNodes,
+        recommendation: recommendScaling(panel)
+      });
+    });
+
+    return issues;
+  }
+
+  /**
+   * Compare before/after repeatable panels (matched by path)
+   * @returns {Object} { before, after, panels, newIssues, resolvedIssues }
+   */
+  compare(before, after) {
+    const previous = new Map(before.panels.map(panel => [panel.path, panel]));
+    const panels = after.panels.map(panel => {
+      const old = previous.get(panel.path);
+      return {
+        ...panel,
+        delta: old
+          ? { executions: panel.perInstance.executions - old.perInstance.executions, domNodes: panel.perInstance.domNodes - old.perInstance.domNodes }
+          : null
+      };
+    });
+    return { before, after, panels, ...diffIssues(before.issues, after.issues) };
+  }
+}
+
+function recommendScaling(panel) {
+  if (panel.crossInstance.length > 0) {
+    return `Rules ${panel.crossInstance.map(rule => `"${rule.key}" on "${rule.field}"`).join(', ')} read every instance of the panel and run again in each one when an instance is added - compute them once outside the panel.`;
+  }
+  if (panel.aggregates.length > 0) {
+    return `Keep the repeated template small, and compute ${panel.aggregates.map(reader => reader.field).join(', ')} on demand (e.g. on submit or a button) instead of a rule re-run for every instance.`;
+  }
+  return 'Keep the repeated template small - move fields that are the same for every instance out of the panel, and lower maxOccur if the journey allows it.';
+}
+
+/**
+ * Cost of one instance, e.g. "12 component(s), ~48 DOM node(s), 6 rule execution(s), 9 dependenc(ies)"
+ */
+export function formatPerInstance(perInstance) {
+  return `${perInstance.components} component(s), ~${perInstance.domNodes} DOM node(s), ${perInstance.executions} rule execution(s), ${perInstance.dependencies} dependenc(ies)`;
+}
+
+/**
+ * Measured growth of a panel (RulePerformanceAnalyzer.measureRepeatableScaling), e.g.
+ * "1 → 5 instance(s): 7 → 13 rule execution(s) per added instance (x1.9)"
+ */
+export function formatMeasuredScaling(measured) {
+  const first = measured.steps[0];
+  const last = measured.steps[measured.steps.length - 1];
+  if (!first) return `${measured.initial} instance(s), none added (maxOccur ${measured.maxOccur})`;
+  return `${measured.initial} → ${last.instances} instance(s): ${first.executions} → ${last.executions} rule execution(s) per added instance (x${measured.growth.executions})`;
+}
+
+/**
+ * One-line summary, e.g. "2 repeatable panel(s) - coApplicant: 14 component(s), ~56 DOM node(s), 8 rule execution(s), 12 dependenc(ies) per instance"
+ * @param {Object} analysis - analyze() result (or the scan summary)
+ */
+export function formatRepeatableSummary(analysis) {
+  if (analysis.panels.length === 0) return 'no repeatable panels';
+  const largest = [...analysis.panels].sort((a, b) => b.perInstance.executions - a.perInstance.executions)[0];
+  return `${analysis.panels.length} repeatable panel(s) - ${largest.name}: ${formatPerInstance(largest.perInstance)} per instance`;
+}
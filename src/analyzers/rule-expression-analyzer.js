@@ -0,0 +1,477 @@
+import * as acorn from 'acorn';
+import * as walk from 'acorn-walk';
+import JsonFormula from '@adobe/json-formula';
+import { FunctionRuntime } from '@aemforms/af-core';
+import { diffIssues } from '../utils/issue-model.js';
+import { applyFormSuppressions } from '../utils/suppressions.js';
+import { getChildNodes } from '../utils/fragments.js';
+
+/**
+ * Static analysis of rule expressions
+ *
+ * Rules, events, validationExpression and displayValueExpression are parsed with the
+ * json-formula grammar af-core compiles them with (same version, same globals), and the
+ * checks run on the syntax trees instead of the expression text:
+ *
+ *   rule-syntax-error        - the expression does not parse; af-core never runs it
+ *   unknown-field-reference  - a name that af-core resolves to null: bare names are looked up in
+ *                              the field's siblings (then its own children), $form.a.b from the
+ *                              form down; unnamed panels are transparent, as in af-core
+ *   unknown-function         - not a json-formula or af-core function, and not defined in the
+ *                              custom function files (only checked when JS files are available)
+ *   expensive-function-call  - rules and display/validation expressions re-run whenever their
+ *                              inputs change, so requests or whole-form exports in them repeat
+ *   unused-rule              - a rule on a property af-core does not apply (its result is dropped)
+ *
+ * Every issue names the field, its path and the property the expression is on
+ * (rules.value, events.click, events.change[1], validationExpression, ...).
+ * Options come from config.ruleExpressions.
+ */
+
+const GLOBAL_NAMES = ['$form', '$field', '$event']; // Globals af-core's RuleEngine compiles with
+
+// Properties a rule can set (editableProperties in af-core's BaseNode - not exported)
+const EDITABLE_PROPERTIES = [
+  'value', 'label', 'description', 'visible', 'enabled', 'valid', 'errorMessage', 'readOnly', 'enum',
+  'enumNames', 'required', 'properties', 'exclusiveMinimum', 'exclusiveMaximum', 'maximum', 'maxItems',
+  'minimum', 'minItems', 'checked'
+];
+
+const DEFAULT_OPTIONS = {
+  // Function -> what makes it expensive when a rule re-runs it (null turns one off)
+  expensiveFunctions: {
+    request: 'sends a request',
+    requestWithRetry: 'sends a request',
+    submitForm: 'submits the form',
+    saveForm: 'saves the form',
+    exportData: 'serializes the data of the whole form',
+    getData: 'serializes the data of the whole form',
+    importData: 'sets the value of every field',
+    validate: 'validates every field',
+    deepScan: 'walks every nested value'
+  },
+  functions: [] // Functions registered outside the repo's JS files (treated as known)
+};
+
+const debug = []; // json-formula logs parser errors here - cleared after every parse
+const formula = new JsonFormula({}, null, debug);
+const FORMULA_FUNCTIONS = new Set(Object.keys(formula.formula.runtime.functionTable));
+// Read at load, before analyses register custom functions (and mocks) on the shared runtime
+const AF_CORE_FUNCTIONS = new Set(Object.keys(FunctionRuntime.getFunctions()).filter(name => !(name in FunctionRuntime.customFunctions)));
+
+export class RuleExpressionAnalyzer {
+  constructor(config = null) {
+    this.config = config;
+  }
+
+  /**
+   * Options from config.ruleExpressions
+   */
+  getOptions() {
+    const options = this.config?.ruleExpressions || {};
+    return {
+      ...DEFAULT_OPTIONS,
+      ...options,
+      expensiveFunctions: { ...DEFAULT_OPTIONS.expensiveFunctions, ...(options.expensiveFunctions || {}) }
+    };
+  }
+
+  /**
+   * Parse every expression of the form and check the syntax trees
+   * @param {Object} formJson - Form JSON
+   * @param {Array} jsFiles - Custom function files [{ filename, content }] (optional)
+   * @returns {Object} { expressions, parsed, functions, customFunctionsChecked, issues, suppressedIssues }
+   *   - functions: { builtIn, custom, unknown } names called by the form
+   */
+  analyze(formJson, jsFiles = []) {
+    if (!formJson) {
+      return { error: 'No form JSON provided' };
+    }
+
+    const { expensiveFunctions, functions: registered } = this.getOptions();
+    const customFunctionsChecked = (jsFiles || []).length > 0;
+    const defined = new Set([...findDefinedFunctions(jsFiles || []), ...registered]);
+    const scope = createScope(formJson);
+    const called = { builtIn: new Set(), custom: new Set(), unknown: new Set() };
+    const found = [];
+    const expressions = collectExpressions(formJson);
+    let parsed = 0;
+
+    expressions.forEach(entry => {
+      const { node, property, kind, expression } = entry;
+      const where = { field: entry.field, path: entry.path, property, expression };
+      const owner = describeOwner(entry);
+
+      if (kind === 'rule' && !EDITABLE_PROPERTIES.includes(entry.key)) {
+        found.push({
+          ...where,
+          severity: 'info',
+          type: 'unused-rule',
+          message: `Rule "${entry.key}" on ${owner} runs, but af-core does not apply "${entry.key}" - the result is dropped`,
+          recommendation: `Rules can set ${EDITABLE_PROPERTIES.join(', ')}. Remove the rule or move it to the property it was meant for.`
+        });
+      }
+
+      const { ast, error } = parseExpression(expression);
+      if (error) {
+        found.push({
+          ...where,
+          severity: 'error',
+          type: 'rule-syntax-error',
+          message: `${capitalize(describeProperty(property))} on ${owner} does not parse: ${error}`,
+          recommendation: 'Fix the expression - af-core cannot compile it, so it never runs. Open it in the rule editor to see where it breaks.'
+        });
+        return;
+      }
+      parsed++;
+
+      findReferences(ast).forEach(reference => {
+        const missing = resolveReference(reference, node, scope);
+        if (!missing) return;
+        found.push({
+          ...where,
+          severity: 'warning',
+          type: 'unknown-field-reference',
+          reference: reference.text,
+          message: `${capitalize(describeProperty(property))} on ${owner} reads ${reference.text}, but there is no field "${missing}" there - it is always null`,
+          recommendation: recommendReference(missing, scope)
+        });
+      });
+
+      findFunctionCalls(ast).forEach(name => {
+        if (FORMULA_FUNCTIONS.has(name) || AF_CORE_FUNCTIONS.has(name)) {
+          called.builtIn.add(name);
+        } else if (!customFunctionsChecked || defined.has(name)) {
+          called.custom.add(name);
+        } else {
+          called.unknown.add(name);
+          found.push({
+            ...where,
+            severity: 'warning',
+            type: 'unknown-function',
+            reference: name,
+            message: `${capitalize(describeProperty(property))} on ${owner} calls ${name}(), which is not a json-formula or af-core function and is not defined in the custom function files`,
+            recommendation: `Check the spelling, or export ${name}() from the custom functions file - af-core throws "Unknown function: ${name}()" when the expression runs.`
+          });
+        }
+
+        if (kind !== 'event' && expensiveFunctions[name]) {
+          found.push({
+            ...where,
+            severity: 'warning',
+            type: 'expensive-function-call',
+            reference: name,
+            message: `${capitalize(describeProperty(property))} on ${owner} calls ${name}(), which ${expensiveFunctions[name]}, every time its inputs change`,
+            recommendation: `Call ${name}() from an event (click, change or a custom event) so it runs once per user action, not on every change of the fields the expression reads.`
+          });
+        }
+      });
+    });
+
+    const { issues, suppressedIssues } = applyFormSuppressions(found, formJson);
+    return {
+      expressions: expressions.length,
+      parsed,
+      functions: {
+        builtIn: [...called.builtIn].sort(),
+        custom: [...called.custom].sort(),
+        unknown: [...called.unknown].sort()
+      },
+      customFunctionsChecked,
+      issues,
+      suppressedIssues
+    };
+  }
+
+  /**
+   * Compare before/after analyses
+   * @returns {Object} { before, after, newIssues, resolvedIssues }
+   */
+  compare(before, after) {
+    return { before, after, ...diffIssues(before.issues, after.issues) };
+  }
+}
+
+/**
+ * Parse an expression with af-core's formula grammar
+ * @param {string} expression - Rule, event or validation/display expression
+ * @returns {Object} { ast, error } - error is the parser message when it does not parse
+ */
+export function parseExpression(expression) {
+  try {
+    return { ast: formula.compile(expression, GLOBAL_NAMES), error: null };
+  } catch (error) {
+    return { ast: null, error: error.message };
+  } finally {
+    debug.length = 0;
+  }
+}
+
+/**
+ * Every expression of a form, with the field and property it is on
+ * @param {Object} formJson - Form JSON
+ * @returns {Array} [{ node, field, path, property, kind, key, expression }]
+ *   - kind: rule | event | validation | display; key: rule property or event name
+ */
+export function collectExpressions(formJson) {
+  const expressions = [];
+
+  const visit = (node, path) => {
+    const own = { node, field: node.name || node.id, path: path || null };
+
+    Object.entries(node.rules && typeof node.rules === 'object' ? node.rules : {}).forEach(([key, rule]) => {
+      const expression = typeof rule === 'object' && rule ? rule.expression : rule;
+      expressions.push({ ...own, property: `rules.${key}`, kind: 'rule', key, expression });
+    });
+    Object.entries(node.events && typeof node.events === 'object' ? node.events : {}).forEach(([key, handlers]) => {
+      const list = [].concat(handlers);
+      list.forEach((expression, index) => {
+        expressions.push({ ...own, property: `events.${key}${list.length > 1 ? `[${index}]` : ''}`, kind: 'event', key, expression });
+      });
+    });
+    if (node.validationExpression) {
+      expressions.push({ ...own, property: 'validationExpression', kind: 'validation', key: 'validationExpression', expression: node.validationExpression });
+    }
+    if (node.displayValueExpression) {
+      expressions.push({ ...own, property: 'displayValueExpression', kind: 'display', key: 'displayValueExpression', expression: node.displayValueExpression });
+    }
+
+    getChildNodes(node).forEach((child, index) => {
+      const name = child.name || child.id || `${index}`;
+      visit(child, path ? `${path}.${name}` : name);
+    });
+  };
+  visit(formJson, '');
+
+  return expressions.filter(({ expression }) => typeof expression === 'string');
+}
+
+/**
+ * Names of the functions an expression calls
+ * @param {Object} ast - parseExpression() result
+ * @returns {Array<string>} Unique names, in order of appearance
+ */
+export function findFunctionCalls(ast) {
+  const names = new Set();
+  const visit = (node) => {
+    if (!node || typeof node !== 'object') return;
+    if (node.type === 'Function') names.add(node.name);
+    (node.children || []).forEach(visit);
+    if (node.value && typeof node.value === 'object') visit(node.value);
+  };
+  visit(ast);
+  return [...names];
+}
+
+/**
+ * Field references of an expression: chains like $form.a.b, a.b[0].c, $form.list[*].item
+ * Names relative to the items of an array (&expr, filter conditions) are left out, unless
+ * they start from a global.
+ * @param {Object} ast - parseExpression() result
+ * @returns {Array} [{ base, names, text }] - base is $form, $field, $event or null (bare name)
+ */
+export function findReferences(ast) {
+  const references = [];
+
+  const visit = (node, relative) => {
+    if (!node || typeof node !== 'object') return;
+    const chain = toReference(node);
+    if (chain) {
+      if (!relative || chain.base) {
+        references.push({ base: chain.base, names: chain.names, text: formatReference(chain) });
+      }
+      chain.conditions.forEach(condition => visit(condition, true));
+      return;
+    }
+
+    switch (node.type) {
+      case 'ExpressionReference':
+        node.children.forEach(child => visit(child, true));
+        return;
+      case 'Subexpression':
+      case 'IndexExpression':
+      case 'Projection':
+      case 'FilterProjection':
+        // Left side is not a field (a function call, a literal): the rest reads its result
+        visit(node.children[0], relative);
+        node.children.slice(1).forEach(child => visit(child, true));
+        return;
+      case 'KeyValuePair':
+        visit(node.value, relative);
+        return;
+      default:
+        (node.children || []).forEach(child => visit(child, relative));
+    }
+  };
+  visit(ast, false);
+
+  return references;
+}
+
+/**
+ * Chain of names read from a global or a bare name, null when the node is not one
+ */
+function toReference(node) {
+  switch (node?.type) {
+    case 'Field':
+      return { base: null, names: [node.name], conditions: [] };
+    case 'Global':
+      return { base: node.name, names: [], conditions: [] };
+    case 'Subexpression':
+    case 'IndexExpression':
+    case 'Projection':
+    case 'FilterProjection': {
+      const left = toReference(node.children[0]);
+      if (!left) return null;
+      const conditions = [...left.conditions, ...(node.type === 'FilterProjection' ? [node.children[2]] : [])];
+      const right = node.type === 'IndexExpression' ? null : toReference(node.children[1]);
+      // A[*].b reads b of every item of A, so b is checked like a child of A
+      if (right && !right.base) {
+        return { base: left.base, names: [...left.names, ...right.names], conditions: [...conditions, ...right.conditions] };
+      }
+      return { ...left, conditions };
+    }
+    default:
+      return null;
+  }
+}
+
+function formatReference({ base, names }) {
+  return [base, ...names].filter(Boolean).join('.');
+}
+
+/**
+ * Children of every container by name, and the container each node's names are looked up in
+ * Unnamed panels are transparent in af-core: their children belong to the parent.
+ */
+function createScope(formJson) {
+  const children = new Map();
+  const parents = new Map();
+  const paths = new Map(); // name -> paths, for recommendations
+
+  const index = (container, node, path) => {
+    getChildNodes(node).forEach(child => {
+      const childPath = child.name ? (path ? `${path}.${child.name}` : child.name) : path;
+      parents.set(child, container);
+      if (child.name) {
+        children.get(container).set(child.name, child);
+        paths.set(child.name, [...(paths.get(child.name) || []), childPath]);
+      }
+      if (!child.name) {
+        index(container, child, path);
+      } else if (child.fieldType === 'panel' || getChildNodes(child).length > 0) {
+        children.set(child, new Map());
+        index(child, child, childPath);
+      }
+    });
+  };
+  children.set(formJson, new Map());
+  index(formJson, formJson, '');
+
+  return { form: formJson, children, parents, paths };
+}
+
+/**
+ * Name af-core would not find for a reference (null when it resolves)
+ * Names starting with $ are properties ($value, $visible); names under a field that is
+ * not a container are read from its value and are not checked.
+ */
+function resolveReference({ base, names }, node, scope) {
+  if (base === '$event' || names.length === 0) return null;
+
+  let current;
+  let rest = names;
+  if (base === '$form') {
+    current = scope.form;
+  } else if (base === '$field') {
+    current = node;
+  } else {
+    const [first, ...others] = names;
+    if (first.startsWith('$')) return null;
+    const siblings = scope.children.get(scope.parents.get(node));
+    current = siblings?.get(first) || scope.children.get(node)?.get(first);
+    if (!current) return first;
+    rest = others;
+  }
+
+  for (const name of rest) {
+    if (name.startsWith('$')) return null;
+    const children = scope.children.get(current);
+    if (!children) return null;
+    current = children.get(name);
+    if (!current) return name;
+  }
+  return null;
+}
+
+function recommendReference(missing, scope) {
+  if (['true', 'false', 'null'].includes(missing)) {
+    return `A bare ${missing} is read as a field name in json-formula - use ${missing}() instead.`;
+  }
+  const paths = scope.paths.get(missing) || [];
+  if (paths.length > 0) {
+    return `"${missing}" is at ${paths.map(path => `$form.${path}`).join(', ')} - bare names only find siblings, $form paths start at the form.`;
+  }
+  return 'Check the spelling, or whether the field was renamed or removed.';
+}
+
+/**
+ * Function names defined in custom function files (declarations, function variables, exports)
+ */
+export function findDefinedFunctions(jsFiles) {
+  const names = new Set();
+  jsFiles.forEach(file => {
+    try {
+      const ast = acorn.parse(file.content, { ecmaVersion: 'latest', sourceType: 'module' });
+      walk.simple(ast, {
+        FunctionDeclaration: (node) => { if (node.id) names.add(node.id.name); },
+        VariableDeclarator: (node) => {
+          if (node.id?.name && ['FunctionExpression', 'ArrowFunctionExpression'].includes(node.init?.type)) {
+            names.add(node.id.name);
+          }
+        },
+        ExportSpecifier: (node) => names.add(node.exported.name || node.exported.value)
+      });
+    } catch (e) {
+      // Files that don't parse define nothing we can see
+    }
+  });
+  return names;
+}
+
+/**
+ * Whether a function is a json-formula built-in (af-core functions excluded)
+ */
+export function isFormulaFunction(name) {
+  return FORMULA_FUNCTIONS.has(name);
+}
+
+function describeOwner({ field, path }) {
+  return path ? `"${field || path}"` : 'the form';
+}
+
+function describeProperty(property) {
+  if (property.startsWith('rules.')) return `rule "${property.slice(6)}"`;
+  if (property.startsWith('events.')) return `event "${property.slice(7)}"`;
+  return property === 'validationExpression' ? 'validation expression' : 'display value expression';
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * One-line summary, e.g. "48 expression(s), 2 syntax error(s), 3 unknown field reference(s), 1 expensive call(s)"
+ * @param {Object} analysis - analyze() result (or the scan summary)
+ */
+export function formatRuleExpressionSummary(analysis) {
+  const count = type => analysis.issues.filter(issue => issue.type === type).length;
+  const parts = [
+    [count('rule-syntax-error'), 'syntax error(s)'],
+    [count('unknown-field-reference'), 'unknown field reference(s)'],
+    [count('unknown-function'), 'unknown function(s)'],
+    [count('expensive-function-call'), 'expensive call(s)'],
+    [count('unused-rule'), 'unused rule(s)']
+  ].filter(([value]) => value > 0).map(([value, label]) => `${value} ${label}`);
+  return `${analysis.expressions} expression(s)${parts.length > 0 ? `, ${parts.join(', ')}` : ' - no issues'}`;
+}
@@ -4,11 +4,16 @@ import { resolve, join, relative } from 'path';
 import { existsSync, readFileSync, readdirSync, statSync } from 'fs';
 import nodeCrypto from 'crypto';
 import vm from 'vm';
+import { applyFormSuppressions } from '../utils/suppressions.js';
+import { diffIssues } from '../utils/issue-model.js';
+import { RepeatableAnalyzer } from './repeatable-analyzer.js';
+import { collectExpressions, parseExpression, findFunctionCalls, isFormulaFunction } from './rule-expression-analyzer.js';
 
 /**
  * Analyzes form rules for performance issues:
  * 1. Circular dependencies (cycles) - causes infinite loops
  * 2. Slow rule execution (runtime profiling) - blocks rendering
+ * 3. Repeatable panels whose rules cost more with every added instance
  * 
  * Uses @aemforms/af-core to leverage the built-in dependency tracking
  * and hooks into RuleEngine.execute() to measure actual execution times
@@ -264,11 +269,21 @@ export class RulePerformanceAnalyzer {
       const dependencyGraph = this.buildDependencyGraphFromForm(form);
       core.info(`Rule detection: Found ${dependencyGraph.totalRules} rules in ${dependencyGraph.fieldsWithRules} fields`);
       
-      const cycles = this.detectCycles(dependencyGraph);
-      if (cycles.length > 0) {
-        core.warning(`Detected ${cycles.length} circular dependenc${cycles.length > 1 ? 'ies' : 'y'} in rules`);
+      const detectedCycles = this.detectCycles(dependencyGraph);
+      if (detectedCycles.length > 0) {
+        core.warning(`Detected ${detectedCycles.length} circular dependenc${detectedCycles.length > 1 ? 'ies' : 'y'} in rules`);
       }
-      const issues = this.generateIssues(cycles);
+
+      // Adds instances to the form, so it runs after the dependency graph was built
+      const repeatableScaling = await this.measureRepeatableScaling(form);
+
+      // perf-bot:ignore on a field in the cycle (or on the repeatable panel) silences it
+      const { issues, suppressedIssues } = applyFormSuppressions([
+        ...this.generateIssues(detectedCycles),
+        ...this.generateScalingIssues(repeatableScaling)
+      ], formJson);
+      const suppressedCycles = new Set(suppressedIssues.map(issue => issue.fields.join(' → ')));
+      const cycles = detectedCycles.filter(cycle => !suppressedCycles.has(cycle.fields.join(' → ')));
 
       // Process slow rules
       const sortedSlowRules = slowRules
@@ -446,7 +461,9 @@ export class RulePerformanceAnalyzer {
         cycleDetails: cycles,
         slowRules: sortedSlowRules, // Add slow rules to results
         slowRuleCount: slowRules.length,
+        repeatableScaling,
         issues,
+        suppressedIssues,
         circularDependencies: cycles.map(cycle => ({
           cycle: cycle.fields || cycle.path,
           fields: cycle.fields,
@@ -692,75 +709,23 @@ export class RulePerformanceAnalyzer {
 
   /**
    * Extract all function names from form JSON (rules, events, expressions)
+   * Expressions are parsed with af-core's formula grammar; json-formula built-ins (sum,
+   * count, if, ...) are left out so they keep working. af-core functions such as request()
+   * are kept and mocked like custom functions, so the analysis never sends requests.
    * @param {Object} formJson - Form JSON object
    * @returns {Array<string>} Array of unique function names
    */
   extractAllFunctionNames(formJson) {
     const functionNames = new Set();
-    const functionPattern = /(\w+)\s*\(/g;
-    
-    // JavaScript keywords that should NOT be treated as custom functions
-    const jsKeywords = new Set([
-      'if', 'else', 'for', 'while', 'do', 'switch', 'case', 'break', 'continue',
-      'return', 'throw', 'try', 'catch', 'finally', 'typeof', 'instanceof',
-      'new', 'delete', 'void', 'yield', 'await', 'async', 'function',
-      'true', 'false', 'null', 'undefined', 'NaN', 'Infinity',
-      'var', 'let', 'const', 'class', 'extends', 'super', 'this',
-      'Array', 'Object', 'String', 'Number', 'Boolean', 'Date', 'Math',
-      'parseInt', 'parseFloat', 'isNaN', 'isFinite', 'encodeURI', 'decodeURI'
-    ]);
-
-    const extractFromString = (str) => {
-      if (typeof str !== 'string') return;
-      let match;
-      while ((match = functionPattern.exec(str)) !== null) {
-        const fnName = match[1];
-        // Only add if it's not a JavaScript keyword
-        if (!jsKeywords.has(fnName)) {
-          functionNames.add(fnName);
-        }
-      }
-    };
-
-    const traverse = (node) => {
-      if (!node || typeof node !== 'object') return;
-
-      // Check events
-      if (node.events && typeof node.events === 'object') {
-        Object.values(node.events).forEach(eventHandlers => {
-          if (Array.isArray(eventHandlers)) {
-            eventHandlers.forEach(handler => extractFromString(handler));
-          } else {
-            extractFromString(eventHandlers);
-          }
-        });
-      }
-
-      // Check rules
-      if (node.rules && typeof node.rules === 'object') {
-        Object.values(node.rules).forEach(rule => {
-          if (typeof rule === 'object' && rule.expression) {
-            extractFromString(rule.expression);
-          } else {
-            extractFromString(rule);
-          }
-        });
-      }
 
-      // Check validation/display expressions
-      if (node.validationExpression) extractFromString(node.validationExpression);
-      if (node.displayValueExpression) extractFromString(node.displayValueExpression);
-
-      // Traverse children
-      if (node[':items']) {
-        Object.values(node[':items']).forEach(child => traverse(child));
-      }
-      if (node.items && Array.isArray(node.items)) {
-        node.items.forEach(child => traverse(child));
-      }
-    };
+    collectExpressions(formJson).forEach(({ expression }) => {
+      const { ast } = parseExpression(expression);
+      if (!ast) return; // af-core can't compile it either - it never calls anything
+      findFunctionCalls(ast)
+        .filter(fnName => !isFormulaFunction(fnName))
+        .forEach(fnName => functionNames.add(fnName));
+    });
 
-    traverse(formJson);
     return Array.from(functionNames);
   }
 
@@ -912,6 +877,126 @@ export class RulePerformanceAnalyzer {
     return cycles;
   }
 
+  /**
+   * Add instances to every repeatable panel of the form instance and measure each addition
+   * Rule executions and time are taken from RuleEngine.execute(), dependencies from the
+   * fields' _dependents arrays. A panel whose rules only touch its own instance costs the same
+   * for every instance; rules reading all instances (count, sum over the panel) make each
+   * addition more expensive than the last.
+   * @param {Object} form - Form instance from createFormInstanceSync
+   * @returns {Promise<Array>} [{ name, path, initial, maxOccur, steps, growth }]
+   *   - steps: [{ instances, executions, ruleTime, dependencies }] one per added instance
+   *   - growth: { executions, dependencies } last added instance / first added instance
+   */
+  async measureRepeatableScaling(form) {
+    const { instances, measure } = new RepeatableAnalyzer(this.config).getOptions();
+    if (measure === false || !form) return [];
+
+    // Instance managers (one per repeatable panel) found before any instance is added
+    const managers = [];
+    const seen = new Set();
+    form.visit(field => {
+      if (typeof field.addInstance !== 'function') return;
+      const path = toPanelPath(field.qualifiedName, field.name);
+      if (seen.has(path)) return; // Nested repeatables: measured in their first parent instance
+      seen.add(path);
+      managers.push({ manager: field, path });
+    });
+    if (managers.length === 0) return [];
+
+    const RuleEngine = form.ruleEngine.constructor;
+    const originalExecute = RuleEngine.prototype.execute;
+    const counter = { executions: 0, time: 0 };
+    RuleEngine.prototype.execute = function(...args) {
+      const start = performance.now();
+      try {
+        return originalExecute.apply(this, args);
+      } finally {
+        counter.time += performance.now() - start;
+        counter.executions++;
+      }
+    };
+
+    const countDependencies = () => {
+      let total = 0;
+      form.visit(field => { total += (field._dependents || []).length; });
+      return total;
+    };
+
+    const results = [];
+    try {
+      for (const { manager, path } of managers) {
+        const initial = manager.items.length;
+        const maxOccur = typeof manager.maxOccur === 'number' && manager.maxOccur >= 0 ? manager.maxOccur : null;
+        const target = maxOccur !== null ? Math.min(instances, maxOccur) : instances;
+        const steps = [];
+
+        for (let count = initial; count < target; count++) {
+          const dependencies = countDependencies();
+          counter.executions = 0;
+          counter.time = 0;
+          manager.addInstance({ type: 'addInstance' });
+          // Let rules waiting on (mocked) custom functions settle
+          await new Promise(resolve => setImmediate(resolve));
+          if (manager.items.length === count) break; // af-core refused the instance
+          steps.push({
+            instances: count + 1,
+            executions: counter.executions,
+            ruleTime: Math.round(counter.time * 10) / 10,
+            dependencies: countDependencies() - dependencies
+          });
+        }
+
+        const first = steps[0];
+        const last = steps[steps.length - 1];
+        const ratio = (a, b) => (b > 0 ? Math.round((a / b) * 10) / 10 : 1);
+        results.push({
+          name: manager.name,
+          path,
+          initial,
+          maxOccur,
+          steps,
+          growth: {
+            executions: first ? ratio(last.executions, first.executions) : 1,
+            dependencies: first ? ratio(last.dependencies, first.dependencies) : 1
+          }
+        });
+        core.info(`Repeatable panel "${manager.name}": ${steps.map(step => step.executions).join(' → ') || 'no'} rule execution(s) per added instance`);
+      }
+    } catch (error) {
+      core.warning(`Could not add instances to repeatable panels: ${error.message}`);
+    } finally {
+      RuleEngine.prototype.execute = originalExecute;
+    }
+
+    return results;
+  }
+
+  /**
+   * Generate issues for repeatable panels that get more expensive with every instance
+   */
+  generateScalingIssues(scaling) {
+    const { maxGrowth } = new RepeatableAnalyzer(this.config).getThresholds();
+    if (maxGrowth === null) return [];
+
+    return scaling
+      .filter(panel => panel.steps.length > 1 && Math.max(panel.growth.executions, panel.growth.dependencies) > maxGrowth)
+      .map(panel => {
+        const first = panel.steps[0];
+        const last = panel.steps[panel.steps.length - 1];
+        return {
+          severity: 'warning',
+          type: 'repeatable-slowdown',
+          field: panel.name,
+          path: panel.path,
+          message: `Repeatable panel "${panel.name}" gets slower with every instance: adding instance ${last.instances} ran ${last.executions} rule(s) and added ${last.dependencies} dependenc(ies), adding instance ${first.instances} ran ${first.executions} and added ${first.dependencies}`,
+          value: Math.max(panel.growth.executions, panel.growth.dependencies),
+          threshold: maxGrowth,
+          recommendation: 'Rules inside the panel that read every instance (count, sum or filters over the panel) run again in each instance when one is added. Compute such values once outside the panel, or on demand.'
+        };
+      });
+  }
+
   /**
    * Generate issues from detected cycles
    */
@@ -946,8 +1031,22 @@ export class RulePerformanceAnalyzer {
       resolvedCycles,
       slowRules: afterData.slowRules || [], // Top 10 slowest rules
       slowRuleCount: afterData.slowRuleCount || 0,
+      repeatableScaling: afterData.repeatableScaling || [],
+      // Repeatable panels that started slowing down with this change
+      newSlowdowns: diffIssues(
+        (beforeData.issues || []).filter(issue => issue.type === 'repeatable-slowdown'),
+        (afterData.issues || []).filter(issue => issue.type === 'repeatable-slowdown')
+      ).newIssues,
     };
   }
 }
 
+/**
+ * Panel path from an instance manager's qualified name ($form.applicants[0].nominee -> applicants.nominee)
+ */
+function toPanelPath(qualifiedName, name) {
+  if (typeof qualifiedName !== 'string') return name;
+  return qualifiedName.replace(/^\$form\.?/, '').replace(/\[\d+\]/g, '') || name;
+}
+
 
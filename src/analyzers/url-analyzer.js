@@ -1,144 +1,491 @@
-import puppeteer from 'puppeteer-core';
 import { JSONExtractor } from '../extractors/json-extractor.js';
+import { FragmentResolver } from '../extractors/fragment-resolver.js';
+import { installWebVitalsObservers, measureInteractions, collectWebVitals } from '../utils/web-vitals.js';
+import { median } from '../utils/statistics.js';
+import { resolveThrottlingProfile, applyThrottling, isThrottled } from '../utils/throttling.js';
+import { NetworkRecorder } from '../utils/network-recorder.js';
+import { BrowserErrorRecorder, mergeBrowserErrors } from '../utils/browser-errors.js';
+import { startCoverage, stopCoverage } from '../utils/coverage.js';
+import { BrowserPool } from '../utils/browser-pool.js';
+import { resolveAuth, applyAuth } from '../utils/auth.js';
+import { ReplayStore } from '../utils/replay.js';
+import { resolveJourney, installMocks, runJourney, failedJourney, aggregateJourneyRuns } from '../utils/journey.js';
+import { getScreenshotOptions, captureScreenshot, startFilmstrip, stopFilmstrip, diffScreenshots } from '../utils/screenshots.js';
+import { FORM_FIELD_SELECTOR, getRenderMilestoneOptions, startRenderMilestones, collectRenderMilestones } from '../utils/render-milestones.js';
+import { getTraceOptions, startTrace, markJourneyStart, stopTrace, MAIN_THREAD_CATEGORIES } from '../utils/trace.js';
+
+const SAMPLED_METRICS = ['loadTime', 'domContentLoaded', 'loadComplete', 'domInteractive'];
+const SAMPLED_WEB_VITALS = ['lcp', 'cls', 'inp', 'tbt'];
+const SAMPLED_MILESTONES = ['formCreated', 'firstField', 'allFieldsVisible', 'modelReady'];
 
 /**
  * Analyzes a URL by rendering it in headless browser and extracting form JSON + metrics
+ * Loads share one browser (see utils/browser-pool.js) - call close() when done.
  */
 export class URLAnalyzer {
-  constructor() {
+  constructor(config = null) {
+    this.config = config;
     this.jsonExtractor = new JSONExtractor();
+    this.fragmentResolver = new FragmentResolver(config);
+    this.traceOptions = getTraceOptions(config);
+    // Chrome records one trace at a time - traced loads can't overlap
+    this.browserPool = new BrowserPool(this.traceOptions.enabled
+      ? { ...config, browser: { ...config?.browser, concurrency: 1 } }
+      : config);
+    this.replayStore = new ReplayStore(config);
+  }
+
+  /**
+   * Close the shared browser
+   */
+  async close() {
+    await this.browserPool.close();
+  }
+
+  /**
+   * Analyze a before/after pair of URLs, loading each several times (config.sampling)
+   * Runs alternate between before and after (before, after, after, before, ...) so drift
+   * on the runner affects both sides equally; warmup runs are discarded. The two sides never
+   * load at the same time.
+   * @param {string} beforeUrl - Before URL
+   * @param {string} afterUrl - After URL
+   * @param {Object} options - analyze() options, used for both URLs
+   * @returns {Promise<Object>} { beforeData, afterData, visualDiff } - analyze() results whose metrics
+   *   are medians over the runs, with every run in performanceMetrics.samples; visualDiff is
+   *   the pixel diff of their screenshots (see compareScreenshots). When a load finds no form JSON,
+   *   sampling stops and that load is returned for its side (no visualDiff); the other side is never null.
+   */
+  async analyzePair(beforeUrl, afterUrl, options = {}) {
+    const { runs, warmupRuns, alternate } = this.getSamplingOptions();
+    const collected = { before: [], after: [] };
+    const latest = { before: null, after: null };
+    const urls = { before: beforeUrl, after: afterUrl };
+
+    for (let i = 0; i < warmupRuns + runs; i++) {
+      const warmup = i < warmupRuns;
+      const order = alternate && i % 2 === 1 ? ['after', 'before'] : ['before', 'after'];
+
+      // One side at a time, even when the browser pool allows more (config.browser.concurrency) -
+      // concurrent loads compete for the CPU, which skews the comparison under CPU throttling
+      for (const side of order) {
+        console.log(`${warmup ? `Warmup ${i + 1}/${warmupRuns}` : `Run ${i - warmupRuns + 1}/${runs}`} (${side})`);
+        const result = await this.analyze(urls[side], options);
+
+        // Nothing to compare without form JSON - stop sampling and let the caller report it.
+        // The other side is its measured runs so far, else its latest load (warmup included),
+        // else one load of it - callers always get both sides.
+        if (!result.formJson) {
+          const other = side === 'before' ? 'after' : 'before';
+          const otherData = collected[other].length > 0
+            ? aggregateRuns(collected[other])
+            : latest[other] ?? await this.analyze(urls[other], options);
+          const data = { [side]: result, [other]: otherData };
+          return { beforeData: data.before, afterData: data.after };
+        }
+        latest[side] = result;
+        if (!warmup) {
+          collected[side].push(result);
+        }
+      }
+    }
+
+    const sampling = { runs, warmupRuns, alternate, alpha: this.config?.sampling?.alpha ?? 0.05 };
+    const beforeData = aggregateRuns(collected.before, sampling);
+    const afterData = aggregateRuns(collected.after, sampling);
+    return { beforeData, afterData, visualDiff: await this.compareScreenshots(beforeData, afterData) };
+  }
+
+  /**
+   * Pixel diff of the before and after screenshots (config.screenshots.diffThreshold)
+   * A failed diff is logged and skipped - it never fails the analysis.
+   * @param {Object} beforeData - analyze() result
+   * @param {Object} afterData - analyze() result
+   * @returns {Promise<Object|null>} diffScreenshots() result, or null without both screenshots
+   */
+  async compareScreenshots(beforeData, afterData) {
+    if (!beforeData?.screenshot || !afterData?.screenshot) return null;
+
+    try {
+      const visualDiff = await this.browserPool.withPage(page =>
+        diffScreenshots(page, beforeData.screenshot, afterData.screenshot, getScreenshotOptions(this.config))
+      );
+      console.log(`Visual diff: ${visualDiff.changedPercent}% of pixels changed (${visualDiff.regions.length} region(s))`);
+      return visualDiff;
+    } catch (error) {
+      console.log(`Visual diff skipped: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Sampling options from config.sampling
+   */
+  getSamplingOptions() {
+    const sampling = this.config?.sampling || {};
+    return {
+      runs: Math.max(1, sampling.runs ?? 1),
+      warmupRuns: Math.max(0, sampling.warmupRuns ?? 0),
+      alternate: sampling.alternate !== false
+    };
   }
 
   /**
    * Analyze a URL by rendering in headless browser
    * @param {string} url - URL to analyze
+   * @param {Object} options - { throttling, auth, journey }
+   *   throttling: profile name or inline profile (default: config throttling.profile)
+   *   auth: auth profile name, inline profile or false (default: first auth.profiles entry matching the URL)
+   *   journey: journey name, inline journey or false (default: first config.journeys entry matching the URL)
    * @returns {Promise<Object>} Analysis results with rendered HTML and performance metrics
    */
-  async analyze(url) {
-    let browser = null;
+  async analyze(url, options = {}) {
+    const profile = resolveThrottlingProfile(options.throttling, this.config);
+    const auth = resolveAuth(url, options.auth, this.config);
+    const journey = resolveJourney(url, options.journey, this.config);
+
+    console.log(`Analyzing URL: ${url}`);
+    console.log(`Throttling profile: ${profile.name} (${profile.description})`);
+    if (auth) {
+      console.log(`Auth profile: ${auth.name} (${auth.type})`);
+    }
+    if (journey) {
+      console.log(`Journey: ${journey.name} (${journey.steps.length} steps)`);
+    }
+
+    try {
+      return await this.browserPool.withPage(page => this.analyzePage(page, url, profile, auth, journey));
+    } catch (error) {
+      console.error(`Error analyzing URL ${url}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Load a URL in a pooled page and collect everything the analyzers need
+   * @param {Object} page - Puppeteer page in its own browser context
+   * @param {string} url - URL to analyze
+   * @param {Object} profile - Resolved throttling profile
+   * @param {Object} auth - Resolved auth profile (see utils/auth.js) or null
+   * @param {Object} journey - Resolved journey (see utils/journey.js) or null
+   */
+  async analyzePage(page, url, profile, auth = null, journey = null) {
+    // Throttled loads take longer - give them twice the time before calling the form failed
+    const timeoutScale = isThrottled(profile) ? 2 : 1;
+
+    // Log in first - login traffic runs unthrottled and isn't recorded
+    await applyAuth(page, auth);
+    await applyThrottling(page, profile);
+    await installMocks(page, journey?.mocks);
+
+    // Record or replay everything but the deployment under test (config.replay)
+    const replay = await this.replayStore.start(page, url, { mocks: journey?.mocks });
+    if (replay) {
+      console.log(`Replay: ${replay.mode} (${replay.archive.size} archived response(s))`);
+    }
+    
+    // Enable performance metrics
+    await page.evaluateOnNewDocument(() => {
+      window.performanceMetrics = {
+        navigationStart: performance.now(),
+      };
+    });
+
+    const measureWebVitals = this.config?.webVitals?.enabled !== false;
+    // Journeys read interaction latency and long tasks from the same observers
+    if (measureWebVitals || journey) {
+      await page.evaluateOnNewDocument(installWebVitalsObservers);
+    }
+
+    const milestoneOptions = getRenderMilestoneOptions(this.config);
+    if (milestoneOptions.enabled) {
+      await startRenderMilestones(page, milestoneOptions);
+    }
+
+    const recorder = this.config?.network?.enabled !== false ? new NetworkRecorder() : null;
+    if (recorder) {
+      await recorder.attach(page);
+    }
+
+    // Errors are recorded until the end - interactions and journeys raise them too
+    const errorRecorder = this.config?.browserErrors?.enabled !== false ? new BrowserErrorRecorder() : null;
+    if (errorRecorder) {
+      await errorRecorder.attach(page);
+    }
+
+    const collectCoverage = this.config?.coverage?.enabled !== false;
+    if (collectCoverage) {
+      await startCoverage(page);
+    }
+
+    const screenshotOptions = getScreenshotOptions(this.config);
+    const filmstripRecording = screenshotOptions.enabled && screenshotOptions.filmstrip
+      ? await startFilmstrip(page)
+      : null;
+
+    // The trace covers the load and the journey (config.trace)
+    if (this.traceOptions.enabled) {
+      await startTrace(page);
+    }
+
+    console.log(`Navigating to URL...`);
+    const startTime = Date.now();
+    
+    // Navigate to URL
+    await page.goto(url, {
+      waitUntil: 'domcontentloaded', // Wait for DOM to be ready
+      timeout: 30000 * timeoutScale,
+    });
+
+    // IMPORTANT: Capture initial HTML immediately (before form JS runs)
+    // The <pre> tag with JSON gets removed after form renders
+    const initialHTML = await page.content();
+    console.log('Captured initial HTML (with <pre> tag for JSON extraction)');
+
+    // Wait for form to actually render (not just the container)
+    // AEM forms render fields dynamically, so wait for first input field
+    const FORM_TIMEOUT_MS = 15000 * timeoutScale;
+    let formRendered = false;
     
     try {
-      console.log(`Launching headless browser for URL: ${url}`);
-      
-      // Detect Chrome executable path
-      const isCI = !!process.env.CI || !!process.env.GITHUB_ACTIONS;
-      
-      let executablePath;
-      if (isCI) {
-        // GitHub Actions: use pre-installed Chrome
-        executablePath = '/usr/bin/google-chrome';
-      } else {
-        // Local development: use system Chrome (macOS)
-        executablePath = '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome';
-      }
-      
-      browser = await puppeteer.launch({
-        args: [
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-dev-shm-usage', // Overcome limited resource problems
-          '--disable-gpu',
-        ],
-        defaultViewport: { width: 1280, height: 720 },
-        executablePath,
-        headless: true,
-        ignoreHTTPSErrors: true,
+      await page.waitForSelector(FORM_FIELD_SELECTOR, { 
+        timeout: FORM_TIMEOUT_MS
       });
+      formRendered = true;
+      recorder?.markFormRendered();
+      errorRecorder?.markFormRendered();
+      console.log('Form fields rendered successfully');
+    } catch (e) {
+      console.log('Form fields not rendered within timeout - form failed to load');
+    }
 
-      const page = await browser.newPage();
-      
-      // Enable performance metrics
-      await page.evaluateOnNewDocument(() => {
-        window.performanceMetrics = {
-          navigationStart: performance.now(),
-        };
-      });
+    // The filmstrip ends at render (or at the timeout, showing how far the form got)
+    let filmstrip = null;
+    if (filmstripRecording) {
+      filmstrip = await stopFilmstrip(filmstripRecording, { start: startTime, end: Date.now(), count: screenshotOptions.filmstripFrames });
+      console.log(`Filmstrip: ${filmstrip.length} frame(s)`);
+    }
 
-      console.log(`Navigating to URL...`);
-      const startTime = Date.now();
-      
-      // Navigate to URL
-      await page.goto(url, {
-        waitUntil: 'domcontentloaded', // Wait for DOM to be ready
-        timeout: 30000,
-      });
+    // Coverage stops at render - code that only runs on interaction counts as unused
+    let coverage = null;
+    if (collectCoverage) {
+      coverage = await stopCoverage(page, url);
+      console.log(`Coverage: ${coverage.files.length} script(s)/stylesheet(s)`);
+    }
 
-      // IMPORTANT: Capture initial HTML immediately (before form JS runs)
-      // The <pre> tag with JSON gets removed after form renders
-      const initialHTML = await page.content();
-      console.log('Captured initial HTML (with <pre> tag for JSON extraction)');
-
-      // Wait for form to actually render (not just the container)
-      // AEM forms render fields dynamically, so wait for first input field
-      const FORM_TIMEOUT_MS = 15000;
-      let formRendered = false;
-      
-      try {
-        await page.waitForSelector('div.form input, div.form button, div.form select', { 
-          timeout: FORM_TIMEOUT_MS
-        });
-        formRendered = true;
-        console.log('Form fields rendered successfully');
-      } catch (e) {
-        console.log('Form fields not rendered within timeout - form failed to load');
+    const loadTime = Date.now() - startTime;
+    
+    if (formRendered) {
+      console.log(`Form loaded in ${loadTime}ms`);
+    } else {
+      console.log(`Form FAILED to load (timeout after ${loadTime}ms)`);
+    }
+
+    // Milestones wait for the rest of the fields to render - loadTime only covers the first
+    let renderMilestones = null;
+    if (milestoneOptions.enabled) {
+      renderMilestones = await collectRenderMilestones(page, milestoneOptions);
+      if (renderMilestones) {
+        console.log(`Render milestones: form ${renderMilestones.formCreated ?? '-'}ms, first field ${renderMilestones.firstField ?? '-'}ms, all ${renderMilestones.visibleFields} visible field(s) ${renderMilestones.allFieldsVisible ?? '-'}ms, model ready ${renderMilestones.modelReady ?? '-'}ms`);
       }
+    }
 
-      const loadTime = Date.now() - startTime;
-      
-      if (formRendered) {
-        console.log(`Form loaded in ${loadTime}ms`);
-      } else {
-        console.log(`Form FAILED to load (timeout after ${loadTime}ms)`);
+    // Get performance metrics
+    const metrics = await page.metrics();
+    const performanceTimings = await page.evaluate(() => {
+      const perf = performance.getEntriesByType('navigation')[0];
+      return perf ? {
+        domContentLoaded: perf.domContentLoadedEventEnd - perf.domContentLoadedEventStart,
+        loadComplete: perf.loadEventEnd - perf.loadEventStart,
+        domInteractive: perf.domInteractive - perf.fetchStart,
+      } : {};
+    });
+
+    // Screenshot before anything is typed into the form - the diff compares the untouched forms
+    const screenshot = screenshotOptions.enabled ? await captureScreenshot(page, screenshotOptions) : null;
+
+    // Core Web Vitals - interact with the first fields so INP has something to measure
+    // (with a journey, its steps are the interactions - measured after it ran, below)
+    let webVitals = null;
+    if (measureWebVitals && !journey) {
+      const interactions = formRendered
+        ? await measureInteractions(page, this.config?.webVitals?.interactions ?? 3)
+        : 0;
+      webVitals = await collectWebVitals(page);
+      if (webVitals) {
+        console.log(`Web Vitals: LCP ${webVitals.lcp ?? '-'}ms, CLS ${webVitals.cls}, INP ${webVitals.inp ?? '-'}ms (${interactions} interaction(s)), TBT ${webVitals.tbt ?? '-'}ms`);
       }
+    }
 
-      // Get performance metrics
-      const metrics = await page.metrics();
-      const performanceTimings = await page.evaluate(() => {
-        const perf = performance.getEntriesByType('navigation')[0];
-        return perf ? {
-          domContentLoaded: perf.domContentLoadedEventEnd - perf.domContentLoadedEventStart,
-          loadComplete: perf.loadEventEnd - perf.loadEventStart,
-          domInteractive: perf.domInteractive - perf.fetchStart,
-        } : {};
-      });
+    // Get rendered HTML (after JavaScript execution) for HTML analysis
+    const renderedHTML = await page.content();
 
-      // Get rendered HTML (after JavaScript execution) for HTML analysis
-      const renderedHTML = await page.content();
-
-      // Extract JSON data from INITIAL HTML (before form JS removes <pre> tag)
-      // Pass page object for Core Components to use authenticated session
-      const jsonData = await this.jsonExtractor.extract(initialHTML, url, page);
-
-      await browser.close();
-      browser = null;
-
-      return {
-        url,
-        timestamp: new Date().toISOString(),
-        status: 200,
-        contentType: 'text/html',
-        html: renderedHTML, // Rendered HTML with all components
-        formJson: jsonData.formJson,
-        jsonErrors: jsonData.errors,
-        rawSize: renderedHTML.length,
-        performanceMetrics: {
-          loadTime, // Total time to load and render (ms)
-          formRendered, // Whether form actually loaded or timed out
-          domContentLoaded: performanceTimings.domContentLoaded || 0,
-          loadComplete: performanceTimings.loadComplete || 0,
-          domInteractive: performanceTimings.domInteractive || 0,
-          ...metrics, // Puppeteer metrics (JSHeapSize, Nodes, etc.)
-        },
-      };
+    // Requests made while loading (and during the scripted interactions)
+    let network = null;
+    let har = null;
+    if (recorder) {
+      network = { pageUrl: url, requests: recorder.getRequests() };
+    }
 
-    } catch (error) {
-      console.error(`Error analyzing URL ${url}:`, error.message);
-      if (browser) {
-        await browser.close();
+    // The journey runs after the load snapshot - its requests and DOM growth are reported
+    // per step, not against the load's budgets (the HAR file includes them)
+    let journeyResult = null;
+    if (journey) {
+      if (this.traceOptions.enabled) {
+        await markJourneyStart(page);
+      }
+      journeyResult = formRendered
+        ? await runJourney(page, journey, { recorder, timeoutScale })
+        : failedJourney(journey, 'Form did not render');
+      if (measureWebVitals) {
+        webVitals = await collectWebVitals(page);
+        if (webVitals) {
+          console.log(`Web Vitals: LCP ${webVitals.lcp ?? '-'}ms, CLS ${webVitals.cls}, INP ${webVitals.inp ?? '-'}ms (journey), TBT ${webVitals.tbt ?? '-'}ms`);
+        }
       }
-      throw error;
     }
+
+    if (recorder) {
+      if (this.config?.network?.har !== false) {
+        har = recorder.toHAR({ url, title: await page.title(), loadTime, domContentLoaded: performanceTimings.domContentLoaded });
+      }
+      await recorder.detach();
+      console.log(`Network: ${network.requests.length} request(s)`);
+    }
+
+    let trace = null;
+    let mainThread = null;
+    if (this.traceOptions.enabled) {
+      ({ trace, mainThread } = await stopTrace(page, url, this.traceOptions));
+      console.log(`Main thread: ${mainThread.total}ms busy, ${mainThread.longTaskCount} long task(s)`);
+    }
+
+    let replayStats = null;
+    if (replay) {
+      replayStats = await replay.detach();
+      console.log(`Replay: ${replayStats.replayed} replayed, ${replayStats.recorded} recorded, ${replayStats.live} live, ${replayStats.missed.length} missing from the archive`);
+    }
+
+    let browserErrors = null;
+    if (errorRecorder) {
+      browserErrors = { pageUrl: url, errors: errorRecorder.getErrors() };
+      await errorRecorder.detach();
+      console.log(`Browser errors: ${browserErrors.errors.length}`);
+    }
+
+    // Extract JSON data from INITIAL HTML (before form JS removes <pre> tag)
+    // Pass page object for Core Components - model.json is fetched with the page's auth
+    const jsonData = await this.jsonExtractor.extract(initialHTML, url, page);
+
+    // Fragment definitions are fetched from the page's site and inlined (see FragmentResolver)
+    const { fragments } = await this.fragmentResolver.resolve(jsonData.formJson, path =>
+      this.jsonExtractor.extractFragment(path, url, page)
+    );
+    if (fragments?.length > 0) {
+      console.log(`Fragments: ${fragments.filter(fragment => fragment.resolved).length}/${fragments.length} resolved`);
+    }
+
+    return {
+      url,
+      timestamp: new Date().toISOString(),
+      status: 200,
+      contentType: 'text/html',
+      html: renderedHTML, // Rendered HTML with all components
+      formJson: jsonData.formJson,
+      jsonErrors: jsonData.errors,
+      fragments, // [{ path, source, components, resolved }] or null (see FragmentResolver)
+      rawSize: renderedHTML.length,
+      network, // { pageUrl, requests } or null (see NetworkRecorder.getRequests)
+      har, // HAR 1.2 log of the load, or null
+      coverage, // { pageUrl, files } or null (see utils/coverage.js)
+      journey: journeyResult, // { name, completed, failedStep, steps, totals } or null (see utils/journey.js)
+      browserErrors, // { pageUrl, errors } or null (see utils/browser-errors.js)
+      trace, // Chrome trace (Buffer) or null (see utils/trace.js)
+      mainThread, // { pageUrl, total, categories, scripts, longTasks, longTaskCount, blockingTime } or null
+      screenshot, // { image, width, height } (base64 PNG) or null (see utils/screenshots.js)
+      filmstrip, // [{ time, image }] (base64 JPEG) or null
+      replay: replayStats, // { mode, archive, live, recorded, replayed, missed } or null (see utils/replay.js)
+      performanceMetrics: {
+        loadTime, // Total time to load and render (ms)
+        formRendered, // Whether form actually loaded or timed out
+        domContentLoaded: performanceTimings.domContentLoaded || 0,
+        loadComplete: performanceTimings.loadComplete || 0,
+        domInteractive: performanceTimings.domInteractive || 0,
+        webVitals, // { lcp, cls, inp, tbt, fcp, interactions } or null
+        renderMilestones, // { formCreated, firstField, allFieldsVisible, visibleFields, modelReady } or null
+        throttling: { name: profile.name, description: profile.description },
+        ...metrics, // Puppeteer metrics (JSHeapSize, Nodes, etc.)
+      },
+    };
   }
 
 }
 
+/**
+ * Combine sampled runs of one URL
+ * The first run whose form rendered provides form JSON and HTML; load metrics, Web Vitals
+ * render milestones and main-thread time become medians over the rendered runs (scripts and long
+ * tasks come from the first). Browser errors are merged over all runs.
+ * @param {Array} runs - analyze() results
+ * @param {Object} sampling - How the runs were taken ({ runs, warmupRuns, alternate, alpha })
+ */
+function aggregateRuns(runs, sampling = null) {
+  if (runs.length === 0) return null;
+
+  const rendered = runs.filter(run => run.performanceMetrics?.formRendered);
+  const measured = rendered.length > 0 ? rendered : runs;
+  const base = measured[0];
+  const collect = get => measured.map(get).filter(value => typeof value === 'number');
+
+  const samples = Object.fromEntries(SAMPLED_METRICS.map(key => [key, collect(run => run.performanceMetrics[key])]));
+  const metrics = { ...base.performanceMetrics };
+  SAMPLED_METRICS.forEach(key => {
+    if (samples[key].length > 0) metrics[key] = Math.round(median(samples[key]));
+  });
+
+  if (base.performanceMetrics.webVitals) {
+    const vitalSamples = Object.fromEntries(SAMPLED_WEB_VITALS.map(key => [key, collect(run => run.performanceMetrics.webVitals?.[key])]));
+    const webVitals = { ...base.performanceMetrics.webVitals, samples: vitalSamples };
+    SAMPLED_WEB_VITALS.forEach(key => {
+      if (vitalSamples[key].length > 0) {
+        webVitals[key] = key === 'cls' ? Math.round(median(vitalSamples[key]) * 1000) / 1000 : Math.round(median(vitalSamples[key]));
+      }
+    });
+    metrics.webVitals = webVitals;
+  }
+
+  if (base.performanceMetrics.renderMilestones) {
+    const milestoneSamples = Object.fromEntries(SAMPLED_MILESTONES.map(key => [key, collect(run => run.performanceMetrics.renderMilestones?.[key])]));
+    const renderMilestones = { ...base.performanceMetrics.renderMilestones, samples: milestoneSamples };
+    SAMPLED_MILESTONES.forEach(key => {
+      if (milestoneSamples[key].length > 0) renderMilestones[key] = Math.round(median(milestoneSamples[key]));
+    });
+    metrics.renderMilestones = renderMilestones;
+  }
+
+  let mainThread = base.mainThread;
+  if (mainThread) {
+    const traced = measured.filter(run => run.mainThread);
+    const medianOf = get => Math.round(median(traced.map(get)));
+    mainThread = {
+      ...mainThread,
+      total: medianOf(run => run.mainThread.total),
+      categories: Object.fromEntries(MAIN_THREAD_CATEGORIES.map(category => [category, medianOf(run => run.mainThread.categories[category])])),
+      samples: { total: traced.map(run => run.mainThread.total) }
+    };
+  }
+
+  return {
+    ...base,
+    mainThread,
+    journey: base.journey ? aggregateJourneyRuns(runs.map(run => run.journey)) : null,
+    // Errors from every run - one that shows up now and then is still an error
+    browserErrors: mergeBrowserErrors(runs.map(run => run.browserErrors)),
+    performanceMetrics: {
+      ...metrics,
+      runs: runs.length,
+      failedRuns: runs.length - rendered.length,
+      samples,
+      sampling
+    }
+  };
+}
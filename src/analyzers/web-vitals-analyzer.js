@@ -0,0 +1,142 @@
+import { compareSamples } from '../utils/statistics.js';
+
+/**
+ * Judges measured Core Web Vitals (see utils/web-vitals.js) against
+ * thresholds.performance targets (targetLCP, targetCLS, targetINP, targetTBT)
+ */
+
+const METRICS = [
+  { key: 'lcp', label: 'LCP', target: 'targetLCP', defaultTarget: 2500, unit: 'ms' },
+  { key: 'cls', label: 'CLS', target: 'targetCLS', defaultTarget: 0.1, unit: '' },
+  { key: 'inp', label: 'INP', target: 'targetINP', defaultTarget: 200, unit: 'ms' },
+  { key: 'tbt', label: 'TBT', target: 'targetTBT', defaultTarget: 300, unit: 'ms' },
+];
+
+export class WebVitalsAnalyzer {
+  constructor(config = null) {
+    this.config = config;
+  }
+
+  /**
+   * Target per metric from config (thresholds.performance)
+   */
+  getTargets() {
+    const performance = this.config?.thresholds?.performance || {};
+    return Object.fromEntries(METRICS.map(metric => [metric.key, performance[metric.target] ?? metric.defaultTarget]));
+  }
+
+  /**
+   * Check measured Web Vitals against the targets
+   * @param {Object} webVitals - { lcp, cls, inp, tbt } from collectWebVitals()
+   * @returns {Object} { metrics: [{ metric, value, target, status }], issues }
+   */
+  analyze(webVitals) {
+    const targets = this.getTargets();
+
+    const metrics = METRICS.map(({ key, label, unit }) => {
+      const value = webVitals?.[key] ?? null;
+      const target = targets[key];
+      return {
+        metric: label,
+        value,
+        target,
+        unit,
+        status: value === null ? 'not-measured' : value > target ? 'over-target' : 'good'
+      };
+    });
+
+    const issues = metrics
+      .filter(metric => metric.status === 'over-target')
+      .map(metric => ({
+        type: `${metric.metric.toLowerCase()}-over-target`,
+        severity: 'warning',
+        metric: metric.metric,
+        value: metric.value,
+        target: metric.target,
+        message: `${metric.metric} is ${formatValue(metric.value, metric.unit)} (target: ${formatValue(metric.target, metric.unit)})`,
+        cwvImpact: metric.metric === 'TBT' ? 'INP' : metric.metric
+      }));
+
+    return { metrics, interactions: webVitals?.interactions || 0, samples: webVitals?.samples || null, issues };
+  }
+
+  /**
+   * Compare before/after Web Vitals
+   * A metric that crosses its target is an error; one that was already over target
+   * and got worse is a warning. Metrics back under target are resolved.
+   * With several runs per URL (config.sampling), a metric only regressed when the
+   * Mann-Whitney U test says the after runs are significantly worse.
+   */
+  compare(before, after) {
+    const alpha = this.config?.sampling?.alpha ?? 0.05;
+
+    const deltas = after.metrics.map((metric, i) => {
+      const previous = before.metrics[i];
+      const delta = metric.value !== null && previous.value !== null ? round(metric.value - previous.value) : null;
+      const key = metric.metric.toLowerCase();
+      const beforeSamples = before.samples?.[key] || [];
+      const afterSamples = after.samples?.[key] || [];
+
+      const entry = { ...metric, before: previous.value, after: metric.value, delta };
+      if (beforeSamples.length > 1 && afterSamples.length > 1) {
+        const { pValue, significant, change } = compareSamples(beforeSamples, afterSamples, { alpha });
+        Object.assign(entry, { pValue, significant, change });
+      }
+      return entry;
+    });
+
+    const newIssues = [];
+    const resolvedIssues = [];
+
+    deltas.forEach(metric => {
+      const beforeIssue = before.issues.find(issue => issue.metric === metric.metric);
+      const afterIssue = after.issues.find(issue => issue.metric === metric.metric);
+
+      // Sampled, but not significantly worse - run-to-run noise, not a regression
+      if (afterIssue && metric.change && metric.change !== 'increased') {
+        return;
+      }
+
+      if (afterIssue && metric.before !== null && metric.before <= metric.target) {
+        newIssues.push({
+          ...afterIssue,
+          severity: 'error',
+          before: metric.before,
+          message: `${metric.metric} regressed to ${formatValue(metric.after, metric.unit)} (was ${formatValue(metric.before, metric.unit)}, target: ${formatValue(metric.target, metric.unit)})`
+        });
+      } else if (afterIssue && beforeIssue && metric.delta > 0) {
+        newIssues.push({
+          ...afterIssue,
+          before: metric.before,
+          message: `${metric.metric} got worse: ${formatValue(metric.after, metric.unit)} (was ${formatValue(metric.before, metric.unit)}, target: ${formatValue(metric.target, metric.unit)})`
+        });
+      } else if (beforeIssue && !afterIssue && metric.after !== null) {
+        resolvedIssues.push(beforeIssue);
+      }
+    });
+
+    return { before, after, deltas, newIssues, resolvedIssues };
+  }
+}
+
+/**
+ * Format a metric value with its unit (CLS is unitless)
+ */
+export function formatValue(value, unit) {
+  if (value === null || value === undefined) return '-';
+  return unit ? `${Math.round(value)}${unit}` : `${value}`;
+}
+
+/**
+ * One-line summary of analyzed metrics, e.g. "LCP 2100ms, CLS 0.02, INP 350ms (target: 200ms), TBT -"
+ * @param {Array} metrics - analyze().metrics
+ */
+export function formatMetrics(metrics) {
+  return (metrics || []).map(({ metric, value, target, unit, status }) =>
+    `${metric} ${formatValue(value, unit)}${status === 'over-target' ? ` (target: ${formatValue(target, unit)})` : ''}`
+  ).join(', ');
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
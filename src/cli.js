@@ -0,0 +1,405 @@
+#!/usr/bin/env node
+
+/**
+ * Standalone CLI for running the analyzer pipeline outside GitHub Actions
+ * Usage:
+ *   perf-bot analyze <url|form-file>
+ *   perf-bot compare <before> <after>
+ *   perf-bot scan [--url <url...>]
+ *   perf-bot baseline [--url <url...>]
+ *
+ * Form files (*.form.json, optionally with saved rendered HTML) are analyzed without a browser.
+ */
+
+import { Command } from 'commander';
+import { mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { dirname, join, relative, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { URLAnalyzer } from './analyzers/url-analyzer.js';
+import { FileExtractor } from './extractors/file-extractor.js';
+import { HTMLReporter } from './reporters/html-reporter.js';
+import { MarkdownReporter } from './reporters/markdown-reporter.js';
+import { SARIFReporter } from './reporters/sarif-reporter.js';
+import { loadConfig } from './utils/config-loader.js';
+import { resolveThrottlingProfile } from './utils/throttling.js';
+import { REPLAY_MODES, getReplayOptions } from './utils/replay.js';
+import { summarizeFragments } from './utils/fragments.js';
+import { writeHARFiles, writeTraceFiles, writeScreenshotFiles } from './utils/artifacts.js';
+import { Baseline, loadBaseline, writeBaseline, applyBaseline, collectIssues, getFormKey } from './utils/baseline.js';
+import {
+  runFormComparison,
+  createFormAnalyzers,
+  analyzeWorkspace,
+  analyzeSingleForm,
+  createFormResult,
+  detectCriticalIssues,
+  loadFilesFromWorkspace,
+  loadFormSources,
+  loadFormPair,
+  isFormURL
+} from './pipeline.js';
+
+const REPORT_FORMATS = ['json', 'html', 'md', 'sarif'];
+
+const packageJson = JSON.parse(
+  readFileSync(join(dirname(fileURLToPath(import.meta.url)), '..', 'package.json'), 'utf-8')
+);
+
+const program = new Command();
+
+program
+  .name('perf-bot')
+  .description('Run the AEM Forms performance analyzers from a terminal or any CI system')
+  .version(packageJson.version)
+  .option('-c, --config <path>', 'Path to .performance-bot.json (default: auto-detect in workspace)')
+  .option('-w, --workspace <dir>', 'Repository root to load JS/CSS files and custom functions from', process.cwd())
+  .option('-o, --output <dir>', 'Directory to write reports to', 'perf-bot-report')
+  .option('-f, --format <formats>', `Comma-separated report formats (${REPORT_FORMATS.join(', ')})`, REPORT_FORMATS.join(','))
+  .option('--fail-on-critical', 'Exit with code 1 when critical issues are found')
+  .option('--throttling <profile>', 'Throttling profile for URLs (overrides throttling.profile)')
+  .option('--concurrency <n>', 'URL loads at the same time (overrides browser.concurrency)', value => parseInt(value, 10))
+  .option('--replay <mode>', `Record or replay network responses for URLs (${REPLAY_MODES.join(', ')}; overrides replay.mode)`)
+  .option('--trace', 'Record a Chrome trace of each URL load and report main-thread time (sets trace.enabled)');
+
+program
+  .command('analyze')
+  .description('Analyze a single form URL or form file')
+  .argument('<target>', 'Form URL, *.form.json file or saved HTML file')
+  .option('--html <path>', 'Saved rendered HTML for a form JSON file')
+  .action(async (target, options) => {
+    const context = await createContext();
+    const formResults = await scanForms([toFormSource(target, options.html, context)], context);
+    writeScanReports(formResults, context);
+    finish(formResults.some(hasCriticalFormIssues), context);
+  });
+
+program
+  .command('compare')
+  .description('Compare a before/after pair of forms (same analysis as PR mode)')
+  .argument('<before>', 'Before URL (e.g. main branch deployment) or form file')
+  .argument('<after>', 'After URL (e.g. feature branch deployment) or form file')
+  .option('--before-html <path>', 'Saved rendered HTML for the before form file')
+  .option('--after-html <path>', 'Saved rendered HTML for the after form file')
+  .option('--runs <n>', 'Loads per URL (overrides sampling.runs)', value => parseInt(value, 10))
+  .action(async (before, after, options) => {
+    const context = await createContext();
+    if (options.runs) {
+      context.config = { ...context.config, sampling: { ...context.config.sampling, runs: options.runs } };
+    }
+    const loaders = { urlAnalyzer: new URLAnalyzer(context.config), fileExtractor: new FileExtractor(context.workspace, context.config) };
+
+    console.log(`Analyzing before: ${before}`);
+    console.log(`Analyzing after: ${after}`);
+    const afterSource = toFormSource(after, options.afterHtml, context);
+    const { beforeData, afterData, visualDiff = null } = await loadFormPair(toFormSource(before, options.beforeHtml, context), afterSource, loaders)
+      .finally(() => loaders.urlAnalyzer.close());
+
+    if (!beforeData.formJson || !afterData.formJson) {
+      const failed = !beforeData.formJson ? beforeData : afterData;
+      const reason = failed.jsonErrors?.[0]?.message;
+      throw new Error(`Failed to extract form JSON from ${failed.url}${reason ? `: ${reason}` : ''}`);
+    }
+    writeArtifacts(context, [
+      { label: before, suffix: 'before', data: beforeData },
+      { label: after, suffix: 'after', data: afterData }
+    ], visualDiff);
+
+    const results = applyBaseline(await runFormComparison(beforeData, afterData, {
+      jsFiles: context.jsFiles,
+      cssFiles: context.cssFiles,
+      config: context.config,
+      workspaceRoot: context.workspace
+    }), loadBaseline(context.config, context.workspace), getFormKey(afterSource));
+    const critical = detectCriticalIssues(results);
+    const urls = { before, after, beforeData, afterData, visualDiff };
+
+    writeReport(context, 'json', JSON.stringify({
+      command: 'compare',
+      generatedAt: new Date().toISOString(),
+      urls: { before, after },
+      performance: {
+        before: beforeData.performanceMetrics,
+        after: afterData.performanceMetrics
+      },
+      visualDiff: visualDiff ? { ...visualDiff, image: undefined } : null, // Image is in the *-diff.png file
+      critical,
+      results
+    }, null, 2));
+    writeReport(context, 'html', () => new HTMLReporter().generateReport(results, urls, 'local', context.repository));
+    writeReport(context, 'md', () => new MarkdownReporter().generateComparisonReport(results, urls, critical));
+    writeReport(context, 'sarif', () => createSARIFReporter(context).generateReport(results, {
+      formFile: afterSource.json || null
+    }));
+
+    if (critical.hasCritical) {
+      console.log(`\n${critical.count} critical issue(s) detected:`);
+      critical.issues.forEach(issue => console.log(`  - ${issue}`));
+    }
+    finish(critical.hasCritical, context);
+  });
+
+program
+  .command('baseline')
+  .description('Record every current issue as accepted, so PR checks fail only on new issues')
+  .option('-u, --url <urls...>', 'Additional form URLs to include')
+  .action(async (options) => {
+    const context = await createContext();
+    const sources = getScanSources(context, options.url);
+    const analyzers = await createFormAnalyzers(context.config, context.workspace);
+    const loaders = { urlAnalyzer: new URLAnalyzer(context.config), fileExtractor: new FileExtractor(context.workspace, context.config) };
+    const baseline = new Baseline({ generatedAt: new Date().toISOString() });
+    const loads = loadFormSources(sources, loaders);
+
+    try {
+      for (const source of sources) {
+        const formKey = getFormKey(source);
+        console.log(`\nAnalyzing: ${formKey}`);
+
+        // Same analysis as PR mode, with the current state on both sides
+        const data = await loads.next();
+        const results = await runFormComparison(data, data, {
+          jsFiles: context.jsFiles,
+          cssFiles: context.cssFiles,
+          config: context.config,
+          workspaceRoot: context.workspace,
+          analyzers
+        });
+        baseline.add(collectIssues(results), formKey);
+      }
+    } finally {
+      await loaders.urlAnalyzer.close();
+    }
+
+    const filePath = writeBaseline(baseline, context.config, context.workspace);
+    console.log(`\nBaseline with ${baseline.size()} accepted issue(s) saved to: ${filePath}`);
+  });
+
+program
+  .command('scan')
+  .description('Scan every form in scheduledScan.urls and formFiles from the config (plus any --url)')
+  .option('-u, --url <urls...>', 'Additional form URLs to scan')
+  .action(async (options) => {
+    const context = await createContext();
+    const sources = getScanSources(context, options.url);
+    const formResults = await scanForms(sources, context);
+    writeScanReports(formResults, context);
+    finish(formResults.some(hasCriticalFormIssues), context);
+  });
+
+/**
+ * Load config and workspace files shared by every command
+ */
+async function createContext() {
+  const options = program.opts();
+  const formats = options.format.split(',').map(f => f.trim()).filter(Boolean);
+  const unknown = formats.filter(f => !REPORT_FORMATS.includes(f));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown report format(s): ${unknown.join(', ')}. Supported: ${REPORT_FORMATS.join(', ')}`);
+  }
+
+  // Resolve paths before switching to the workspace
+  const cwd = process.cwd();
+  const outputDir = resolve(options.output);
+  const configPath = options.config ? resolve(options.config) : null;
+  const workspace = resolve(options.workspace);
+
+  // Custom functions are loaded relative to the working directory
+  process.chdir(workspace);
+
+  let config = await loadConfig(configPath);
+  if (options.throttling) {
+    config = { ...config, throttling: { ...config.throttling, profile: options.throttling } };
+  }
+  resolveThrottlingProfile(null, config); // Fail early on an unknown profile name
+  if (options.concurrency) {
+    config = { ...config, browser: { ...config.browser, concurrency: options.concurrency } };
+  }
+  if (options.replay) {
+    config = { ...config, replay: { ...config.replay, mode: options.replay } };
+  }
+  if (options.trace) {
+    config = { ...config, trace: { ...config.trace, enabled: true } };
+  }
+  getReplayOptions(config); // Fail early on an unknown replay mode
+  const { jsFiles, cssFiles } = await loadFilesFromWorkspace(workspace);
+
+  mkdirSync(outputDir, { recursive: true });
+
+  return {
+    config,
+    jsFiles,
+    cssFiles,
+    formats,
+    outputDir,
+    workspace,
+    cwd,
+    repository: workspace.split('/').pop(),
+    failOnCritical: !!options.failOnCritical
+  };
+}
+
+/**
+ * Forms in scheduledScan.urls and formFiles, plus extra --url values
+ */
+function getScanSources(context, extraUrls = []) {
+  const sources = [...(context.config.scheduledScan?.urls || [])];
+  (extraUrls || []).forEach(url => {
+    if (!sources.some(source => source === url || source?.url === url)) sources.push(url);
+  });
+  sources.push(...(context.config.formFiles || []));
+
+  if (sources.length === 0) {
+    throw new Error('Nothing to scan. Add scheduledScan.urls or formFiles to .performance-bot.json, or pass --url');
+  }
+  return sources;
+}
+
+/**
+ * Turn a command line form argument into a form source
+ * File paths are relative to where the CLI was started, not the workspace
+ */
+function toFormSource(target, htmlPath, context) {
+  if (isFormURL(target)) return target;
+
+  const toWorkspacePath = (filePath) => relative(context.workspace, resolve(context.cwd, filePath));
+  const source = new FileExtractor(context.workspace).normalizeSource(toWorkspacePath(target));
+  if (htmlPath) {
+    source.html = toWorkspacePath(htmlPath);
+  }
+  return source;
+}
+
+/**
+ * Analyze each form on its own (scheduled mode analysis)
+ * @param {Array} sources - Form URLs and/or form file entries
+ */
+async function scanForms(sources, context) {
+  const analyzers = await createFormAnalyzers(context.config, context.workspace);
+  const loaders = { urlAnalyzer: new URLAnalyzer(context.config), fileExtractor: new FileExtractor(context.workspace, context.config) };
+  const formResults = [];
+
+  try {
+    const workspaceIssues = await analyzeWorkspace(analyzers, context);
+    const loads = loadFormSources(sources, loaders);
+
+    for (let i = 0; i < sources.length; i++) {
+      const source = sources[i];
+      const normalized = isFormURL(source) ? null : loaders.fileExtractor.normalizeSource(source);
+      const url = normalized ? (normalized.json || normalized.html) : (source.url || source);
+      console.log(`\n[Form ${i + 1}/${sources.length}] Analyzing: ${url}`);
+
+      try {
+        const urlData = await loads.next();
+        writeArtifacts(context, [{ label: url, data: urlData }]);
+        formResults.push(await analyzeSingleForm({ ...urlData, url }, {
+          analyzers,
+          jsFiles: context.jsFiles,
+          cssFiles: context.cssFiles,
+          config: context.config,
+          workspaceIssues
+        }));
+      } catch (error) {
+        console.error(`  Form analysis failed: ${error.message}`);
+        formResults.push({ ...createFormResult(url, workspaceIssues), error: error.message });
+      }
+    }
+  } finally {
+    await loaders.urlAnalyzer.close();
+  }
+  return formResults;
+}
+
+/**
+ * Write JSON/HTML/Markdown reports for scanned forms
+ */
+function writeScanReports(formResults, context) {
+  const htmlReporter = new HTMLReporter();
+  const timestamp = new Date().toISOString();
+
+  writeReport(context, 'json', JSON.stringify({
+    command: 'scan',
+    generatedAt: timestamp,
+    forms: formResults,
+    fragments: summarizeFragments(formResults)
+  }, null, 2));
+
+  writeReport(context, 'html', () => {
+    // One detailed report per form, plus the summary as report.html
+    formResults.filter(r => !r.error).forEach(result => {
+      const sanitizedName = result.formName.replace(/[/\\:*?"<>|]/g, '-');
+      const filePath = join(context.outputDir, `${sanitizedName}-performance-report.html`);
+      writeFileSync(filePath, htmlReporter.generateScheduledReport(result, {
+        repository: context.repository,
+        analysisUrl: result.url,
+        timestamp
+      }), 'utf-8');
+      console.log(`Report saved to: ${filePath}`);
+    });
+
+    return htmlReporter.generateScheduledSummaryReport(formResults, {
+      repository: context.repository,
+      timestamp
+    });
+  });
+
+  writeReport(context, 'md', () => new MarkdownReporter().generateScanReport(formResults));
+  writeReport(context, 'sarif', () => createSARIFReporter(context).generateScanReport(formResults));
+}
+
+/**
+ * SARIF reporter that maps form JSON issues to the workspace's *.form.json files
+ */
+function createSARIFReporter(context) {
+  return new SARIFReporter({
+    workspaceRoot: context.workspace,
+    formFiles: new FileExtractor(context.workspace).findFormFiles()
+  });
+}
+
+/**
+ * Write report.<format> if the format was requested
+ * @param {Object} context - CLI context
+ * @param {string} format - json | html | md | sarif
+ * @param {string|Function} content - Report content or a function building it (skipped when not requested)
+ */
+function writeReport(context, format, content) {
+  if (!context.formats.includes(format)) return;
+
+  const filePath = join(context.outputDir, `report.${format}`);
+  writeFileSync(filePath, typeof content === 'function' ? content() : content, 'utf-8');
+  console.log(`Report saved to: ${filePath}`);
+}
+
+/**
+ * Write HAR recordings, traces and screenshots of analyzed URLs next to the reports
+ */
+function writeArtifacts(context, loads, visualDiff = null) {
+  writeHARFiles(context.outputDir, loads).forEach(filePath => console.log(`HAR saved to: ${filePath}`));
+  writeTraceFiles(context.outputDir, loads).forEach(filePath => console.log(`Trace saved to: ${filePath}`));
+  const screenshots = writeScreenshotFiles(context.outputDir, loads, visualDiff);
+  if (screenshots.length > 0) {
+    console.log(`${screenshots.length} screenshot(s) saved to: ${context.outputDir}`);
+  }
+}
+
+/**
+ * Critical issues for a scanned form (same rules as the scheduled summary report)
+ */
+function hasCriticalFormIssues(result) {
+  if (result.error) return false;
+  return (result.rules?.issues || []).some(i => i.cycles > 0) ||
+    [result.css, result.customFunctions, result.forms, result.html]
+      .some(category => (category?.issues || []).some(i => i.severity === 'error'));
+}
+
+function finish(hasCritical, context) {
+  if (hasCritical && context.failOnCritical) {
+    console.error('\nPerformance check failed: critical issues detected');
+    process.exitCode = 1;
+  }
+}
+
+program.parseAsync().catch(error => {
+  console.error(`perf-bot failed: ${error.message}`);
+  process.exit(1);
+});
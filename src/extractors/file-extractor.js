@@ -0,0 +1,193 @@
+import { existsSync, readdirSync, readFileSync, statSync } from 'fs';
+import { basename, dirname, join, relative, resolve } from 'path';
+import { JSONExtractor } from './json-extractor.js';
+import { FragmentResolver } from './fragment-resolver.js';
+import { getFragmentName } from '../utils/fragments.js';
+
+/**
+ * Loads forms from files in the repository instead of a live URL
+ * Supports *.form.json files (EDS form JSON or Core Components model.json)
+ * and optional saved rendered HTML, so form analysis works without a browser.
+ * Fragments the form references are inlined from the workspace's *.form.json files.
+ */
+export class FileExtractor {
+  constructor(workspaceRoot = process.cwd(), config = null) {
+    this.workspaceRoot = workspaceRoot;
+    this.jsonExtractor = new JSONExtractor();
+    this.fragmentResolver = new FragmentResolver(config);
+    this.formFiles = null; // Cached findFormFiles() result for fragment lookups
+  }
+
+  /**
+   * Load a form from local files
+   * @param {string|Object} source - Path to a *.form.json / .html file, or { json, html } paths
+   * @returns {Object} Same shape as URLAnalyzer.analyze() (performanceMetrics is null - nothing was rendered)
+   */
+  extract(source) {
+    const { json, html } = this.normalizeSource(source);
+    const label = json || html;
+
+    const read = (filePath) => {
+      const fullPath = resolve(this.workspaceRoot, filePath);
+      if (!existsSync(fullPath)) {
+        throw new Error(`Form file not found: ${filePath}`);
+      }
+      return readFileSync(fullPath, 'utf-8');
+    };
+
+    console.log(`Loading form from file: ${label}${json && html ? ` (HTML: ${html})` : ''}`);
+
+    const result = this.extractFromContent({
+      json: json ? read(json) : null,
+      html: html ? read(html) : null
+    }, label);
+
+    if (result.formJson) {
+      const { fragments } = this.fragmentResolver.resolveSync(result.formJson, path => this.loadFragment(path));
+      result.fragments = fragments;
+    }
+    return result;
+  }
+
+  /**
+   * Extract form data from file contents (e.g. a file read from another git ref)
+   * @param {Object} content - { json, html } file contents (either may be null)
+   * @param {string} label - Name used as the "url" of the result
+   * @returns {Object} Same shape as URLAnalyzer.analyze()
+   */
+  extractFromContent(content, label) {
+    let formJson = null;
+    const errors = [];
+
+    if (content.json) {
+      formJson = this.parseFormContent(content.json);
+      if (!formJson) {
+        errors.push({ message: `Failed to parse form JSON from ${label}` });
+      }
+    } else if (content.html) {
+      const extracted = this.jsonExtractor.extractEDS(content.html);
+      formJson = extracted.formJson;
+      errors.push(...extracted.errors);
+    }
+
+    return {
+      url: label,
+      source: 'file',
+      timestamp: new Date().toISOString(),
+      html: content.html || null,
+      formJson,
+      jsonErrors: errors,
+      rawSize: content.html ? content.html.length : 0,
+      fragments: null, // [{ path, source, components, resolved }] once resolved (see FragmentResolver)
+      performanceMetrics: null,
+    };
+  }
+
+  /**
+   * Parse form file content
+   * @param {string} json - *.form.json content (or null)
+   * @returns {Object|null} Form JSON - Core Components model.json wraps the form container,
+   *   EDS form JSON is the form itself
+   */
+  parseFormContent(json) {
+    const parsed = json ? this.jsonExtractor.parseJSON(json) : null;
+    return parsed ? (this.jsonExtractor.findFormInModel(parsed) || parsed) : null;
+  }
+
+  /**
+   * Load a fragment definition from the workspace (see FragmentResolver)
+   * @param {string} fragmentPath - Fragment path (fd:path)
+   * @returns {Object|null} { formJson, source } or null when no file matches
+   */
+  loadFragment(fragmentPath) {
+    const file = this.findFragmentFile(fragmentPath);
+    if (!file) return null;
+    const formJson = this.parseFormContent(readFileSync(resolve(this.workspaceRoot, file), 'utf-8'));
+    return formJson ? { formJson, source: file } : { error: `Failed to parse fragment ${file}` };
+  }
+
+  /**
+   * Find the *.form.json file of a fragment - named like the fragment's last path segment
+   * (/content/forms/af/fragments/address -> address.form.json); with several, the one whose
+   * folders share most of the fragment path
+   * @param {string} fragmentPath - Fragment path (fd:path)
+   * @returns {string|null} Path relative to the workspace
+   */
+  findFragmentFile(fragmentPath) {
+    this.formFiles = this.formFiles || this.findFormFiles();
+    const fileName = `${getFragmentName(fragmentPath)}.form.json`;
+    const segments = fragmentPath.split('/');
+
+    const score = file => dirname(file).split(/[\\/]/).filter(folder => segments.includes(folder)).length;
+    return this.formFiles
+      .filter(file => basename(file) === fileName)
+      .sort((a, b) => score(b) - score(a))[0] || null;
+  }
+
+  /**
+   * Normalize a form file entry from config or the command line
+   * A bare *.form.json path picks up a sibling <name>.html as its saved rendered HTML
+   * @param {string|Object} source - Path or { json, html }
+   * @returns {Object} { json, html } paths relative to the workspace (either may be null)
+   */
+  normalizeSource(source) {
+    if (source && typeof source === 'object') {
+      return { json: source.json || null, html: source.html || null };
+    }
+
+    if (/\.html?$/i.test(source)) {
+      return { json: null, html: source };
+    }
+
+    return { json: source, html: this.findSiblingHTML(source) };
+  }
+
+  /**
+   * Find every *.form.json file in the workspace
+   * @param {number} maxDepth - How deep to scan
+   * @returns {Array<string>} Paths relative to the workspace
+   */
+  findFormFiles(maxDepth = 10) {
+    const formFiles = [];
+
+    const scan = (dir, depth) => {
+      if (depth > maxDepth) return;
+
+      let entries;
+      try {
+        entries = readdirSync(dir);
+      } catch (error) {
+        return;
+      }
+
+      for (const entry of entries) {
+        if (entry === 'node_modules' || entry.startsWith('.')) continue;
+
+        const fullPath = join(dir, entry);
+        try {
+          if (statSync(fullPath).isDirectory()) {
+            scan(fullPath, depth + 1);
+          } else if (entry.endsWith('.form.json')) {
+            formFiles.push(relative(this.workspaceRoot, fullPath));
+          }
+        } catch (error) {
+          // Skip files/dirs we can't access
+        }
+      }
+    };
+
+    scan(resolve(this.workspaceRoot), 0);
+    return formFiles;
+  }
+
+  /**
+   * Find saved rendered HTML next to a form JSON file (apply.form.json -> apply.html)
+   * @param {string} jsonPath - Path to the form JSON file
+   * @returns {string|null} Path of the HTML file if it exists
+   */
+  findSiblingHTML(jsonPath) {
+    const name = basename(jsonPath).replace(/(\.form)?\.json$/i, '');
+    const htmlPath = join(dirname(jsonPath), `${name}.html`);
+    return existsSync(resolve(this.workspaceRoot, htmlPath)) ? htmlPath : null;
+  }
+}
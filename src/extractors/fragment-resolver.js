@@ -0,0 +1,157 @@
+import { FRAGMENT_PROPERTY, getFragmentOptions, isFragmentNode, getFragmentPath, getChildNodes } from '../utils/fragments.js';
+
+/**
+ * Inlines fragment definitions into form JSON
+ *
+ * Pages embed a fragment as a reference (a panel with fd:path) unless the server already
+ * inlined its fields. Each reference without children is loaded once per path, its children
+ * are copied into the reference, and every node inside a fragment - inlined here or by the
+ * server - is tagged with the fragment's path (see utils/fragments.js). Fragments inside
+ * fragments are resolved up to config.fragments.maxDepth; a fragment that includes itself
+ * is left as a reference.
+ *
+ * Definitions come from a loader, path -> { formJson, source } or null when not found:
+ * the page for URLs (JSONExtractor.extractFragment), *.form.json files for form files
+ * (FileExtractor.loadFragment).
+ */
+export class FragmentResolver {
+  constructor(config = null) {
+    this.config = config;
+    this.options = getFragmentOptions(config);
+  }
+
+  /**
+   * Resolve fragments with an async loader
+   * @param {Object} formJson - Extracted form JSON (changed in place)
+   * @param {Function} loadFragment - async path => { formJson, source } | null
+   * @returns {Promise<Object>} { formJson, fragments: [{ path, source, components, resolved }], errors: [{ path, message }] }
+   *   - fragments is null when config.fragments.enabled is false
+   */
+  async resolve(formJson, loadFragment) {
+    const steps = this.walk(formJson);
+    let step = steps.next();
+    while (!step.done) {
+      let definition;
+      try {
+        definition = await loadFragment(step.value);
+      } catch (error) {
+        definition = { error: error.message };
+      }
+      step = steps.next(definition);
+    }
+    return step.value;
+  }
+
+  /**
+   * Resolve fragments with a synchronous loader (form files)
+   * @see resolve
+   */
+  resolveSync(formJson, loadFragment) {
+    const steps = this.walk(formJson);
+    let step = steps.next();
+    while (!step.done) {
+      let definition;
+      try {
+        definition = loadFragment(step.value);
+      } catch (error) {
+        definition = { error: error.message };
+      }
+      step = steps.next(definition);
+    }
+    return step.value;
+  }
+
+  /**
+   * Walk the form, yielding each fragment path to load and receiving its definition
+   */
+  * walk(formJson) {
+    if (!formJson || !this.options.enabled) {
+      return { formJson, fragments: null, errors: [] };
+    }
+
+    const definitions = new Map(); // path -> { formJson, source } | null
+    const references = new Map(); // path -> first reference node
+    const sources = new Map();
+    const errors = [];
+    let pending = [];
+
+    const visit = (node, fragment, ancestors) => {
+      if (fragment) node[FRAGMENT_PROPERTY] = fragment;
+
+      const path = isFragmentNode(node) ? getFragmentPath(node) : null;
+      if (!path) {
+        getChildNodes(node).forEach(child => visit(child, fragment, ancestors));
+        return;
+      }
+
+      if (!references.has(path)) references.set(path, node);
+      const children = getChildNodes(node);
+      if (children.length > 0) {
+        if (!sources.has(path)) sources.set(path, 'inline'); // Inlined by the server
+        children.forEach(child => visit(child, path, [...ancestors, path]));
+      } else if (ancestors.includes(path)) {
+        errors.push({ path, message: `Fragment ${path} includes itself - not resolved` });
+      } else if (ancestors.length >= this.options.maxDepth) {
+        errors.push({ path, message: `Fragment ${path} is nested deeper than ${this.options.maxDepth} fragments - not resolved` });
+      } else {
+        pending.push({ node, path, ancestors: [...ancestors, path] });
+      }
+    };
+
+    visit(formJson, null, []);
+
+    while (pending.length > 0) {
+      const current = pending;
+      pending = [];
+
+      for (const reference of current) {
+        if (!definitions.has(reference.path)) {
+          const loaded = yield reference.path;
+          if (loaded?.formJson) {
+            definitions.set(reference.path, loaded);
+            sources.set(reference.path, loaded.source || null);
+          } else {
+            definitions.set(reference.path, null);
+            errors.push({ path: reference.path, message: loaded?.error || `Fragment ${reference.path} not found` });
+          }
+        }
+
+        const definition = definitions.get(reference.path);
+        if (definition) {
+          inlineChildren(reference.node, structuredClone(definition.formJson));
+          getChildNodes(reference.node).forEach(child => visit(child, reference.path, reference.ancestors));
+        }
+      }
+    }
+
+    errors.forEach(error => console.warn(`  ${error.message}`));
+
+    const fragments = [...references.entries()].map(([path, node]) => ({
+      path,
+      source: sources.get(path) || null,
+      components: countNodes(node),
+      resolved: getChildNodes(node).length > 0
+    }));
+    return { formJson, fragments, errors };
+  }
+}
+
+/**
+ * Copy a definition's children into a fragment reference (the definition is a form or a panel)
+ */
+function inlineChildren(reference, definition) {
+  if (Array.isArray(definition.items)) {
+    reference.items = definition.items;
+  }
+  if (definition[':items']) {
+    reference[':items'] = definition[':items'];
+    if (definition[':itemsOrder']) reference[':itemsOrder'] = definition[':itemsOrder'];
+  }
+}
+
+/**
+ * Nodes inside a node (not counting the node itself)
+ */
+function countNodes(node) {
+  return getChildNodes(node).reduce((count, child) => count + 1 + countNodes(child), 0);
+}
@@ -129,36 +129,8 @@ export class JSONExtractor {
       // Example: /content/forms/af/myform.html?wcmmode=disabled -> /content/forms/af/myform.model.json
       const modelUrl = url.replace('.html', '.model.json').split('?')[0];
       
-      // Use page.evaluate to fetch with the page's cookies/auth and Basic Auth for AEM
-      const jsonResponse = await page.evaluate(async (modelUrl) => {
-        try {
-          // Add Basic Auth for localhost AEM (default credentials)
-          const headers = {
-            'Accept': 'application/json'
-          };
-          
-          // For localhost AEM, add Basic Auth
-          const urlObj = new URL(modelUrl);
-          if (urlObj.hostname === 'localhost' || urlObj.hostname === '127.0.0.1') {
-            const credentials = 'admin:admin'; // Default AEM credentials
-            headers['Authorization'] = `Basic ${btoa(credentials)}`;
-          }
-          
-          const response = await fetch(modelUrl, {
-            credentials: 'include', // Include cookies
-            headers: headers
-          });
-          
-          if (!response.ok) {
-            return { error: `HTTP ${response.status}: ${response.statusText}` };
-          }
-          
-          const text = await response.text();
-          return { success: true, data: text };
-        } catch (error) {
-          return { error: error.message };
-        }
-      }, modelUrl);
+      // Fetched with the page's cookies and auth headers (auth profiles from config.auth - see utils/auth.js)
+      const jsonResponse = await this.fetchWithPage(modelUrl, page, 'application/json');
       
       if (jsonResponse.error) {
         results.errors.push({ message: `Failed to fetch model.json: ${jsonResponse.error}` });
@@ -188,6 +160,83 @@ export class JSONExtractor {
     return results;
   }
 
+  /**
+   * Fetch a URL from inside the page, so the request carries the page's cookies and auth headers
+   * @param {string} url - URL to fetch
+   * @param {Object} page - Puppeteer page object
+   * @param {string} accept - Accept header
+   * @returns {Promise<Object>} { success, data } or { error }
+   */
+  async fetchWithPage(url, page, accept) {
+    return page.evaluate(async (fetchUrl, acceptHeader) => {
+      try {
+        const response = await fetch(fetchUrl, {
+          credentials: 'include', // Include cookies
+          headers: { 'Accept': acceptHeader }
+        });
+        
+        if (!response.ok) {
+          return { error: `HTTP ${response.status}: ${response.statusText}` };
+        }
+        
+        const text = await response.text();
+        return { success: true, data: text };
+      } catch (error) {
+        return { error: error.message };
+      }
+    }, url, accept);
+  }
+
+  /**
+   * Load a fragment definition referenced by a form (see FragmentResolver)
+   * AEM paths (/content/...) are read from the fragment's model.json, anything else is
+   * an EDS page whose form JSON is in div.form pre.
+   * @param {string} fragmentPath - Fragment path (fd:path) or URL
+   * @param {string} pageUrl - URL of the form embedding the fragment
+   * @param {Object} page - Puppeteer page object from URLAnalyzer
+   * @returns {Promise<Object>} { formJson, source } or { error }
+   */
+  async extractFragment(fragmentPath, pageUrl, page) {
+    const isModel = fragmentPath.startsWith('/content/');
+    const fragmentUrl = new URL(isModel
+      ? `${fragmentPath.replace(/\.html$/, '').replace(/\/jcr:content.*$/, '')}.model.json`
+      : fragmentPath, pageUrl).href;
+
+    const response = await this.fetchWithPage(fragmentUrl, page, isModel ? 'application/json' : 'text/html');
+    if (response.error) {
+      return { error: `Failed to fetch fragment ${fragmentPath}: ${response.error}` };
+    }
+
+    const formJson = isModel
+      ? this.findFragmentInModel(this.parseJSON(response.data))
+      : this.extractEDS(response.data).formJson;
+    return formJson
+      ? { formJson, source: fragmentUrl }
+      : { error: `No fragment definition found at ${fragmentUrl}` };
+  }
+
+  /**
+   * Fragment container in a fragment's model.json (.../fragmentcontainer), else the form container,
+   * else the model itself
+   * @param {Object} modelJson - Parsed model.json (or null)
+   * @returns {Object|null} Fragment definition
+   */
+  findFragmentInModel(modelJson) {
+    if (!modelJson) return null;
+
+    const find = (obj) => {
+      if (!obj || typeof obj !== 'object') return null;
+      if (obj[':type']?.includes('/fragmentcontainer')) return obj;
+      for (const child of Object.values(obj[':items'] || {})) {
+        const result = find(child);
+        if (result) return result;
+      }
+      return null;
+    };
+
+    return find(modelJson) || this.findFormInModel(modelJson) || modelJson;
+  }
+
   /**
    * Recursively find form container in Core Components model.json
    * @param {Object} obj - Model JSON object
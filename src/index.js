@@ -1,20 +1,27 @@
 import * as core from '@actions/core';
 import * as github from '@actions/github';
-import { readdirSync, readFileSync, existsSync, statSync, writeFileSync } from 'fs';
+import { existsSync, writeFileSync } from 'fs';
 import { join } from 'path';
 import { URLAnalyzer } from './analyzers/url-analyzer.js';
-import { FormAnalyzer } from './analyzers/form-analyzer.js';
-import { FormEventsAnalyzer } from './analyzers/form-events-analyzer.js';
-import { HiddenFieldsAnalyzer } from './analyzers/hidden-fields-analyzer.js';
-import { RulePerformanceAnalyzer } from './analyzers/rule-performance-analyzer.js';
-import { FormHTMLAnalyzer } from './analyzers/form-html-analyzer.js';
-import { FormCSSAnalyzer } from './analyzers/form-css-analyzer.js';
-import { CustomFunctionAnalyzer } from './analyzers/custom-function-analyzer.js';
 import { AIAutoFixAnalyzer } from './analyzers/ai-autofix-analyzer.js';
 import { FormPRReporter } from './reporters/pr-reporter-form.js';
 import { HTMLReporter } from './reporters/html-reporter.js';
-import { extractURLsFromPR, getPRDiffFiles, filterResultsToPRFiles } from './utils/github-helper.js';
+import { SARIFReporter } from './reporters/sarif-reporter.js';
+import { FileExtractor } from './extractors/file-extractor.js';
+import { extractURLsFromPR, getPRDiffFiles, getFileContentAtRef, filterResultsToPRFiles } from './utils/github-helper.js';
 import { loadConfig } from './utils/config-loader.js';
+import { loadBaseline, applyBaseline, getFormKey } from './utils/baseline.js';
+import { writeHARFiles, writeTraceFiles, writeScreenshotFiles } from './utils/artifacts.js';
+import {
+  runFormComparison,
+  createFormAnalyzers,
+  analyzeWorkspace,
+  analyzeSingleForm,
+  createFormResult,
+  detectCriticalIssues,
+  loadFilesFromWorkspace,
+  loadFormSources
+} from './pipeline.js';
 
 /**
  * Get tokens for different operations
@@ -96,10 +103,15 @@ async function runPRMode(context, octokit, patOctokit, config) {
   const urls = extractURLsFromPR(prBody);
 
   const hasUrls = !!(urls.before && urls.after);
+
+  // PR diff files pick the form file to analyze (when no URLs) and filter results later
+  const prFiles = await getPRDiffFiles(octokit, owner, repo, prNumber);
+  const fileExtractor = new FileExtractor(process.cwd(), config);
+  const formFile = hasUrls ? null : selectFormFile(prFiles, config, fileExtractor);
   
-  if (!hasUrls) {
-    core.warning('⚠️  No Before/After URLs found in PR description.');
-    core.warning('URL-based analysis (form JSON, HTML, rules) will be skipped.');
+  if (!hasUrls && !formFile) {
+    core.warning('⚠️  No Before/After URLs found in PR description and no form files to analyze.');
+    core.warning('Form analysis (form JSON, HTML, rules) will be skipped.');
     core.warning('Only JS/CSS code analysis will be performed.');
     core.warning('');
     core.warning('To enable full form analysis, add URLs to PR description:');
@@ -107,27 +119,42 @@ async function runPRMode(context, octokit, patOctokit, config) {
     core.warning('  Before: https://example.com/before');
     core.warning('  After: https://example.com/after');
     core.warning('');
+    core.warning('Or commit the form JSON (*.form.json) and list it in .performance-bot.json "formFiles".');
+    core.warning('');
+  } else if (formFile) {
+    core.info(`✓ Form file: ${formFile.json || formFile.html}${formFile.json && formFile.html ? ` (HTML: ${formFile.html})` : ''}`);
   } else {
     core.info(`✓ Before URL: ${urls.before}`);
     core.info(`✓ After URL: ${urls.after}`);
   }
 
-  // Initialize analyzers with config
-  const formCSSAnalyzer = new FormCSSAnalyzer(config);
-  const customFunctionAnalyzer = new CustomFunctionAnalyzer(config);
   const aiAutoFixAnalyzer = new AIAutoFixAnalyzer(config);
 
   // URL-based analysis (only if URLs provided)
   let beforeData = null;
   let afterData = null;
+  let visualDiff = null;
+  let artifactsUrl = null;
   
   if (hasUrls) {
-    const urlAnalyzer = new URLAnalyzer();
+    const urlAnalyzer = new URLAnalyzer(config);
     
-    // Analyze both URLs
-    core.info('Fetching and analyzing before URL...');
-    beforeData = await urlAnalyzer.analyze(urls.before);
+    // Analyze both URLs (several alternating runs each - see config.sampling)
+    core.info('Fetching and analyzing before and after URLs...');
+    try {
+      ({ beforeData, afterData, visualDiff } = await urlAnalyzer.analyzePair(urls.before, urls.after));
+    } finally {
+      await urlAnalyzer.close();
+    }
     core.info(`✓ Fetched before URL: ${beforeData.rawSize} bytes HTML`);
+    const artifactsDir = writeArtifacts([
+      { label: urls.before, suffix: 'before', data: beforeData },
+      { label: urls.after, suffix: 'after', data: afterData }
+    ], visualDiff);
+    // Uploaded by the workflow (actions/upload-artifact) - listed on the run's summary page
+    if (artifactsDir) {
+      artifactsUrl = `${process.env.GITHUB_SERVER_URL || 'https://github.com'}/${owner}/${repo}/actions/runs/${context.runId}`;
+    }
     
     // Validate that form JSON was extracted from before URL
     if (!beforeData.formJson) {
@@ -144,8 +171,6 @@ async function runPRMode(context, octokit, patOctokit, config) {
     core.info(`Form JSON extracted from before URL (${beforeJsonStr.length} bytes)`);
     core.info(`Before form: id="${beforeFormId}", title="${beforeFormTitle}"`);
 
-    core.info('Fetching and analyzing after URL...');
-    afterData = await urlAnalyzer.analyze(urls.after);
     core.info(`✓ Fetched after URL: ${afterData.rawSize} bytes HTML`);
     
     // Validate that form JSON was extracted from after URL
@@ -171,6 +196,43 @@ async function runPRMode(context, octokit, patOctokit, config) {
       core.warning('  3. The form has not changed between branches');
       core.warning('Analysis will continue but results may not show differences.');
     }
+  } else if (formFile) {
+    // File-based analysis - no browser, before state is read from the PR base commit
+    core.info('Loading form from files (no browser)...');
+    afterData = fileExtractor.extract(formFile);
+    
+    if (!afterData.formJson) {
+      const errorMsg = afterData.jsonErrors?.length > 0
+        ? `Failed to extract form JSON from ${afterData.url}: ${afterData.jsonErrors[0].message}`
+        : `Failed to extract form JSON from ${afterData.url}`;
+      core.error(errorMsg);
+      core.setFailed(errorMsg);
+      return;
+    }
+    
+    const baseSha = context.payload.pull_request.base.sha;
+    const beforeContent = {
+      json: formFile.json ? await getFileContentAtRef(octokit, owner, repo, formFile.json, baseSha) : null,
+      html: formFile.html ? await getFileContentAtRef(octokit, owner, repo, formFile.html, baseSha) : null
+    };
+    beforeData = fileExtractor.extractFromContent(beforeContent, afterData.url);
+    
+    if (beforeData.formJson) {
+      // Fragments as they were at the base commit, so fragment changes show up in the diff
+      const { fragments } = await fileExtractor.fragmentResolver.resolve(beforeData.formJson, async fragmentPath => {
+        const file = fileExtractor.findFragmentFile(fragmentPath);
+        const formJson = file ? fileExtractor.parseFormContent(await getFileContentAtRef(octokit, owner, repo, file, baseSha)) : null;
+        return formJson ? { formJson, source: `${file} (base)` } : null;
+      });
+      beforeData.fragments = fragments;
+    } else {
+      // New form in this PR - compare against an empty form so everything counts as new
+      core.info(`  ${afterData.url} does not exist at base commit - treating as a new form`);
+      beforeData = { ...beforeData, formJson: { fieldType: 'form', ':items': {} }, html: null };
+    }
+    
+    urls.before = `${afterData.url} (base)`;
+    urls.after = afterData.url;
   } else {
     // No URLs provided - create empty data objects
     core.info('Skipping URL-based analysis (no URLs provided)');
@@ -182,255 +244,10 @@ async function runPRMode(context, octokit, patOctokit, config) {
   core.info('Loading JavaScript and CSS files from checked-out repository...');
   const { jsFiles, cssFiles } = await loadFilesFromWorkspace();
 
-  // Perform analyses based on available data
-  let formStructureAnalysis, formEventsAnalysis, beforeHiddenFields, afterHiddenFields;
-  let beforeRuleCycles, afterRuleCycles, formHTMLAnalysis, cssAnalysis;
-  let beforeCustomFunctions, afterCustomFunctions;
-  
-  if (hasUrls) {
-    // Full analysis with form JSON
-    core.info('Running all analyses in parallel (form JSON available)...');
-    
-    // Initialize form-specific analyzers
-    const formAnalyzer = new FormAnalyzer(config);
-    const formEventsAnalyzer = new FormEventsAnalyzer(config);
-    const hiddenFieldsAnalyzer = new HiddenFieldsAnalyzer(config);
-    const rulePerformanceAnalyzer = new RulePerformanceAnalyzer(config);
-    const formHTMLAnalyzer = new FormHTMLAnalyzer(config);
-    
-    const [
-      fsa,
-      fea,
-      { beforeHiddenFields: bhf, afterHiddenFields: ahf },
-      { beforeRuleCycles: brc, afterRuleCycles: arc },
-      fha,
-      css,
-      { beforeCustomFunctions: bcf, afterCustomFunctions: acf }
-    ] = await Promise.all([
-      // 1. Form Structure (synchronous)
-      Promise.resolve(formAnalyzer.compare(beforeData.formJson, afterData.formJson)),
-      
-      // 2. Form Events (synchronous)
-      Promise.resolve(formEventsAnalyzer.compare(beforeData.formJson, afterData.formJson)),
-      
-      // 3. Hidden Fields (synchronous)
-      Promise.resolve({
-        beforeHiddenFields: hiddenFieldsAnalyzer.analyze(beforeData.formJson, jsFiles),
-        afterHiddenFields: hiddenFieldsAnalyzer.analyze(afterData.formJson, jsFiles)
-      }),
-      
-      // 4. Rule Cycles (async - uses real function implementations from checked-out repo)
-      (async () => {
-        try {
-          core.info('Starting rule cycle analysis...');
-          const beforeRuleCycles = await rulePerformanceAnalyzer.analyze(beforeData.formJson);
-          core.info(`Before rules: ${beforeRuleCycles.totalRules || 0} rules, ${beforeRuleCycles.cycles || 0} cycles, ${beforeRuleCycles.slowRuleCount || 0} slow`);
-          if (beforeRuleCycles.cycles > 0) {
-            core.warning(`  Found ${beforeRuleCycles.cycles} cycle(s) in BEFORE state`);
-          }
-          
-          const afterRuleCycles = await rulePerformanceAnalyzer.analyze(afterData.formJson);
-          core.info(`After rules: ${afterRuleCycles.totalRules || 0} rules, ${afterRuleCycles.cycles || 0} cycles, ${afterRuleCycles.slowRuleCount || 0} slow`);
-          if (afterRuleCycles.cycles > 0) {
-            core.warning(`  Found ${afterRuleCycles.cycles} cycle(s) in AFTER state`);
-            if (afterRuleCycles.cycleDetails) {
-              afterRuleCycles.cycleDetails.forEach((cycle, i) => {
-                core.warning(`    Cycle ${i + 1}: ${(cycle.fields || []).join(' → ')}`);
-              });
-            }
-          }
-          
-          return { beforeRuleCycles, afterRuleCycles };
-        } catch (error) {
-          core.error(`Rule cycle analysis failed: ${error.message}`);
-          core.error(error.stack);
-          return {
-            beforeRuleCycles: { totalRules: 0, cycles: 0, error: error.message },
-            afterRuleCycles: { totalRules: 0, cycles: 0, error: error.message }
-          };
-        }
-      })(),
-      
-      // 5. Form HTML (synchronous)
-      Promise.resolve(formHTMLAnalyzer.compare(beforeData.html, afterData.html)),
-      
-      // 6. CSS (synchronous)
-      Promise.resolve(formCSSAnalyzer.analyze(cssFiles)),
-      
-      // 7. Custom Functions (synchronous)
-      Promise.resolve({
-        beforeCustomFunctions: customFunctionAnalyzer.analyze(beforeData.formJson, jsFiles),
-        afterCustomFunctions: customFunctionAnalyzer.analyze(afterData.formJson, jsFiles)
-      })
-    ]);
-    
-    formStructureAnalysis = fsa;
-    formEventsAnalysis = fea;
-    beforeHiddenFields = bhf;
-    afterHiddenFields = ahf;
-    beforeRuleCycles = brc;
-    afterRuleCycles = arc;
-    formHTMLAnalysis = fha;
-    cssAnalysis = css;
-    beforeCustomFunctions = bcf;
-    afterCustomFunctions = acf;
-    
-  } else {
-    // Limited analysis without URLs - only CSS and JS files
-    core.info('Running limited analysis (CSS/JS only, no form JSON)...');
-    
-    const [css, { beforeCustomFunctions: bcf, afterCustomFunctions: acf }] = await Promise.all([
-      // CSS analysis
-      Promise.resolve(formCSSAnalyzer.analyze(cssFiles)),
-      
-      // Custom Functions (without form JSON context)
-      Promise.resolve({
-        beforeCustomFunctions: customFunctionAnalyzer.analyze(null, jsFiles),
-        afterCustomFunctions: customFunctionAnalyzer.analyze(null, jsFiles)
-      })
-    ]);
-    
-    // Set empty results for form-specific analyzers
-    formStructureAnalysis = { after: { components: { total: 0 } }, before: { components: { total: 0 } } };
-    formEventsAnalysis = { after: { apiCallsInInitialize: [] }, newIssues: [], resolvedIssues: [] };
-    beforeHiddenFields = { unnecessaryHiddenFields: 0, fields: [] };
-    afterHiddenFields = { unnecessaryHiddenFields: 0, fields: [] };
-    beforeRuleCycles = { totalRules: 0, cycles: 0, slowRuleCount: 0, runtimeErrors: [] };
-    afterRuleCycles = { totalRules: 0, cycles: 0, slowRuleCount: 0, runtimeErrors: [] };
-    formHTMLAnalysis = { after: { issues: [] }, newIssues: [], resolvedIssues: [] };
-    cssAnalysis = css;
-    beforeCustomFunctions = bcf;
-    afterCustomFunctions = acf;
-  }
-
-  // Compile comparison results
-  const hiddenFieldsAnalysis = hasUrls 
-    ? (new (require('./analyzers/hidden-fields-analyzer.js').HiddenFieldsAnalyzer)(config)).compare(beforeHiddenFields, afterHiddenFields)
-    : { after: afterHiddenFields, before: beforeHiddenFields, newIssues: [], resolvedIssues: [] };
-    
-  const ruleCycleAnalysis = hasUrls
-    ? (new (require('./analyzers/rule-performance-analyzer.js').RulePerformanceAnalyzer)(config)).compare(beforeRuleCycles, afterRuleCycles)
-    : { after: afterRuleCycles, before: beforeRuleCycles, newCycles: [], resolvedCycles: [], slowRuleCount: 0 };
-    
-  const formCSSAnalysis = { after: cssAnalysis, newIssues: cssAnalysis.issues, resolvedIssues: [] };
-  const customFunctionAnalysis = customFunctionAnalyzer.compare(beforeCustomFunctions, afterCustomFunctions);
-  
-  core.info(hasUrls ? ' All analyses completed' : ' Limited analysis completed (CSS/JS only)');
-
-  // Merge runtime errors from rule cycle analysis into custom functions
-  if (ruleCycleAnalysis?.after?.runtimeErrors && ruleCycleAnalysis.after.runtimeErrors.length > 0) {
-    core.info(`Merging ${ruleCycleAnalysis.after.runtimeErrors.length} runtime error(s) into custom functions`);
-    
-    // Add runtime errors as issues to custom functions
-    // Runtime errors already have the correct file path from RulePerformanceAnalyzer
-    const runtimeErrorsWithFiles = ruleCycleAnalysis.after.runtimeErrors.map(error => {
-      // Find the function in custom function analysis to get line number
-      const functionInfo = customFunctionAnalysis.after.analysis?.find(
-        fn => fn.functionName === error.functionName
-      );
-      
-      let lineNumber = functionInfo?.line;
-      
-      // If line number not found (function not in static analysis), search file content
-      if (!lineNumber && error.file && error.file !== 'unknown') {
-        try {
-          const filePath = join(process.cwd(), error.file);
-          if (existsSync(filePath)) {
-            const content = readFileSync(filePath, 'utf-8');
-            const lines = content.split('\n');
-            
-            // Search for function definition (supports: function name(), export function name(), const name =)
-            const functionPattern = new RegExp(
-              `(export\\s+)?(async\\s+)?function\\s+${error.functionName}\\s*\\(|` +
-              `(export\\s+)?const\\s+${error.functionName}\\s*=|` +
-              `${error.functionName}\\s*:\\s*(async\\s+)?function`
-            );
-            
-            for (let i = 0; i < lines.length; i++) {
-              if (functionPattern.test(lines[i])) {
-                lineNumber = i + 1; // Convert to 1-indexed
-                core.info(`  Found ${error.functionName} at line ${lineNumber} in ${error.file}`);
-                break;
-              }
-            }
-          }
-        } catch (err) {
-          core.warning(`  Could not search file for ${error.functionName}: ${err.message}`);
-        }
-      }
-      
-      return {
-        ...error,
-        // error.file already has the correct path from RulePerformanceAnalyzer
-        // If not present, try to get from customFunctionAnalysis
-        file: error.file || functionInfo?.file || 'unknown',
-        line: lineNumber || 1  // Fallback to 1 only if search fails
-      };
-    });
-    
-    if (!customFunctionAnalysis.after.issues) {
-      customFunctionAnalysis.after.issues = [];
-    }
-    
-    // Deduplicate - don't add if already exists (by functionName)
-    const existingFunctionNames = new Set(
-      customFunctionAnalysis.after.issues
-        .filter(i => i.type === 'runtime-error-in-custom-function')
-        .map(i => i.functionName)
-    );
-    
-    core.info(`  Existing runtime errors in customFunctionAnalysis: ${existingFunctionNames.size}`);
-    if (existingFunctionNames.size > 0) {
-      core.info(`    Functions: ${Array.from(existingFunctionNames).join(', ')}`);
-    }
-    
-    const newRuntimeErrors = runtimeErrorsWithFiles.filter(
-      err => !existingFunctionNames.has(err.functionName)
-    );
-    
-    if (newRuntimeErrors.length > 0) {
-      customFunctionAnalysis.after.issues.push(...newRuntimeErrors);
-      core.info(`  Added ${newRuntimeErrors.length} new runtime error(s) (${runtimeErrorsWithFiles.length - newRuntimeErrors.length} already present)`);
-    } else {
-      core.info(`  No new runtime errors to add (all ${runtimeErrorsWithFiles.length} already in customFunctionAnalysis)`);
-    }
-    
-    // Final dedupe: Remove any remaining duplicates by function name (safety check)
-    const seenFunctions = new Set();
-    customFunctionAnalysis.after.issues = customFunctionAnalysis.after.issues.filter(issue => {
-      if (issue.type === 'runtime-error-in-custom-function') {
-        if (seenFunctions.has(issue.functionName)) {
-          core.warning(`  Removing duplicate runtime error for ${issue.functionName}`);
-          return false;
-        }
-        seenFunctions.add(issue.functionName);
-      }
-      return true;
-    });
-    
-    // Add to newIssues for reporting (only new ones)
-    if (!customFunctionAnalysis.newIssues) {
-      customFunctionAnalysis.newIssues = [];
-    }
-    customFunctionAnalysis.newIssues.push(...newRuntimeErrors);
-    
-    // Track runtime error count
-    customFunctionAnalysis.after.runtimeErrorCount = ruleCycleAnalysis.after.runtimeErrorCount;
-  }
-
-  let results = {
-    formStructure: formStructureAnalysis,
-    formEvents: formEventsAnalysis,
-    hiddenFields: hiddenFieldsAnalysis,
-    ruleCycles: ruleCycleAnalysis,
-    formHTML: formHTMLAnalysis,
-    formCSS: formCSSAnalysis,
-    customFunctions: customFunctionAnalysis,
-  };
+  let results = await runFormComparison(beforeData, afterData, { jsFiles, cssFiles, config });
 
   // FILTER results to PR diff files only
   core.info(' Filtering results to PR diff files only...');
-  const prFiles = await getPRDiffFiles(octokit, owner, repo, prNumber);
   core.info(`  PR modified ${prFiles.length} file(s):`);
   prFiles.forEach(f => core.info(`    - ${f}`));
   
@@ -442,6 +259,12 @@ async function runPRMode(context, octokit, patOctokit, config) {
   };
   core.info(`  Before filtering: ${beforeFilterCounts.customFunctions} custom function issues, ${beforeFilterCounts.css} CSS issues, ${beforeFilterCounts.formEvents} form event issues`);
   
+  // SARIF keeps every current issue - code scanning shows PR alerts for changed lines itself
+  writeSARIFReport(
+    new SARIFReporter({ formFiles: fileExtractor.findFormFiles() })
+      .generateReport(results, { formFile: formFile?.json || null })
+  );
+
   results = filterResultsToPRFiles(results, prFiles);
   
   // Log counts after filtering
@@ -453,6 +276,12 @@ async function runPRMode(context, octokit, patOctokit, config) {
   core.info(`  After filtering: ${afterFilterCounts.customFunctions} custom function issues, ${afterFilterCounts.css} CSS issues, ${afterFilterCounts.formEvents} form event issues`);
   core.info(` Filtered to issues in PR diff files only`);
 
+  // Known issues recorded in the baseline don't fail the PR - only regressions do
+  const baseline = loadBaseline(config);
+  if (baseline) {
+    results = applyBaseline(results, baseline, getFormKey(hasUrls ? urls.after : formFile));
+  }
+
   // AI AUTO-FIX SUGGESTIONS (runs after all analyzers complete)
   // Generates one-click fixable code suggestions for critical issues
   core.info(' Running AI Auto-Fix Analysis...');
@@ -511,6 +340,8 @@ async function runPRMode(context, octokit, patOctokit, config) {
     after: urls.after,
     beforeData, // Include performance metrics
     afterData,  // Include performance metrics
+    visualDiff, // Pixel diff of the before/after screenshots (null for form files)
+    artifactsUrl, // Workflow run with the uploaded screenshots (null without artifacts-dir)
     autoFixSuggestions, // Include AI-generated fix suggestions
     gistUrl: null, // No HTML report in PR mode
     totalVisibleComments, // Pass total visible comments (posted + existing) for accurate counting
@@ -547,37 +378,37 @@ async function runScheduledMode(context, octokit, patOctokit, config) {
   // Combine URLs (workflow input is added to config URLs, avoiding duplicates)
   const analysisUrls = [...configUrls];
   workflowUrls.forEach(url => {
-    if (!analysisUrls.includes(url)) {
+    if (!analysisUrls.some(source => getSourceLabel(source) === url)) {
       analysisUrls.push(url);
     }
   });
   
+  // Form files committed to the repository are analyzed without a browser
+  const fileExtractor = new FileExtractor(process.cwd(), config);
+  (config.formFiles || []).forEach(entry => {
+    analysisUrls.push(fileExtractor.normalizeSource(entry));
+  });
+  
   if (analysisUrls.length === 0) {
-    core.warning('⚠️  No analysis URLs provided for scheduled scan');
+    core.warning('⚠️  No analysis URLs or form files provided for scheduled scan');
     core.info('');
-    core.info('Scheduled mode requires URLs to extract form JSON.');
-    core.info('Form JSON is not stored in repository - it only exists at runtime.');
+    core.info('Scheduled mode requires URLs or form files to extract form JSON.');
     core.info('');
     core.info('To enable full analysis, provide URLs:');
     core.info('  1. Via .performance-bot.json: scheduledScan.urls array (multiple URLs)');
     core.info('  2. Via workflow_dispatch input: analysis-url (comma-separated, added to config URLs)');
     core.info('     Example: "https://example.com/form1,https://example.com/form2"');
+    core.info('  3. Via .performance-bot.json: formFiles array (*.form.json files in the repository)');
     core.info('');
     core.info('Falling back to static analysis only (CSS/JS files)...');
   } else {
     core.info(`Analyzing ${analysisUrls.length} form(s):`);
-    analysisUrls.forEach((url, i) => core.info(`  ${i + 1}. ${url}`));
+    analysisUrls.forEach((source, i) => core.info(`  ${i + 1}. ${getSourceLabel(source)}`));
   }
   
   // Initialize analyzers
-  const formCSSAnalyzer = new FormCSSAnalyzer(config);
-  const customFunctionAnalyzer = new CustomFunctionAnalyzer(config);
-  const rulePerformanceAnalyzer = new RulePerformanceAnalyzer(config);
-  const formAnalyzer = new FormAnalyzer(config);
-  const formEventsAnalyzer = new FormEventsAnalyzer(config);
-  const hiddenFieldsAnalyzer = new HiddenFieldsAnalyzer(config);
-  const formHTMLAnalyzer = new FormHTMLAnalyzer(config);
-  const urlAnalyzer = new URLAnalyzer();
+  const analyzers = await createFormAnalyzers(config);
+  const urlAnalyzer = new URLAnalyzer(config);
   
   // Load all files from workspace (NO filtering - entire codebase)
   core.info(' Loading all files from repository...');
@@ -586,94 +417,40 @@ async function runScheduledMode(context, octokit, patOctokit, config) {
   
   // 1. CSS ANALYSIS (all CSS files - done once for entire codebase)
   core.info(' Analyzing CSS files...');
-  const cssAnalysis = formCSSAnalyzer.analyze(cssFiles);
-  const globalCSSIssues = cssAnalysis.issues || [];
-  core.info(`  Found ${globalCSSIssues.length} CSS issues (codebase-wide)`);
+  const workspaceIssues = await analyzeWorkspace(analyzers, { jsFiles, cssFiles, config });
+  core.info(`  Found ${workspaceIssues.css?.length || 0} CSS issues (codebase-wide)`);
   
   // 2. FORM-SPECIFIC ANALYSIS (loop through each URL)
   const formResults = [];
   const formGistLinks = [];
   
   if (analysisUrls.length > 0) {
+    // Loads run config.browser.concurrency at a time, that many ahead of the form being analyzed
+    const loads = loadFormSources(analysisUrls, { urlAnalyzer, fileExtractor });
+
     for (let i = 0; i < analysisUrls.length; i++) {
-      const formUrl = analysisUrls[i];
+      const formUrl = getSourceLabel(analysisUrls[i]);
       core.info(`\n [Form ${i + 1}/${analysisUrls.length}] Analyzing: ${formUrl}`);
       
-      const formResult = {
-        url: formUrl,
-        formName: extractFormNameFromUrl(formUrl),
-        css: { issues: globalCSSIssues }, // Same CSS issues for all forms
-        customFunctions: { issues: [] },
-        rules: { issues: [] },
-        forms: { issues: [] },
-        html: null,
-        performance: null,
-        formJson: null,
-        gistUrl: null
-      };
+      let formResult = createFormResult(formUrl, workspaceIssues);
       
       try {
-        core.info('  Fetching form JSON from URL...');
-        const urlData = await urlAnalyzer.analyze(formUrl);
+        core.info('  Fetching form JSON...');
+        const urlData = await loads.next();
+        writeArtifacts([{ label: formUrl, data: urlData }]);
+        formResult = await analyzeSingleForm({ ...urlData, url: formUrl }, {
+          analyzers,
+          jsFiles,
+          cssFiles,
+          config,
+          workspaceIssues
+        });
         
-        if (!urlData.formJson) {
-          core.warning('  Failed to extract form JSON - skipping this form');
-          formResult.error = 'Failed to extract form JSON';
+        if (formResult.error) {
           formResults.push(formResult);
           continue;
         }
         
-        core.info(`  Form JSON extracted successfully`);
-        formResult.formJson = urlData.formJson;
-        
-        // Analyze this form
-        core.info('  Analyzing custom functions...');
-        const customFunctionsAnalysis = customFunctionAnalyzer.analyze(urlData.formJson, jsFiles);
-        formResult.customFunctions.issues = customFunctionsAnalysis.issues || [];
-        core.info(`    Found ${formResult.customFunctions.issues.length} custom function issues`);
-        
-        core.info('  Analyzing form events...');
-        const eventsAnalysis = formEventsAnalyzer.analyze(urlData.formJson);
-        if (eventsAnalysis.issues) {
-          formResult.forms.issues.push(...eventsAnalysis.issues);
-        }
-        core.info(`    Found ${eventsAnalysis.issues?.length || 0} form event issues`);
-        
-        core.info('  Analyzing hidden fields...');
-        const hiddenFieldsAnalysis = hiddenFieldsAnalyzer.analyze(urlData.formJson, jsFiles);
-        if (hiddenFieldsAnalysis.issues) {
-          formResult.forms.issues.push(...hiddenFieldsAnalysis.issues);
-        }
-        core.info(`    Found ${hiddenFieldsAnalysis.issues?.length || 0} hidden field issues`);
-        
-        core.info('  Analyzing rule cycles...');
-        const ruleCyclesAnalysis = await rulePerformanceAnalyzer.analyze(urlData.formJson);
-        if (ruleCyclesAnalysis.cycles > 0) {
-          formResult.rules.issues.push({
-            cycles: ruleCyclesAnalysis.cycles,
-            details: ruleCyclesAnalysis.cycleDetails,
-            totalRules: ruleCyclesAnalysis.totalRules
-          });
-        }
-        core.info(`    Found ${ruleCyclesAnalysis.cycles || 0} rule cycles`);
-        
-        core.info('  Analyzing HTML...');
-        const htmlAnalysis = formHTMLAnalyzer.analyze(urlData.html);
-        if (htmlAnalysis.issues) {
-          formResult.html = {
-            domSize: urlData.html?.length || 0,
-            formRendered: urlData.formRendered || false,
-            issues: htmlAnalysis.issues
-          };
-        }
-        core.info(`    Found ${htmlAnalysis.issues?.length || 0} HTML issues`);
-        
-        formResult.performance = {
-          loadTime: urlData.loadTime || 0,
-          jsHeapSize: urlData.jsHeapSize || 0
-        };
-        core.info(`    Load time: ${formResult.performance.loadTime}ms`);
-        
         // Generate individual HTML report for this form
         core.info('  Generating HTML report for this form...');
         const htmlReporter = new HTMLReporter();
@@ -715,6 +492,8 @@ async function runScheduledMode(context, octokit, patOctokit, config) {
       
       formResults.push(formResult);
     }
+
+    await urlAnalyzer.close();
   }
   
   // Check for PRs merged with performance exceptions in the last week
@@ -735,6 +514,10 @@ async function runScheduledMode(context, octokit, patOctokit, config) {
   const reportPath = join(process.cwd(), 'scheduled-performance-report.html');
   writeFileSync(reportPath, summaryHtmlReport, 'utf-8');
   core.info(` Summary report saved to: ${reportPath}`);
+
+  writeSARIFReport(
+    new SARIFReporter({ formFiles: fileExtractor.findFormFiles() }).generateScanReport(formResults)
+  );
   
   // Send email via SendGrid
   core.info('\n📧 Sending email report...');
@@ -760,6 +543,78 @@ async function runScheduledMode(context, octokit, patOctokit, config) {
   core.info(`\n✓ Scheduled scan completed - analyzed ${formResults.length} form(s)`);
 }
 
+/**
+ * Write the SARIF report when the sarif-file input is set
+ * Upload it with github/codeql-action/upload-sarif to see issues in code scanning.
+ * @param {string} sarif - SARIF JSON
+ */
+function writeSARIFReport(sarif) {
+  const sarifFile = core.getInput('sarif-file');
+  if (!sarifFile) return;
+
+  writeFileSync(sarifFile, sarif, 'utf-8');
+  core.setOutput('sarif-file', sarifFile);
+  core.info(` SARIF report saved to: ${sarifFile}`);
+}
+
+/**
+ * Write HAR recordings, traces and screenshots of analyzed URLs when the artifacts-dir input is set
+ * Upload the directory with actions/upload-artifact to inspect the loads in DevTools.
+ * @param {Array} loads - [{ label, suffix, data }] with URLAnalyzer results
+ * @param {Object} visualDiff - Pixel diff of a before/after pair (URLAnalyzer.analyzePair)
+ * @returns {string|null} The directory, or null when nothing was written
+ */
+function writeArtifacts(loads, visualDiff = null) {
+  const artifactsDir = core.getInput('artifacts-dir');
+  if (!artifactsDir) return null;
+
+  const written = writeHARFiles(artifactsDir, loads);
+  written.forEach(filePath => core.info(` HAR saved to: ${filePath}`));
+  const traces = writeTraceFiles(artifactsDir, loads);
+  traces.forEach(filePath => core.info(` Trace saved to: ${filePath}`));
+  const screenshots = writeScreenshotFiles(artifactsDir, loads, visualDiff);
+  if (screenshots.length > 0) {
+    core.info(` ${screenshots.length} screenshot(s) saved to: ${artifactsDir}`);
+  }
+  if (written.length === 0 && traces.length === 0 && screenshots.length === 0) return null;
+
+  core.setOutput('artifacts-dir', artifactsDir);
+  return artifactsDir;
+}
+
+/**
+ * Pick the form file to analyze in PR mode when no URLs are given
+ * Form files changed in the PR come first, then files listed in config.formFiles
+ * @param {Array<string>} prFiles - Files changed in the PR
+ * @param {Object} config - Bot configuration
+ * @param {FileExtractor} fileExtractor - Resolves sibling HTML for form JSON files
+ * @returns {Object|null} { json, html } file entry, or null if there is nothing to analyze
+ */
+function selectFormFile(prFiles, config, fileExtractor) {
+  const candidates = [
+    ...prFiles.filter(file => file.endsWith('.form.json') && existsSync(join(process.cwd(), file))),
+    ...(config.formFiles || [])
+  ].map(entry => fileExtractor.normalizeSource(entry));
+  
+  const unique = candidates.filter((candidate, i) =>
+    candidates.findIndex(c => c.json === candidate.json && c.html === candidate.html) === i
+  );
+  
+  if (unique.length > 1) {
+    core.warning(`Found ${unique.length} form files - analyzing ${getSourceLabel(unique[0])} only.`);
+    core.warning('Use "perf-bot scan" or a scheduled scan to analyze the others.');
+  }
+  
+  return unique[0] || null;
+}
+
+/**
+ * Display label for a form source (URL, { url, throttling } entry or { json, html } file entry)
+ */
+function getSourceLabel(source) {
+  return typeof source === 'string' ? source : (source.url || source.json || source.html);
+}
+
 /**
  * Get PRs merged with performance exceptions in the last N days
  * @param {Object} octokit - GitHub API client
@@ -807,290 +662,6 @@ async function getPRsWithExceptions(octokit, owner, repo, daysBack = 7) {
   }
 }
 
-/**
- * Extract form name from URL for display
- */
-function extractFormNameFromUrl(url) {
-  try {
-    const urlObj = new URL(url);
-    const pathname = urlObj.pathname;
-    const parts = pathname.split('/').filter(p => p);
-    // Return last 2-3 path segments as form name
-    return parts.slice(-3).join('/') || 'form';
-  } catch (error) {
-    return 'form';
-  }
-}
-
-/**
- * Detect critical performance issues that should fail the build
- * @param {Object} results - Analysis results
- * @param {number} totalVisibleComments - Count of inline comments actually visible in PR (most accurate)
- * @returns {Object} Critical issues summary
- */
-function detectCriticalIssues(results, totalVisibleComments = null) {
-  const critical = {
-  hasCritical: false,
-  count: 0,
-  issues: [],
-  };
-  
-  // If we have totalVisibleComments, use it directly (most accurate for PR mode)
-  // This represents issues that are ACTUALLY visible in the PR, not just detected
-  if (typeof totalVisibleComments === 'number' && totalVisibleComments > 0) {
-    critical.hasCritical = true;
-    critical.count = totalVisibleComments;
-    critical.issues.push(`${totalVisibleComments} issue(s) found in PR diff (see inline comments)`);
-    return critical;
-  }
-
-  // 1. API calls in initialize events (CRITICAL - blocks form rendering)
-  if (results.formEvents?.newIssues && results.formEvents.newIssues.length > 0) {
-  critical.hasCritical = true;
-  critical.count += results.formEvents.newIssues.length;
-  critical.issues.push(`${results.formEvents.newIssues.length} API call(s) in initialize events (blocks form rendering)`);
-  }
-
-  // 2. Circular dependencies (CRITICAL - causes infinite loops)
-  if (results.ruleCycles?.newCycles && results.ruleCycles.newCycles.length > 0) {
-  critical.hasCritical = true;
-  critical.count += results.ruleCycles.newCycles.length;
-  critical.issues.push(`${results.ruleCycles.newCycles.length} circular dependenc${results.ruleCycles.newCycles.length > 1 ? 'ies' : 'y'} (infinite loops)`);
-  }
-
-  // 2b. Slow rules (CRITICAL - blocks interactions)
-  if (results.ruleCycles?.slowRuleCount && results.ruleCycles.slowRuleCount > 0) {
-  critical.hasCritical = true;
-  critical.count += results.ruleCycles.slowRuleCount;
-  critical.issues.push(`${results.ruleCycles.slowRuleCount} slow rule(s) detected (> 50ms execution, blocks interactions)`);
-  }
-
-  // 3. Custom functions with violations (CRITICAL - breaks architecture)
-  if (results.customFunctions?.newIssues) {
-  const domAccessIssues = results.customFunctions.newIssues.filter(i => i.type === 'dom-access-in-custom-function');
-  const httpRequestIssues = results.customFunctions.newIssues.filter(i => i.type === 'http-request-in-custom-function');
-  
-  if (domAccessIssues.length > 0) {
-    critical.hasCritical = true;
-    critical.count += domAccessIssues.length;
-    critical.issues.push(`${domAccessIssues.length} custom function(s) directly accessing DOM`);
-  }
-  
-  if (httpRequestIssues.length > 0) {
-    critical.hasCritical = true;
-    critical.count += httpRequestIssues.length;
-    critical.issues.push(`${httpRequestIssues.length} custom function(s) making HTTP requests`);
-  }
-  }
-
-  // 4. CSS issues (ONLY severity: 'error' are critical in PR mode)
-  if (results.formCSS?.newIssues && results.formCSS.newIssues.length > 0) {
-    // Filter to only ERROR severity issues (not 'warning' or 'info')
-    const criticalCSSIssues = results.formCSS.newIssues.filter(i => i.severity === 'error');
-    
-    if (criticalCSSIssues.length > 0) {
-      critical.hasCritical = true;
-      critical.count += criticalCSSIssues.length;
-      
-      // Break down by type for reporting
-      const blockingImports = criticalCSSIssues.filter(i => i.type === 'css-import-blocking');
-      const backgroundImages = criticalCSSIssues.filter(i => i.type === 'css-background-image');
-      const inlineDataURIs = criticalCSSIssues.filter(i => i.type === 'inline-data-uri');
-      const otherCSS = criticalCSSIssues.length - blockingImports.length - backgroundImages.length - inlineDataURIs.length;
-      
-      if (blockingImports.length > 0) {
-        critical.issues.push(`${blockingImports.length} @import statement(s) in CSS`);
-      }
-      if (backgroundImages.length > 0) {
-        critical.issues.push(`${backgroundImages.length} CSS background-image(s)`);
-      }
-      if (inlineDataURIs.length > 0) {
-        critical.issues.push(`${inlineDataURIs.length} large inline data URI(s)`);
-      }
-      if (otherCSS > 0) {
-        critical.issues.push(`${otherCSS} other critical CSS issue(s)`);
-      }
-    }
-  }
-
-  // 5. HTML issues (ONLY severity: 'error' are critical in PR mode)
-  if (results.formHTML?.newIssues && results.formHTML.newIssues.length > 0) {
-    // Filter to only ERROR severity issues (not 'warning' or 'info')
-    const criticalHTMLIssues = results.formHTML.newIssues.filter(i => i.severity === 'error');
-    
-    if (criticalHTMLIssues.length > 0) {
-      critical.hasCritical = true;
-      
-      // Count critical HTML issues
-      criticalHTMLIssues.forEach(issue => {
-        if (issue.count) {
-          critical.count += 1; // Each issue type counts as 1
-          
-          // Add descriptive message based on type
-          if (issue.type === 'inline-scripts-on-page' && issue.breakdown) {
-            critical.issues.push(`${issue.count} inline script(s) (${issue.breakdown.head || 0} in <head>, ${issue.breakdown.body || 0} in <body>)`);
-          } else if (issue.type === 'blocking-scripts-on-page' && issue.breakdown) {
-            critical.issues.push(`${issue.count} blocking script(s) (${issue.breakdown.head || 0} in <head>, ${issue.breakdown.body || 0} in <body>)`);
-          } else if (issue.type === 'excessive-dom-size') {
-            critical.issues.push(`${issue.count} DOM nodes (threshold: ${issue.threshold})`);
-          } else if (issue.type === 'images-not-lazy-loaded') {
-            critical.issues.push(`${issue.count} image(s) without lazy loading`);
-          } else if (issue.type === 'large-dom-size') {
-            critical.issues.push(`${issue.count} DOM nodes (warning threshold)`);
-          } else if (issue.type === 'iframes-in-form') {
-            critical.issues.push(`${issue.count} iframe(s) in form`);
-          } else if (issue.type === 'autoplay-videos') {
-            critical.issues.push(`${issue.count} autoplay video(s)`);
-          } else {
-            critical.issues.push(`HTML issue: ${issue.message || issue.type}`);
-          }
-        }
-      });
-    }
-  }
-
-  // 6. Hidden fields (ONLY severity: 'error' are critical in PR mode)
-  if (results.hiddenFields?.newIssues && results.hiddenFields.newIssues.length > 0) {
-    // Filter to only ERROR severity issues (not 'warning' or 'info')
-    const criticalHiddenFields = results.hiddenFields.newIssues.filter(i => i.severity === 'error');
-    
-    if (criticalHiddenFields.length > 0) {
-      critical.hasCritical = true;
-      critical.count += criticalHiddenFields.length;
-      critical.issues.push(`${criticalHiddenFields.length} unnecessary hidden field(s)`);
-    }
-  }
-
-  // 7. Custom function runtime errors and other issues
-  // NOTE: DOM and HTTP are already counted in section #3 above, don't double-count
-  if (results.customFunctions?.newIssues && results.customFunctions.newIssues.length > 0) {
-    critical.hasCritical = true;
-    
-    // Break down by type
-    const runtimeErrors = results.customFunctions.newIssues.filter(i => i.type === 'runtime-error-in-custom-function');
-    const domAccessIssues = results.customFunctions.newIssues.filter(i => i.type === 'dom-access-in-custom-function');
-    const httpRequestIssues = results.customFunctions.newIssues.filter(i => i.type === 'http-request-in-custom-function');
-    
-    // Other issues = everything except runtime, DOM, HTTP (to avoid double counting)
-    const otherIssues = results.customFunctions.newIssues.length - runtimeErrors.length - domAccessIssues.length - httpRequestIssues.length;
-    
-    // Only count runtime errors and "other" here (DOM/HTTP already counted above)
-    critical.count += runtimeErrors.length + otherIssues;
-    
-    if (runtimeErrors.length > 0) {
-      critical.issues.push(`${runtimeErrors.length} custom function(s) with runtime errors`);
-    }
-    if (otherIssues > 0) {
-      critical.issues.push(`${otherIssues} other custom function issue(s)`);
-    }
-  }
-
-  return critical;
-}
-
-/**
- * Load JavaScript and CSS files from the checked-out repository
- * This is faster than fetching via GitHub API and works with the same files
- * that RuleCycleAnalyzer uses for loading custom functions
- */
-async function loadFilesFromWorkspace() {
-  const workspaceRoot = process.cwd();
-  const jsFiles = [];
-  const cssFiles = [];
-  
-  core.info(`Scanning workspace: ${workspaceRoot}`);
-  
-  // Recursively scan directory for JS and CSS files
-  function scanDirectory(dir, depth = 0) {
-  // Prevent infinite recursion and skip deep node_modules
-  if (depth > 10) return;
-  
-  try {
-    const entries = readdirSync(dir);
-    
-    for (const entry of entries) {
-      const fullPath = join(dir, entry);
-      
-      // Skip common ignore patterns
-      if (entry === 'node_modules' || 
-          entry === '.git' || 
-          entry === 'dist' ||
-          entry === 'coverage' ||
-          entry.startsWith('.')) {
-        continue;
-      }
-      
-      try {
-        const stats = statSync(fullPath);
-        
-        if (stats.isDirectory()) {
-          scanDirectory(fullPath, depth + 1);
-        } else if (stats.isFile()) {
-          const relativePath = fullPath.replace(workspaceRoot + '/', '');
-          
-          // JavaScript files
-          if ((entry.endsWith('.js') || entry.endsWith('.mjs')) &&
-              !relativePath.includes('test') &&
-              !relativePath.includes('__tests__') &&
-              !entry.includes('.test.') &&
-              !entry.includes('.spec.')) {
-            jsFiles.push({
-              filename: relativePath,
-              content: readFileSync(fullPath, 'utf-8')
-            });
-          }
-          
-          // CSS files
-          if (entry.endsWith('.css') &&
-              !relativePath.includes('test') &&
-              !relativePath.includes('__tests__')) {
-            cssFiles.push({
-              filename: relativePath,
-              content: readFileSync(fullPath, 'utf-8')
-            });
-          }
-        }
-      } catch (error) {
-        // Skip files/dirs we can't access
-        continue;
-      }
-    }
-  } catch (error) {
-    core.warning(`Could not scan directory ${dir}: ${error.message}`);
-  }
-  }
-  
-  scanDirectory(workspaceRoot);
-  
-  // Prioritize functions.js files so they're always included even if we hit the limit
-  // Sort to put functions.js files first
-  jsFiles.sort((a, b) => {
-  const aIsFunctions = a.filename.includes('functions.js');
-  const bIsFunctions = b.filename.includes('functions.js');
-  if (aIsFunctions && !bIsFunctions) return -1;
-  if (!aIsFunctions && bIsFunctions) return 1;
-  return 0;
-  });
-  
-  // Limit to reasonable numbers (same as API approach)
-  const jsFilesLimited = jsFiles.slice(0, 50);
-  const cssFilesLimited = cssFiles.slice(0, 30);
-  
-  core.info(`Found ${jsFiles.length} JS files (analyzing ${jsFilesLimited.length}), ${cssFiles.length} CSS files (analyzing ${cssFilesLimited.length})`);
-  
-  // Log functions.js files to verify they're included
-  const functionsFiles = jsFilesLimited.filter(f => f.filename.includes('functions.js'));
-  core.info(`functions.js files included (${functionsFiles.length}): ${functionsFiles.map(f => f.filename).join(', ')}`);
-  if (jsFilesLimited.length > 0 && functionsFiles.length === 0) {
-  core.warning(`No functions.js files found in first ${jsFilesLimited.length} files!`);
-  }
-  
-  return {
-  jsFiles: jsFilesLimited,
-  cssFiles: cssFilesLimited
-  };
-}
-
 /**
  * Fetch ALL JavaScript files from the PR branch (DEPRECATED - use loadFilesFromWorkspace instead)
  * Not just the diff - we need to scan all JS files to find hidden field references
@@ -0,0 +1,779 @@
+import * as core from '@actions/core';
+import { readdirSync, readFileSync, existsSync, statSync } from 'fs';
+import { join } from 'path';
+import { loadAnalyzerRegistry, BUILTIN_ANALYZER_IDS } from './analyzers/registry.js';
+import { normalizeIssue, diffIssues, dedupeIssues } from './utils/issue-model.js';
+import { attributeIssuesToFragments } from './utils/fragments.js';
+
+/**
+ * Shared analysis pipeline
+ * Used by the GitHub Action (src/index.js) and the standalone CLI (src/cli.js)
+ * so both run exactly the same analyzers over the same inputs.
+ */
+
+/**
+ * Compare a before/after pair of rendered forms (PR mode analysis)
+ * @param {Object} beforeData - URLAnalyzer result for the before state ({ formJson, html, ... })
+ * @param {Object} afterData - URLAnalyzer result for the after state
+ * @param {Object} options - { jsFiles, cssFiles, config, workspaceRoot, analyzers }
+ *   analyzers defaults to the built-in analyzers plus config.analyzers (see createFormAnalyzers)
+ * @returns {Promise<Object>} Results keyed by analyzer id (formStructure, formEvents, ...)
+ */
+export async function runFormComparison(beforeData, afterData, options = {}) {
+  const { jsFiles = [], cssFiles = [], config = null, workspaceRoot = process.cwd() } = options;
+  const analyzers = options.analyzers || await createFormAnalyzers(config, workspaceRoot);
+  const hasFormJson = !!(beforeData?.formJson && afterData?.formJson);
+
+  core.info(hasFormJson
+    ? 'Running all analyses in parallel (form JSON available)...'
+    : 'Running limited analysis (CSS/JS only, no form JSON)...');
+
+  const toInput = data => ({
+    formJson: data?.formJson || null,
+    html: data?.html || null,
+    jsFiles,
+    cssFiles,
+    webVitals: data?.performanceMetrics?.webVitals || null,
+    renderMilestones: data?.performanceMetrics?.renderMilestones || null,
+    network: data?.network || null,
+    coverage: data?.coverage || null,
+    journey: data?.journey || null,
+    browserErrors: data?.browserErrors || null,
+    mainThread: data?.mainThread || null,
+    config
+  });
+  const beforeInput = toInput(beforeData);
+  const afterInput = toInput(afterData);
+
+  const comparisons = await Promise.all(
+    analyzers.map(entry => compareWithAnalyzer(entry, beforeInput, afterInput))
+  );
+
+  const results = {};
+  analyzers.forEach(({ descriptor }, i) => {
+    results[descriptor.id] = comparisons[i];
+  });
+
+  core.info(hasFormJson ? ' All analyses completed' : ' Limited analysis completed (CSS/JS only)');
+
+  if (results.ruleCycles && results.customFunctions) {
+    mergeRuntimeErrors(results.ruleCycles, results.customFunctions, workspaceRoot);
+  }
+
+  return results;
+}
+
+/**
+ * Run one analyzer on both states and compare the results
+ * Analyzers whose inputs are missing on either side get an empty comparison
+ */
+async function compareWithAnalyzer({ descriptor, analyzer }, beforeInput, afterInput) {
+  try {
+    let comparison;
+
+    if (descriptor.scope === 'workspace') {
+      // Workspace files only exist in the checked-out (after) state
+      const after = await analyzeWith(descriptor, analyzer, afterInput);
+      comparison = { after, newIssues: after.issues, resolvedIssues: [] };
+    } else if (!hasInputs(descriptor, beforeInput) || !hasInputs(descriptor, afterInput)) {
+      comparison = createEmptyComparison(descriptor);
+    } else {
+      const before = await analyzeWith(descriptor, analyzer, beforeInput);
+      const after = await analyzeWith(descriptor, analyzer, afterInput);
+      comparison = descriptor.compare
+        ? await descriptor.compare(before, after, analyzer)
+        : { before, after, ...diffIssues(before.issues, after.issues) };
+    }
+
+    // Issues built by compare() itself still need the unified fields
+    ['newIssues', 'resolvedIssues'].forEach(key => {
+      if (Array.isArray(comparison[key])) {
+        comparison[key] = ensureNormalized(comparison[key], descriptor.id);
+      }
+    });
+    attributeIssuesToFragments(comparison.newIssues, afterInput.formJson);
+    attributeIssuesToFragments(comparison.resolvedIssues, beforeInput.formJson);
+
+    // Reports show third-party analyzers under their own title
+    return descriptor.builtin ? comparison : { title: descriptor.title, ...comparison };
+  } catch (error) {
+    core.error(`${descriptor.title} analysis failed: ${error.message}`);
+    core.error(error.stack);
+    return { ...createEmptyComparison(descriptor), error: error.message };
+  }
+}
+
+/**
+ * Whether every required input of an analyzer is available
+ */
+function hasInputs(descriptor, input) {
+  return descriptor.inputs.every(name => input[name] !== null && input[name] !== undefined);
+}
+
+function createEmptyComparison(descriptor) {
+  if (descriptor.empty) {
+    return descriptor.empty();
+  }
+  return { after: { issues: [] }, newIssues: [], resolvedIssues: [] };
+}
+
+/**
+ * Run an analyzer and convert its issues to the unified issue model
+ * Issues on fields from a fragment get `fragment` (see utils/fragments.js)
+ */
+async function analyzeWith(descriptor, analyzer, input) {
+  const result = await descriptor.analyze(input, analyzer);
+  if (result && !result.error) {
+    result.issues = attributeIssuesToFragments(ensureNormalized(result.issues, descriptor.id), input.formJson);
+    if (result.suppressedIssues) {
+      result.suppressedIssues = attributeIssuesToFragments(ensureNormalized(result.suppressedIssues, descriptor.id), input.formJson);
+    }
+  }
+  return result;
+}
+
+/**
+ * Normalize issues that aren't normalized yet (keeps references to normalized ones)
+ */
+function ensureNormalized(issues, analyzerId) {
+  return (issues || []).map(issue => (issue.fingerprint ? issue : normalizeIssue(issue, analyzerId)));
+}
+
+/**
+ * Merge runtime errors found while executing rules into the custom function results
+ * Runtime errors already carry the file path from RulePerformanceAnalyzer; the line
+ * number is taken from static analysis or by searching the file
+ */
+function mergeRuntimeErrors(ruleCycleAnalysis, customFunctionAnalysis, workspaceRoot) {
+  if (!ruleCycleAnalysis?.after?.runtimeErrors || ruleCycleAnalysis.after.runtimeErrors.length === 0) {
+    return;
+  }
+
+  core.info(`Merging ${ruleCycleAnalysis.after.runtimeErrors.length} runtime error(s) into custom functions`);
+
+  const runtimeErrorsWithFiles = ruleCycleAnalysis.after.runtimeErrors.map(error => {
+    // Find the function in custom function analysis to get line number
+    const functionInfo = customFunctionAnalysis.after.analysis?.find(
+      fn => fn.functionName === error.functionName
+    );
+
+    let lineNumber = functionInfo?.line;
+
+    // If line number not found (function not in static analysis), search file content
+    if (!lineNumber && error.file && error.file !== 'unknown') {
+      try {
+        const filePath = join(workspaceRoot, error.file);
+        if (existsSync(filePath)) {
+          const lines = readFileSync(filePath, 'utf-8').split('\n');
+
+          // Search for function definition (supports: function name(), export function name(), const name =)
+          const functionPattern = new RegExp(
+            `(export\\s+)?(async\\s+)?function\\s+${error.functionName}\\s*\\(|` +
+            `(export\\s+)?const\\s+${error.functionName}\\s*=|` +
+            `${error.functionName}\\s*:\\s*(async\\s+)?function`
+          );
+
+          for (let i = 0; i < lines.length; i++) {
+            if (functionPattern.test(lines[i])) {
+              lineNumber = i + 1; // Convert to 1-indexed
+              core.info(`  Found ${error.functionName} at line ${lineNumber} in ${error.file}`);
+              break;
+            }
+          }
+        }
+      } catch (err) {
+        core.warning(`  Could not search file for ${error.functionName}: ${err.message}`);
+      }
+    }
+
+    return normalizeIssue({
+      ...error,
+      file: error.file || functionInfo?.file || 'unknown',
+      line: lineNumber || 1  // Fallback to 1 only if search fails
+    }, 'ruleCycles');
+  });
+
+  if (!customFunctionAnalysis.after.issues) {
+    customFunctionAnalysis.after.issues = [];
+  }
+
+  // Deduplicate - don't add if already exists (by fingerprint: rule + file + function)
+  const existing = customFunctionAnalysis.after.issues;
+  const { newIssues: newRuntimeErrors } = diffIssues(existing, dedupeIssues(runtimeErrorsWithFiles));
+
+  if (newRuntimeErrors.length > 0) {
+    customFunctionAnalysis.after.issues.push(...newRuntimeErrors);
+    core.info(`  Added ${newRuntimeErrors.length} new runtime error(s) (${runtimeErrorsWithFiles.length - newRuntimeErrors.length} already present)`);
+  } else {
+    core.info(`  No new runtime errors to add (all ${runtimeErrorsWithFiles.length} already in customFunctionAnalysis)`);
+  }
+
+  // Add to newIssues for reporting (only new ones)
+  if (!customFunctionAnalysis.newIssues) {
+    customFunctionAnalysis.newIssues = [];
+  }
+  customFunctionAnalysis.newIssues.push(...newRuntimeErrors);
+
+  // Track runtime error count
+  customFunctionAnalysis.after.runtimeErrorCount = ruleCycleAnalysis.after.runtimeErrorCount;
+}
+
+/**
+ * Create the analyzers for a run: the built-in analyzers plus any listed in config.analyzers
+ * Creating them once lets a scan reuse them across every form
+ * @param {Object} config - Bot configuration
+ * @param {string} workspaceRoot - Repository root third-party analyzer paths are relative to
+ * @returns {Promise<Array>} [{ descriptor, analyzer }] (see src/analyzers/registry.js)
+ */
+export async function createFormAnalyzers(config = null, workspaceRoot = process.cwd()) {
+  const registry = await loadAnalyzerRegistry(config, workspaceRoot);
+  return registry.instantiate(config);
+}
+
+/**
+ * Run workspace-wide analyzers (e.g. CSS) once for a scan
+ * @param {Array} analyzers - Result of createFormAnalyzers()
+ * @param {Object} files - { jsFiles, cssFiles, config }
+ * @returns {Promise<Object>} Issues keyed by scan report section ({ css: [...] }), plus
+ *   `suppressed` with the issues silenced by suppression comments
+ */
+export async function analyzeWorkspace(analyzers, files = {}) {
+  const { jsFiles = [], cssFiles = [], config = null } = files;
+  const workspaceIssues = { suppressed: [] };
+
+  for (const { descriptor, analyzer } of analyzers) {
+    if (descriptor.scope !== 'workspace' || !descriptor.section) continue;
+
+    try {
+      const result = await analyzeWith(descriptor, analyzer, { formJson: null, html: null, jsFiles, cssFiles, webVitals: null, renderMilestones: null, network: null, coverage: null, journey: null, browserErrors: null, mainThread: null, config });
+      workspaceIssues[descriptor.section] = [
+        ...(workspaceIssues[descriptor.section] || []),
+        ...(result.issues || [])
+      ];
+      workspaceIssues.suppressed.push(...(result.suppressedIssues || []));
+    } catch (error) {
+      core.warning(`  ${descriptor.title} analysis failed: ${error.message}`);
+    }
+  }
+
+  return workspaceIssues;
+}
+
+/**
+ * Analyze a single rendered form (scheduled mode analysis)
+ * @param {Object} urlData - URLAnalyzer result ({ url, formJson, html, performanceMetrics })
+ * @param {Object} options - { analyzers, jsFiles, cssFiles, config, workspaceIssues }
+ * @returns {Promise<Object>} Form result consumed by HTMLReporter.generateScheduledReport
+ */
+export async function analyzeSingleForm(urlData, options = {}) {
+  const { analyzers, jsFiles = [], cssFiles = [], config = null, workspaceIssues = {} } = options;
+  const formResult = createFormResult(urlData.url, workspaceIssues);
+
+  if (!urlData.formJson) {
+    core.warning('  Failed to extract form JSON - skipping this form');
+    formResult.error = 'Failed to extract form JSON';
+    return formResult;
+  }
+
+  core.info(`  Form JSON extracted successfully`);
+  formResult.formJson = urlData.formJson;
+  formResult.fragments = urlData.fragments || null;
+
+  const input = {
+    formJson: urlData.formJson,
+    html: urlData.html || null,
+    jsFiles,
+    cssFiles,
+    webVitals: urlData.performanceMetrics?.webVitals || null,
+    renderMilestones: urlData.performanceMetrics?.renderMilestones || null,
+    network: urlData.network || null,
+    coverage: urlData.coverage || null,
+    journey: urlData.journey || null,
+    browserErrors: urlData.browserErrors || null,
+    mainThread: urlData.mainThread || null,
+    config
+  };
+
+  for (const { descriptor, analyzer } of analyzers) {
+    // Workspace analyzers ran once for the whole scan; section-less ones only compare before/after
+    if (descriptor.scope === 'workspace' || !descriptor.section) continue;
+
+    if (!hasInputs(descriptor, input)) {
+      core.info(`  Skipping ${descriptor.title} analysis (no ${descriptor.inputs.filter(name => !input[name]).join(', ')})`);
+      continue;
+    }
+
+    core.info(`  Analyzing ${descriptor.title}...`);
+    try {
+      const result = await analyzeWith(descriptor, analyzer, input);
+      if (descriptor.scan) {
+        descriptor.scan(result, formResult, urlData, analyzer);
+      } else {
+        formResult[descriptor.section] = formResult[descriptor.section] || { issues: [] };
+        formResult[descriptor.section].issues.push(...(result.issues || []));
+      }
+      formResult.suppressedIssues.push(...(result.suppressedIssues || []));
+      core.info(`    Found ${result.issues?.length || 0} ${descriptor.title} issue(s)`);
+    } catch (error) {
+      core.warning(`    ${descriptor.title} analysis failed: ${error.message}`);
+    }
+  }
+
+  // Form files are not rendered, so there is nothing to time
+  if (urlData.performanceMetrics) {
+    formResult.performance = {
+      loadTime: urlData.performanceMetrics.loadTime || 0,
+      jsHeapSize: urlData.performanceMetrics.JSHeapUsedSize || 0,
+      throttling: urlData.performanceMetrics.throttling || null
+    };
+    core.info(`    Load time: ${formResult.performance.loadTime}ms`);
+  }
+
+  return formResult;
+}
+
+/**
+ * Create an empty scheduled-mode form result for a URL
+ * @param {string} url - Form URL
+ * @param {Object} workspaceIssues - Codebase-wide issues shared by every form, keyed by section (see analyzeWorkspace)
+ */
+export function createFormResult(url, workspaceIssues = {}) {
+  return {
+    url,
+    formName: extractFormNameFromUrl(url),
+    css: { issues: [...(workspaceIssues.css || [])] }, // Same CSS issues for all forms
+    customFunctions: { issues: [...(workspaceIssues.customFunctions || [])] },
+    rules: { issues: [...(workspaceIssues.rules || [])] },
+    forms: { issues: [...(workspaceIssues.forms || [])] },
+    suppressedIssues: [...(workspaceIssues.suppressed || [])], // Silenced by perf-bot-disable / perf-bot:ignore
+    html: null,
+    performance: null,
+    webVitals: null, // [{ metric, value, target, status }] for rendered forms
+    renderMilestones: null, // Milestones and page/runtime phases (RenderMilestonesAnalyzer) for rendered forms
+    network: null, // Request summary (NetworkAnalyzer) for rendered forms
+    coverage: null, // Unused JS/CSS totals (CoverageAnalyzer) for rendered forms
+    journey: null, // Scripted journey steps (JourneyAnalyzer) for rendered forms with a journey
+    browserErrors: null, // Error counts (BrowserErrorsAnalyzer) for rendered forms
+    mainThread: null, // Main-thread time by category, script and long task (MainThreadAnalyzer) for traced forms
+    fragments: null, // [{ path, source, components, resolved }] embedded by the form (FragmentResolver)
+    complexity: null, // Form score, most expensive panels and treemap (ComplexityAnalyzer)
+    lazyLoading: null, // Panels not visible on first paint and what deferring them saves (LazyLoadingAnalyzer)
+    repeatables: null, // Per-instance cost of repeatable panels (RepeatableAnalyzer), measured growth from RulePerformanceAnalyzer
+    ruleExpressions: null, // Parsed rule/event expressions, functions called and their issues (RuleExpressionAnalyzer)
+    formJson: null,
+    gistUrl: null
+  };
+}
+
+/**
+ * Extract form name from URL (or form file path) for display
+ */
+export function extractFormNameFromUrl(url) {
+  if (url && !isFormURL(url)) {
+    // Form file: apply.form.json / apply.html -> apply
+    return url.split('/').pop().replace(/(\.form)?\.(json|html?)$/i, '') || 'form';
+  }
+
+  try {
+    const urlObj = new URL(url);
+    const pathname = urlObj.pathname;
+    const parts = pathname.split('/').filter(p => p);
+    // Return last 2-3 path segments as form name
+    return parts.slice(-3).join('/') || 'form';
+  } catch (error) {
+    return 'form';
+  }
+}
+
+/**
+ * Whether a form source is a URL (rendered in a browser) rather than a form file
+ * @param {string|Object} source - URL, { url, throttling } entry, file path or { json, html } file entry
+ */
+export function isFormURL(source) {
+  const url = source && typeof source === 'object' ? source.url : source;
+  return typeof url === 'string' && /^https?:\/\//i.test(url);
+}
+
+/**
+ * Load a form from a URL (headless browser) or from form files (no browser)
+ * @param {string|Object} source - URL, { url, throttling, auth, journey } entry, *.form.json / .html path, or { json, html } file entry
+ * @param {Object} loaders - { urlAnalyzer, fileExtractor }
+ * @returns {Promise<Object>} URLAnalyzer-shaped result ({ url, formJson, html, performanceMetrics, ... })
+ */
+export async function loadFormSource(source, loaders) {
+  if (isFormURL(source)) {
+    return typeof source === 'string'
+      ? loaders.urlAnalyzer.analyze(source)
+      : loaders.urlAnalyzer.analyze(source.url, { throttling: source.throttling, auth: source.auth, journey: source.journey });
+  }
+  return loaders.fileExtractor.extract(source);
+}
+
+/**
+ * Load several forms in order, a few ahead of the caller
+ * URL loads share the analyzer's browser pool, which runs config.browser.concurrency of them
+ * at a time. Only that many loads are started ahead of the one taken, so finished loads
+ * (with their screenshots, HAR and trace) don't pile up while earlier forms are analyzed.
+ * @param {Array} sources - Form sources (see loadFormSource)
+ * @param {Object} loaders - { urlAnalyzer, fileExtractor }
+ * @returns {Object} { next() } - next() returns the load of the next source, in source order;
+ *   a failure surfaces when that load is awaited
+ */
+export function loadFormSources(sources, loaders) {
+  const ahead = loaders.urlAnalyzer?.browserPool.getOptions().concurrency ?? 1;
+  const pending = [];
+  let started = 0;
+  let taken = 0;
+
+  return {
+    next() {
+      const index = taken++;
+      while (started < sources.length && started <= index + ahead) {
+        const load = loadFormSource(sources[started++], loaders);
+        load.catch(() => {}); // Not awaited yet - keep a failure from counting as unhandled
+        pending.push(load);
+      }
+      return pending.shift() ?? Promise.reject(new Error(`No form source left to load (${sources.length} loaded)`));
+    }
+  };
+}
+
+/**
+ * Load a before/after pair of forms
+ * Two URLs are loaded several times in alternating order (URLAnalyzer.analyzePair);
+ * anything else is loaded once per side
+ * @param {string|Object} beforeSource - Before URL or form file
+ * @param {string|Object} afterSource - After URL or form file
+ * @param {Object} loaders - { urlAnalyzer, fileExtractor }
+ * @returns {Promise<Object>} { beforeData, afterData }
+ */
+export async function loadFormPair(beforeSource, afterSource, loaders) {
+  if (isFormURL(beforeSource) && isFormURL(afterSource)) {
+    return loaders.urlAnalyzer.analyzePair(beforeSource, afterSource);
+  }
+  return {
+    beforeData: await loadFormSource(beforeSource, loaders),
+    afterData: await loadFormSource(afterSource, loaders)
+  };
+}
+
+/**
+ * Detect critical performance issues that should fail the build
+ * @param {Object} results - Analysis results
+ * @param {number} totalVisibleComments - Count of inline comments actually visible in PR (most accurate)
+ * @returns {Object} Critical issues summary
+ */
+export function detectCriticalIssues(results, totalVisibleComments = null) {
+  const critical = {
+    hasCritical: false,
+    count: 0,
+    issues: [],
+  };
+
+  // If we have totalVisibleComments, use it directly (most accurate for PR mode)
+  // This represents issues that are ACTUALLY visible in the PR, not just detected
+  if (typeof totalVisibleComments === 'number' && totalVisibleComments > 0) {
+    critical.hasCritical = true;
+    critical.count = totalVisibleComments;
+    critical.issues.push(`${totalVisibleComments} issue(s) found in PR diff (see inline comments)`);
+    return critical;
+  }
+
+  // 1. API calls in initialize events (CRITICAL - blocks form rendering)
+  if (results.formEvents?.newIssues && results.formEvents.newIssues.length > 0) {
+    critical.hasCritical = true;
+    critical.count += results.formEvents.newIssues.length;
+    critical.issues.push(`${results.formEvents.newIssues.length} API call(s) in initialize events (blocks form rendering)`);
+  }
+
+  // 2. Circular dependencies (CRITICAL - causes infinite loops)
+  if (results.ruleCycles?.newCycles && results.ruleCycles.newCycles.length > 0) {
+    critical.hasCritical = true;
+    critical.count += results.ruleCycles.newCycles.length;
+    critical.issues.push(`${results.ruleCycles.newCycles.length} circular dependenc${results.ruleCycles.newCycles.length > 1 ? 'ies' : 'y'} (infinite loops)`);
+  }
+
+  // 2b. Slow rules (CRITICAL - blocks interactions)
+  if (results.ruleCycles?.slowRuleCount && results.ruleCycles.slowRuleCount > 0) {
+    critical.hasCritical = true;
+    critical.count += results.ruleCycles.slowRuleCount;
+    critical.issues.push(`${results.ruleCycles.slowRuleCount} slow rule(s) detected (> 50ms execution, blocks interactions)`);
+  }
+
+  // 2c. Rule expressions that don't parse (CRITICAL - af-core never runs them)
+  const syntaxErrors = (results.ruleExpressions?.newIssues || []).filter(i => i.type === 'rule-syntax-error');
+  if (syntaxErrors.length > 0) {
+    critical.hasCritical = true;
+    critical.count += syntaxErrors.length;
+    critical.issues.push(`${syntaxErrors.length} rule expression(s) that don't parse (never run)`);
+  }
+
+  // 3. Custom functions with violations (CRITICAL - breaks architecture)
+  if (results.customFunctions?.newIssues) {
+    const domAccessIssues = results.customFunctions.newIssues.filter(i => i.type === 'dom-access-in-custom-function');
+    const httpRequestIssues = results.customFunctions.newIssues.filter(i => i.type === 'http-request-in-custom-function');
+
+    if (domAccessIssues.length > 0) {
+      critical.hasCritical = true;
+      critical.count += domAccessIssues.length;
+      critical.issues.push(`${domAccessIssues.length} custom function(s) directly accessing DOM`);
+    }
+
+    if (httpRequestIssues.length > 0) {
+      critical.hasCritical = true;
+      critical.count += httpRequestIssues.length;
+      critical.issues.push(`${httpRequestIssues.length} custom function(s) making HTTP requests`);
+    }
+  }
+
+  // 4. CSS issues (ONLY severity: 'error' are critical in PR mode)
+  if (results.formCSS?.newIssues && results.formCSS.newIssues.length > 0) {
+    // Filter to only ERROR severity issues (not 'warning' or 'info')
+    const criticalCSSIssues = results.formCSS.newIssues.filter(i => i.severity === 'error');
+
+    if (criticalCSSIssues.length > 0) {
+      critical.hasCritical = true;
+      critical.count += criticalCSSIssues.length;
+
+      // Break down by type for reporting
+      const blockingImports = criticalCSSIssues.filter(i => i.type === 'css-import-blocking');
+      const backgroundImages = criticalCSSIssues.filter(i => i.type === 'css-background-image');
+      const inlineDataURIs = criticalCSSIssues.filter(i => i.type === 'inline-data-uri');
+      const otherCSS = criticalCSSIssues.length - blockingImports.length - backgroundImages.length - inlineDataURIs.length;
+
+      if (blockingImports.length > 0) {
+        critical.issues.push(`${blockingImports.length} @import statement(s) in CSS`);
+      }
+      if (backgroundImages.length > 0) {
+        critical.issues.push(`${backgroundImages.length} CSS background-image(s)`);
+      }
+      if (inlineDataURIs.length > 0) {
+        critical.issues.push(`${inlineDataURIs.length} large inline data URI(s)`);
+      }
+      if (otherCSS > 0) {
+        critical.issues.push(`${otherCSS} other critical CSS issue(s)`);
+      }
+    }
+  }
+
+  // 5. HTML issues (ONLY severity: 'error' are critical in PR mode)
+  if (results.formHTML?.newIssues && results.formHTML.newIssues.length > 0) {
+    // Filter to only ERROR severity issues (not 'warning' or 'info')
+    const criticalHTMLIssues = results.formHTML.newIssues.filter(i => i.severity === 'error');
+
+    if (criticalHTMLIssues.length > 0) {
+      critical.hasCritical = true;
+
+      // Count critical HTML issues
+      criticalHTMLIssues.forEach(issue => {
+        if (issue.count) {
+          critical.count += 1; // Each issue type counts as 1
+
+          // Add descriptive message based on type
+          if (issue.type === 'inline-scripts-on-page' && issue.breakdown) {
+            critical.issues.push(`${issue.count} inline script(s) (${issue.breakdown.head || 0} in <head>, ${issue.breakdown.body || 0} in <body>)`);
+          } else if (issue.type === 'blocking-scripts-on-page' && issue.breakdown) {
+            critical.issues.push(`${issue.count} blocking script(s) (${issue.breakdown.head || 0} in <head>, ${issue.breakdown.body || 0} in <body>)`);
+          } else if (issue.type === 'excessive-dom-size') {
+            critical.issues.push(`${issue.count} DOM nodes (threshold: ${issue.threshold})`);
+          } else if (issue.type === 'images-not-lazy-loaded') {
+            critical.issues.push(`${issue.count} image(s) without lazy loading`);
+          } else if (issue.type === 'large-dom-size') {
+            critical.issues.push(`${issue.count} DOM nodes (warning threshold)`);
+          } else if (issue.type === 'iframes-in-form') {
+            critical.issues.push(`${issue.count} iframe(s) in form`);
+          } else if (issue.type === 'autoplay-videos') {
+            critical.issues.push(`${issue.count} autoplay video(s)`);
+          } else {
+            critical.issues.push(`HTML issue: ${issue.message || issue.type}`);
+          }
+        }
+      });
+    }
+  }
+
+  // 6. Hidden fields (ONLY severity: 'error' are critical in PR mode)
+  if (results.hiddenFields?.newIssues && results.hiddenFields.newIssues.length > 0) {
+    // Filter to only ERROR severity issues (not 'warning' or 'info')
+    const criticalHiddenFields = results.hiddenFields.newIssues.filter(i => i.severity === 'error');
+
+    if (criticalHiddenFields.length > 0) {
+      critical.hasCritical = true;
+      critical.count += criticalHiddenFields.length;
+      critical.issues.push(`${criticalHiddenFields.length} unnecessary hidden field(s)`);
+    }
+  }
+
+  // 7. Custom function runtime errors and other issues
+  // NOTE: DOM and HTTP are already counted in section #3 above, don't double-count
+  if (results.customFunctions?.newIssues && results.customFunctions.newIssues.length > 0) {
+    critical.hasCritical = true;
+
+    // Break down by type
+    const runtimeErrors = results.customFunctions.newIssues.filter(i => i.type === 'runtime-error-in-custom-function');
+    const domAccessIssues = results.customFunctions.newIssues.filter(i => i.type === 'dom-access-in-custom-function');
+    const httpRequestIssues = results.customFunctions.newIssues.filter(i => i.type === 'http-request-in-custom-function');
+
+    // Other issues = everything except runtime, DOM, HTTP (to avoid double counting)
+    const otherIssues = results.customFunctions.newIssues.length - runtimeErrors.length - domAccessIssues.length - httpRequestIssues.length;
+
+    // Only count runtime errors and "other" here (DOM/HTTP already counted above)
+    critical.count += runtimeErrors.length + otherIssues;
+
+    if (runtimeErrors.length > 0) {
+      critical.issues.push(`${runtimeErrors.length} custom function(s) with runtime errors`);
+    }
+    if (otherIssues > 0) {
+      critical.issues.push(`${otherIssues} other custom function issue(s)`);
+    }
+  }
+
+  // 8. Core Web Vitals pushed over their target (ONLY severity: 'error' are critical)
+  const cwvRegressions = (results.webVitals?.newIssues || []).filter(i => i.severity === 'error');
+  if (cwvRegressions.length > 0) {
+    critical.hasCritical = true;
+    critical.count += cwvRegressions.length;
+    critical.issues.push(`${cwvRegressions.map(i => i.metric).join(', ')} over target (${cwvRegressions.length} Core Web Vital${cwvRegressions.length > 1 ? 's' : ''} regressed)`);
+  }
+
+  // 9. Network budgets newly exceeded (ONLY severity: 'error' are critical)
+  const budgetErrors = (results.network?.newIssues || []).filter(i => i.severity === 'error');
+  if (budgetErrors.length > 0) {
+    critical.hasCritical = true;
+    critical.count += budgetErrors.length;
+    budgetErrors.forEach(issue => critical.issues.push(`Network budget exceeded: ${issue.message}`));
+  }
+
+  // 10. Journeys that no longer get through the form (ONLY severity: 'error' are critical)
+  const brokenJourneys = (results.journey?.newIssues || []).filter(i => i.severity === 'error');
+  if (brokenJourneys.length > 0) {
+    critical.hasCritical = true;
+    critical.count += brokenJourneys.length;
+    brokenJourneys.forEach(issue => critical.issues.push(issue.message));
+  }
+
+  // 11. New uncaught errors / broken scripts in the browser (ONLY severity: 'error' are critical)
+  const browserErrors = (results.browserErrors?.newIssues || []).filter(i => i.severity === 'error');
+  if (browserErrors.length > 0) {
+    critical.hasCritical = true;
+    critical.count += browserErrors.length;
+    const sources = [...new Set(browserErrors.map(i => i.file || i.source))];
+    critical.issues.push(`${browserErrors.length} new error(s) in the browser (${sources.join(', ')})`);
+  }
+
+  // 12. Third-party analyzers from config.analyzers (ONLY severity: 'error' are critical)
+  Object.entries(results)
+    .filter(([id]) => !BUILTIN_ANALYZER_IDS.includes(id))
+    .forEach(([id, analysis]) => {
+      const errors = (analysis?.newIssues || []).filter(i => i.severity === 'error');
+      if (errors.length > 0) {
+        critical.hasCritical = true;
+        critical.count += errors.length;
+        critical.issues.push(`${errors.length} ${analysis.title || id} issue(s)`);
+      }
+    });
+
+  return critical;
+}
+
+/**
+ * Load JavaScript and CSS files from the checked-out repository
+ * This is faster than fetching via GitHub API and works with the same files
+ * that RuleCycleAnalyzer uses for loading custom functions
+ * @param {string} workspaceRoot - Directory to scan (defaults to the current working directory)
+ */
+export async function loadFilesFromWorkspace(workspaceRoot = process.cwd()) {
+  const jsFiles = [];
+  const cssFiles = [];
+
+  core.info(`Scanning workspace: ${workspaceRoot}`);
+
+  // Recursively scan directory for JS and CSS files
+  function scanDirectory(dir, depth = 0) {
+    // Prevent infinite recursion and skip deep node_modules
+    if (depth > 10) return;
+
+    try {
+      const entries = readdirSync(dir);
+
+      for (const entry of entries) {
+        const fullPath = join(dir, entry);
+
+        // Skip common ignore patterns
+        if (entry === 'node_modules' ||
+            entry === '.git' ||
+            entry === 'dist' ||
+            entry === 'coverage' ||
+            entry.startsWith('.')) {
+          continue;
+        }
+
+        try {
+          const stats = statSync(fullPath);
+
+          if (stats.isDirectory()) {
+            scanDirectory(fullPath, depth + 1);
+          } else if (stats.isFile()) {
+            const relativePath = fullPath.replace(workspaceRoot + '/', '');
+
+            // JavaScript files
+            if ((entry.endsWith('.js') || entry.endsWith('.mjs')) &&
+                !relativePath.includes('test') &&
+                !relativePath.includes('__tests__') &&
+                !entry.includes('.test.') &&
+                !entry.includes('.spec.')) {
+              jsFiles.push({
+                filename: relativePath,
+                content: readFileSync(fullPath, 'utf-8')
+              });
+            }
+
+            // CSS files
+            if (entry.endsWith('.css') &&
+                !relativePath.includes('test') &&
+                !relativePath.includes('__tests__')) {
+              cssFiles.push({
+                filename: relativePath,
+                content: readFileSync(fullPath, 'utf-8')
+              });
+            }
+          }
+        } catch (error) {
+          // Skip files/dirs we can't access
+          continue;
+        }
+      }
+    } catch (error) {
+      core.warning(`Could not scan directory ${dir}: ${error.message}`);
+    }
+  }
+
+  scanDirectory(workspaceRoot);
+
+  // Prioritize functions.js files so they're always included even if we hit the limit
+  jsFiles.sort((a, b) => {
+    const aIsFunctions = a.filename.includes('functions.js');
+    const bIsFunctions = b.filename.includes('functions.js');
+    if (aIsFunctions && !bIsFunctions) return -1;
+    if (!aIsFunctions && bIsFunctions) return 1;
+    return 0;
+  });
+
+  // Limit to reasonable numbers (same as API approach)
+  const jsFilesLimited = jsFiles.slice(0, 50);
+  const cssFilesLimited = cssFiles.slice(0, 30);
+
+  core.info(`Found ${jsFiles.length} JS files (analyzing ${jsFilesLimited.length}), ${cssFiles.length} CSS files (analyzing ${cssFilesLimited.length})`);
+
+  // Log functions.js files to verify they're included
+  const functionsFiles = jsFilesLimited.filter(f => f.filename.includes('functions.js'));
+  core.info(`functions.js files included (${functionsFiles.length}): ${functionsFiles.map(f => f.filename).join(', ')}`);
+  if (jsFilesLimited.length > 0 && functionsFiles.length === 0) {
+    core.warning(`No functions.js files found in first ${jsFilesLimited.length} files!`);
+  }
+
+  return {
+    jsFiles: jsFilesLimited,
+    cssFiles: cssFilesLimited
+  };
+}
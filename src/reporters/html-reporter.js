@@ -1,3 +1,20 @@
+import { BUILTIN_ANALYZER_IDS } from '../analyzers/registry.js';
+import { collectSuppressedIssues, describeSuppression } from '../utils/suppressions.js';
+import { formatValue, formatMetrics } from '../analyzers/web-vitals-analyzer.js';
+import { formatRenderMilestones } from '../analyzers/render-milestones-analyzer.js';
+import { compareSamples } from '../utils/statistics.js';
+import { formatKB, formatNetworkSummary } from '../analyzers/network-analyzer.js';
+import { formatCoverageSummary, getCoverageLabel } from '../analyzers/coverage-analyzer.js';
+import { formatJourneySummary } from '../analyzers/journey-analyzer.js';
+import { formatBrowserErrorsSummary } from '../analyzers/browser-errors-analyzer.js';
+import { CATEGORY_LABELS, getScriptLabel, formatMainThreadSummary } from '../analyzers/main-thread-analyzer.js';
+import { formatComplexitySummary, formatPanelCounts } from '../analyzers/complexity-analyzer.js';
+import { formatLazyLoadingSummary, describePlacement } from '../analyzers/lazy-loading-analyzer.js';
+import { formatPerInstance, formatMeasuredScaling, formatRepeatableSummary } from '../analyzers/repeatable-analyzer.js';
+import { formatRuleExpressionSummary } from '../analyzers/rule-expression-analyzer.js';
+import { formatReplaySummary } from '../utils/replay.js';
+import { summarizeFragments, formatFragmentSummary } from '../utils/fragments.js';
+
 /**
  * Generates a comprehensive HTML performance report
  * Uploaded as GitHub artifact for detailed analysis
@@ -324,6 +341,16 @@ export class HTMLReporter {
     .metric-delta.positive { color: #3fb950; }
     .metric-delta.negative { color: #f85149; }
     .metric-delta.neutral { color: #8b949e; }
+
+    .screenshots { display: grid; grid-template-columns: repeat(3, 1fr); gap: 15px; margin-top: 15px; }
+    .screenshots figure { margin: 0; }
+    .screenshots figcaption { color: #8b949e; font-size: 0.9em; margin-bottom: 5px; }
+    .screenshot { position: relative; border: 1px solid #30363d; }
+    .screenshot img { display: block; width: 100%; }
+    .diff-region { position: absolute; border: 2px solid #f0f; }
+    .filmstrip { display: flex; gap: 8px; overflow-x: auto; margin-top: 10px; }
+    .filmstrip figure { margin: 0; flex: 0 0 120px; text-align: center; color: #8b949e; font-size: 0.8em; }
+    .filmstrip img { width: 120px; border: 1px solid #30363d; }
   </style>
 </head>
 <body>
@@ -338,8 +365,19 @@ export class HTMLReporter {
     ${this.buildAutoFixBanner()}
     ${this.buildSummaryCards(results)}
     ${this.buildCriticalIssuesSection(results)}
-    ${this.buildFormLoadSection(urls)}
+    ${this.buildFormLoadSection(urls, results.webVitals)}
+    ${this.buildRenderMilestonesSection(results.renderMilestones)}
+    ${this.buildMainThreadSection(results.mainThread)}
+    ${this.buildScreenshotsSection(urls)}
+    ${this.buildNetworkSection(results.network)}
+    ${this.buildCoverageSection(results.coverage)}
+    ${this.buildJourneySection(results.journey)}
+    ${this.buildBrowserErrorsSection(results.browserErrors)}
     ${this.buildFormStructureSection(results)}
+    ${this.buildComplexitySection(results.complexity)}
+    ${this.buildLazyLoadingSection(results.lazyLoading)}
+    ${this.buildRepeatablesSection(results.repeatables, results.ruleCycles)}
+    ${this.buildRuleExpressionsSection(results.ruleExpressions)}
     ${this.buildFormEventsSection(results)}
     ${this.buildHiddenFieldsSection(results)}
     ${this.buildRuleCyclesSection(results)}
@@ -347,6 +385,8 @@ export class HTMLReporter {
     ${this.buildFormCSSSection(results)}
     ${this.buildCustomFunctionsSection(results)}
     ${this.buildFormValidationSection(results)}
+    ${this.buildAdditionalAnalyzersSection(results)}
+    ${this.buildSuppressedIssuesSection(collectSuppressedIssues(results))}
 
     <footer>
       Generated by <strong>AEM Forms Performance Analyzer</strong><br>
@@ -452,7 +492,7 @@ export class HTMLReporter {
     </div>`;
   }
 
-  buildFormLoadSection(urls) {
+  buildFormLoadSection(urls, webVitals = null) {
     const before = urls.beforeData?.performanceMetrics;
     const after = urls.afterData?.performanceMetrics;
     
@@ -464,9 +504,21 @@ export class HTMLReporter {
       (after.loadTime < 2000 ? 'success' : after.loadTime < 3000 ? 'info' : 'warning') : 
       'critical';
 
+    // Several runs per URL - only call a change when it is statistically significant
+    const beforeSamples = before?.samples?.loadTime || [];
+    const afterSamples = after?.samples?.loadTime || [];
+    const sampled = beforeSamples.length > 1 && afterSamples.length > 1
+      ? compareSamples(beforeSamples, afterSamples, { alpha: after.sampling?.alpha })
+      : null;
+    const changeLabel = !sampled ? ''
+      : sampled.change === 'increased' ? ' - slower'
+        : sampled.change === 'decreased' ? ' - faster' : ' - no significant change';
+
     return `
     <div class="section">
       <h2> Form Load Performance</h2>
+      ${after?.throttling ? `<p><small>Throttling profile: <strong>${after.throttling.name}</strong> - ${after.throttling.description}</small></p>` : ''}
+      ${urls.afterData?.replay ? `<p><small>${formatReplaySummary(urls.afterData.replay)}</small></p>` : ''}
       <table>
         <tr>
           <th>Metric</th>
@@ -476,14 +528,21 @@ export class HTMLReporter {
           <th>Status</th>
         </tr>
         <tr>
-          <td>Form Render Time</td>
+          <td>Form Render Time${sampled ? ` <small>(median of ${sampled.after.runs} runs)</small>` : ''}</td>
           <td>${beforeTime}ms</td>
           <td>${afterTime}ms</td>
           <td class="metric-delta ${afterTime < beforeTime ? 'positive' : 'negative'}">
             ${afterTime - beforeTime > 0 ? '+' : ''}${afterTime - beforeTime}ms
           </td>
-          <td><span class="badge ${status}">${after?.formRendered ? 'Loaded' : 'Failed'}</span></td>
-        </tr>
+          <td><span class="badge ${status}">${after?.formRendered ? 'Loaded' : 'Failed'}</span>${changeLabel}${sampled && sampled.pValue !== null ? ` <small>(p=${sampled.pValue.toFixed(3)})</small>` : ''}</td>
+        </tr>${sampled ? ['p75', 'p95'].map(stat => `
+        <tr>
+          <td>Form Render Time <small>(${stat})</small></td>
+          <td>${Math.round(sampled.before[stat])}ms</td>
+          <td>${Math.round(sampled.after[stat])}ms</td>
+          <td>${Math.round(sampled.after[stat] - sampled.before[stat])}ms</td>
+          <td>-</td>
+        </tr>`).join('') : ''}
         <tr>
           <td>DOM Nodes</td>
           <td>${before?.domNodes || '-'}</td>
@@ -498,7 +557,418 @@ export class HTMLReporter {
           <td>-</td>
           <td>-</td>
         </tr>
+        ${(webVitals?.deltas || []).map(metric => `
+        <tr>
+          <td>${metric.metric} <small>(target: ${formatValue(metric.target, metric.unit)})</small></td>
+          <td>${formatValue(metric.before, metric.unit)}</td>
+          <td>${formatValue(metric.after, metric.unit)}</td>
+          <td class="metric-delta ${metric.delta > 0 ? 'negative' : 'positive'}">
+            ${metric.delta === null ? '-' : `${metric.delta > 0 ? '+' : ''}${formatValue(metric.delta, metric.unit)}`}
+          </td>
+          <td>${metric.status === 'not-measured' ? '-' : `<span class="badge ${metric.status === 'over-target' ? 'warning' : 'success'}">${metric.status === 'over-target' ? 'Over target' : 'Good'}</span>`}</td>
+        </tr>`).join('')}
+      </table>
+    </div>`;
+  }
+
+  /**
+   * Render milestones before/after, with the page and form runtime phases they add up to
+   */
+  buildRenderMilestonesSection(renderMilestones) {
+    if (!renderMilestones?.deltas?.length || !renderMilestones.deltas.some(milestone => milestone.after !== null)) return '';
+
+    const formatMs = value => (value === null || value === undefined ? '-' : `${value}ms`);
+    const row = (label, { before, after, delta, change }) => `
+        <tr>
+          <td>${label}</td>
+          <td>${formatMs(before)}</td>
+          <td>${formatMs(after)}</td>
+          <td class="metric-delta ${delta > 0 ? 'negative' : 'positive'}">
+            ${delta === null || delta === undefined ? '-' : `${delta > 0 ? '+' : ''}${delta}ms`}${change === 'increased' || change === 'decreased' ? ` <small>(${change === 'increased' ? 'later' : 'earlier'})</small>` : ''}
+          </td>
+        </tr>`;
+
+    return `
+    <div class="section">
+      <h2> Form Render Milestones</h2>
+      <p>Times since navigation start. The page phase ends when the form is created; the form runtime phase runs until every visible field rendered (${renderMilestones.after.visibleFields} after the change).</p>
+      <table>
+        <tr>
+          <th>Milestone</th>
+          <th>Before</th>
+          <th>After</th>
+          <th>Change</th>
+        </tr>
+        ${renderMilestones.deltas.map(milestone => row(milestone.label, milestone)).join('')}
+        ${row('<em>Page</em>', renderMilestones.phases.page)}
+        ${row('<em>Form runtime</em>', renderMilestones.phases.runtime)}
+      </table>
+      ${(renderMilestones.newIssues || []).map(issue => `
+        <div class="issue-item">
+          <h4>${issue.message}</h4>
+          <p><strong>Fix:</strong> ${issue.recommendation}</p>
+        </div>
+      `).join('')}
+    </div>`;
+  }
+
+  /**
+   * Shared fragments across scanned forms, each fragment's issues listed once (scan summary)
+   * @param {Array} fragments - summarizeFragments() result
+   */
+  buildFragmentsSummarySection(fragments) {
+    if (fragments.length === 0) return '';
+
+    return `
+  <h2 style="color: #24292e !important; margin-top: 30px; margin-bottom: 20px; font-size: 24px; font-weight: 600;">🧩 Shared Fragments</h2>
+  <div style="background: white; border-radius: 8px; padding: 20px; margin-bottom: 30px; box-shadow: 0 1px 3px rgba(0,0,0,0.1);">
+    <p style="color: #57606a; font-size: 14px; margin-top: 0;">Issues inside a fragment are counted once here and fixed once for every form that embeds it.</p>
+    <table style="width: 100%; border-collapse: collapse;">
+      <thead>
+        <tr style="background: #f6f8fa; border-bottom: 2px solid #d0d7de;">
+          <th style="padding: 12px; text-align: left; font-weight: 600; color: #24292e;">Fragment</th>
+          <th style="padding: 12px; text-align: left; font-weight: 600; color: #24292e;">Components</th>
+          <th style="padding: 12px; text-align: left; font-weight: 600; color: #24292e;">Embedded by</th>
+          <th style="padding: 12px; text-align: left; font-weight: 600; color: #24292e;">Issues</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${fragments.map(fragment => `
+          <tr style="border-bottom: 1px solid #d0d7de; vertical-align: top;">
+            <td style="padding: 12px; color: #24292e;"><code>${fragment.path}</code></td>
+            <td style="padding: 12px; color: #24292e;">${fragment.components}</td>
+            <td style="padding: 12px; color: #24292e;">${fragment.forms.length} form(s): ${fragment.forms.join(', ')}</td>
+            <td style="padding: 12px; color: #24292e;">
+              ${fragment.issues.length === 0 ? '0' : `<ul style="margin: 0; padding-left: 18px;">${fragment.issues.map(issue => `
+                <li><strong>${issue.type}</strong>${issue.field ? ` <code>${issue.field}</code>` : ''} - ${issue.message}</li>`).join('')}
+              </ul>`}
+            </td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  </div>`;
+  }
+
+  /**
+   * Main-thread time by category before/after (from Chrome traces), busiest scripts and longest tasks
+   */
+  buildMainThreadSection(mainThread) {
+    if (!mainThread?.before || !mainThread?.after || !mainThread.categories?.length) return '';
+
+    const { after, total } = mainThread;
+    const change = delta => `
+          <td class="metric-delta ${delta > 0 ? 'negative' : 'positive'}">${delta > 0 ? '+' : ''}${delta}ms</td>`;
+
+    return `
+    <div class="section">
+      <h2> Main-Thread Activity</h2>
+      <p>Where the main thread spent its time while the form loaded, from a Chrome trace (open the <code>.trace.json</code> artifact in the DevTools Performance panel).</p>
+      <table>
+        <tr>
+          <th>Work</th>
+          <th>Before</th>
+          <th>After</th>
+          <th>Change</th>
+        </tr>
+        ${mainThread.categories.filter(category => category.before > 0 || category.after > 0).map(category => `
+        <tr>
+          <td>${category.label}</td>
+          <td>${category.before}ms</td>
+          <td>${category.after}ms</td>${change(category.delta)}
+        </tr>`).join('')}
+        <tr>
+          <td><strong>Total</strong></td>
+          <td>${total.before}ms</td>
+          <td>${total.after}ms</td>${change(total.delta)}
+        </tr>
       </table>
+      ${(mainThread.newIssues || []).map(issue => `
+        <div class="issue-item">
+          <h4>${issue.message}</h4>
+          <p><strong>Fix:</strong> ${issue.recommendation}</p>
+        </div>
+      `).join('')}
+      ${mainThread.scripts.length > 0 ? `
+      <h3>Busiest Scripts</h3>
+      <table>
+        <tr>
+          <th>Script</th>
+          <th>Main thread</th>
+          <th>Change</th>
+        </tr>
+        ${mainThread.scripts.map(script => `
+        <tr>
+          <td><code>${getScriptLabel(script, after.pageUrl)}</code></td>
+          <td>${script.time}ms</td>
+          ${script.before === null ? '<td>new</td>' : change(script.delta)}
+        </tr>`).join('')}
+      </table>` : ''}
+      ${after.longTasks.length > 0 ? `
+      <h3>Longest Tasks</h3>
+      <p>${after.longTaskCount} task(s) over 50ms, ${after.blockingTime}ms blocking time after the change.</p>
+      <table>
+        <tr>
+          <th>Start</th>
+          <th>Duration</th>
+          <th>Script</th>
+          <th>Mostly</th>
+        </tr>
+        ${after.longTasks.map(task => `
+        <tr>
+          <td>${task.start}ms${task.phase === 'journey' ? ' <small>(journey)</small>' : ''}</td>
+          <td>${task.duration}ms</td>
+          <td><code>${getScriptLabel(task, after.pageUrl)}</code></td>
+          <td>${CATEGORY_LABELS[task.category]}</td>
+        </tr>`).join('')}
+      </table>` : ''}
+    </div>`;
+  }
+
+  /**
+   * Before/after screenshots, their pixel diff (changed regions boxed) and load filmstrips
+   * Images are embedded so the report works as a single file.
+   */
+  buildScreenshotsSection(urls) {
+    const before = urls.beforeData?.screenshot;
+    const after = urls.afterData?.screenshot;
+    if (!before || !after) return '';
+
+    const diff = urls.visualDiff;
+    const png = screenshot => `data:image/png;base64,${screenshot.image}`;
+    const percent = (value, total) => `${(value / total) * 100}%`;
+    const filmstrip = (label, frames) => (frames?.length > 0 ? `
+      <h3>Filmstrip (${label})</h3>
+      <div class="filmstrip">
+        ${frames.map(frame => `
+        <figure>
+          <img src="data:image/jpeg;base64,${frame.image}" alt="${label} at ${frame.time}ms">
+          <figcaption>${frame.time}ms</figcaption>
+        </figure>`).join('')}
+      </div>` : '');
+
+    return `
+    <div class="section">
+      <h2> Screenshots</h2>
+      ${!diff ? '<p>No pixel diff available.</p>'
+        : diff.changedPixels === 0 ? '<p><span class="badge success">No visual change</span></p>'
+          : `<p><span class="badge warning">Visual change</span> ${diff.changedPercent}% of pixels changed in ${diff.regions.length} region${diff.regions.length === 1 ? '' : 's'}${diff.sizeChanged ? ` - page size ${before.width}x${before.height} → ${after.width}x${after.height}` : ''}. Check that the change is intended.</p>`}
+      <div class="screenshots">
+        <figure>
+          <figcaption>Before</figcaption>
+          <div class="screenshot"><img src="${png(before)}" alt="Before"></div>
+        </figure>
+        <figure>
+          <figcaption>After</figcaption>
+          <div class="screenshot"><img src="${png(after)}" alt="After"></div>
+        </figure>${diff ? `
+        <figure>
+          <figcaption>Diff (changed pixels in red)</figcaption>
+          <div class="screenshot">
+            <img src="${png(diff)}" alt="Diff">
+            ${diff.regions.map(region => `<div class="diff-region" style="left: ${percent(region.x, diff.width)}; top: ${percent(region.y, diff.height)}; width: ${percent(region.width, diff.width)}; height: ${percent(region.height, diff.height)};"></div>`).join('')}
+          </div>
+        </figure>` : ''}
+      </div>
+      ${filmstrip('before', urls.beforeData.filmstrip)}
+      ${filmstrip('after', urls.afterData.filmstrip)}
+    </div>`;
+  }
+
+  buildNetworkSection(network) {
+    const before = network?.before?.summary;
+    const after = network?.after?.summary;
+    if (!before || !after) return '';
+
+    const rows = [
+      ['Requests', before.requests, after.requests, count => count],
+      ['Transferred', before.transferSize, after.transferSize, formatKB],
+      ['JavaScript', before.byType.script?.transferSize || 0, after.byType.script?.transferSize || 0, formatKB],
+      ['Third-party requests', before.thirdParty.requests, after.thirdParty.requests, count => count],
+      ['Requests before render', before.requestsBeforeRender, after.requestsBeforeRender, count => count]
+    ];
+    const { added = [], removed = [], changed = [] } = network.requestDiff || {};
+    const requestRow = (change, request, size) => `
+        <tr>
+          <td>${change}</td>
+          <td><code>${request.url}</code>${request.count > 1 ? ` (×${request.count})` : ''}</td>
+          <td>${request.resourceType}</td>
+          <td>${size}</td>
+        </tr>`;
+
+    return `
+    <div class="section">
+      <h2> Network Requests</h2>
+      <table>
+        <tr>
+          <th>Metric</th>
+          <th>Before</th>
+          <th>After</th>
+          <th>Change</th>
+        </tr>
+        ${rows.map(([label, beforeValue, afterValue, format]) => `
+        <tr>
+          <td>${label}</td>
+          <td>${format(beforeValue)}</td>
+          <td>${format(afterValue)}</td>
+          <td class="metric-delta ${afterValue > beforeValue ? 'negative' : 'positive'}">
+            ${afterValue === beforeValue ? '-' : `${afterValue > beforeValue ? '+' : '-'}${format(Math.abs(afterValue - beforeValue))}`}
+          </td>
+        </tr>`).join('')}
+      </table>
+      ${network.after.issues.map(issue => `
+        <div class="issue-item">
+          <h4>${issue.message}${(network.newIssues || []).some(newIssue => newIssue.type === issue.type) ? ' <span class="badge critical">New</span>' : ''}</h4>
+          <p><strong>Fix:</strong> ${issue.recommendation}</p>
+        </div>
+      `).join('')}
+      ${added.length + removed.length + changed.length > 0 ? `
+      <h3>Request changes (${added.length} added, ${removed.length} removed, ${changed.length} changed)</h3>
+      <table>
+        <tr>
+          <th>Change</th>
+          <th>Request</th>
+          <th>Type</th>
+          <th>Size</th>
+        </tr>
+        ${added.map(request => requestRow('Added', request, formatKB(request.transferSize))).join('')}
+        ${removed.map(request => requestRow('Removed', request, formatKB(request.transferSize))).join('')}
+        ${changed.map(request => requestRow('Changed', request, `${formatKB(request.before)} → ${formatKB(request.transferSize)}`)).join('')}
+      </table>` : ''}
+      <p><small>After: ${formatNetworkSummary(after)}${after.thirdParty.domains.length > 0 ? `. Third-party domains: ${after.thirdParty.domains.join(', ')}` : ''}</small></p>
+    </div>`;
+  }
+
+  buildCoverageSection(coverage) {
+    const before = coverage?.before?.summary;
+    const after = coverage?.after?.summary;
+    if (!before || !after) return '';
+
+    const rows = [
+      ['JavaScript', before.js, after.js],
+      ['CSS', before.css, after.css]
+    ];
+    const files = (coverage.files || []).filter(file => file.unusedBytes > 0).slice(0, 20);
+
+    return `
+    <div class="section">
+      <h2> Unused Code</h2>
+      <p>Code not used while the form loads and renders.</p>
+      <table>
+        <tr>
+          <th>Type</th>
+          <th>Before</th>
+          <th>After</th>
+          <th>Change</th>
+        </tr>
+        ${rows.map(([label, beforeTotals, afterTotals]) => `
+        <tr>
+          <td>${label}</td>
+          <td>${formatKB(beforeTotals.unusedBytes)} of ${formatKB(beforeTotals.totalBytes)} (${beforeTotals.unusedPercent}%)</td>
+          <td>${formatKB(afterTotals.unusedBytes)} of ${formatKB(afterTotals.totalBytes)} (${afterTotals.unusedPercent}%)</td>
+          <td class="metric-delta ${afterTotals.unusedBytes > beforeTotals.unusedBytes ? 'negative' : 'positive'}">
+            ${afterTotals.unusedBytes === beforeTotals.unusedBytes ? '-' : `${afterTotals.unusedBytes > beforeTotals.unusedBytes ? '+' : '-'}${formatKB(Math.abs(afterTotals.unusedBytes - beforeTotals.unusedBytes))}`}
+          </td>
+        </tr>`).join('')}
+      </table>
+      ${coverage.after.issues.map(issue => `
+        <div class="issue-item">
+          <h4>${issue.message}${(coverage.newIssues || []).some(newIssue => newIssue.fingerprint === issue.fingerprint) ? ' <span class="badge critical">New</span>' : ''}</h4>
+          ${issue.line ? `<p><strong>Location:</strong> <code>${issue.file}:${issue.line}</code></p>` : ''}
+          <p><strong>Fix:</strong> ${issue.recommendation}</p>
+        </div>
+      `).join('')}
+      ${files.length > 0 ? `
+      <table>
+        <tr>
+          <th>File</th>
+          <th>Type</th>
+          <th>Size</th>
+          <th>Unused</th>
+          <th>Unused lines</th>
+        </tr>
+        ${files.map(file => `
+        <tr>
+          <td><code>${getCoverageLabel(file)}</code></td>
+          <td>${file.type.toUpperCase()}</td>
+          <td>${formatKB(file.totalBytes)}</td>
+          <td>${formatKB(file.unusedBytes)} (${file.unusedPercent}%)</td>
+          <td>${file.unusedRanges.slice(0, 3).map(range => `${range.startLine}-${range.endLine}`).join(', ') || '-'}</td>
+        </tr>`).join('')}
+      </table>` : ''}
+    </div>`;
+  }
+
+  buildJourneySection(journey) {
+    const after = journey?.after;
+    if (!journey?.before || !after) return '';
+
+    const formatMs = value => (value === null || value === undefined ? '-' : `${value}ms`);
+
+    return `
+    <div class="section">
+      <h2> User Journey: ${after.name}</h2>
+      <p>Each step runs from the action until the network is idle. INP is the step's slowest interaction.</p>
+      ${!after.completed ? `
+        <div class="issue-item">
+          <h4>Failed at step ${after.failedStep.index + 1} "${after.failedStep.name}"${(journey.newIssues || []).some(issue => issue.type === 'journey-failed') ? ' <span class="badge critical">New</span>' : ''}</h4>
+          <p>${after.failedStep.error}</p>
+        </div>` : ''}
+      ${journey.steps.length > 0 ? `
+      <table>
+        <tr>
+          <th>Step</th>
+          <th>Before</th>
+          <th>After</th>
+          <th>Change</th>
+          <th>INP</th>
+          <th>Blocking</th>
+          <th>DOM nodes</th>
+          <th>Requests</th>
+        </tr>
+        ${journey.steps.map(step => `
+        <tr>
+          <td>${step.index + 1}. ${step.name}</td>
+          <td>${formatMs(step.before)}</td>
+          <td>${formatMs(step.duration)}</td>
+          <td class="metric-delta ${step.delta > 0 ? 'negative' : 'positive'}">
+            ${step.delta === null ? 'new' : step.delta === 0 ? '-' : `${step.delta > 0 ? '+' : ''}${step.delta}ms`}${step.change === 'increased' || step.change === 'decreased' ? ` <small>(${step.change === 'increased' ? 'slower' : 'faster'})</small>` : ''}
+          </td>
+          <td>${formatMs(step.inp)}</td>
+          <td>${formatMs(step.blockingTime)}</td>
+          <td>${step.domGrowth >= 0 ? '+' : ''}${step.domGrowth}</td>
+          <td>${step.requests}${step.requests > 0 ? ` (${formatKB(step.transferSize)})` : ''}</td>
+        </tr>`).join('')}
+      </table>` : ''}
+      ${after.issues.filter(issue => issue.type !== 'journey-failed').map(issue => `
+        <div class="issue-item">
+          <h4>${issue.message}${(journey.newIssues || []).some(newIssue => newIssue.fingerprint === issue.fingerprint) ? ' <span class="badge critical">New</span>' : ''}</h4>
+          <p><strong>Fix:</strong> ${issue.recommendation}</p>
+        </div>
+      `).join('')}
+    </div>`;
+  }
+
+  buildBrowserErrorsSection(browserErrors) {
+    const after = browserErrors?.after;
+    if (!browserErrors?.before || !after || after.issues.length === 0) return '';
+
+    // Error messages come from the page - keep them from being read as markup
+    const text = value => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    const isNew = issue => (browserErrors.newIssues || []).some(newIssue => newIssue.fingerprint === issue.fingerprint);
+
+    return `
+    <div class="section">
+      <h2> Browser Errors</h2>
+      <p>${formatBrowserErrorsSummary(after.summary)} while the form loaded and was used (before: ${formatBrowserErrorsSummary(browserErrors.before.summary).toLowerCase()}).</p>
+      ${after.issues.map(issue => `
+        <div class="issue-item">
+          <h4>${text(issue.message)}${isNew(issue) ? ' <span class="badge critical">New</span>' : ''}</h4>
+          <p>${issue.count > 1 ? `${issue.count} times - ` : ''}${issue.file ? `<code>${issue.file}${issue.line ? `:${issue.line}` : ''}</code>${issue.functionName ? ` in ${text(issue.functionName)}()` : ''}` : `${issue.source} code`}</p>
+          <p><strong>Fix:</strong> ${issue.recommendation}</p>
+        </div>
+      `).join('')}
+      ${browserErrors.resolvedIssues?.length > 0 ? `<p><small>${browserErrors.resolvedIssues.length} error(s) from before the change no longer happen.</small></p>` : ''}
     </div>`;
   }
 
@@ -538,6 +1008,157 @@ export class HTMLReporter {
     </div>`;
   }
 
+  /**
+   * Form complexity score before/after and the most expensive panels (after)
+   */
+  buildComplexitySection(complexity) {
+    if (!complexity?.before || !complexity?.after) return '';
+
+    const change = delta => `
+          <td class="metric-delta ${delta > 0 ? 'negative' : 'positive'}">${delta > 0 ? '+' : ''}${delta}</td>`;
+
+    return `
+    <div class="section">
+      <h2> Form Complexity</h2>
+      <p>Each panel costs its weighted fields, rules, events and dependents (rules and events elsewhere that read its fields); repeatable panels count once per instance. Split or lazy-load the most expensive panels first.</p>
+      <table>
+        <tr>
+          <th>Metric</th>
+          <th>Before</th>
+          <th>After</th>
+          <th>Change</th>
+        </tr>
+        <tr>
+          <td><strong>Score</strong></td>
+          <td>${complexity.before.score}</td>
+          <td>${complexity.after.score}</td>${change(complexity.delta.score)}
+        </tr>
+      </table>
+      ${complexity.newIssues.map(issue => `
+        <div class="issue-item">
+          <h4>${issue.message}</h4>
+          <p><strong>Fix:</strong> ${issue.recommendation}</p>
+        </div>
+      `).join('')}
+      ${complexity.panels.length > 0 ? `
+      <h3>Most Expensive Panels</h3>
+      <table>
+        <tr>
+          <th>Panel</th>
+          <th>Cost</th>
+          <th>Share</th>
+          <th>Change</th>
+          <th>Made of</th>
+        </tr>
+        ${complexity.panels.slice(0, 10).map(panel => `
+        <tr>
+          <td><code>${panel.path}</code>${panel.fragment ? ' <small>(fragment)</small>' : ''}</td>
+          <td>${panel.cost}</td>
+          <td>${panel.share}%</td>
+          ${panel.before === null ? '<td>new</td>' : change(panel.delta)}
+          <td>${formatPanelCounts(panel)}</td>
+        </tr>`).join('')}
+      </table>` : ''}
+    </div>`;
+  }
+
+  /**
+   * Panels not visible on first paint (after), what deferring them saves and the rules keeping them eager
+   */
+  buildLazyLoadingSection(lazyLoading) {
+    const after = lazyLoading?.after;
+    if (!after?.candidates?.length) return '';
+
+    const added = new Set((lazyLoading.newIssues || []).filter(issue => issue.type === 'lazy-load-candidate').map(issue => issue.path));
+
+    return `
+    <div class="section">
+      <h2> Lazy-Loading Candidates</h2>
+      <p>${formatLazyLoadingSummary(after)}. Wizard steps, tabs and accordion items after the first, and panels that start hidden, can be loaded when they are shown.</p>
+      <table>
+        <tr>
+          <th>Panel</th>
+          <th>Components</th>
+          <th>Rules/events</th>
+          <th>DOM nodes</th>
+          <th>Loads early because of</th>
+        </tr>
+        ${after.candidates.map(candidate => `
+        <tr>
+          <td>${describePlacement(candidate)}${added.has(candidate.path) ? ' <strong>(new)</strong>' : ''}<br><code>${candidate.path}</code></td>
+          <td>${candidate.components}</td>
+          <td>${candidate.rules + candidate.events}</td>
+          <td>${candidate.domSource === 'estimate' ? '~' : ''}${candidate.domNodes}</td>
+          <td>${candidate.blockers.map(blocker => `<code>${blocker.field}</code> ${blocker.kind === 'initialize' ? 'initialize event' : `${blocker.key} rule`}`).join('<br>') || '-'}</td>
+        </tr>`).join('')}
+      </table>
+    </div>`;
+  }
+
+  /**
+   * Repeatable panels (after): per-instance cost, projection and the growth measured in af-core
+   */
+  buildRepeatablesSection(repeatables, ruleCycles) {
+    const after = repeatables?.after;
+    if (!after?.panels?.length) return '';
+
+    const flagged = new Set([...(after.issues || []), ...(ruleCycles?.after?.issues || []).filter(issue => issue.type === 'repeatable-slowdown')].map(issue => issue.path));
+    const measured = new Map((ruleCycles?.repeatableScaling || []).map(panel => [panel.path, panel]));
+
+    return `
+    <div class="section">
+      <h2> Repeatable Panels</h2>
+      <p>Every instance renders the panel's fields and runs its rules again. Projected at ${after.instances} instance(s); the measured column adds the instances in af-core.</p>
+      <table>
+        <tr>
+          <th>Panel</th>
+          <th>min/max</th>
+          <th>Per instance</th>
+          <th>At ${after.instances} instance(s)</th>
+          <th>Measured in af-core</th>
+        </tr>
+        ${after.panels.map(panel => `
+        <tr>
+          <td><code>${panel.path}</code>${flagged.has(panel.path) ? ' <strong>(over threshold)</strong>' : ''}${panel.crossInstance.length > 0 ? `<br><small>reads every instance: ${panel.crossInstance.map(rule => `<code>${rule.field}</code>`).join(', ')}</small>` : ''}</td>
+          <td>${panel.minOccur}/${panel.maxOccur ?? '∞'}</td>
+          <td>${formatPerInstance(panel.perInstance)}</td>
+          <td>~${panel.projected.domNodes} DOM node(s), ${panel.projected.executions} rule execution(s)</td>
+          <td>${measured.has(panel.path) ? formatMeasuredScaling(measured.get(panel.path)) : '-'}</td>
+        </tr>`).join('')}
+      </table>
+    </div>`;
+  }
+
+  /**
+   * Rule expressions (after): findings per field and property, and the functions the form calls
+   */
+  buildRuleExpressionsSection(ruleExpressions) {
+    const after = ruleExpressions?.after;
+    if (!after?.expressions) return '';
+
+    const added = new Set((ruleExpressions.newIssues || []).map(issue => issue.fingerprint));
+
+    return `
+    <div class="section">
+      <h2> Rule Expressions</h2>
+      <p>${formatRuleExpressionSummary(after)}. Parsed with af-core's formula grammar; functions called: ${after.functions.builtIn.length} built-in, ${after.functions.custom.length} custom${after.customFunctionsChecked ? `, ${after.functions.unknown.length} unknown` : ' (not checked - no custom function files)'}.</p>
+      ${after.issues.length > 0 ? `
+      <table>
+        <tr>
+          <th>Field</th>
+          <th>Property</th>
+          <th>Finding</th>
+        </tr>
+        ${after.issues.map(issue => `
+        <tr>
+          <td><code>${issue.path || 'form'}</code>${added.has(issue.fingerprint) ? ' <strong>(new)</strong>' : ''}</td>
+          <td><code>${issue.property}</code></td>
+          <td>${issue.message}<br><small>${issue.recommendation}</small></td>
+        </tr>`).join('')}
+      </table>` : ''}
+    </div>`;
+  }
+
   buildFormEventsSection(results) {
     const apiCalls = results.formEvents?.after?.apiCallsInInitialize || [];
     if (apiCalls.length === 0) {
@@ -907,6 +1528,60 @@ export class HTMLReporter {
     </div>`;
   }
 
+  /**
+   * One section per third-party analyzer (config.analyzers)
+   */
+  buildAdditionalAnalyzersSection(results) {
+    return Object.entries(results)
+      .filter(([id]) => !BUILTIN_ANALYZER_IDS.includes(id))
+      .map(([id, analysis]) => {
+        const title = analysis.title || id;
+        const issues = analysis.after?.issues || [];
+
+        if (analysis.error) {
+          return `<div class="section"><h2> ${title}</h2><p>Analysis failed: ${analysis.error}</p></div>`;
+        }
+        if (issues.length === 0) {
+          return `<div class="section"><h2> ${title}</h2><p>No issues detected</p></div>`;
+        }
+
+        return `
+    <div class="section">
+      <h2> ${title} (${issues.length})</h2>
+      ${issues.map(issue => `
+        <div class="issue-item ${issue.severity === 'error' ? '' : 'warning'}">
+          <h4>${issue.type}</h4>
+          ${issue.file || issue.field ? `<p><code>${issue.file ? `${issue.file}${issue.line ? ':' + issue.line : ''}` : issue.field}</code></p>` : ''}
+          <p>${issue.message}</p>
+          ${issue.recommendation ? `<p class="recommendation"><strong>Recommendation:</strong> ${issue.recommendation}</p>` : ''}
+        </div>
+      `).join('')}
+    </div>`;
+      }).join('');
+  }
+
+  /**
+   * Issues silenced by perf-bot-disable comments / perf-bot:ignore, with their reasons
+   */
+  buildSuppressedIssuesSection(suppressedIssues) {
+    if (!suppressedIssues || suppressedIssues.length === 0) {
+      return '';
+    }
+
+    return `
+    <div class="section">
+      <h2> Suppressed Issues (${suppressedIssues.length})</h2>
+      ${suppressedIssues.map(issue => `
+        <div class="issue-item warning">
+          <h4>${issue.type}</h4>
+          <p><code>${describeSuppression(issue)}</code></p>
+          <p><strong>Reason:</strong> ${issue.suppression.reason}</p>
+          <p>${issue.message}</p>
+        </div>
+      `).join('')}
+    </div>`;
+  }
+
   countCriticalIssues(results) {
     let count = 0;
     if (results.formEvents?.after?.apiCallsInInitialize?.length) count += results.formEvents.after.apiCallsInInitialize.length;
@@ -1080,13 +1755,84 @@ export class HTMLReporter {
     </div>
     ` : ''}
     
+    ${results.suppressedIssues?.length > 0 ? `
+    <h2>Suppressed Issues (${results.suppressedIssues.length})</h2>
+    <div class="issue-list" style="max-height: 500px; overflow-y: auto;">
+      ${results.suppressedIssues.map(issue => `
+        <div class="issue-item">
+          <strong>${issue.type}</strong> - <code>${describeSuppression(issue)}</code><br>
+          <em>Reason: ${issue.suppression.reason}</em><br>
+          ${issue.message || 'No description'}
+        </div>
+      `).join('')}
+    </div>
+    ` : ''}
+    
     ${analysisUrl && results.performance ? `
     <h2>Performance Metrics</h2>
     <div class="issue-list">
       <div class="issue-item">
         <strong>Load Time:</strong> ${results.performance.loadTime}ms<br>
+        ${results.performance.throttling ? `<strong>Throttling:</strong> ${results.performance.throttling.name} <small>(${results.performance.throttling.description})</small><br>` : ''}
         <strong>JS Heap Size:</strong> ${Math.round(results.performance.jsHeapSize / 1024 / 1024)}MB<br>
         <strong>DOM Size:</strong> ${results.html?.domSize || 0} nodes
+        ${results.webVitals ? `<br><strong>Core Web Vitals:</strong> ${formatMetrics(results.webVitals)}` : ''}
+        ${results.renderMilestones ? `<br><strong>Render:</strong> ${formatRenderMilestones(results.renderMilestones)}` : ''}
+        ${results.mainThread ? `<br><strong>Main Thread:</strong> ${formatMainThreadSummary(results.mainThread)}` : ''}
+        ${results.network ? `<br><strong>Network:</strong> ${formatNetworkSummary(results.network)}` : ''}
+        ${results.coverage ? `<br><strong>Unused Code:</strong> ${formatCoverageSummary(results.coverage)}` : ''}
+        ${results.journey ? `<br><strong>Journey:</strong> ${formatJourneySummary(results.journey)}` : ''}
+        ${results.browserErrors ? `<br><strong>Browser Errors:</strong> ${formatBrowserErrorsSummary(results.browserErrors)}` : ''}
+      </div>
+    </div>
+    ` : ''}
+    
+    ${results.complexity ? `
+    <h2>Complexity</h2>
+    <div class="issue-list">
+      <div class="issue-item">
+        <strong>Complexity:</strong> ${formatComplexitySummary(results.complexity)}<br>
+        ${results.complexity.panels.map(panel => `<code>${panel.path}</code> ${panel.cost} (${panel.share}%) - ${formatPanelCounts(panel)}`).join('<br>')}
+      </div>
+    </div>
+    ` : ''}
+    
+    ${results.lazyLoading?.totals.panels > 0 ? `
+    <h2>Lazy Loading</h2>
+    <div class="issue-list">
+      <div class="issue-item">
+        <strong>Lazy loading:</strong> ${formatLazyLoadingSummary(results.lazyLoading)}<br>
+        ${results.lazyLoading.candidates.map(candidate => `${describePlacement(candidate)} - ${candidate.components} component(s)${candidate.blockers.length > 0 ? `, loads early because of ${candidate.blockers.length} rule(s)` : ''}`).join('<br>')}
+      </div>
+    </div>
+    ` : ''}
+    
+    ${results.repeatables?.panels.length > 0 ? `
+    <h2>Repeatable Panels</h2>
+    <div class="issue-list">
+      <div class="issue-item">
+        <strong>Repeatable panels:</strong> ${formatRepeatableSummary(results.repeatables)}<br>
+        ${results.repeatables.panels.map(panel => `<code>${panel.path}</code> - ${formatPerInstance(panel.perInstance)} per instance${panel.measured ? `; measured ${formatMeasuredScaling(panel.measured)}` : ''}`).join('<br>')}
+      </div>
+    </div>
+    ` : ''}
+    
+    ${results.ruleExpressions?.expressions > 0 ? `
+    <h2>Rule Expressions</h2>
+    <div class="issue-list">
+      <div class="issue-item">
+        <strong>Rule expressions:</strong> ${formatRuleExpressionSummary(results.ruleExpressions)}<br>
+        ${results.ruleExpressions.issues.map(issue => `<code>${issue.path || 'form'}</code> <code>${issue.property}</code> - ${issue.message}`).join('<br>')}
+      </div>
+    </div>
+    ` : ''}
+    
+    ${results.fragments?.length > 0 ? `
+    <h2>Fragments</h2>
+    <div class="issue-list">
+      <div class="issue-item">
+        <strong>Fragments:</strong> ${formatFragmentSummary(results)}<br>
+        <small>Fragment issues are also listed once per fragment in the scan summary, for all forms that embed it.</small>
       </div>
     </div>
     ` : ''}
@@ -1353,6 +2099,8 @@ export class HTMLReporter {
   </div>
   ` : ''}
   
+  ${this.buildFragmentsSummarySection(summarizeFragments(formResults))}
+  
   <h2 style="color: #24292e !important; margin-top: 30px; margin-bottom: 20px; font-size: 24px; font-weight: 600;">Individual Form Reports</h2>
   <div class="form-grid">
     ${formResults.map((result, index) => {
@@ -0,0 +1,278 @@
+import { FormPRReporter } from './pr-reporter-form.js';
+import { countBaselinedIssues } from '../utils/baseline.js';
+import { describeSuppression } from '../utils/suppressions.js';
+import { formatMetrics } from '../analyzers/web-vitals-analyzer.js';
+import { formatRenderMilestones } from '../analyzers/render-milestones-analyzer.js';
+import { formatNetworkSummary } from '../analyzers/network-analyzer.js';
+import { formatCoverageSummary } from '../analyzers/coverage-analyzer.js';
+import { formatJourneySummary } from '../analyzers/journey-analyzer.js';
+import { formatBrowserErrorsSummary } from '../analyzers/browser-errors-analyzer.js';
+import { formatMainThreadSummary } from '../analyzers/main-thread-analyzer.js';
+import { formatComplexitySummary } from '../analyzers/complexity-analyzer.js';
+import { formatLazyLoadingSummary } from '../analyzers/lazy-loading-analyzer.js';
+import { formatRepeatableSummary, formatMeasuredScaling } from '../analyzers/repeatable-analyzer.js';
+import { formatRuleExpressionSummary } from '../analyzers/rule-expression-analyzer.js';
+import { summarizeFragments, formatFragmentSummary } from '../utils/fragments.js';
+
+/**
+ * Markdown reports for runs outside GitHub Actions (CLI)
+ * Comparison reports reuse the PR comment section builders so local output
+ * matches what reviewers see on a PR.
+ */
+export class MarkdownReporter {
+  constructor() {
+    // Only the section builders are used - no GitHub client needed
+    this.prReporter = new FormPRReporter(null, null, null, null);
+  }
+
+  /**
+   * Build a detailed before/after comparison report
+   * @param {Object} results - Results from runFormComparison()
+   * @param {Object} urls - { before, after, beforeData, afterData, visualDiff }
+   * @param {Object} critical - Result of detectCriticalIssues()
+   * @returns {string} Markdown report
+   */
+  generateComparisonReport(results, urls, critical) {
+    const sections = ['## Performance Analysis\n'];
+
+    if (urls.before && urls.after) {
+      sections.push(`- **Before:** ${urls.before}`);
+      sections.push(`- **After:** ${urls.after}\n`);
+    }
+
+    if (critical?.hasCritical) {
+      sections.push(`**${critical.count} critical issue${critical.count > 1 ? 's' : ''} found:**`);
+      critical.issues.forEach(issue => sections.push(`- ${issue}`));
+      sections.push('');
+    } else {
+      sections.push('**No critical issues found** - All checks passed!\n');
+    }
+
+    const baselined = countBaselinedIssues(results);
+    if (baselined > 0) {
+      sections.push(`*${baselined} known issue${baselined > 1 ? 's' : ''} from the baseline not counted.*\n`);
+    }
+
+    const reporter = this.prReporter;
+    const addSection = section => sections.push(`${section}\n`);
+    if (urls.beforeData?.performanceMetrics && urls.afterData?.performanceMetrics) {
+      addSection(reporter.buildPerformanceMetricsSection(urls.beforeData, urls.afterData));
+    }
+    // Written next to the screenshots (CLI output dir) - embed them
+    const screenshots = reporter.buildScreenshotsSection(urls, { embedImages: true });
+    if (screenshots) {
+      addSection(screenshots);
+    }
+    const webVitals = reporter.buildWebVitalsSection(results.webVitals);
+    if (webVitals) {
+      addSection(webVitals);
+    }
+    const renderMilestones = reporter.buildRenderMilestonesSection(results.renderMilestones);
+    if (renderMilestones) {
+      addSection(renderMilestones);
+    }
+    const mainThread = reporter.buildMainThreadSection(results.mainThread);
+    if (mainThread) {
+      addSection(mainThread);
+    }
+    const network = reporter.buildNetworkSection(results.network);
+    if (network) {
+      addSection(network);
+    }
+    const coverage = reporter.buildCoverageSection(results.coverage);
+    if (coverage) {
+      addSection(coverage);
+    }
+    const journey = reporter.buildJourneySection(results.journey);
+    if (journey) {
+      addSection(journey);
+    }
+    const browserErrors = reporter.buildBrowserErrorsSection(results.browserErrors);
+    if (browserErrors) {
+      addSection(browserErrors);
+    }
+    addSection(reporter.buildQuickStatsSection(results, urls));
+
+    if (results.formStructure?.before && results.formStructure?.after?.metadata) {
+      addSection(reporter.buildFormStructureSection(results.formStructure));
+      addSection(reporter.buildFormEventsSection(results.formEvents));
+      addSection(reporter.buildHiddenFieldsSection(results.hiddenFields));
+      addSection(reporter.buildRuleCyclesSection(results.ruleCycles));
+      addSection(reporter.buildFormValidationSection(results.ruleCycles));
+      addSection(reporter.buildFormHTMLSection(results.formHTML, urls));
+    }
+    addSection(reporter.buildFormCSSSection(results.formCSS));
+    addSection(reporter.buildCustomFunctionsSection(results.customFunctions));
+
+    const additional = reporter.buildAdditionalAnalyzersSection(results);
+    if (additional) {
+      addSection(additional);
+    }
+    const complexity = reporter.buildComplexitySection(results.complexity);
+    if (complexity) {
+      addSection(complexity);
+    }
+    const lazyLoading = reporter.buildLazyLoadingSection(results.lazyLoading);
+    if (lazyLoading) {
+      addSection(lazyLoading);
+    }
+    const repeatables = reporter.buildRepeatablesSection(results.repeatables, results.ruleCycles);
+    if (repeatables) {
+      addSection(repeatables);
+    }
+    const ruleExpressions = reporter.buildRuleExpressionsSection(results.ruleExpressions);
+    if (ruleExpressions) {
+      addSection(ruleExpressions);
+    }
+    const fragments = reporter.buildFragmentsSection(results, urls.afterData);
+    if (fragments) {
+      addSection(fragments);
+    }
+
+    const suppressed = reporter.buildSuppressedIssuesSection(results);
+    if (suppressed) {
+      addSection(suppressed);
+    }
+
+    sections.push('\n---');
+    sections.push('*Generated by AEM Forms Performance Analyzer*');
+
+    return sections.join('\n');
+  }
+
+  /**
+   * Build a report for one or more single-form scans
+   * @param {Array} formResults - Results from analyzeSingleForm()
+   * @returns {string} Markdown report
+   */
+  generateScanReport(formResults) {
+    const sections = ['## Performance Scan\n'];
+
+    sections.push(`**Forms analyzed:** ${formResults.length}\n`);
+
+    formResults.forEach(result => {
+      sections.push(`### ${result.formName}\n`);
+      sections.push(`- **URL:** ${result.url}`);
+
+      if (result.error) {
+        sections.push(`- **Error:** ${result.error}\n`);
+        return;
+      }
+
+      if (result.performance) {
+        const profile = result.performance.throttling;
+        sections.push(`- **Load time:** ${result.performance.loadTime}ms${profile ? ` (${profile.name})` : ''}`);
+      }
+      if (result.webVitals) {
+        sections.push(`- **Core Web Vitals:** ${formatMetrics(result.webVitals)}`);
+      }
+      if (result.renderMilestones) {
+        sections.push(`- **Render:** ${formatRenderMilestones(result.renderMilestones)}`);
+      }
+      if (result.mainThread) {
+        sections.push(`- **Main thread:** ${formatMainThreadSummary(result.mainThread)}`);
+      }
+      if (result.network) {
+        sections.push(`- **Network:** ${formatNetworkSummary(result.network)}`);
+      }
+      if (result.coverage) {
+        sections.push(`- **Unused code:** ${formatCoverageSummary(result.coverage)}`);
+      }
+      if (result.journey) {
+        sections.push(`- **Journey:** ${formatJourneySummary(result.journey)}`);
+      }
+      if (result.browserErrors) {
+        sections.push(`- **Browser errors:** ${formatBrowserErrorsSummary(result.browserErrors)}`);
+      }
+
+      const categories = [
+        ['Form', result.forms?.issues],
+        ['Custom Functions', result.customFunctions?.issues],
+        ['HTML', result.html?.issues],
+        ['CSS', result.css?.issues],
+      ];
+
+      const cycles = (result.rules?.issues || []).reduce((sum, i) => sum + (i.cycles || 0), 0);
+      sections.push(`- **Rule cycles:** ${cycles}`);
+      if (result.complexity) {
+        sections.push(`- **Complexity:** ${formatComplexitySummary(result.complexity)}`);
+      }
+      if (result.lazyLoading?.totals.panels > 0) {
+        sections.push(`- **Lazy loading:** ${formatLazyLoadingSummary(result.lazyLoading)}`);
+      }
+      if (result.repeatables?.panels.length > 0) {
+        const measured = result.repeatables.panels.filter(panel => panel.measured).map(panel => `${panel.name} ${formatMeasuredScaling(panel.measured)}`);
+        sections.push(`- **Repeatable panels:** ${formatRepeatableSummary(result.repeatables)}${measured.length > 0 ? `; measured: ${measured.join('; ')}` : ''}`);
+      }
+      if (result.ruleExpressions?.expressions > 0) {
+        sections.push(`- **Rule expressions:** ${formatRuleExpressionSummary(result.ruleExpressions)}`);
+      }
+      const fragmentLine = formatFragmentSummary(result);
+      if (fragmentLine) {
+        sections.push(`- **Fragments:** ${fragmentLine}`);
+      }
+      sections.push('');
+
+      // Fragment issues are listed once under Fragments, not for every form embedding them
+      categories.forEach(([title, allIssues]) => {
+        const issues = (allIssues || []).filter(issue => !issue.fragment);
+        if (issues.length === 0) return;
+
+        sections.push(`<details>\n<summary><b>${title}</b> (${issues.length})</summary>\n`);
+        issues.forEach(issue => {
+          const location = issue.file ? ` \`${issue.file}${issue.line ? `:${issue.line}` : ''}\`` : '';
+          const impact = issue.cwvImpact ? ` _(${issue.cwvImpact})_` : '';
+          sections.push(`- **[${issue.severity || 'info'}] ${issue.type}**${location} - ${issue.message}${impact}`);
+        });
+        sections.push('\n</details>\n');
+      });
+
+      const suppressed = result.suppressedIssues || [];
+      if (suppressed.length > 0) {
+        sections.push(`<details>\n<summary><b>Suppressed</b> (${suppressed.length})</summary>\n`);
+        suppressed.forEach(issue => {
+          sections.push(`- **${issue.type}** \`${describeSuppression(issue)}\` - ${issue.suppression.reason}`);
+        });
+        sections.push('\n</details>\n');
+      }
+    });
+
+    const fragments = summarizeFragments(formResults);
+    if (fragments.length > 0) {
+      sections.push(this.buildFragmentsSection(fragments));
+    }
+
+    sections.push('\n---');
+    sections.push('*Generated by AEM Forms Performance Analyzer*');
+
+    return sections.join('\n');
+  }
+
+  /**
+   * Shared fragments of a scan - each fragment's issues once, with the forms embedding it
+   * @param {Array} fragments - summarizeFragments() result
+   */
+  buildFragmentsSection(fragments) {
+    const sections = ['### Fragments\n'];
+    sections.push('Issues inside a fragment are fixed once for every form that embeds it.\n');
+    sections.push('| Fragment | Components | Embedded by | Issues |');
+    sections.push('|----------|------------|-------------|--------|');
+    fragments.forEach(fragment => {
+      sections.push(`| \`${fragment.path}\` | ${fragment.components} | ${fragment.forms.length} form(s): ${fragment.forms.join(', ')} | ${fragment.issues.length} |`);
+    });
+    sections.push('');
+
+    fragments.filter(fragment => fragment.issues.length > 0).forEach(fragment => {
+      sections.push(`<details>\n<summary><b>${fragment.name}</b> (${fragment.issues.length})</summary>\n`);
+      fragment.issues.forEach(issue => {
+        const field = issue.field ? ` \`${issue.field}\`` : '';
+        const impact = issue.cwvImpact ? ` _(${issue.cwvImpact})_` : '';
+        sections.push(`- **[${issue.severity || 'info'}] ${issue.type}**${field} - ${issue.message}${impact}`);
+      });
+      sections.push('\n</details>\n');
+    });
+
+    return sections.join('\n');
+  }
+}
+
@@ -1,3 +1,20 @@
+import { BUILTIN_ANALYZER_IDS } from '../analyzers/registry.js';
+import { countBaselinedIssues } from '../utils/baseline.js';
+import { collectSuppressedIssues, describeSuppression } from '../utils/suppressions.js';
+import { formatValue } from '../analyzers/web-vitals-analyzer.js';
+import { formatKB } from '../analyzers/network-analyzer.js';
+import { getCoverageLabel } from '../analyzers/coverage-analyzer.js';
+import { formatBrowserErrorsSummary } from '../analyzers/browser-errors-analyzer.js';
+import { CATEGORY_LABELS, getScriptLabel } from '../analyzers/main-thread-analyzer.js';
+import { formatPanelCounts } from '../analyzers/complexity-analyzer.js';
+import { formatLazyLoadingSummary } from '../analyzers/lazy-loading-analyzer.js';
+import { formatMeasuredScaling } from '../analyzers/repeatable-analyzer.js';
+import { formatRuleExpressionSummary } from '../analyzers/rule-expression-analyzer.js';
+import { formatReplaySummary } from '../utils/replay.js';
+import { compareSamples } from '../utils/statistics.js';
+import { getScreenshotFileName } from '../utils/artifacts.js';
+import { getFragmentIssueKey } from '../utils/fragments.js';
+
 /**
  * Form-specific report generation for PR comments
  */
@@ -48,6 +65,85 @@ export class FormPRReporter {
       sections.push('## Performance Analysis\n');
       sections.push(`**${critical} critical issue${critical > 1 ? 's' : ''} found** - Please fix all issues shown as inline comments below.\n`);
     }
+
+    const baselined = countBaselinedIssues(results);
+    if (baselined > 0) {
+      sections.push(`*${baselined} known issue${baselined > 1 ? 's' : ''} from the baseline not counted.*\n`);
+    }
+
+    if (urls.beforeData?.performanceMetrics && urls.afterData?.performanceMetrics) {
+      sections.push(`${this.buildPerformanceMetricsSection(urls.beforeData, urls.afterData)}\n`);
+    }
+
+    const screenshots = this.buildScreenshotsSection(urls);
+    if (screenshots) {
+      sections.push(`${screenshots}\n`);
+    }
+
+    const webVitals = this.buildWebVitalsSection(results.webVitals);
+    if (webVitals) {
+      sections.push(webVitals);
+    }
+
+    const renderMilestones = this.buildRenderMilestonesSection(results.renderMilestones);
+    if (renderMilestones) {
+      sections.push(`\n${renderMilestones}`);
+    }
+
+    const mainThread = this.buildMainThreadSection(results.mainThread);
+    if (mainThread) {
+      sections.push(`\n${mainThread}`);
+    }
+
+    const network = this.buildNetworkSection(results.network);
+    if (network) {
+      sections.push(`\n${network}`);
+    }
+
+    const coverage = this.buildCoverageSection(results.coverage);
+    if (coverage) {
+      sections.push(`\n${coverage}`);
+    }
+
+    const journey = this.buildJourneySection(results.journey);
+    if (journey) {
+      sections.push(`\n${journey}`);
+    }
+
+    const browserErrors = this.buildBrowserErrorsSection(results.browserErrors);
+    if (browserErrors) {
+      sections.push(`\n${browserErrors}`);
+    }
+
+    const complexity = this.buildComplexitySection(results.complexity);
+    if (complexity) {
+      sections.push(`\n${complexity}`);
+    }
+
+    const lazyLoading = this.buildLazyLoadingSection(results.lazyLoading);
+    if (lazyLoading) {
+      sections.push(`\n${lazyLoading}`);
+    }
+
+    const repeatables = this.buildRepeatablesSection(results.repeatables, results.ruleCycles);
+    if (repeatables) {
+      sections.push(`\n${repeatables}`);
+    }
+
+    const ruleExpressions = this.buildRuleExpressionsSection(results.ruleExpressions);
+    if (ruleExpressions) {
+      sections.push(`\n${ruleExpressions}`);
+    }
+
+    const fragments = this.buildFragmentsSection(results, urls.afterData);
+    if (fragments) {
+      sections.push(`\n${fragments}`);
+    }
+
+    const suppressed = this.buildSuppressedIssuesSection(results);
+    if (suppressed) {
+      sections.push(suppressed);
+    }
     
     sections.push('\n---');
     sections.push('*Generated by AEM Forms Performance Analyzer*');
@@ -222,8 +318,58 @@ export class FormPRReporter {
     return lines.join('\n');
   }
 
+  /**
+   * Build visual changes section (pixel diff of the before/after screenshots)
+   * The PR comment links to the uploaded artifacts; local reports, written next to the
+   * screenshots, embed them.
+   * @param {Object} urls - { before, after, visualDiff, artifactsUrl }
+   * @param {Object} options - { embedImages }
+   */
+  buildScreenshotsSection(urls, options = {}) {
+    const diff = urls.visualDiff;
+    if (!diff) return '';
+
+    const files = [
+      getScreenshotFileName(urls.before, 'before'),
+      getScreenshotFileName(urls.after, 'after'),
+      getScreenshotFileName(urls.after, 'diff')
+    ];
+    const lines = ['### Visual Changes\n'];
+
+    if (diff.changedPixels === 0) {
+      lines.push('No visual change between the before and after screenshots.\n');
+    } else {
+      const before = urls.beforeData?.screenshot;
+      const after = urls.afterData?.screenshot;
+      const size = diff.sizeChanged && before && after
+        ? ` - page size ${before.width}x${before.height} → ${after.width}x${after.height}`
+        : '';
+      lines.push(`**${diff.changedPercent}%** of pixels changed in ${diff.regions.length} region${diff.regions.length === 1 ? '' : 's'}${size}. Check that the change is intended.\n`);
+      lines.push('| Region | Position (x, y) | Size |');
+      lines.push('|--------|-----------------|------|');
+      diff.regions.slice(0, 5).forEach((region, i) => {
+        lines.push(`| ${i + 1} | ${region.x}, ${region.y} | ${region.width}x${region.height} |`);
+      });
+      lines.push('');
+    }
+
+    if (options.embedImages) {
+      lines.push('| Before | After | Diff |');
+      lines.push('|--------|-------|------|');
+      lines.push(`| ![Before](${files[0]}) | ![After](${files[1]}) | ![Diff](${files[2]}) |`);
+    } else if (urls.artifactsUrl) {
+      lines.push(`Screenshots: ${files.map(file => `\`${file}\``).join(', ')} in the [workflow run artifacts](${urls.artifactsUrl}).`);
+    } else {
+      lines.push('*Set the `artifacts-dir` input and upload it to keep the screenshots.*');
+    }
+
+    return lines.join('\n');
+  }
+
   /**
    * Build performance metrics section (form load time)
+   * With several runs per URL, load time is compared as median/p75/p95 and only
+   * called slower/faster when the Mann-Whitney U test is significant
    */
   buildPerformanceMetricsSection(beforeData, afterData) {
     const lines = ['### Form Load Performance\n'];
@@ -234,6 +380,7 @@ export class FormPRReporter {
     if (beforeData?.performanceMetrics && afterData?.performanceMetrics) {
       const before = beforeData.performanceMetrics;
       const after = afterData.performanceMetrics;
+      const sampled = this.compareLoadTimes(before, after);
       
       const loadTimeDelta = after.loadTime - before.loadTime;
       const loadTimeChange = loadTimeDelta !== 0 ? `${loadTimeDelta > 0 ? '+' : ''}${loadTimeDelta}ms` : '0ms';
@@ -258,7 +405,21 @@ export class FormPRReporter {
         status = 'Slow';
       }
       
-      lines.push(`| **Form Render Time** | ${before.loadTime}ms${beforeStatus} | ${after.loadTime}ms${afterStatus} | ${loadTimeChange} | ${status} |`);
+      if (sampled) {
+        const { comparison } = sampled;
+        const significance = comparison.pValue !== null ? ` (p=${comparison.pValue.toFixed(3)})` : '';
+        const sampledStatus = after.formRendered === false ? 'Failed'
+          : comparison.change === 'increased' ? `Slower${significance}`
+            : comparison.change === 'decreased' ? `Faster${significance}`
+              : comparison.change === 'unchanged' ? `No significant change${significance}` : 'Not enough runs';
+
+        lines.push(`| **Form Render Time** (median) | ${Math.round(comparison.before.median)}ms${beforeStatus} | ${Math.round(comparison.after.median)}ms${afterStatus} | ${this.formatMsDelta(comparison.delta)} | ${sampledStatus} |`);
+        ['p75', 'p95'].forEach(stat => {
+          lines.push(`| Form Render Time (${stat}) | ${Math.round(comparison.before[stat])}ms | ${Math.round(comparison.after[stat])}ms | ${this.formatMsDelta(comparison.after[stat] - comparison.before[stat])} | - |`);
+        });
+      } else {
+        lines.push(`| **Form Render Time** | ${before.loadTime}ms${beforeStatus} | ${after.loadTime}ms${afterStatus} | ${loadTimeChange} | ${status} |`);
+      }
       
       if (before.Nodes && after.Nodes) {
         const nodesDelta = after.Nodes - before.Nodes;
@@ -272,11 +433,529 @@ export class FormPRReporter {
         const heapDelta = ((after.JSHeapUsedSize - before.JSHeapUsedSize) / 1024 / 1024).toFixed(1);
         lines.push(`| **JS Heap Size** | ${heapBefore}MB | ${heapAfter}MB | ${heapDelta > 0 ? '+' : ''}${heapDelta}MB | - |`);
       }
+
+      if (sampled) {
+        const { sampling, comparison } = sampled;
+        const warmup = sampling.warmupRuns ? `, ${sampling.warmupRuns} warmup discarded` : '';
+        const order = sampling.alternate ? 'alternating before/after' : 'before then after';
+        lines.push(`\n*${comparison.before.runs}/${comparison.after.runs} runs (${order}${warmup}). Slower/faster only when the Mann-Whitney U test is significant (p < ${sampling.alpha}).*`);
+      }
+
+      if (after.throttling) {
+        lines.push(`\n*Throttling profile: \`${after.throttling.name}\` - ${after.throttling.description}*`);
+      }
+
+      if (afterData.replay) {
+        lines.push(`\n*${formatReplaySummary(afterData.replay)}*`);
+      }
     }
     
     return lines.join('\n');
   }
 
+  /**
+   * Statistical comparison of sampled load times (URLAnalyzer.analyzePair)
+   * @returns {Object|null} { sampling, comparison }, null for single loads
+   */
+  compareLoadTimes(before, after) {
+    const beforeSamples = before.samples?.loadTime || [];
+    const afterSamples = after.samples?.loadTime || [];
+    if (beforeSamples.length < 2 || afterSamples.length < 2) {
+      return null;
+    }
+
+    const sampling = after.sampling || { alpha: 0.05 };
+    return { sampling, comparison: compareSamples(beforeSamples, afterSamples, { alpha: sampling.alpha }) };
+  }
+
+  formatMsDelta(delta) {
+    const rounded = Math.round(delta || 0);
+    return `${rounded > 0 ? '+' : ''}${rounded}ms`;
+  }
+
+  /**
+   * Build Core Web Vitals section (measured before/after, judged against thresholds.performance)
+   */
+  buildWebVitalsSection(webVitals) {
+    if (!webVitals?.deltas?.length) {
+      return '';
+    }
+
+    const lines = ['### Core Web Vitals\n'];
+    lines.push('| Metric | Before | After | Change | Target | Status |');
+    lines.push('|--------|--------|-------|--------|--------|--------|');
+
+    webVitals.deltas.forEach(metric => {
+      const regressed = (webVitals.newIssues || []).find(issue => issue.metric === metric.metric);
+      const status = metric.status === 'not-measured' ? '-'
+        : regressed?.severity === 'error' ? 'Regressed'
+          : metric.status === 'over-target' ? 'Over target' : 'Good';
+      const change = metric.delta === null ? '-' : `${metric.delta > 0 ? '+' : ''}${formatValue(metric.delta, metric.unit)}`;
+
+      lines.push(`| **${metric.metric}** | ${formatValue(metric.before, metric.unit)} | ${formatValue(metric.after, metric.unit)} | ${change} | ${formatValue(metric.target, metric.unit)} | ${status} |`);
+    });
+
+    const interactions = webVitals.after?.interactions || 0;
+    lines.push(`\n*Lab measurement (headless Chrome); INP from ${interactions} scripted interaction${interactions === 1 ? '' : 's'}.*`);
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Build render milestones section (milestones before/after, page vs form runtime)
+   */
+  buildRenderMilestonesSection(renderMilestones) {
+    if (!renderMilestones?.deltas?.length || !renderMilestones.deltas.some(milestone => milestone.after !== null)) {
+      return '';
+    }
+
+    const formatMs = value => (value === null || value === undefined ? '-' : `${value}ms`);
+    const formatChange = (delta, change) => {
+      if (delta === null || delta === undefined) return '-';
+      const significance = change === 'increased' ? ' (later)' : change === 'decreased' ? ' (earlier)' : '';
+      return `${this.formatMsDelta(delta)}${significance}`;
+    };
+
+    const lines = ['### Form Render Milestones\n'];
+    lines.push('| Milestone | Before | After | Change |');
+    lines.push('|-----------|--------|-------|--------|');
+    renderMilestones.deltas.forEach(milestone => {
+      lines.push(`| **${milestone.label}** | ${formatMs(milestone.before)} | ${formatMs(milestone.after)} | ${formatChange(milestone.delta, milestone.change)} |`);
+    });
+
+    const { page, runtime } = renderMilestones.phases;
+    lines.push(`| *Page (until the form was created)* | ${formatMs(page.before)} | ${formatMs(page.after)} | ${formatChange(page.delta)} |`);
+    lines.push(`| *Form runtime (until all fields rendered)* | ${formatMs(runtime.before)} | ${formatMs(runtime.after)} | ${formatChange(runtime.delta)} |`);
+
+    (renderMilestones.newIssues || []).forEach(issue => {
+      lines.push(`\n**${issue.message}.** ${issue.recommendation}`);
+    });
+
+    const fields = renderMilestones.after.visibleFields;
+    lines.push(`\n*Times since navigation start; ${fields} visible field${fields === 1 ? '' : 's'} after the change.*`);
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Build main-thread section (time by category before/after, busiest scripts, longest tasks)
+   */
+  buildMainThreadSection(mainThread) {
+    if (!mainThread?.before || !mainThread?.after || !mainThread.categories?.length) {
+      return '';
+    }
+
+    const MAX_ROWS = 5;
+    const { after, total } = mainThread;
+    const significance = total.change === 'increased' ? ' (slower)' : total.change === 'decreased' ? ' (faster)' : '';
+
+    const lines = ['### Main-Thread Activity\n'];
+    lines.push('| Work | Before | After | Change |');
+    lines.push('|------|--------|-------|--------|');
+    mainThread.categories
+      .filter(category => category.before > 0 || category.after > 0)
+      .forEach(category => {
+        lines.push(`| ${category.label} | ${category.before}ms | ${category.after}ms | ${this.formatMsDelta(category.delta)} |`);
+      });
+    lines.push(`| **Total** | ${total.before}ms | ${total.after}ms | ${this.formatMsDelta(total.delta)}${significance} |`);
+
+    (mainThread.newIssues || []).forEach(issue => {
+      lines.push(`\n**${issue.message}.** ${issue.recommendation}`);
+    });
+
+    if (mainThread.scripts.length > 0) {
+      lines.push('\n**Busiest scripts** (after)\n');
+      lines.push('| Script | Main thread | Change |');
+      lines.push('|--------|-------------|--------|');
+      mainThread.scripts.slice(0, MAX_ROWS).forEach(script => {
+        const change = script.before === null ? 'new' : this.formatMsDelta(script.delta);
+        lines.push(`| \`${getScriptLabel(script, after.pageUrl)}\` | ${script.time}ms | ${change} |`);
+      });
+    }
+
+    if (after.longTasks.length > 0) {
+      lines.push(`\n**Longest tasks** (after, ${after.longTaskCount} over 50ms)\n`);
+      lines.push('| Start | Duration | Script | Mostly |');
+      lines.push('|-------|----------|--------|--------|');
+      after.longTasks.slice(0, MAX_ROWS).forEach(task => {
+        const start = `${task.start}ms${task.phase === 'journey' ? ' (journey)' : ''}`;
+        lines.push(`| ${start} | ${task.duration}ms | \`${getScriptLabel(task, after.pageUrl)}\` | ${CATEGORY_LABELS[task.category].toLowerCase()} |`);
+      });
+    }
+
+    lines.push('\n*From a Chrome trace of the load - open the `.trace.json` artifact in the DevTools Performance panel for details.*');
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Build network requests section (request totals vs budgets, before/after request diff)
+   */
+  buildNetworkSection(network) {
+    if (!network?.before?.summary || !network?.after?.summary) {
+      return '';
+    }
+
+    const before = network.before.summary;
+    const after = network.after.summary;
+    const overBudget = type => network.after.issues.some(issue => issue.type === type);
+    const formatCount = count => `${count}`;
+    const formatChange = (delta, format) => (delta === 0 ? '-' : `${delta > 0 ? '+' : '-'}${format(Math.abs(delta))}`);
+
+    const rows = [
+      ['Requests', before.requests, after.requests, formatCount, 'network-request-budget'],
+      ['Transferred', before.transferSize, after.transferSize, formatKB, 'network-transfer-budget'],
+      ['JavaScript', before.byType.script?.transferSize || 0, after.byType.script?.transferSize || 0, formatKB, 'network-script-budget'],
+      ['Third-party requests', before.thirdParty.requests, after.thirdParty.requests, formatCount, 'network-third-party-budget'],
+      ['Requests before render', before.requestsBeforeRender, after.requestsBeforeRender, formatCount, 'network-requests-before-render']
+    ];
+
+    const lines = ['### Network Requests\n'];
+    lines.push('| Metric | Before | After | Change | Status |');
+    lines.push('|--------|--------|-------|--------|--------|');
+    rows.forEach(([label, beforeValue, afterValue, format, type]) => {
+      const regressed = (network.newIssues || []).some(issue => issue.type === type);
+      const status = regressed ? 'Over budget (new)' : overBudget(type) ? 'Over budget' : 'OK';
+      lines.push(`| **${label}** | ${format(beforeValue)} | ${format(afterValue)} | ${formatChange(afterValue - beforeValue, format)} | ${status} |`);
+    });
+
+    (network.newIssues || []).forEach(issue => {
+      lines.push(`\n- **${issue.type}**: ${issue.message}. ${issue.recommendation}`);
+    });
+
+    const { added = [], removed = [], changed = [] } = network.requestDiff || {};
+    if (added.length + removed.length + changed.length > 0) {
+      const MAX_ROWS = 15;
+      const describe = request => `\`${this.formatRequestURL(request)}\`${request.count > 1 ? ` (×${request.count})` : ''}`;
+      const tableRows = [
+        ...added.map(request => `| Added | ${describe(request)} | ${request.resourceType} | ${formatKB(request.transferSize)} |`),
+        ...removed.map(request => `| Removed | ${describe(request)} | ${request.resourceType} | ${formatKB(request.transferSize)} |`),
+        ...changed.map(request => `| Changed | ${describe(request)} | ${request.resourceType} | ${formatKB(request.before)} → ${formatKB(request.transferSize)} |`)
+      ];
+
+      lines.push(`\n<details>\n<summary>Request changes: ${added.length} added, ${removed.length} removed, ${changed.length} changed</summary>\n`);
+      lines.push('| Change | Request | Type | Size |');
+      lines.push('|--------|---------|------|------|');
+      lines.push(...tableRows.slice(0, MAX_ROWS));
+      if (tableRows.length > MAX_ROWS) {
+        lines.push(`\n*...and ${tableRows.length - MAX_ROWS} more (see the HAR files)*`);
+      }
+      lines.push('\n</details>');
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Build unused code section (JS/CSS coverage while the form loads)
+   */
+  buildCoverageSection(coverage) {
+    if (!coverage?.before?.summary || !coverage?.after?.summary) {
+      return '';
+    }
+
+    const MAX_FILES = 10;
+    const before = coverage.before.summary;
+    const after = coverage.after.summary;
+    const formatUnused = totals => `${formatKB(totals.unusedBytes)} of ${formatKB(totals.totalBytes)} (${totals.unusedPercent}%)`;
+    const formatChange = delta => (delta === 0 ? '-' : `${delta > 0 ? '+' : '-'}${formatKB(Math.abs(delta))}`);
+
+    const lines = ['### Unused Code\n'];
+    lines.push('*Unused while the form loads and renders*\n');
+    lines.push('| Type | Before | After | Change |');
+    lines.push('|------|--------|-------|--------|');
+    lines.push(`| **JavaScript** | ${formatUnused(before.js)} | ${formatUnused(after.js)} | ${formatChange(coverage.delta.jsUnusedBytes)} |`);
+    lines.push(`| **CSS** | ${formatUnused(before.css)} | ${formatUnused(after.css)} | ${formatChange(coverage.delta.cssUnusedBytes)} |`);
+
+    (coverage.newIssues || []).forEach(issue => {
+      lines.push(`\n- **${issue.type}**: ${issue.message}${issue.line ? ` (first unused block at line ${issue.line})` : ''}. ${issue.recommendation}`);
+    });
+
+    const files = (coverage.files || []).filter(file => file.unusedBytes > 0);
+    if (files.length > 0) {
+      lines.push(`\n<details>\n<summary>Unused code by file (${files.length})</summary>\n`);
+      lines.push('| File | Type | Size | Unused | Change |');
+      lines.push('|------|------|------|--------|--------|');
+      files.slice(0, MAX_FILES).forEach(file => {
+        const change = file.beforeUnusedBytes === null ? 'new' : formatChange(file.unusedBytes - file.beforeUnusedBytes);
+        lines.push(`| \`${getCoverageLabel(file)}\` | ${file.type.toUpperCase()} | ${formatKB(file.totalBytes)} | ${formatKB(file.unusedBytes)} (${file.unusedPercent}%) | ${change} |`);
+      });
+      if (files.length > MAX_FILES) {
+        lines.push(`\n*...and ${files.length - MAX_FILES} more*`);
+      }
+      lines.push('\n</details>');
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Build user journey section (per-step timings of the scripted journey, before/after)
+   */
+  buildJourneySection(journey) {
+    if (!journey?.before || !journey?.after) {
+      return '';
+    }
+
+    const { after } = journey;
+    const formatMs = value => (value === null || value === undefined ? '-' : `${value}ms`);
+    const formatChange = step => {
+      if (step.delta === null) return 'new';
+      const change = step.delta === 0 ? '-' : `${step.delta > 0 ? '+' : ''}${step.delta}ms`;
+      return step.change === 'increased' ? `${change} (slower)` : step.change === 'decreased' ? `${change} (faster)` : change;
+    };
+
+    const lines = [`### User Journey: ${after.name}\n`];
+    if (!after.completed) {
+      lines.push(`**Failed at step ${after.failedStep.index + 1} "${after.failedStep.name}":** ${after.failedStep.error}\n`);
+    }
+    if (journey.steps.length > 0) {
+      lines.push('| Step | Before | After | Change | INP | Blocking | DOM nodes | Requests |');
+      lines.push('|------|--------|-------|--------|-----|----------|-----------|----------|');
+      journey.steps.forEach(step => {
+        const requests = step.requests > 0 ? `${step.requests} (${formatKB(step.transferSize)})` : '0';
+        lines.push(`| ${step.index + 1}. ${step.name} | ${formatMs(step.before)} | ${formatMs(step.duration)} | ${formatChange(step)} | ${formatMs(step.inp)} | ${formatMs(step.blockingTime)} | ${step.domGrowth >= 0 ? '+' : ''}${step.domGrowth} | ${requests} |`);
+      });
+    }
+    if (journey.removedSteps?.length > 0) {
+      lines.push(`\n*Not reached after the change: ${journey.removedSteps.join(', ')}*`);
+    }
+
+    (journey.newIssues || []).forEach(issue => {
+      lines.push(`\n- **${issue.type}**: ${issue.message}. ${issue.recommendation}`);
+    });
+
+    lines.push(`\n*Step time runs from the action until the network is idle; INP is the step's slowest interaction.${after.failedRuns > 0 ? ` ${after.failedRuns} of ${after.runs} runs did not complete.` : ''}*`);
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Build form complexity section (score before/after, most expensive panels)
+   * Only shown when the score changed or the change introduced complexity issues
+   */
+  buildComplexitySection(complexity) {
+    if (!complexity?.before || !complexity?.after) {
+      return '';
+    }
+    if (complexity.delta.score === 0 && complexity.newIssues.length === 0) {
+      return '';
+    }
+
+    const MAX_ROWS = 5;
+    const formatChange = delta => (delta === 0 ? '-' : `${delta > 0 ? '+' : ''}${delta}`);
+
+    const lines = ['### Form Complexity\n'];
+    lines.push(`**Score:** ${complexity.before.score} → ${complexity.after.score} (${formatChange(complexity.delta.score)})\n`);
+
+    complexity.newIssues.forEach(issue => {
+      lines.push(`- **${issue.type}**: ${issue.message}. ${issue.recommendation}`);
+    });
+    if (complexity.newIssues.length > 0) {
+      lines.push('');
+    }
+
+    if (complexity.panels.length > 0) {
+      lines.push('**Most expensive panels** (after)\n');
+      lines.push('| Panel | Cost | Share | Change | Made of |');
+      lines.push('|-------|------|-------|--------|---------|');
+      complexity.panels.slice(0, MAX_ROWS).forEach(panel => {
+        const change = panel.before === null ? 'new' : formatChange(panel.delta);
+        lines.push(`| \`${panel.path}\` | ${panel.cost} | ${panel.share}% | ${change} | ${formatPanelCounts(panel)} |`);
+      });
+    }
+
+    lines.push('\n*Cost = weighted fields, rules, events and dependents (config.complexity). Split or lazy-load the most expensive panels first.*');
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Build lazy-loading section (panels not visible on first paint worth deferring)
+   * Only shown when the change adds candidates or rules that force them to load early
+   */
+  buildLazyLoadingSection(lazyLoading) {
+    if (!lazyLoading?.after?.candidates || !lazyLoading.newIssues?.length) {
+      return '';
+    }
+
+    const MAX_ROWS = 5;
+    const recommended = new Set(lazyLoading.after.issues.filter(issue => issue.type === 'lazy-load-candidate').map(issue => issue.path));
+    const added = new Set(lazyLoading.newIssues.filter(issue => issue.type === 'lazy-load-candidate').map(issue => issue.path));
+    const candidates = lazyLoading.after.candidates.filter(candidate => recommended.has(candidate.path));
+
+    const lines = ['### Lazy-Loading Candidates\n'];
+    lines.push(`${formatLazyLoadingSummary(lazyLoading.after)}.\n`);
+
+    if (candidates.length > 0) {
+      lines.push('| | Panel | Layout | Components | Rules/events | DOM nodes | Loads early because of |');
+      lines.push('|-|-------|--------|------------|--------------|-----------|------------------------|');
+      candidates.slice(0, MAX_ROWS).forEach(candidate => {
+        const layout = candidate.layout === 'hidden' ? 'hidden' : `${candidate.layout} step ${candidate.step}`;
+        const dom = `${candidate.domSource === 'estimate' ? '~' : ''}${candidate.domNodes}`;
+        const blockers = candidate.blockers.length > 0 ? `${candidate.blockers.length} rule(s)` : '-';
+        lines.push(`| ${added.has(candidate.path) ? '**New**' : ''} | \`${candidate.path}\` | ${layout} | ${candidate.components} | ${candidate.rules + candidate.events} | ${dom} | ${blockers} |`);
+      });
+    }
+
+    const eager = lazyLoading.newIssues.filter(issue => issue.type === 'eager-panel-rule');
+    if (eager.length > 0) {
+      lines.push('\n**New rules that force a panel to load with the form**\n');
+      eager.forEach(issue => lines.push(`- ${issue.message}. ${issue.recommendation}`));
+    }
+
+    lines.push('\n*Wizard steps, tabs and accordion items after the first, and panels that start hidden, are not visible on first paint - load them when shown.*');
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Build repeatable panels section (per-instance cost, growth measured in af-core)
+   * Only shown when the change makes a repeatable panel too expensive or slower per instance
+   * @param {Object} repeatables - RepeatableAnalyzer comparison
+   * @param {Object} ruleCycles - RulePerformanceAnalyzer comparison (repeatableScaling, newSlowdowns)
+   */
+  buildRepeatablesSection(repeatables, ruleCycles) {
+    const newIssues = [...(repeatables?.newIssues || []), ...(ruleCycles?.newSlowdowns || [])];
+    if (!repeatables?.panels || newIssues.length === 0) {
+      return '';
+    }
+
+    const flagged = new Set(newIssues.map(issue => issue.path));
+    const measured = new Map((ruleCycles?.repeatableScaling || []).map(panel => [panel.path, panel]));
+    const instances = repeatables.after.instances;
+
+    const lines = ['### Repeatable Panels\n'];
+    newIssues.forEach(issue => {
+      lines.push(`- **${issue.type}**: ${issue.message}. ${issue.recommendation}`);
+    });
+
+    lines.push(`\n| | Panel | min/max | Per instance | At ${instances} instance(s) | Measured in af-core |`);
+    lines.push('|-|-------|---------|--------------|-----------------|---------------------|');
+    repeatables.panels.forEach(panel => {
+      const { perInstance, projected } = panel;
+      const range = `${panel.minOccur}/${panel.maxOccur ?? '∞'}`;
+      const per = `${perInstance.components} comp., ~${perInstance.domNodes} DOM, ${perInstance.executions} exec.`;
+      const at = `~${projected.domNodes} DOM, ${projected.executions} exec.`;
+      const run = measured.has(panel.path) ? formatMeasuredScaling(measured.get(panel.path)) : '-';
+      lines.push(`| ${flagged.has(panel.path) ? '⚠️' : ''} | \`${panel.path}\` | ${range} | ${per} | ${at} | ${run} |`);
+    });
+
+    lines.push('\n*Exec. = rule executions. A panel that scales linearly costs the same for every added instance; rules reading every instance (count, sum) make each one more expensive.*');
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Build rule expressions section (syntax errors, unknown fields/functions, expensive calls)
+   * Only shown when the change adds findings; each row points at the field and property
+   * @param {Object} ruleExpressions - RuleExpressionAnalyzer comparison
+   */
+  buildRuleExpressionsSection(ruleExpressions) {
+    if (!ruleExpressions?.after?.issues || !ruleExpressions.newIssues?.length) {
+      return '';
+    }
+
+    const MAX_ROWS = 10;
+    const icons = { error: '🔴', warning: '⚠️', info: 'ℹ️' };
+    const lines = ['### Rule Expressions\n'];
+    lines.push(`${formatRuleExpressionSummary(ruleExpressions.after)}.\n`);
+
+    lines.push('| | Field | Property | Finding |');
+    lines.push('|-|-------|----------|---------|');
+    ruleExpressions.newIssues.slice(0, MAX_ROWS).forEach(issue => {
+      lines.push(`| ${icons[issue.severity] || ''} | \`${issue.path || 'form'}\` | \`${issue.property}\` | ${issue.message}. ${issue.recommendation} |`);
+    });
+    if (ruleExpressions.newIssues.length > MAX_ROWS) {
+      lines.push(`\n*...and ${ruleExpressions.newIssues.length - MAX_ROWS} more.*`);
+    }
+
+    if (!ruleExpressions.after.customFunctionsChecked) {
+      lines.push('\n*Unknown functions are not reported - no custom function files were found.*');
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Build fragments section - new issues inside shared fragments, grouped by fragment
+   * Fixing them in the fragment fixes every form that embeds it
+   * @param {Object} results - Results from runFormComparison() (issues carry `fragment`)
+   * @param {Object} afterData - After load ({ fragments } from FragmentResolver)
+   */
+  buildFragmentsSection(results, afterData = null) {
+    const byFragment = new Map();
+    Object.values(results || {}).forEach(analysis => {
+      (analysis?.newIssues || []).filter(issue => issue.fragment).forEach(issue => {
+        const issues = byFragment.get(issue.fragment) || new Map();
+        issues.set(getFragmentIssueKey(issue), issue);
+        byFragment.set(issue.fragment, issues);
+      });
+    });
+    if (byFragment.size === 0) {
+      return '';
+    }
+
+    const embedded = new Map((afterData?.fragments || []).map(fragment => [fragment.path, fragment]));
+    const total = [...byFragment.values()].reduce((sum, issues) => sum + issues.size, 0);
+    const lines = ['### Fragments\n'];
+    lines.push(`${total} new issue(s) are inside shared fragments - fix them in the fragment and every form embedding it gets the fix.\n`);
+    lines.push('| Fragment | Components | New issues |');
+    lines.push('|----------|------------|------------|');
+    byFragment.forEach((issues, path) => {
+      const rules = [...new Set([...issues.values()].map(issue => issue.ruleId || issue.type))];
+      lines.push(`| \`${path}\` | ${embedded.get(path)?.components ?? '-'} | ${issues.size} (${rules.join(', ')}) |`);
+    });
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Build browser errors section (uncaught errors, rejections, console errors, failed requests)
+   * Only shown when the after page raises errors; new ones are listed first
+   */
+  buildBrowserErrorsSection(browserErrors) {
+    const after = browserErrors?.after;
+    if (!browserErrors?.before || !after || after.issues.length === 0) {
+      return '';
+    }
+
+    const MAX_ROWS = 10;
+    const newFingerprints = new Set((browserErrors.newIssues || []).map(issue => issue.fingerprint));
+    const issues = [...after.issues].sort((a, b) => newFingerprints.has(b.fingerprint) - newFingerprints.has(a.fingerprint));
+    const newCount = newFingerprints.size;
+
+    const lines = ['### Browser Errors\n'];
+    lines.push(`${formatBrowserErrorsSummary(after.summary)} while the form loaded and was used${newCount > 0 ? ` - **${newCount} new**` : ''}.\n`);
+    lines.push('| | Error | Source | Count |');
+    lines.push('|-|-------|--------|-------|');
+    issues.slice(0, MAX_ROWS).forEach(issue => {
+      const source = issue.file ? `\`${issue.file}${issue.line ? `:${issue.line}` : ''}\`` : issue.source;
+      const message = issue.message.replace(/\|/g, '\\|');
+      lines.push(`| ${newFingerprints.has(issue.fingerprint) ? '**New**' : ''} | ${message} | ${source} | ${issue.count} |`);
+    });
+    if (issues.length > MAX_ROWS) {
+      lines.push(`\n*...and ${issues.length - MAX_ROWS} more*`);
+    }
+    if (browserErrors.resolvedIssues?.length > 0) {
+      lines.push(`\n*${browserErrors.resolvedIssues.length} error(s) from before the change no longer happen.*`);
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Request URL without query string - path only for the page's own site
+   */
+  formatRequestURL(request) {
+    try {
+      const url = new URL(request.url);
+      return request.firstParty ? url.pathname : `${url.hostname}${url.pathname}`;
+    } catch (error) {
+      return request.url.slice(0, 80);
+    }
+  }
+
   /**
    * Build form structure section
    */
@@ -741,6 +1420,56 @@ export class FormPRReporter {
     return lines.join('\n');
   }
 
+  /**
+   * List issues silenced by perf-bot-disable comments / perf-bot:ignore, with their reasons
+   */
+  buildSuppressedIssuesSection(results) {
+    const suppressed = collectSuppressedIssues(results);
+    if (suppressed.length === 0) {
+      return '';
+    }
+
+    const lines = [`<details>\n<summary><b>Suppressed issues</b> (${suppressed.length})</summary>\n`];
+    suppressed.forEach(issue => {
+      lines.push(`- **${issue.type}** \`${describeSuppression(issue)}\` - ${issue.suppression.reason}`);
+    });
+    lines.push('\n</details>\n');
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Build one section per third-party analyzer (config.analyzers)
+   */
+  buildAdditionalAnalyzersSection(results) {
+    const additional = Object.entries(results).filter(([id]) => !BUILTIN_ANALYZER_IDS.includes(id));
+    if (additional.length === 0) {
+      return '';
+    }
+
+    return additional.map(([id, analysis]) => {
+      const lines = [`### ${analysis.title || id}\n`];
+
+      if (analysis.error) {
+        lines.push(`Analysis failed: ${analysis.error}\n`);
+      } else if (!analysis.newIssues || analysis.newIssues.length === 0) {
+        lines.push(' No issues detected.\n');
+      } else {
+        analysis.newIssues.forEach(issue => {
+          const location = issue.file ? ` \`${issue.file}${issue.line ? `:${issue.line}` : ''}\`` : (issue.field ? ` \`${issue.field}\`` : '');
+          lines.push(`- **[${issue.severity || 'info'}] ${issue.type}**${location} - ${issue.message}`);
+        });
+        lines.push('');
+      }
+
+      if (analysis.resolvedIssues?.length > 0) {
+        lines.push(`**Resolved:** ${analysis.resolvedIssues.length} issue(s)\n`);
+      }
+
+      return lines.join('\n');
+    }).join('\n');
+  }
+
   /**
    * Build summary section
    */
@@ -780,6 +1509,8 @@ export class FormPRReporter {
 
   /**
    * Calculate overall form performance impact
+   * The score only picks the rating from new and resolved issues - how complex the form
+   * itself is comes from ComplexityAnalyzer (config.complexity)
    */
   calculateFormImpact(results) {
     const impact = {
@@ -808,6 +1539,68 @@ export class FormPRReporter {
       }
     }
 
+    // Form complexity (weighted panel costs)
+    if (results.complexity && results.complexity.delta) {
+      const { delta, after, newIssues, resolvedIssues } = results.complexity;
+      const increase = newIssues.find(issue => issue.type === 'complexity-increase');
+      const thresholdIssues = newIssues.filter(issue => issue !== increase);
+
+      if (increase) {
+        impact.warnings.push(`Form complexity score +${delta.score} (now ${after.score})`);
+        impact.recommendations.push(increase.recommendation);
+        score -= 10;
+      } else if (delta.score < 0) {
+        impact.positives.push(`Form complexity score ${delta.score} (now ${after.score})`);
+      }
+
+      if (thresholdIssues.length > 0) {
+        impact.warnings.push(`${thresholdIssues.length} new complexity issue(s) - see the most expensive panels`);
+        score -= thresholdIssues.length * 5;
+      }
+
+      if (resolvedIssues && resolvedIssues.length > 0) {
+        impact.positives.push(`Resolved ${resolvedIssues.length} complexity issue(s)`);
+        score += resolvedIssues.length * 5;
+      }
+    }
+
+    // Lazy-loading candidates (recommendations only - rendering them up front is how it was before)
+    if (results.lazyLoading && results.lazyLoading.newIssues) {
+      const candidates = results.lazyLoading.newIssues.filter(issue => issue.type === 'lazy-load-candidate');
+      if (candidates.length > 0) {
+        impact.recommendations.push(`Defer ${candidates.length} panel(s) not visible on first paint: ${candidates.map(issue => `\`${issue.path}\``).join(', ')}`);
+      }
+    }
+
+    // Repeatable panels (estimated at config.repeatables.instances, measured growth in af-core)
+    const repeatableIssues = [...(results.repeatables?.newIssues || []), ...(results.ruleCycles?.newSlowdowns || [])];
+    if (repeatableIssues.length > 0) {
+      const panels = [...new Set(repeatableIssues.map(issue => `\`${issue.path}\``))];
+      impact.warnings.push(`${panels.length} repeatable panel(s) get expensive with more instances: ${panels.join(', ')}`);
+      impact.recommendations.push(repeatableIssues[0].recommendation);
+      score -= repeatableIssues.length * 5;
+    }
+
+    // Rule expressions (parsed with af-core's grammar - syntax errors never run)
+    if (results.ruleExpressions && results.ruleExpressions.newIssues) {
+      const { newIssues, resolvedIssues } = results.ruleExpressions;
+      const syntaxErrors = newIssues.filter(issue => issue.type === 'rule-syntax-error');
+      const others = newIssues.filter(issue => issue.type !== 'rule-syntax-error');
+
+      if (syntaxErrors.length > 0) {
+        impact.critical.push(`${syntaxErrors.length} rule expression(s) that don't parse: ${syntaxErrors.map(issue => `\`${issue.path || 'form'}\` ${issue.property}`).join(', ')}`);
+        score -= syntaxErrors.length * 30;
+      }
+      if (others.length > 0) {
+        impact.warnings.push(`${others.length} new rule expression issue(s) - unknown fields or functions, expensive calls, unused rules`);
+        score -= others.length * 5;
+      }
+      if (resolvedIssues && resolvedIssues.length > 0) {
+        impact.positives.push(`Resolved ${resolvedIssues.length} rule expression issue(s)`);
+        score += resolvedIssues.length * 5;
+      }
+    }
+
     // API calls in initialize
     if (results.formEvents) {
       const { newIssues, resolvedIssues } = results.formEvents;
@@ -1122,6 +1915,25 @@ export class FormPRReporter {
       count += results.hiddenFields.newIssues.length;
     }
     
+    // Core Web Vitals pushed over their target
+    count += (results.webVitals?.newIssues || []).filter(i => i.severity === 'error').length;
+    
+    // Network budgets newly exceeded
+    count += (results.network?.newIssues || []).filter(i => i.severity === 'error').length;
+    
+    // Journeys that no longer complete
+    count += (results.journey?.newIssues || []).filter(i => i.severity === 'error').length;
+    
+    // New uncaught errors / scripts that fail to load in the browser
+    count += (results.browserErrors?.newIssues || []).filter(i => i.severity === 'error').length;
+    
+    // Third-party analyzers (config.analyzers)
+    Object.entries(results)
+      .filter(([id]) => !BUILTIN_ANALYZER_IDS.includes(id))
+      .forEach(([, analysis]) => {
+        count += analysis?.newIssues?.length || 0;
+      });
+    
     return count;
   }
 
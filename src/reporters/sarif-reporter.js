@@ -0,0 +1,264 @@
+import { existsSync, readFileSync } from 'fs';
+import { dirname, join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { normalizeIssue, getRuleMetadata } from '../utils/issue-model.js';
+import { collectSuppressedIssues } from '../utils/suppressions.js';
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const FINGERPRINT_KEY = 'perfBotFingerprint/v1';
+
+const LEVELS = {
+  error: 'error',
+  warning: 'warning',
+  info: 'note',
+};
+
+// Issues about the form as a whole (no field path) - reported on the form file itself
+const FORM_LEVEL_ANALYZERS = ['formStructure', 'complexity'];
+
+const packageJson = JSON.parse(
+  readFileSync(join(dirname(fileURLToPath(import.meta.url)), '..', '..', 'package.json'), 'utf-8')
+);
+
+/**
+ * SARIF 2.1.0 report for GitHub code scanning
+ * Upload the file with github/codeql-action/upload-sarif to track findings as alerts.
+ *
+ * Issues with a file (CSS, custom functions, runtime errors) are reported at that file/line.
+ * Form JSON issues (hidden fields, rule cycles, initialize events) are reported on the
+ * *.form.json file that contains the field when one exists in the repository.
+ * Issues that can't be tied to a repository file (e.g. rendered HTML) are left out.
+ * Inline-suppressed issues are included with an inSource suppression and its reason,
+ * so code scanning shows them as dismissed instead of dropping them silently.
+ */
+export class SARIFReporter {
+  /**
+   * @param {Object} options - { workspaceRoot, formFiles }
+   *   formFiles: *.form.json paths (relative to workspaceRoot) searched for form JSON issues
+   */
+  constructor(options = {}) {
+    this.workspaceRoot = options.workspaceRoot || process.cwd();
+    this.formFiles = options.formFiles || [];
+    this.fileCache = new Map();
+  }
+
+  /**
+   * Build a SARIF log from PR/compare results (current state of every analyzer)
+   * @param {Object} results - Results from runFormComparison()
+   * @param {Object} options - { formFile } form JSON file the results were computed from
+   * @returns {string} SARIF JSON
+   */
+  generateReport(results, options = {}) {
+    const issues = [];
+
+    Object.entries(results).forEach(([analyzerId, analysis]) => {
+      const current = analysis?.after?.issues || analysis?.newIssues || [];
+      current.forEach(issue => issues.push(normalizeIssue(issue, analyzerId)));
+    });
+    collectSuppressedIssues(results).forEach(issue => issues.push(normalizeIssue(issue)));
+
+    return this.buildLog(issues.map(issue => ({ issue, formFile: options.formFile || null })));
+  }
+
+  /**
+   * Build a SARIF log from scheduled scan results
+   * @param {Array} formResults - Results from analyzeSingleForm()
+   * @returns {string} SARIF JSON
+   */
+  generateScanReport(formResults) {
+    const entries = [];
+
+    formResults.filter(result => !result.error).forEach(result => {
+      // Scanned form files are their own form file
+      const formFile = /\.json$/i.test(result.url || '') ? result.url : null;
+      const add = issue => entries.push({ issue: normalizeIssue(issue), formFile });
+
+      [result.css, result.customFunctions, result.forms].forEach(section => {
+        (section?.issues || []).forEach(add);
+      });
+      (result.suppressedIssues || []).forEach(add);
+
+      // Scan results keep cycle summaries - report each cycle
+      (result.rules?.issues || []).forEach(summary => {
+        (summary.details || []).forEach(cycle => add({
+          severity: 'error',
+          type: 'rule-cycle',
+          fields: cycle.fields,
+          message: `Circular dependency detected: ${(cycle.fields || []).join(' → ')}`,
+          analyzer: 'ruleCycles'
+        }));
+      });
+    });
+
+    return this.buildLog(entries);
+  }
+
+  /**
+   * Build the SARIF log
+   * @param {Array} entries - [{ issue, formFile }] with normalized issues
+   */
+  buildLog(entries) {
+    const rules = [];
+    const ruleIndex = new Map();
+    const results = [];
+    const seen = new Set();
+
+    entries.forEach(({ issue, formFile }) => {
+      const location = this.resolveLocation(issue, formFile);
+      if (!location) return;
+
+      // CSS issues are shared by every scanned form - report each once
+      const key = `${issue.fingerprint}|${location.uri}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+
+      if (!ruleIndex.has(issue.ruleId)) {
+        ruleIndex.set(issue.ruleId, rules.length);
+        rules.push(this.buildRule(issue));
+      }
+
+      results.push(this.buildResult(issue, location, ruleIndex.get(issue.ruleId)));
+    });
+
+    return JSON.stringify({
+      $schema: SARIF_SCHEMA,
+      version: '2.1.0',
+      runs: [{
+        tool: {
+          driver: {
+            name: 'AEM Forms Performance Bot',
+            version: packageJson.version,
+            rules
+          }
+        },
+        results
+      }]
+    }, null, 2);
+  }
+
+  buildRule(issue) {
+    const metadata = getRuleMetadata(issue.ruleId);
+    const cwv = (issue.cwvImpact || metadata.cwvImpact || '').split(',').map(m => m.trim()).filter(Boolean);
+
+    const rule = {
+      id: issue.ruleId,
+      name: issue.ruleId.replace(/(^|-)(\w)/g, (_, __, c) => c.toUpperCase()),
+      shortDescription: { text: metadata.title },
+      defaultConfiguration: { level: LEVELS[issue.severity] || 'note' },
+      properties: {
+        tags: ['performance', ...cwv],
+        precision: 'high'
+      }
+    };
+
+    if (issue.recommendation) {
+      rule.help = { text: issue.recommendation };
+    }
+
+    return rule;
+  }
+
+  buildResult(issue, location, index) {
+    const physicalLocation = {
+      artifactLocation: { uri: location.uri, uriBaseId: '%SRCROOT%' },
+      region: { startLine: location.line }
+    };
+
+    const sarifLocation = { physicalLocation };
+    if (issue.location?.path) {
+      sarifLocation.logicalLocations = [{ fullyQualifiedName: issue.location.path, kind: 'member' }];
+    }
+
+    const result = {
+      ruleId: issue.ruleId,
+      ruleIndex: index,
+      level: LEVELS[issue.severity] || 'note',
+      message: { text: issue.message },
+      locations: [sarifLocation],
+      partialFingerprints: { [FINGERPRINT_KEY]: issue.fingerprint },
+      properties: {
+        analyzer: issue.analyzer
+      }
+    };
+
+    if (issue.cwvImpact) {
+      result.properties.cwvImpact = issue.cwvImpact;
+    }
+
+    if (issue.fragment) {
+      result.properties.fragment = issue.fragment;
+    }
+
+    if (issue.suppressed) {
+      result.suppressions = [{ kind: 'inSource', justification: issue.suppression?.reason }];
+    }
+
+    return result;
+  }
+
+  /**
+   * Map an issue to a repository file and line
+   * @returns {Object|null} { uri, line } or null when the issue has no repository location
+   */
+  resolveLocation(issue, formFile) {
+    const file = issue.location?.file;
+    if (file && file !== 'unknown') {
+      return { uri: toURI(file), line: issue.location.line || 1 };
+    }
+
+    const fieldName = issue.location?.path?.split(/[.>\s]+/).filter(Boolean).pop();
+    if (fieldName) {
+      const candidates = formFile ? [formFile, ...this.formFiles] : this.formFiles;
+      for (const candidate of candidates) {
+        const line = this.findFieldLine(candidate, fieldName);
+        if (line) {
+          return { uri: toURI(candidate), line };
+        }
+      }
+      return null;
+    }
+
+    if (formFile && FORM_LEVEL_ANALYZERS.includes(issue.analyzer) && this.readFile(formFile) !== null) {
+      return { uri: toURI(formFile), line: 1 };
+    }
+
+    return null;
+  }
+
+  /**
+   * Line of a field in a form JSON file (its "name" property, or its key in :items)
+   * @returns {number|null} 1-based line, null if the field isn't in the file
+   */
+  findFieldLine(formFile, fieldName) {
+    const content = this.readFile(formFile);
+    if (content === null) return null;
+
+    const lines = content.split('\n');
+    const escaped = fieldName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const patterns = [
+      new RegExp(`"name"\\s*:\\s*"${escaped}"`),
+      new RegExp(`"${escaped}"\\s*:\\s*\\{`)
+    ];
+
+    for (const pattern of patterns) {
+      const index = lines.findIndex(line => pattern.test(line));
+      if (index !== -1) return index + 1;
+    }
+    return null;
+  }
+
+  readFile(relativePath) {
+    if (!this.fileCache.has(relativePath)) {
+      const fullPath = resolve(this.workspaceRoot, relativePath);
+      this.fileCache.set(relativePath, existsSync(fullPath) ? readFileSync(fullPath, 'utf-8') : null);
+    }
+    return this.fileCache.get(relativePath);
+  }
+}
+
+/**
+ * Repository-relative path as a SARIF URI
+ */
+function toURI(filePath) {
+  return filePath.replace(/\\/g, '/').replace(/^\.\//, '');
+}
@@ -0,0 +1,103 @@
+import { mkdirSync, writeFileSync } from 'fs';
+import { join } from 'path';
+
+/**
+ * Files produced alongside the reports (HAR recordings, traces, screenshots, ...)
+ * The CLI writes them next to its reports; the action writes them to the artifacts-dir
+ * input, to be uploaded with actions/upload-artifact.
+ */
+
+/**
+ * File-system safe artifact name for a form, e.g. "forms-apply-after"
+ * @param {string} label - Form URL or form name
+ * @param {string} suffix - Optional suffix (before, after)
+ */
+export function getArtifactName(label, suffix = '') {
+  let name = label || 'form';
+  try {
+    name = new URL(label).pathname;
+  } catch (error) {
+    // Not a URL - use the label as is
+  }
+
+  const base = name.replace(/[^a-zA-Z0-9_-]+/g, '-').replace(/^-+|-+$/g, '') || 'form';
+  return suffix ? `${base}-${suffix}` : base;
+}
+
+/**
+ * Write an artifact (objects are written as JSON, buffers as is)
+ * @param {string} dir - Directory (created if missing)
+ * @param {string} fileName - File name
+ * @param {string|Buffer|Object} content - File content
+ * @returns {string} Path of the written file
+ */
+export function writeArtifact(dir, fileName, content) {
+  mkdirSync(dir, { recursive: true });
+  const filePath = join(dir, fileName);
+  if (Buffer.isBuffer(content)) {
+    writeFileSync(filePath, content);
+  } else {
+    writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content, null, 2), 'utf-8');
+  }
+  return filePath;
+}
+
+/**
+ * File name of a form's screenshot, e.g. "forms-apply-after.png" (suffix "diff" for the pixel diff)
+ * Reports link to the screenshots by these names.
+ * @param {string} label - Form URL or form name
+ * @param {string} suffix - before, after or diff
+ */
+export function getScreenshotFileName(label, suffix = '') {
+  return `${getArtifactName(label, suffix)}.png`;
+}
+
+/**
+ * Write the HAR recording of each analyzed URL
+ * @param {string} dir - Directory
+ * @param {Array} loads - [{ label, suffix, data }] where data is a URLAnalyzer result
+ * @returns {Array<string>} Paths written (loads without a recording are skipped)
+ */
+export function writeHARFiles(dir, loads) {
+  return loads
+    .filter(({ data }) => data?.har)
+    .map(({ label, suffix, data }) => writeArtifact(dir, `${getArtifactName(label, suffix)}.har`, data.har));
+}
+
+/**
+ * Write the Chrome trace of each analyzed URL (open it in DevTools' Performance panel)
+ * @param {string} dir - Directory
+ * @param {Array} loads - [{ label, suffix, data }] where data is a URLAnalyzer result
+ * @returns {Array<string>} Paths written (loads without a trace are skipped)
+ */
+export function writeTraceFiles(dir, loads) {
+  return loads
+    .filter(({ data }) => data?.trace)
+    .map(({ label, suffix, data }) => writeArtifact(dir, `${getArtifactName(label, suffix)}.trace.json`, data.trace));
+}
+
+/**
+ * Write the screenshot (and filmstrip frames) of each analyzed URL, plus the pixel diff of a pair
+ * @param {string} dir - Directory
+ * @param {Array} loads - [{ label, suffix, data }] where data is a URLAnalyzer result
+ * @param {Object} visualDiff - URLAnalyzer.compareScreenshots() result, written under the last load's label
+ * @returns {Array<string>} Paths written
+ */
+export function writeScreenshotFiles(dir, loads, visualDiff = null) {
+  const written = [];
+
+  loads.forEach(({ label, suffix, data }) => {
+    if (data?.screenshot) {
+      written.push(writeArtifact(dir, getScreenshotFileName(label, suffix), Buffer.from(data.screenshot.image, 'base64')));
+    }
+    (data?.filmstrip || []).forEach(frame => {
+      const fileName = `${getArtifactName(label, suffix)}-filmstrip-${String(frame.time).padStart(5, '0')}ms.jpg`;
+      written.push(writeArtifact(dir, fileName, Buffer.from(frame.image, 'base64')));
+    });
+  });
+
+  if (visualDiff && loads.length > 0) {
+    written.push(writeArtifact(dir, getScreenshotFileName(loads[loads.length - 1].label, 'diff'), Buffer.from(visualDiff.image, 'base64')));
+  }
+  return written;
+}
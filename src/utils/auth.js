@@ -0,0 +1,253 @@
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+
+/**
+ * Authentication for URL analysis
+ *
+ * Auth profiles live in config.auth.profiles. A profile is picked for a URL by name
+ * (`{ "url": "...", "auth": "stage" }` in scheduledScan.urls) or by its `match` URL
+ * patterns; the first matching profile wins.
+ *
+ *   basic    - { username, password }  Authorization: Basic ... on matching requests
+ *   bearer   - { token }               Authorization: Bearer ... on matching requests
+ *   cookies  - { file } or { cookies } Cookie jar set on the browser context
+ *   login    - { loginUrl, steps }     Scripted login (navigate, fill, click) before the load
+ *
+ * Any profile may add `headers`, and `cookies`/`file` and `steps` combine with the other
+ * types. Secrets are read from environment variables with ${NAME} (or ${NAME:-default})
+ * placeholders, so they never have to be committed.
+ *
+ * Headers are only added to requests matching the profile's `match` patterns (or the
+ * analyzed URL's origin), so credentials never reach CDNs or third-party tags.
+ */
+
+export const AUTH_TYPES = ['basic', 'bearer', 'cookies', 'login'];
+
+const REQUIRED_FIELDS = {
+  basic: ['username', 'password'],
+  bearer: ['token'],
+  cookies: [],
+  login: ['steps']
+};
+
+const STEP_ACTIONS = ['goto', 'fill', 'click', 'waitFor', 'waitForNavigation'];
+
+/**
+ * Pick and resolve the auth profile for a URL
+ * @param {string} url - URL to analyze
+ * @param {string|Object|boolean} selection - Profile name, inline profile, or false for none
+ *   (default: first profile whose `match` patterns match the URL)
+ * @param {Object} config - Bot configuration (auth.profiles)
+ * @param {Object} env - Environment variables for ${NAME} placeholders
+ * @returns {Object|null} Profile with secrets filled in ({ name, type, headers, cookies, steps, match }), or null
+ */
+export function resolveAuth(url, selection = null, config = null, env = process.env) {
+  if (selection === false) return null;
+
+  const profiles = config?.auth?.profiles || {};
+  let name;
+  let profile;
+
+  if (selection && typeof selection === 'object') {
+    name = 'inline';
+    profile = selection;
+  } else if (selection) {
+    name = selection;
+    profile = profiles[selection];
+    if (!profile) {
+      const available = Object.keys(profiles);
+      throw new Error(`Unknown auth profile "${selection}". Available: ${available.length > 0 ? available.join(', ') : 'none (add auth.profiles to the config)'}`);
+    }
+  } else {
+    [name, profile] = Object.entries(profiles).find(([, candidate]) => matchesURL(candidate, url)) || [];
+    if (!profile) return null;
+  }
+
+  return buildAuth(name, profile, url, env);
+}
+
+/**
+ * Validate a profile and fill in its secrets
+ */
+function buildAuth(name, profile, url, env) {
+  if (!AUTH_TYPES.includes(profile.type)) {
+    throw new Error(`Auth profile "${name}" has unknown type "${profile.type}" (supported: ${AUTH_TYPES.join(', ')})`);
+  }
+  const missing = REQUIRED_FIELDS[profile.type].filter(field => profile[field] === undefined || profile[field] === null);
+  if (profile.type === 'cookies' && !profile.file && !profile.cookies) missing.push('file or cookies');
+  if (missing.length > 0) {
+    throw new Error(`Auth profile "${name}" (${profile.type}) is missing ${missing.join(', ')}`);
+  }
+
+  const expanded = expandSecrets(profile, name, env);
+  const headers = { ...(expanded.headers || {}) };
+  if (expanded.type === 'basic') {
+    headers.Authorization = `Basic ${Buffer.from(`${expanded.username}:${expanded.password}`).toString('base64')}`;
+  } else if (expanded.type === 'bearer') {
+    headers.Authorization = `Bearer ${expanded.token}`;
+  }
+
+  (expanded.steps || []).forEach((step, i) => {
+    if (!STEP_ACTIONS.some(action => action in step)) {
+      throw new Error(`Auth profile "${name}" login step ${i + 1} has no action (supported: ${STEP_ACTIONS.join(', ')})`);
+    }
+  });
+
+  return {
+    name,
+    type: expanded.type,
+    match: toArray(expanded.match).length > 0 ? toArray(expanded.match) : [`${new URL(url).origin}/*`],
+    headers,
+    cookies: expanded.file ? loadCookieFile(expanded.file, name) : (expanded.cookies || []),
+    loginUrl: expanded.loginUrl || null,
+    steps: expanded.steps || []
+  };
+}
+
+/**
+ * Replace ${NAME} and ${NAME:-default} in every string of a profile
+ */
+function expandSecrets(value, profileName, env) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g, (placeholder, variable, fallback) => {
+      if (env[variable] !== undefined && env[variable] !== '') return env[variable];
+      if (fallback !== undefined) return fallback;
+      throw new Error(`Auth profile "${profileName}" needs environment variable ${variable}`);
+    });
+  }
+  if (Array.isArray(value)) return value.map(item => expandSecrets(item, profileName, env));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, expandSecrets(item, profileName, env)]));
+  }
+  return value;
+}
+
+/**
+ * Cookies from a JSON file: an array of { name, value, domain, path, ... } (DevTools/Puppeteer
+ * export) or a Playwright storage state ({ cookies: [...] })
+ */
+function loadCookieFile(file, profileName) {
+  let parsed;
+  try {
+    parsed = JSON.parse(readFileSync(resolve(file), 'utf-8'));
+  } catch (error) {
+    throw new Error(`Auth profile "${profileName}" could not read cookie file ${file}: ${error.message}`);
+  }
+  const cookies = Array.isArray(parsed) ? parsed : parsed?.cookies;
+  if (!Array.isArray(cookies)) {
+    throw new Error(`Auth profile "${profileName}" cookie file ${file} must hold an array of cookies or { "cookies": [...] }`);
+  }
+  return cookies;
+}
+
+/**
+ * Whether a profile's `match` patterns cover a URL (* matches anything)
+ */
+export function matchesURL(profile, url) {
+  return toArray(profile?.match).some(pattern => patternToRegExp(pattern).test(url));
+}
+
+function patternToRegExp(pattern) {
+  const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${escaped}$`);
+}
+
+function toArray(value) {
+  if (!value) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Authenticate a page before the analyzed URL loads
+ * Runs before throttling and recording, so login traffic isn't measured.
+ * @param {Object} page - Puppeteer page (in its own browser context)
+ * @param {Object} auth - resolveAuth() result
+ */
+export async function applyAuth(page, auth) {
+  if (!auth) return;
+
+  if (Object.keys(auth.headers).length > 0) {
+    await addRequestHeaders(page, auth.match, auth.headers);
+  }
+
+  if (auth.cookies.length > 0) {
+    await page.browserContext().setCookie(...auth.cookies);
+  }
+
+  if (auth.steps.length > 0) {
+    await runLoginSteps(page, auth);
+  }
+}
+
+/**
+ * Add headers to requests matching the patterns (DevTools Fetch domain - other requests
+ * are not intercepted)
+ */
+async function addRequestHeaders(page, patterns, headers) {
+  const client = await page.createCDPSession();
+  const names = Object.keys(headers).map(name => name.toLowerCase());
+
+  client.on('Fetch.requestPaused', ({ requestId, request }) => {
+    const merged = Object.entries(request.headers || {})
+      .filter(([name]) => !names.includes(name.toLowerCase()))
+      .concat(Object.entries(headers))
+      .map(([name, value]) => ({ name, value: String(value) }));
+    client.send('Fetch.continueRequest', { requestId, headers: merged }).catch(() => {
+      // The request was cancelled (navigation away, page closed) - nothing to continue
+    });
+  });
+
+  await client.send('Fetch.enable', {
+    patterns: patterns.map(urlPattern => ({ urlPattern, requestStage: 'Request' }))
+  });
+}
+
+/**
+ * Run a login script: { goto }, { fill, value }, { click }, { waitFor }, { waitForNavigation }
+ */
+async function runLoginSteps(page, auth) {
+  const TIMEOUT_MS = 30000;
+  const steps = auth.loginUrl ? [{ goto: auth.loginUrl }, ...auth.steps] : auth.steps;
+  console.log(`Logging in with auth profile "${auth.name}" (${steps.length} step(s))`);
+
+  for (const [i, step] of steps.entries()) {
+    const action = STEP_ACTIONS.find(name => name in step);
+    try {
+      if (action === 'goto') {
+        await page.goto(step.goto, { waitUntil: 'networkidle2', timeout: TIMEOUT_MS });
+      } else if (action === 'fill') {
+        await page.waitForSelector(step.fill, { timeout: TIMEOUT_MS });
+        await page.$eval(step.fill, element => { element.value = ''; });
+        await page.type(step.fill, String(step.value ?? ''));
+      } else if (action === 'click' && step.waitForNavigation) {
+        await Promise.all([
+          page.waitForNavigation({ waitUntil: 'networkidle2', timeout: TIMEOUT_MS }),
+          page.click(step.click)
+        ]);
+      } else if (action === 'click') {
+        await page.click(step.click);
+      } else if (action === 'waitFor') {
+        await page.waitForSelector(step.waitFor, { timeout: TIMEOUT_MS });
+      } else {
+        await page.waitForNavigation({ waitUntil: 'networkidle2', timeout: TIMEOUT_MS });
+      }
+    } catch (error) {
+      throw new Error(`Login for auth profile "${auth.name}" failed at step ${i + 1} (${describeStep(step, action)}): ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Step for error messages - selectors and URL paths only, never filled values or query strings
+ */
+function describeStep(step, action) {
+  if (action === 'goto') {
+    try {
+      const url = new URL(step.goto);
+      return `goto ${url.origin}${url.pathname}`;
+    } catch (error) {
+      return 'goto';
+    }
+  }
+  return action === 'waitForNavigation' ? action : `${action} ${step[action]}`;
+}
@@ -0,0 +1,268 @@
+import * as core from '@actions/core';
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { resolve } from 'path';
+import { fingerprintIssue, getRuleMetadata } from './issue-model.js';
+
+/**
+ * Issue baseline
+ *
+ * A committed file that records accepted (pre-existing) issues, so PR checks fail
+ * only on regressions. Issues are stored by fingerprint (see issue-model.js):
+ *
+ *   {
+ *     "version": 1,
+ *     "generatedAt": "...",
+ *     "forms": { "forms/apply.form.json": { "<fingerprint>": { "ruleId": "...", "message": "..." } } },
+ *     "files": { "blocks/form/form.css": { "<fingerprint>": { ... } } }
+ *   }
+ *
+ * Issues with a file (CSS, custom functions) are recorded under that file and match
+ * in every form. Form JSON/HTML issues are recorded under the form they were found in.
+ * Forms are keyed by file path, or by URL path so deployments on other hosts
+ * (main--repo--org vs. branch--repo--org) share the same entries.
+ */
+
+export const BASELINE_FILE = '.performance-bot-baseline.json';
+
+const BASELINE_VERSION = 1;
+
+export class Baseline {
+  constructor(data = {}) {
+    this.generatedAt = data.generatedAt || null;
+    this.forms = data.forms || {};
+    this.files = data.files || {};
+  }
+
+  /**
+   * Whether an issue is recorded in the baseline
+   * @param {Object} issue - Issue (raw or normalized)
+   * @param {string} formKey - Key of the form the issue was found in
+   */
+  has(issue, formKey) {
+    const fingerprint = issue.fingerprint || fingerprintIssue(issue);
+    const file = getIssueFile(issue);
+    if (file) {
+      return !!this.files[file]?.[fingerprint];
+    }
+    return !!this.forms[formKey]?.[fingerprint];
+  }
+
+  /**
+   * Record issues as accepted
+   * @param {Array} issues - Issues found in the form
+   * @param {string} formKey - Key of the form they were found in
+   */
+  add(issues, formKey) {
+    issues.forEach(issue => {
+      const file = getIssueFile(issue);
+      const bucket = file
+        ? (this.files[file] = this.files[file] || {})
+        : (this.forms[formKey] = this.forms[formKey] || {});
+      const ruleId = issue.ruleId || issue.type || 'unknown';
+
+      bucket[issue.fingerprint || fingerprintIssue(issue)] = {
+        ruleId,
+        message: issue.message || getRuleMetadata(ruleId).title
+      };
+    });
+  }
+
+  /**
+   * Number of accepted issues
+   */
+  size() {
+    const count = buckets => Object.values(buckets).reduce((sum, bucket) => sum + Object.keys(bucket).length, 0);
+    return count(this.forms) + count(this.files);
+  }
+
+  toJSON() {
+    // Sorted keys keep regenerated baselines diff-friendly
+    const sorted = object => Object.fromEntries(Object.keys(object).sort().map(key => [
+      key,
+      Object.fromEntries(Object.keys(object[key]).sort().map(fingerprint => [fingerprint, object[key][fingerprint]]))
+    ]));
+
+    return {
+      version: BASELINE_VERSION,
+      generatedAt: this.generatedAt,
+      forms: sorted(this.forms),
+      files: sorted(this.files)
+    };
+  }
+}
+
+/**
+ * Load the baseline file
+ * @param {Object} config - Bot configuration (config.baseline is the file path)
+ * @param {string} workspaceRoot - Repository root
+ * @returns {Baseline|null} Baseline, or null if there is no baseline file
+ */
+export function loadBaseline(config = null, workspaceRoot = process.cwd()) {
+  const filePath = getBaselinePath(config, workspaceRoot);
+  if (!filePath || !existsSync(filePath)) {
+    return null;
+  }
+
+  let data;
+  try {
+    data = JSON.parse(readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Failed to read baseline ${filePath}: ${error.message}`);
+  }
+
+  if (data.version !== BASELINE_VERSION) {
+    throw new Error(`Unsupported baseline version ${data.version} in ${filePath} (expected ${BASELINE_VERSION}) - regenerate it with "perf-bot baseline"`);
+  }
+
+  const baseline = new Baseline(data);
+  core.info(`Loaded baseline with ${baseline.size()} accepted issue(s) from ${filePath}`);
+  return baseline;
+}
+
+/**
+ * Write the baseline file
+ * @returns {string} Path written to
+ */
+export function writeBaseline(baseline, config = null, workspaceRoot = process.cwd()) {
+  const filePath = getBaselinePath(config, workspaceRoot) || resolve(workspaceRoot, BASELINE_FILE);
+  writeFileSync(filePath, `${JSON.stringify(baseline.toJSON(), null, 2)}\n`, 'utf-8');
+  return filePath;
+}
+
+/**
+ * Baseline file path (config.baseline: false disables the baseline)
+ */
+export function getBaselinePath(config, workspaceRoot = process.cwd()) {
+  if (config?.baseline === false) return null;
+  return resolve(workspaceRoot, config?.baseline || BASELINE_FILE);
+}
+
+/**
+ * Key a form is recorded under in the baseline
+ * @param {string|Object} source - Form URL, { url, throttling } entry, form file path or { json, html } file entry
+ */
+export function getFormKey(source) {
+  if (source && typeof source === 'object' && !source.url) {
+    return source.json || source.html;
+  }
+
+  const target = source && typeof source === 'object' ? source.url : source;
+  try {
+    return new URL(target).pathname;
+  } catch (error) {
+    return target; // Form file path
+  }
+}
+
+/**
+ * Every issue in the current (after) state of comparison results
+ * Rule cycles and slow rules are turned into issues so they can be baselined too.
+ * @param {Object} results - Results from runFormComparison()
+ * @returns {Array} Issues
+ */
+export function collectIssues(results) {
+  const issues = [];
+
+  Object.entries(results).forEach(([analyzerId, analysis]) => {
+    if (analyzerId === 'ruleCycles') {
+      issues.push(...getCycleIssues(analysis?.after?.cycleDetails), ...getSlowRuleIssues(analysis?.after?.slowRules));
+      return;
+    }
+    issues.push(...(analysis?.after?.issues || []), ...(analysis?.newIssues || []));
+  });
+
+  const seen = new Set();
+  return issues.filter(issue => {
+    const key = `${getIssueFile(issue) || ''}|${issue.fingerprint || fingerprintIssue(issue)}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Drop baselined issues from comparison results
+ * newIssues keeps only findings that aren't in the baseline (these fail the check);
+ * the accepted ones move to baselinedIssues. after.issues is left untouched so reports
+ * still show the full current state.
+ * @param {Object} results - Results from runFormComparison()
+ * @param {Baseline|null} baseline - Loaded baseline
+ * @param {string} formKey - Key of the analyzed form (see getFormKey)
+ * @returns {Object} Results with baselined issues removed (deep clone)
+ */
+export function applyBaseline(results, baseline, formKey) {
+  if (!baseline) {
+    return results;
+  }
+
+  const filtered = JSON.parse(JSON.stringify(results)); // Deep clone
+  let total = 0;
+
+  Object.entries(filtered).forEach(([analyzerId, analysis]) => {
+    if (!analysis || typeof analysis !== 'object') return;
+
+    if (analyzerId === 'ruleCycles') {
+      const cycles = analysis.newCycles || [];
+      analysis.newCycles = cycles.filter(cycle => !baseline.has(toCycleIssue(cycle), formKey));
+      analysis.baselinedCycles = cycles.filter(cycle => baseline.has(toCycleIssue(cycle), formKey));
+
+      // Only the slowest rules are listed - the rest of the count can't be matched, keep it
+      const slowRules = analysis.slowRules || [];
+      analysis.slowRules = slowRules.filter(rule => !baseline.has(toSlowRuleIssue(rule), formKey));
+      const baselinedSlowRules = slowRules.length - analysis.slowRules.length;
+      analysis.slowRuleCount = Math.max(0, (analysis.slowRuleCount || 0) - baselinedSlowRules);
+
+      total += analysis.baselinedCycles.length + baselinedSlowRules;
+    }
+
+    if (Array.isArray(analysis.newIssues)) {
+      const issues = analysis.newIssues;
+      analysis.newIssues = issues.filter(issue => !baseline.has(issue, formKey));
+      analysis.baselinedIssues = issues.filter(issue => baseline.has(issue, formKey));
+      total += analysis.baselinedIssues.length;
+    }
+  });
+
+  if (total > 0) {
+    core.info(`Baseline: ${total} known issue(s) accepted, not counted as new`);
+  }
+
+  return filtered;
+}
+
+/**
+ * Number of issues accepted by the baseline in (baselined) comparison results
+ */
+export function countBaselinedIssues(results) {
+  return Object.values(results).reduce((sum, analysis) =>
+    sum + (analysis?.baselinedIssues?.length || 0) + (analysis?.baselinedCycles?.length || 0), 0);
+}
+
+function getCycleIssues(cycles = []) {
+  return (cycles || []).map(toCycleIssue);
+}
+
+function getSlowRuleIssues(slowRules = []) {
+  return (slowRules || []).map(toSlowRuleIssue);
+}
+
+function toCycleIssue(cycle) {
+  return {
+    type: 'rule-cycle',
+    fields: cycle.fields || [],
+    message: `Circular dependency detected: ${(cycle.fields || []).join(' → ')}`
+  };
+}
+
+function toSlowRuleIssue(rule) {
+  return {
+    type: 'slow-rule',
+    field: rule.field,
+    message: `Slow rule on "${rule.field}" (${rule.event})`
+  };
+}
+
+function getIssueFile(issue) {
+  const file = issue.location?.file || issue.file;
+  return file && file !== 'unknown' ? file : null;
+}
@@ -0,0 +1,193 @@
+/**
+ * Browser error recording for URL analysis
+ *
+ * BrowserErrorRecorder listens to DevTools protocol events while a page loads and while
+ * the bot interacts with it (Web Vitals interactions, journeys):
+ *
+ *   exception            - Uncaught errors (Runtime.exceptionThrown)
+ *   unhandled-rejection  - Promises rejected without a handler
+ *   console-error        - console.error() calls
+ *   failed-request       - Requests that failed (DNS, blocked, CORS) or returned HTTP 4xx/5xx
+ *
+ * Repeated errors are kept once with a count. Stack frames are kept so BrowserErrorsAnalyzer
+ * can attribute errors to repo files. URLs are stored without query strings - they may
+ * carry tokens.
+ */
+
+const MAX_ERRORS = 50;
+const MAX_STACK_FRAMES = 10;
+const MAX_MESSAGE_LENGTH = 300;
+
+export class BrowserErrorRecorder {
+  constructor() {
+    this.errors = new Map(); // key -> error
+    this.requests = new Map(); // requestId -> { url, resourceType }
+    this.client = null;
+    this.formRendered = false;
+  }
+
+  /**
+   * Start recording a page (before navigating)
+   * @param {Object} page - Puppeteer page
+   */
+  async attach(page) {
+    this.client = await page.createCDPSession();
+
+    this.client.on('Runtime.exceptionThrown', ({ exceptionDetails }) => this.onException(exceptionDetails));
+    this.client.on('Runtime.consoleAPICalled', event => this.onConsole(event));
+    this.client.on('Network.requestWillBeSent', ({ requestId, request, type }) => {
+      this.requests.set(requestId, { url: request.url, resourceType: (type || 'Other').toLowerCase() });
+    });
+    this.client.on('Network.responseReceived', ({ requestId, response }) => {
+      if (response.status >= 400) {
+        this.onFailedRequest(requestId, `HTTP ${response.status}${response.statusText ? ` ${response.statusText}` : ''}`);
+      }
+    });
+    this.client.on('Network.loadingFailed', ({ requestId, errorText, canceled, blockedReason }) => {
+      // Canceled requests (navigation, aborted fetches) are not errors
+      if (!canceled) {
+        this.onFailedRequest(requestId, blockedReason ? `blocked (${blockedReason})` : errorText);
+      }
+    });
+
+    await Promise.all([this.client.send('Runtime.enable'), this.client.send('Network.enable')]);
+  }
+
+  /**
+   * Mark the moment the form rendered - later errors happen during interaction
+   */
+  markFormRendered() {
+    this.formRendered = true;
+  }
+
+  onException(details) {
+    const description = details.exception?.description || details.exception?.value || details.text || 'Unknown error';
+    const rejection = /^Uncaught \(in promise\)/.test(details.text || '');
+    const frames = toFrames(details.stackTrace?.callFrames);
+    this.add({
+      kind: rejection ? 'unhandled-rejection' : 'exception',
+      message: String(description).split('\n')[0],
+      url: frames[0]?.url || stripQuery(details.url) || null,
+      line: frames[0]?.line ?? (details.lineNumber !== undefined ? details.lineNumber + 1 : null),
+      column: frames[0]?.column ?? (details.columnNumber !== undefined ? details.columnNumber + 1 : null),
+      stack: frames
+    });
+  }
+
+  onConsole({ type, args, stackTrace }) {
+    if (type !== 'error' && type !== 'assert') return;
+
+    const frames = toFrames(stackTrace?.callFrames);
+    this.add({
+      kind: 'console-error',
+      message: (args || []).map(formatArgument).join(' ') || 'console.error()',
+      url: frames[0]?.url || null,
+      line: frames[0]?.line ?? null,
+      column: frames[0]?.column ?? null,
+      stack: frames
+    });
+  }
+
+  onFailedRequest(requestId, reason) {
+    const request = this.requests.get(requestId);
+    if (!request) return;
+
+    const url = stripQuery(request.url);
+    this.add({
+      kind: 'failed-request',
+      message: `${reason}: ${url}`,
+      reason,
+      url,
+      resourceType: request.resourceType,
+      line: null,
+      column: null,
+      stack: []
+    });
+  }
+
+  add(error) {
+    const message = error.message.length > MAX_MESSAGE_LENGTH ? `${error.message.slice(0, MAX_MESSAGE_LENGTH)}...` : error.message;
+    const key = `${error.kind}|${message}|${error.url}|${error.line}`;
+    const existing = this.errors.get(key);
+    if (existing) {
+      existing.count++;
+      return;
+    }
+    if (this.errors.size >= MAX_ERRORS) return;
+
+    this.errors.set(key, { ...error, message, phase: this.formRendered ? 'interaction' : 'load', count: 1 });
+  }
+
+  /**
+   * Errors recorded so far
+   * @returns {Array} [{ kind, message, url, line, column, stack, phase, count }] - failed requests
+   *   also have reason and resourceType
+   *   phase is 'load' (before the form rendered) or 'interaction'; lines and columns are 1-based
+   */
+  getErrors() {
+    return [...this.errors.values()];
+  }
+
+  /**
+   * Stop recording
+   */
+  async detach() {
+    if (this.client) {
+      await this.client.detach().catch(() => {});
+      this.client = null;
+    }
+  }
+}
+
+/**
+ * Combine the errors of sampled runs of one URL
+ * An error seen in any run is kept (flaky errors are still errors); counts add up and
+ * runs says in how many runs it showed up.
+ * @param {Array} recordings - { pageUrl, errors } per run (null entries are skipped)
+ * @returns {Object|null} { pageUrl, errors } with errors[].runs
+ */
+export function mergeBrowserErrors(recordings) {
+  const present = recordings.filter(Boolean);
+  if (present.length === 0) return null;
+
+  const merged = new Map();
+  present.forEach(recording => {
+    recording.errors.forEach(error => {
+      const key = `${error.kind}|${error.message}|${error.url}|${error.line}`;
+      const existing = merged.get(key);
+      if (existing) {
+        existing.count += error.count;
+        existing.runs++;
+      } else {
+        merged.set(key, { ...error, runs: 1 });
+      }
+    });
+  });
+
+  return { pageUrl: present[0].pageUrl, errors: [...merged.values()] };
+}
+
+function toFrames(callFrames) {
+  return (callFrames || [])
+    .filter(frame => frame.url)
+    .slice(0, MAX_STACK_FRAMES)
+    .map(frame => ({
+      functionName: frame.functionName || null,
+      url: stripQuery(frame.url),
+      // DevTools protocol positions are 0-based
+      line: frame.lineNumber + 1,
+      column: frame.columnNumber + 1
+    }));
+}
+
+function formatArgument(argument) {
+  if (argument.value !== undefined) {
+    return typeof argument.value === 'string' ? argument.value : JSON.stringify(argument.value);
+  }
+  // Error objects log their stack as description - the first line is the message
+  return (argument.description || argument.type || '').split('\n')[0];
+}
+
+function stripQuery(url) {
+  return url ? url.replace(/[?#].*$/, '') : url;
+}
@@ -0,0 +1,159 @@
+import puppeteer from 'puppeteer-core';
+
+/**
+ * Shared headless Chrome for URL analysis
+ *
+ * One browser is launched on first use and reused for every load. Each load gets its own
+ * browser context (like an incognito window: no shared cache, cookies or storage), so
+ * loads stay cold and independent while skipping Chrome's startup.
+ *
+ * At most config.browser.concurrency loads run at once; the rest wait for a free slot.
+ * If Chrome crashes (or a page's target dies) the load is retried on a fresh context,
+ * relaunching the browser when it is gone.
+ */
+
+const DEFAULT_OPTIONS = {
+  concurrency: 2,
+  retries: 1
+};
+
+// Errors that mean the browser or the page's renderer died, not that the page is broken
+const CRASH_PATTERN = /Target closed|Session closed|Page crashed|Browser has disconnected|Connection closed|Protocol error.*(Target|Session)/i;
+
+export class BrowserPool {
+  /**
+   * @param {Object} config - Bot configuration (config.browser)
+   * @param {Function} launch - Launches a browser (defaults to puppeteer.launch)
+   */
+  constructor(config = null, launch = options => puppeteer.launch(options)) {
+    this.config = config;
+    this.launch = launch;
+    this.browser = null;
+    this.launching = null;
+    this.active = 0;
+    this.waiting = [];
+    this.launches = 0;
+  }
+
+  /**
+   * Pool options from config.browser
+   */
+  getOptions() {
+    const options = { ...DEFAULT_OPTIONS, ...(this.config?.browser || {}) };
+    return {
+      concurrency: Math.max(1, options.concurrency),
+      retries: Math.max(0, options.retries)
+    };
+  }
+
+  /**
+   * Run a task with a fresh page in an isolated browser context
+   * The context is closed when the task settles.
+   * @param {Function} task - async (page) => result
+   * @returns {Promise<*>} The task's result
+   */
+  async withPage(task) {
+    const { retries } = this.getOptions();
+    await this.acquire();
+
+    try {
+      for (let attempt = 0; ; attempt++) {
+        const browser = await this.getBrowser();
+        let context = null;
+        try {
+          context = await browser.createBrowserContext();
+          const page = await context.newPage();
+          return await task(page);
+        } catch (error) {
+          if (attempt >= retries || !this.isCrash(error, browser)) throw error;
+          console.warn(`Browser crashed (${error.message}) - retrying on a fresh ${browser.connected ? 'context' : 'browser'}`);
+        } finally {
+          if (context && browser.connected) {
+            await context.close().catch(() => {});
+          }
+        }
+      }
+    } finally {
+      this.release();
+    }
+  }
+
+  /**
+   * Close the browser (a later withPage() launches a new one)
+   */
+  async close() {
+    const browser = this.browser || await this.launching?.catch(() => null);
+    this.browser = null;
+    this.launching = null;
+    if (browser?.connected) {
+      await browser.close().catch(() => {});
+    }
+  }
+
+  isCrash(error, browser) {
+    return !browser.connected || CRASH_PATTERN.test(error.message || '');
+  }
+
+  /**
+   * The running browser, launched on first use (concurrent callers share one launch)
+   */
+  async getBrowser() {
+    if (this.browser?.connected) return this.browser;
+
+    if (!this.launching) {
+      this.launching = this.launchBrowser().finally(() => {
+        this.launching = null;
+      });
+    }
+    return this.launching;
+  }
+
+  async launchBrowser() {
+    this.launches++;
+    console.log(this.launches === 1 ? 'Launching headless browser' : `Relaunching headless browser (launch ${this.launches})`);
+
+    const browser = await this.launch({
+      args: [
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-dev-shm-usage', // Overcome limited resource problems
+        '--disable-gpu',
+      ],
+      defaultViewport: null, // Set per page by the throttling profile
+      executablePath: getExecutablePath(),
+      headless: true,
+      acceptInsecureCerts: true,
+    });
+
+    browser.on('disconnected', () => {
+      if (this.browser === browser) this.browser = null;
+    });
+    this.browser = browser;
+    return browser;
+  }
+
+  async acquire() {
+    if (this.active < this.getOptions().concurrency) {
+      this.active++;
+      return;
+    }
+    // The slot is handed over by release()
+    await new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  release() {
+    const next = this.waiting.shift();
+    if (next) next();
+    else this.active--;
+  }
+}
+
+/**
+ * Chrome executable: pre-installed Chrome on GitHub Actions, system Chrome (macOS) locally
+ */
+function getExecutablePath() {
+  const isCI = !!process.env.CI || !!process.env.GITHUB_ACTIONS;
+  return isCI
+    ? '/usr/bin/google-chrome'
+    : '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome';
+}
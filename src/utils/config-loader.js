@@ -58,8 +58,171 @@ const DEFAULT_CONFIG = {
       targetINP: 200,
       targetCLS: 0.1,
       targetTBT: 300
+    },
+    network: {          // Budgets for requests made while a URL loads
+      maxRequests: 80,
+      maxTransferSize: 1572864,    // 1.5MB
+      maxScriptSize: 512000,       // 500KB of JavaScript transferred
+      maxThirdPartyRequests: 20,
+      maxRequestsBeforeRender: 40  // Requests started before the form fields rendered
+    },
+    coverage: {         // Repo scripts/stylesheets mostly unused while the form loads
+      maxUnusedPercent: 50,
+      minUnusedBytes: 20480        // 20KB - smaller files aren't worth splitting
+    },
+    journey: {          // Per step of a scripted journey (config.journeys)
+      maxStepDuration: 3000,       // Action until network idle and painted (ms)
+      maxStepINP: 200,             // Slowest interaction of the step (ms)
+      maxStepBlockingTime: 300     // Long task time over 50ms during the step (ms)
+    },
+    renderMilestones: { // Before/after render milestones (config.renderMilestones)
+      maxIncrease: 500             // All fields / model ready later than before by more than this (ms)
+    },
+    mainThread: {       // Before/after main-thread time from Chrome traces (config.trace)
+      maxIncrease: 300             // Main thread busy longer than before by more than this (ms)
+    },
+    complexity: {       // Weighted form complexity (config.complexity)
+      maxScore: 600,               // Form score over this is reported
+      maxPanelCost: 150,           // Innermost panels costing more than this are reported
+      maxIncrease: 50              // Score higher than before by more than this
+    },
+    lazyLoading: {      // Wizard steps, tabs, accordion items and hidden panels not visible on first paint
+      minComponents: 10            // Deferrable panels with at least this many components are recommended
+    },
+    repeatables: {      // Repeatable panels at config.repeatables.instances instances
+      maxDomNodes: 1500,           // Estimated DOM nodes of the panel's instances
+      maxRuleExecutions: 100,      // Estimated rule executions to add the instances
+      maxGrowth: 1.5               // Measured in af-core: last added instance costs this many times the first
     }
   },
+  // Form JSON files (+ optional saved HTML) analyzed without a browser
+  formFiles: [],
+  // Third-party analyzer modules (paths relative to the repository root)
+  analyzers: [],
+  // Accepted issues - PR checks fail only on issues not in this file (false = disabled)
+  baseline: '.performance-bot-baseline.json',
+  // Repeated loads per URL in PR mode - metrics are compared with the Mann-Whitney U test
+  sampling: {
+    runs: 5,          // Measured loads per URL (4+ needed for a significant result)
+    warmupRuns: 1,    // Discarded loads before measuring (cold caches, JIT)
+    alternate: true,  // before, after, after, before, ... so runner drift hits both sides
+    alpha: 0.05       // Significance level for calling a regression
+  },
+  // Authentication for URL loads (see utils/auth.js) - picked by scheduledScan.urls
+  // { "url": "...", "auth": "<name>" } or by a profile's match patterns.
+  // Secrets come from environment variables: "${NAME}" or "${NAME:-default}"
+  auth: {
+    profiles: {
+      'local-aem': {       // Local AEM SDK (Core Components model.json needs a login)
+        match: ['http://localhost:*', 'http://localhost/*', 'http://127.0.0.1:*', 'http://127.0.0.1/*'],
+        type: 'basic',
+        username: '${AEM_USERNAME:-admin}',
+        password: '${AEM_PASSWORD:-admin}'
+      }
+    }
+  },
+  // Shared headless Chrome for URL loads (see utils/browser-pool.js)
+  browser: {
+    concurrency: 2,   // Loads at the same time, each in its own browser context
+    retries: 1        // Retries of a load whose browser or page crashed
+  },
+  // Device emulated for URL analysis - built-in profiles: none, desktop-cable, mobile-4g,
+  // low-end-android (see utils/throttling.js). scheduledScan.urls entries can pick their own
+  // with { "url": "...", "throttling": "low-end-android" }
+  throttling: {
+    profile: 'none',  // Opt in with e.g. mobile-4g - load times and timeouts change with it
+    profiles: {} // Custom or adjusted profiles by name
+  },
+  // Record-and-replay of network responses (see utils/replay.js): off, record, replay, auto.
+  // Replay serves everything but the page's own origin from <dir>/<form path>.replay.json
+  replay: {
+    mode: 'off',
+    dir: '.performance-bot/replay',
+    live: [],           // URL patterns always loaded live, e.g. "https://*.adobeaemcloud.com/*"
+    unmatched: 'fail',  // fail | live - requests missing from the archive
+    latency: true       // Replayed responses take as long as the recorded ones
+  },
+  // Requests recorded while a URL loads (budgets: thresholds.network)
+  network: {
+    enabled: true,
+    har: true,               // Write a HAR file per analyzed URL (CLI output dir / action artifacts-dir)
+    firstPartyDomains: []    // Domains counted as first party besides the page's own site
+  },
+  // JS/CSS coverage collected while a URL loads (thresholds: thresholds.coverage)
+  coverage: {
+    enabled: true
+  },
+  // Errors raised in the browser: uncaught errors, unhandled rejections, console.error,
+  // failed requests (see utils/browser-errors.js). ignore: message/URL substrings to skip
+  browserErrors: {
+    enabled: true,
+    ignore: []
+  },
+  // Screenshots of each analyzed URL - before/after pairs get a pixel diff (see utils/screenshots.js)
+  screenshots: {
+    enabled: true,
+    fullPage: true,
+    filmstrip: false,     // Also keep frames of the screen while the form loads
+    filmstripFrames: 8,   // Evenly spaced frames between navigation and render
+    diffThreshold: 0.1    // Color difference (0-1) under which pixels count as unchanged
+  },
+  // Scripted user journeys run after a URL's form rendered (see utils/journey.js) - picked by
+  // scheduledScan.urls { "url": "...", "journey": "<name>" } or by a journey's match patterns.
+  // Steps: fill, choose, click, next, addInstance, submit, waitFor, wait (thresholds: thresholds.journey)
+  journeys: {},
+  // Form render milestones observed in the page (see utils/render-milestones.js):
+  // form created, first field, all visible fields, form model ready (thresholds: thresholds.renderMilestones)
+  renderMilestones: {
+    enabled: true,
+    modelGlobal: 'myForm', // Global the form block assigns its model to - assignment = model ready
+    readyEvent: null,      // Or a DOM event the form dispatches on document when ready
+    settleTime: 500        // No new visible field for this long = all fields rendered (ms)
+  },
+  // Chrome trace of each URL load and journey, summarized as main-thread time by category,
+  // script and long task (see utils/trace.js). Traced loads run one at a time
+  trace: {
+    enabled: false,
+    save: true,        // Write <form>.trace.json next to HAR files (CLI output dir / action artifacts-dir)
+    maxLongTasks: 10,  // Long tasks listed, longest first
+    maxScripts: 10     // Scripts listed, most main-thread time first
+  },
+  // Fragment definitions inlined into the form JSON before analysis (see extractors/fragment-resolver.js);
+  // issues on their fields are attributed to the fragment and reported once per scan
+  fragments: {
+    enabled: true,
+    maxDepth: 5        // Fragments inside fragments resolved up to this depth
+  },
+  // Weighted complexity model (see analyzers/complexity-analyzer.js): each panel costs its
+  // fields, rules, events and dependents (rules/events elsewhere reading its fields), multiplied
+  // for repeatable panels; the form score is the sum (thresholds: thresholds.complexity)
+  complexity: {
+    weights: {
+      panel: 2,
+      field: 1,
+      rule: 3,
+      event: 2,
+      dependent: 1,
+      repeatable: 2    // Multiplier (or minOccur when larger)
+    },
+    maxPanels: 10      // Most expensive panels listed in reports
+  },
+  // Repeatable panels (see analyzers/repeatable-analyzer.js): per-instance cost projected at
+  // `instances` instances; RulePerformanceAnalyzer adds them in af-core and measures each one
+  repeatables: {
+    instances: 5,      // Instances projected and added (capped by maxOccur)
+    measure: true      // Add instances in the af-core form instance (false = estimate only)
+  },
+  // Rule expressions (see analyzers/rule-expression-analyzer.js): parsed with af-core's grammar and
+  // checked for syntax errors, unknown fields/functions, expensive calls and unused rules
+  ruleExpressions: {
+    expensiveFunctions: {}, // Function -> reason, added to the defaults (null turns a default off)
+    functions: []           // Functions registered outside the repo's JS files (not reported as unknown)
+  },
+  // Core Web Vitals measured for URLs (targets: thresholds.performance)
+  webVitals: {
+    enabled: true,
+    interactions: 3 // First N form fields clicked/typed into to measure INP
+  },
   ignorePatterns: [
     'test/**',
     'tests/**',
@@ -0,0 +1,148 @@
+/**
+ * JS and CSS coverage for URL analysis
+ *
+ * Puppeteer's coverage API reports the ranges of every script that ran and every
+ * stylesheet rule that was used. Coverage starts before navigation and stops once the
+ * form has rendered, so code only needed after render (validation, submit, widgets
+ * opened on click) counts as unused - that is the code worth deferring.
+ *
+ * Script and stylesheet texts are not kept: each file is reduced to byte totals and
+ * its largest unused ranges as line numbers, which CoverageAnalyzer maps to repo files.
+ */
+
+// Unused ranges smaller than this (whitespace, a closing brace) aren't listed
+const MIN_RANGE_BYTES = 200;
+const MAX_RANGES_PER_FILE = 10;
+
+/**
+ * Start collecting coverage (before navigating)
+ * @param {Object} page - Puppeteer page
+ */
+export async function startCoverage(page) {
+  await Promise.all([
+    page.coverage.startJSCoverage({ resetOnNavigation: false }),
+    page.coverage.startCSSCoverage({ resetOnNavigation: false })
+  ]);
+}
+
+/**
+ * Stop collecting coverage and summarize it
+ * @param {Object} page - Puppeteer page
+ * @param {string} pageUrl - Analyzed URL (inline scripts and styles are reported under it)
+ * @returns {Promise<Object>} { pageUrl, files } (see summarizeCoverage)
+ */
+export async function stopCoverage(page, pageUrl) {
+  const [js, css] = await Promise.all([
+    page.coverage.stopJSCoverage(),
+    page.coverage.stopCSSCoverage()
+  ]);
+
+  return {
+    pageUrl,
+    files: [...summarizeCoverage(js, 'js', pageUrl), ...summarizeCoverage(css, 'css', pageUrl)]
+  };
+}
+
+/**
+ * Reduce Puppeteer coverage entries to one record per script/stylesheet URL
+ * Entries of the same URL are merged (inline scripts share the page URL).
+ * @param {Array} entries - [{ url, text, ranges: [{ start, end }] }] from stopJSCoverage/stopCSSCoverage
+ * @param {string} type - 'js' or 'css'
+ * @param {string} pageUrl - Analyzed URL
+ * @returns {Array<Object>} [{ url, type, inline, totalBytes, usedBytes, unusedBytes, unusedPercent,
+ *   unusedRanges: [{ startLine, endLine, bytes }] }] - unusedRanges largest first, only for external files
+ */
+export function summarizeCoverage(entries, type, pageUrl = null) {
+  const byUrl = new Map();
+
+  (entries || []).forEach(entry => {
+    const inline = !entry.url || entry.url === pageUrl;
+    const url = inline ? pageUrl : entry.url;
+    const existing = byUrl.get(url);
+    const usedBytes = sumRanges(mergeRanges(entry.ranges));
+
+    if (!existing) {
+      byUrl.set(url, { url, type, inline, text: entry.text, ranges: [...entry.ranges], totalBytes: entry.text.length, usedBytes });
+    } else if (!inline && existing.text === entry.text) {
+      // Same file loaded twice - a range used by either load counts as used
+      existing.ranges.push(...entry.ranges);
+      existing.usedBytes = sumRanges(mergeRanges(existing.ranges));
+    } else {
+      existing.totalBytes += entry.text.length;
+      existing.usedBytes += usedBytes;
+    }
+  });
+
+  return [...byUrl.values()].map(({ text, ranges, ...file }) => {
+    const unusedBytes = file.totalBytes - file.usedBytes;
+    return {
+      ...file,
+      unusedBytes,
+      unusedPercent: file.totalBytes > 0 ? Math.round((unusedBytes / file.totalBytes) * 100) : 0,
+      unusedRanges: file.inline ? [] : findUnusedRanges(text, mergeRanges(ranges))
+    };
+  });
+}
+
+/**
+ * Sort and join overlapping or touching ranges
+ */
+function mergeRanges(ranges) {
+  const sorted = [...(ranges || [])].sort((a, b) => a.start - b.start);
+  const merged = [];
+  sorted.forEach(range => {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push({ start: range.start, end: range.end });
+    }
+  });
+  return merged;
+}
+
+function sumRanges(ranges) {
+  return ranges.reduce((sum, range) => sum + (range.end - range.start), 0);
+}
+
+/**
+ * Gaps between used ranges, as 1-based line ranges (largest first)
+ */
+function findUnusedRanges(text, usedRanges) {
+  const gaps = [];
+  let position = 0;
+  [...usedRanges, { start: text.length, end: text.length }].forEach(range => {
+    if (range.start - position >= MIN_RANGE_BYTES) {
+      gaps.push({ start: position, end: range.start });
+    }
+    position = Math.max(position, range.end);
+  });
+
+  const lineStarts = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\n') lineStarts.push(i + 1);
+  }
+
+  return gaps
+    .sort((a, b) => (b.end - b.start) - (a.end - a.start))
+    .slice(0, MAX_RANGES_PER_FILE)
+    .map(gap => ({
+      startLine: lineAt(lineStarts, gap.start),
+      endLine: lineAt(lineStarts, gap.end - 1),
+      bytes: gap.end - gap.start
+    }));
+}
+
+/**
+ * 1-based line of a character offset (binary search over line start offsets)
+ */
+function lineAt(lineStarts, offset) {
+  let low = 0;
+  let high = lineStarts.length - 1;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (lineStarts[middle] <= offset) low = middle;
+    else high = middle - 1;
+  }
+  return low + 1;
+}
@@ -0,0 +1,176 @@
+import { fingerprintIssue } from './issue-model.js';
+
+/**
+ * Form fragments
+ *
+ * A fragment is a panel defined once (an address block, a KYC step) and embedded by
+ * reference in many forms. FragmentResolver (extractors/fragment-resolver.js) inlines the
+ * definitions and tags every node that came from one with its path:
+ *
+ *   "perf-bot:fragment": "/content/forms/af/fragments/address"
+ *
+ * Issues on tagged fields are attributed to the fragment (`fragment` on the issue), and
+ * scan reports list each fragment once with the forms that embed it instead of repeating
+ * its issues for every form.
+ */
+
+export const FRAGMENT_PROPERTY = 'perf-bot:fragment';
+
+const DEFAULT_OPTIONS = {
+  enabled: true,
+  maxDepth: 5 // Fragments inside fragments resolved up to this depth
+};
+
+/**
+ * Fragment options from config.fragments
+ * @param {Object} config - Bot configuration
+ */
+export function getFragmentOptions(config) {
+  return { ...DEFAULT_OPTIONS, ...(config?.fragments || {}) };
+}
+
+/**
+ * Whether a form JSON node is a fragment reference
+ */
+export function isFragmentNode(node) {
+  return !!node && (node.fieldType === 'fragment' || !!node[':type']?.includes('fragment'));
+}
+
+/**
+ * Path of the definition a fragment reference points to (fd:path, or fragmentPath in EDS form JSON)
+ * @returns {string|null}
+ */
+export function getFragmentPath(node) {
+  return node?.properties?.['fd:path'] || node?.fragmentPath || null;
+}
+
+/**
+ * Children of a form JSON node (`items` array and `:items` map)
+ */
+export function getChildNodes(node) {
+  const children = Array.isArray(node?.items) ? node.items : [];
+  const namedChildren = node?.[':items'] ? Object.values(node[':items']) : [];
+  return [...children, ...namedChildren].filter(child => child && typeof child === 'object');
+}
+
+/**
+ * Field name -> path of the fragment it came from (the innermost one for nested fragments)
+ * @param {Object} formJson - Form JSON with resolved fragments
+ * @returns {Map<string, string>}
+ */
+export function indexFragmentFields(formJson) {
+  const index = new Map();
+
+  const visit = (node) => {
+    const fragment = node[FRAGMENT_PROPERTY];
+    if (node.name && fragment && !index.has(node.name)) {
+      index.set(node.name, fragment);
+    }
+    getChildNodes(node).forEach(visit);
+  };
+
+  if (formJson) visit(formJson);
+  return index;
+}
+
+/**
+ * Set `fragment` on issues whose fields all come from the same fragment
+ * Issues are matched on field/fields like perf-bot:ignore; form-wide and code issues
+ * stay with the form.
+ * @param {Array} issues - Issues found in the form
+ * @param {Object} formJson - Form JSON the issues were found in
+ * @returns {Array} The same issues
+ */
+export function attributeIssuesToFragments(issues, formJson) {
+  const index = indexFragmentFields(formJson);
+  if (index.size === 0) return issues;
+
+  (issues || []).forEach(issue => {
+    if (issue.fragment) return;
+    const names = (Array.isArray(issue.fields) ? issue.fields : [issue.field])
+      .map(field => (typeof field === 'string' ? field : field?.name))
+      .filter(Boolean);
+    const fragments = new Set(names.map(name => index.get(name) || null));
+    if (names.length > 0 && fragments.size === 1 && !fragments.has(null)) {
+      issue.fragment = [...fragments][0];
+    }
+  });
+  return issues;
+}
+
+/**
+ * Shared fragments across scanned forms, each with its issues once
+ * @param {Array} formResults - analyzeSingleForm() results
+ * @returns {Array} [{ path, name, source, components, forms: [formName], issues }] - most embedded first
+ */
+export function summarizeFragments(formResults) {
+  const fragments = new Map();
+  const seen = new Map(); // path -> issue fingerprints
+
+  const getEntry = (path) => {
+    if (!fragments.has(path)) {
+      fragments.set(path, { path, name: getFragmentName(path), source: null, components: 0, forms: [], issues: [] });
+      seen.set(path, new Set());
+    }
+    return fragments.get(path);
+  };
+
+  (formResults || []).filter(result => !result.error).forEach(result => {
+    (result.fragments || []).forEach(fragment => {
+      const entry = getEntry(fragment.path);
+      entry.source = entry.source || fragment.source;
+      entry.components = Math.max(entry.components, fragment.components || 0);
+      if (!entry.forms.includes(result.formName)) entry.forms.push(result.formName);
+    });
+
+    getFragmentIssues(result).forEach(issue => {
+      const entry = getEntry(issue.fragment);
+      const key = getFragmentIssueKey(issue);
+      if (seen.get(issue.fragment).has(key)) return;
+      seen.get(issue.fragment).add(key);
+      entry.issues.push(issue);
+    });
+  });
+
+  return [...fragments.values()].sort((a, b) => b.forms.length - a.forms.length || a.path.localeCompare(b.path));
+}
+
+/**
+ * Identity of an issue inside its fragment - where the fragment sits in the form (the
+ * issue's path) differs from form to form, so it's left out
+ */
+export function getFragmentIssueKey(issue) {
+  return `${issue.fragment}|${fingerprintIssue({ ...issue, location: undefined, path: undefined })}`;
+}
+
+/**
+ * Issues of a scanned form that belong to one of its fragments
+ * @param {Object} formResult - analyzeSingleForm() result
+ */
+export function getFragmentIssues(formResult) {
+  return ['forms', 'customFunctions', 'html', 'css']
+    .flatMap(section => formResult[section]?.issues || [])
+    .filter(issue => issue.fragment);
+}
+
+/**
+ * Fragments a scanned form embeds with their issue counts, e.g. "address (2 issue(s)), kyc"
+ * @param {Object} formResult - analyzeSingleForm() result
+ * @returns {string} Empty when the form has no fragments
+ */
+export function formatFragmentSummary(formResult) {
+  const issues = getFragmentIssues(formResult);
+  const paths = [...new Set([...(formResult.fragments || []).map(fragment => fragment.path), ...issues.map(issue => issue.fragment)])];
+  return paths.map(path => {
+    const count = new Set(issues.filter(issue => issue.fragment === path).map(getFragmentIssueKey)).size;
+    return `${getFragmentName(path)}${count > 0 ? ` (${count} issue(s))` : ''}`;
+  }).join(', ');
+}
+
+/**
+ * Short name of a fragment for reports - the last segment of its path
+ */
+export function getFragmentName(path) {
+  const segments = String(path).replace(/\/jcr:content.*$/, '').replace(/\.[a-z.]+$/i, '').split('/').filter(Boolean);
+  return segments[segments.length - 1] || String(path);
+}
@@ -122,6 +122,27 @@ export async function getPRDiffFiles(octokit, owner, repo, prNumber) {
   }
 }
 
+/**
+ * Get the content of a file at a given git ref
+ * @param {Object} octokit - GitHub API client
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} path - File path in the repository
+ * @param {string} ref - Commit SHA, branch or tag
+ * @returns {Promise<string|null>} File content, or null if the file does not exist at that ref
+ */
+export async function getFileContentAtRef(octokit, owner, repo, path, ref) {
+  try {
+    const { data } = await octokit.rest.repos.getContent({ owner, repo, path, ref });
+    return Buffer.from(data.content, 'base64').toString('utf-8');
+  } catch (error) {
+    if (error.status !== 404) {
+      console.error(`Failed to get ${path} at ${ref}: ${error.message}`);
+    }
+    return null;
+  }
+}
+
 /**
  * Filter analysis results to only include issues in PR diff files
  * @param {Object} results - Analysis results
@@ -200,6 +221,7 @@ export function filterResultsToPRFiles(results, prFiles) {
   
   // NOTE: HTML issues are URL-based (not file-based), always shown in PR mode
   // All HTML issues (error + warning) must be fixed in PR mode
+  // Core Web Vitals, network budgets and unused code are measured on the rendered page too - always shown
   
   // Filter hidden fields (check if form JSON is in PR)
   const hasFormJSON = prFiles.some(file => file.endsWith('.form.json'));
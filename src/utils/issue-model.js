@@ -0,0 +1,262 @@
+import { createHash } from 'crypto';
+
+/**
+ * Unified issue model
+ *
+ * Analyzers report issues in their own shapes (CSS: file/line, hidden fields: path,
+ * rule cycles: fields, HTML: count/breakdown). normalizeIssue() adds a common set of
+ * fields on top of the original ones, so existing reporters keep working:
+ *
+ *   ruleId       - Stable rule id (the issue type)
+ *   analyzer     - Id of the analyzer that reported it
+ *   severity     - error | warning | info
+ *   location     - { file, line } for code, { path } for form JSON (either may be missing)
+ *   message      - Human readable description
+ *   cwvImpact    - Core Web Vitals affected ('LCP, INP'), null if none
+ *   fingerprint  - Content-based id used to diff, dedupe and suppress issues
+ *
+ * The fingerprint hashes the rule id, the location (without line numbers) and the
+ * properties that tell two issues of the same rule apart (function name, selector, ...).
+ * Line numbers, counts and messages are left out, so an issue keeps its fingerprint
+ * when code above it moves or when a threshold count changes.
+ */
+
+const SEVERITIES = ['error', 'warning', 'info'];
+
+/**
+ * Built-in rules: short title and the Core Web Vitals each one affects
+ * (cwvImpact is used when an analyzer doesn't set it on the issue)
+ */
+const RULES = {
+  // Form structure
+  'component-count': { title: 'Too many form components', cwvImpact: 'LCP, INP' },
+  'nesting-depth': { title: 'Deeply nested form', cwvImpact: 'INP' },
+  'nested-panels': { title: 'Too many nested panels', cwvImpact: 'LCP' },
+  'event-handlers': { title: 'Too many event handlers', cwvImpact: 'INP, TBT' },
+  // Complexity (weighted cost of panels, see analyzers/complexity-analyzer.js)
+  'complexity-score': { title: 'Form complexity over threshold', cwvImpact: 'LCP, INP' },
+  'expensive-panel': { title: 'Expensive panel', cwvImpact: 'LCP, INP' },
+  'complexity-increase': { title: 'Form complexity grew', cwvImpact: 'LCP, INP' },
+  // Lazy loading (panels not visible on first paint)
+  'lazy-load-candidate': { title: 'Panel could be lazy-loaded', cwvImpact: 'LCP, INP' },
+  'eager-panel-rule': { title: 'Rule forces a hidden panel to load early', cwvImpact: 'LCP' },
+  // Repeatable panels (per-instance cost, measured growth in af-core)
+  'repeatable-scaling': { title: 'Repeatable panel too expensive at expected instances', cwvImpact: 'INP' },
+  'repeatable-slowdown': { title: 'Repeatable panel slower with every instance', cwvImpact: 'INP' },
+  // Rule expressions (parsed with af-core's json-formula grammar)
+  'rule-syntax-error': { title: 'Rule expression does not parse', cwvImpact: null },
+  'unknown-field-reference': { title: 'Rule reads a field that does not exist', cwvImpact: null },
+  'unknown-function': { title: 'Rule calls an unknown function', cwvImpact: null },
+  'expensive-function-call': { title: 'Expensive function called from a rule', cwvImpact: 'INP' },
+  'unused-rule': { title: 'Rule on a property af-core does not apply', cwvImpact: 'INP' },
+  // Form events / rules
+  'api-call-in-initialize': { title: 'API call in initialize event', cwvImpact: 'LCP, TBT' },
+  'rule-cycle': { title: 'Circular rule dependency', cwvImpact: 'INP, TBT' },
+  'slow-rule': { title: 'Slow rule execution', cwvImpact: 'INP' },
+  'runtime-error-in-custom-function': { title: 'Custom function throws at runtime', cwvImpact: 'INP' },
+  // Hidden fields
+  'unnecessary-hidden-field': { title: 'Field is never shown', cwvImpact: 'INP' },
+  'static-false-visibility': { title: 'Visibility rule is always false', cwvImpact: 'INP' },
+  // HTML
+  'images-not-lazy-loaded': { title: 'Images not lazy loaded', cwvImpact: 'LCP' },
+  'images-without-dimensions': { title: 'Images without dimensions', cwvImpact: 'CLS' },
+  'inline-scripts-on-page': { title: 'Inline scripts on page', cwvImpact: 'TBT' },
+  'blocking-scripts-on-page': { title: 'Render-blocking scripts', cwvImpact: 'LCP, TBT' },
+  'iframes-in-form': { title: 'Iframes in form', cwvImpact: 'LCP, TBT' },
+  'autoplay-videos': { title: 'Autoplaying videos', cwvImpact: 'LCP' },
+  'large-data-attributes': { title: 'Large data attributes', cwvImpact: 'LCP' },
+  'excessive-hidden-elements': { title: 'Too many hidden elements', cwvImpact: 'INP' },
+  'excessive-inline-styles': { title: 'Too many inline styles', cwvImpact: 'INP' },
+  'excessive-dom-size': { title: 'DOM too large', cwvImpact: 'INP' },
+  'large-dom-size': { title: 'Large DOM', cwvImpact: 'INP' },
+  // CSS
+  'css-background-image': { title: 'CSS background image', cwvImpact: 'LCP' },
+  'inline-data-uri': { title: 'Large inline data URI', cwvImpact: 'LCP' },
+  'excessive-important': { title: 'Excessive !important', cwvImpact: 'INP' },
+  'deep-selector': { title: 'Overly specific selector', cwvImpact: 'INP' },
+  'duplicate-selector': { title: 'Duplicate selector', cwvImpact: 'LCP' },
+  'css-import-blocking': { title: 'Render-blocking @import', cwvImpact: 'LCP' },
+  'inline-font-blocking': { title: 'Large inline font', cwvImpact: 'LCP' },
+  'hardcoded-colors': { title: 'Hardcoded colors', cwvImpact: null },
+  'large-css-file': { title: 'Large CSS file', cwvImpact: 'LCP' },
+  // Custom functions
+  'dom-access-in-custom-function': { title: 'Custom function accesses the DOM', cwvImpact: 'INP, CLS' },
+  'http-request-in-custom-function': { title: 'Custom function makes HTTP requests', cwvImpact: 'LCP, TBT' },
+  // Core Web Vitals (measured in the browser)
+  'lcp-over-target': { title: 'LCP over target', cwvImpact: 'LCP' },
+  'cls-over-target': { title: 'CLS over target', cwvImpact: 'CLS' },
+  'inp-over-target': { title: 'INP over target', cwvImpact: 'INP' },
+  'tbt-over-target': { title: 'TBT over target', cwvImpact: 'INP' },
+  // Network budgets (requests recorded while the page loads)
+  'network-request-budget': { title: 'Too many requests', cwvImpact: 'LCP' },
+  'network-transfer-budget': { title: 'Page weight over budget', cwvImpact: 'LCP' },
+  'network-script-budget': { title: 'JavaScript over budget', cwvImpact: 'LCP, TBT' },
+  'network-third-party-budget': { title: 'Too many third-party requests', cwvImpact: 'LCP, TBT' },
+  'network-requests-before-render': { title: 'Too many requests before form render', cwvImpact: 'LCP' },
+  // Coverage (code unused while the form loads)
+  'unused-javascript': { title: 'Mostly unused JavaScript', cwvImpact: 'LCP, TBT' },
+  'unused-css': { title: 'Mostly unused CSS', cwvImpact: 'LCP' },
+  // User journeys (scripted steps through the form)
+  'slow-journey-step': { title: 'Slow journey step', cwvImpact: 'INP' },
+  'slow-journey-interaction': { title: 'Slow interaction in journey', cwvImpact: 'INP' },
+  'journey-step-blocking': { title: 'Journey step blocks the main thread', cwvImpact: 'INP' },
+  'journey-failed': { title: 'Journey no longer completes', cwvImpact: null },
+  // Browser errors (raised in the real page)
+  'uncaught-exception': { title: 'Uncaught error in the browser', cwvImpact: null },
+  'unhandled-rejection': { title: 'Unhandled promise rejection', cwvImpact: null },
+  'console-error': { title: 'Error logged to the console', cwvImpact: null },
+  'failed-request': { title: 'Request failed', cwvImpact: null },
+  // Render milestones (form created, fields rendered, model ready)
+  'slower-form-render': { title: 'Form renders later', cwvImpact: 'LCP' },
+  // Main thread (Chrome trace of the load)
+  'main-thread-regression': { title: 'More main-thread work while loading', cwvImpact: 'TBT, INP' },
+  // Suppressions
+  'invalid-suppression': { title: 'Suppression without a reason', cwvImpact: null },
+};
+
+/**
+ * Issue properties that distinguish two issues of the same rule at the same location
+ */
+const DISCRIMINATORS = ['functionName', 'selector', 'imageUrl', 'apiCallType'];
+
+/**
+ * Discriminators of single rules, fingerprinted after DISCRIMINATORS
+ * Scoped to their rules so that adding one never changes the fingerprints of other
+ * rules' issues (and with them saved baselines) that happen to carry the same property.
+ */
+const RULE_DISCRIMINATORS = {
+  'slow-journey-step': ['step'],
+  'slow-journey-interaction': ['step'],
+  'journey-step-blocking': ['step'],
+  'journey-failed': ['step'],
+  'uncaught-exception': ['signature'],
+  'unhandled-rejection': ['signature'],
+  'console-error': ['signature'],
+  'failed-request': ['signature'],
+  'slower-form-render': ['milestone'],
+  'rule-syntax-error': ['property'],
+  'unknown-field-reference': ['property', 'reference'],
+  'unknown-function': ['property', 'reference'],
+  'expensive-function-call': ['property', 'reference'],
+  'unused-rule': ['property'],
+  'eager-panel-rule': ['property', 'panel'],
+};
+
+/**
+ * Normalize an issue to the unified model (original properties are kept)
+ * @param {Object} issue - Issue as reported by an analyzer
+ * @param {string} analyzer - Id of the analyzer that reported it
+ * @returns {Object} Normalized issue
+ */
+export function normalizeIssue(issue, analyzer = null) {
+  const ruleId = issue.ruleId || issue.type || 'unknown';
+  const severity = SEVERITIES.includes(issue.severity) ? issue.severity : 'info';
+
+  const location = {};
+  if (issue.file) location.file = issue.file;
+  if (issue.line) location.line = issue.line;
+  const path = typeof issue.path === 'string' ? issue.path : (issue.field || issue.fields?.[0]);
+  if (path) location.path = path;
+
+  const normalized = {
+    ...issue,
+    ruleId,
+    analyzer: issue.analyzer || analyzer,
+    severity,
+    location,
+    message: issue.message || ruleId,
+    cwvImpact: issue.cwvImpact ?? RULES[ruleId]?.cwvImpact ?? null,
+  };
+  normalized.fingerprint = fingerprintIssue(normalized);
+  return normalized;
+}
+
+/**
+ * Metadata for a rule id
+ * @param {string} ruleId - Issue type
+ * @returns {Object} { title, cwvImpact } (title falls back to the rule id)
+ */
+export function getRuleMetadata(ruleId) {
+  return {
+    title: RULES[ruleId]?.title || ruleId,
+    cwvImpact: RULES[ruleId]?.cwvImpact ?? null,
+  };
+}
+
+/**
+ * Whether a rule id is one of the built-in rules
+ * @param {string} ruleId - Issue type
+ * @returns {boolean}
+ */
+export function isKnownRule(ruleId) {
+  return Object.hasOwn(RULES, ruleId);
+}
+
+/**
+ * Normalize a list of issues (missing lists become [])
+ */
+export function normalizeIssues(issues, analyzer = null) {
+  return (issues || []).map(issue => normalizeIssue(issue, analyzer));
+}
+
+/**
+ * Content-based fingerprint of an issue
+ * @param {Object} issue - Raw or normalized issue
+ * @returns {string} 16-character hex fingerprint
+ */
+export function fingerprintIssue(issue) {
+  const ruleId = issue.ruleId || issue.type || 'unknown';
+  // A cycle is identified by its fields (below), not by the field it was reported from
+  const path = Array.isArray(issue.fields)
+    ? null
+    : issue.location?.path ?? (typeof issue.path === 'string' ? issue.path : issue.field);
+
+  const parts = [
+    `rule=${ruleId}`,
+    `file=${issue.location?.file ?? issue.file ?? ''}`,
+    `path=${path ?? ''}`,
+  ];
+
+  [...DISCRIMINATORS, ...(RULE_DISCRIMINATORS[ruleId] || [])].forEach(key => {
+    if (issue[key] !== undefined && issue[key] !== null) {
+      parts.push(`${key}=${issue[key]}`);
+    }
+  });
+
+  if (Array.isArray(issue.fields)) {
+    parts.push(`fields=${[...new Set(issue.fields)].sort().join(',')}`);
+  }
+
+  return createHash('sha1').update(parts.join('\n')).digest('hex').slice(0, 16);
+}
+
+/**
+ * Diff two issue lists by fingerprint
+ * @param {Array} beforeIssues - Issues in the before state
+ * @param {Array} afterIssues - Issues in the after state
+ * @returns {Object} { newIssues, resolvedIssues, unchangedIssues }
+ */
+export function diffIssues(beforeIssues = [], afterIssues = []) {
+  const fingerprint = issue => issue.fingerprint || fingerprintIssue(issue);
+  const beforeKeys = new Set((beforeIssues || []).map(fingerprint));
+  const afterKeys = new Set((afterIssues || []).map(fingerprint));
+
+  return {
+    newIssues: (afterIssues || []).filter(issue => !beforeKeys.has(fingerprint(issue))),
+    resolvedIssues: (beforeIssues || []).filter(issue => !afterKeys.has(fingerprint(issue))),
+    unchangedIssues: (afterIssues || []).filter(issue => beforeKeys.has(fingerprint(issue))),
+  };
+}
+
+/**
+ * Remove issues with the same fingerprint (first one wins)
+ */
+export function dedupeIssues(issues = []) {
+  const seen = new Set();
+  return (issues || []).filter(issue => {
+    const key = issue.fingerprint || fingerprintIssue(issue);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
@@ -0,0 +1,369 @@
+import { matchesURL } from './auth.js';
+import { waitForNextPaint } from './web-vitals.js';
+import { median } from './statistics.js';
+
+/**
+ * Scripted user journeys for URL analysis
+ *
+ * Journeys live in config.journeys. A journey is picked for a URL by name
+ * (`{ "url": "...", "journey": "loan-wizard" }` in scheduledScan.urls) or by its `match`
+ * URL patterns, and runs in the analyzed page once the form rendered:
+ *
+ *   { "fill": "email", "value": "ada@example.com" }   Type into a field, then Tab out (runs its rules)
+ *   { "choose": "accountType", "value": "savings" }   Pick a dropdown option, radio button or checkbox
+ *   { "click": "verifyOtp" }                          Click a button or any element
+ *   { "next": true }                                  Wizard Next button
+ *   { "addInstance": "dependents" }                   Add button of a repeatable panel
+ *   { "submit": true }                                Submit button (point `mocks` at the submit URL)
+ *   { "waitFor": ".thank-you" }                       Wait until an element is visible
+ *   { "wait": 500 }                                   Pause (ms)
+ *
+ * Fields, buttons and panels are given by name; anything else is a CSS selector.
+ * Every step waits until the network is idle and the page painted, then records its
+ * duration, interaction latency, long tasks, DOM growth and requests.
+ *
+ * `mocks` answer matching requests (submit endpoints, OTP services) without hitting a
+ * backend: { "match": "https://forms.example.com/api/submit*", "method": "POST", "status": 200,
+ * "body": {...}, "delayMs": 300 }
+ */
+
+export const STEP_ACTIONS = ['fill', 'choose', 'click', 'next', 'addInstance', 'submit', 'waitFor', 'wait'];
+
+const NEXT_BUTTON = 'div.form .wizard-button-next, div.form #wizard-button-next';
+const SUBMIT_BUTTON = 'div.form button[type="submit"]';
+const ADD_INSTANCE_BUTTON = '.item-add';
+
+const STEP_TIMEOUT_MS = 15000;
+const NETWORK_IDLE_MS = 250;
+const LONG_TASK_THRESHOLD_MS = 50;
+
+/**
+ * Pick and validate the journey for a URL
+ * @param {string} url - URL to analyze
+ * @param {string|Object|boolean} selection - Journey name, inline journey, or false for none
+ *   (default: first journey whose `match` patterns match the URL)
+ * @param {Object} config - Bot configuration (journeys)
+ * @returns {Object|null} { name, description, steps, mocks } - every step named, or null
+ */
+export function resolveJourney(url, selection = null, config = null) {
+  if (selection === false) return null;
+
+  const journeys = config?.journeys || {};
+  let name;
+  let journey;
+
+  if (selection && typeof selection === 'object') {
+    name = 'inline';
+    journey = selection;
+  } else if (selection) {
+    name = selection;
+    journey = journeys[selection];
+    if (!journey) {
+      const available = Object.keys(journeys);
+      throw new Error(`Unknown journey "${selection}". Available: ${available.length > 0 ? available.join(', ') : 'none (add journeys to the config)'}`);
+    }
+  } else {
+    [name, journey] = Object.entries(journeys).find(([, candidate]) => matchesURL(candidate, url)) || [];
+    if (!journey) return null;
+  }
+
+  return buildJourney(name, journey);
+}
+
+function buildJourney(name, journey) {
+  if (!Array.isArray(journey.steps) || journey.steps.length === 0) {
+    throw new Error(`Journey "${name}" has no steps`);
+  }
+
+  const seen = new Map();
+  const steps = journey.steps.map((step, i) => {
+    const actions = STEP_ACTIONS.filter(action => action in step);
+    if (actions.length !== 1) {
+      throw new Error(`Journey "${name}" step ${i + 1} needs exactly one action, found ${actions.length > 0 ? actions.join(', ') : 'none'} (supported: ${STEP_ACTIONS.join(', ')})`);
+    }
+    const [action] = actions;
+    if (['fill', 'choose'].includes(action) && step.value === undefined) {
+      throw new Error(`Journey "${name}" step ${i + 1} (${action} ${step[action]}) is missing value`);
+    }
+
+    // Steps are matched across before/after by name - repeated ones are numbered ("next #2")
+    const label = step.name || describeStep(step, action);
+    const count = (seen.get(label) || 0) + 1;
+    seen.set(label, count);
+    return { ...step, action, name: count > 1 ? `${label} #${count}` : label };
+  });
+
+  (journey.mocks || []).forEach((mock, i) => {
+    if (!mock.match) throw new Error(`Journey "${name}" mock ${i + 1} has no match pattern`);
+  });
+
+  return { name, description: journey.description || null, steps, mocks: journey.mocks || [] };
+}
+
+function describeStep(step, action) {
+  if (action === 'next') return 'next';
+  if (action === 'submit') return step.submit === true ? 'submit' : `submit ${step.submit}`;
+  if (action === 'wait') return `wait ${step.wait}ms`;
+  return `${action} ${step[action]}`;
+}
+
+/**
+ * Answer requests matching the journey's mocks (DevTools Fetch domain - other requests
+ * are not intercepted)
+ * @param {Object} page - Puppeteer page
+ * @param {Array} mocks - [{ match, method, status, headers, body, delayMs }]
+ */
+export async function installMocks(page, mocks) {
+  if (!mocks || mocks.length === 0) return;
+
+  const client = await page.createCDPSession();
+  client.on('Fetch.requestPaused', ({ requestId, request }) => {
+    const mock = mocks.find(candidate => matchesURL(candidate, request.url) &&
+      (!candidate.method || candidate.method.toUpperCase() === request.method));
+
+    const respond = () => {
+      if (!mock) return client.send('Fetch.continueRequest', { requestId });
+      const body = typeof mock.body === 'string' ? mock.body : JSON.stringify(mock.body ?? {});
+      const headers = {
+        'Content-Type': typeof mock.body === 'string' ? 'text/plain' : 'application/json',
+        ...(mock.headers || {})
+      };
+      return client.send('Fetch.fulfillRequest', {
+        requestId,
+        responseCode: mock.status || 200,
+        responseHeaders: Object.entries(headers).map(([name, value]) => ({ name, value: String(value) })),
+        body: Buffer.from(body).toString('base64')
+      });
+    };
+
+    const delay = mock?.delayMs || 0;
+    (delay > 0 ? new Promise(resolve => setTimeout(resolve, delay)).then(respond) : respond()).catch(() => {
+      // The request was cancelled (navigation away, page closed) - nothing to answer
+    });
+  });
+
+  const patterns = mocks.flatMap(mock => [].concat(mock.match));
+  await client.send('Fetch.enable', {
+    patterns: patterns.map(urlPattern => ({ urlPattern, requestStage: 'Request' }))
+  });
+}
+
+/**
+ * Run a journey in a page whose form has rendered
+ * Expects installWebVitalsObservers() in the page for interaction latency and long tasks.
+ * Stops at the first step that fails.
+ * @param {Object} page - Puppeteer page
+ * @param {Object} journey - resolveJourney() result
+ * @param {Object} options - { recorder (NetworkRecorder, optional), timeoutScale }
+ * @returns {Promise<Object>} { name, completed, failedStep, steps, totals }
+ */
+export async function runJourney(page, journey, options = {}) {
+  const { recorder = null, timeoutScale = 1 } = options;
+  const timeout = STEP_TIMEOUT_MS * timeoutScale;
+  const steps = [];
+  let failedStep = null;
+
+  // Long tasks from here on belong to the journey, not to the load's TBT
+  await page.evaluate(() => {
+    if (window.__perfBotVitals) window.__perfBotVitals.interactionStart = performance.now();
+  });
+
+  console.log(`Running journey "${journey.name}" (${journey.steps.length} step(s))`);
+
+  for (const [index, step] of journey.steps.entries()) {
+    const before = await page.evaluate(() => ({ now: performance.now(), nodes: document.getElementsByTagName('*').length }));
+    const start = Date.now();
+
+    try {
+      await performStep(page, step, timeout);
+    } catch (error) {
+      failedStep = { index, name: step.name, error: error.message };
+      console.log(`Journey "${journey.name}" failed at step ${index + 1} (${step.name}): ${error.message}`);
+      break;
+    }
+
+    const actionEnd = Date.now();
+    const idle = await page.waitForNetworkIdle({ idleTime: NETWORK_IDLE_MS, timeout }).then(() => true, () => false);
+    // waitForNetworkIdle returns NETWORK_IDLE_MS after the last request finished
+    const settled = Math.max(actionEnd, idle ? Date.now() - NETWORK_IDLE_MS : Date.now());
+    await waitForNextPaint(page);
+
+    const after = await page.evaluate(startTime => {
+      const vitals = window.__perfBotVitals || { longTasks: [], events: [] };
+      return {
+        nodes: document.getElementsByTagName('*').length,
+        longTasks: vitals.longTasks.filter(task => task.startTime >= startTime),
+        events: vitals.events.filter(event => event.startTime >= startTime)
+      };
+    }, before.now);
+    const requests = recorder ? recorder.getRequestsSince(start) : [];
+
+    const measured = {
+      index,
+      name: step.name,
+      action: step.action,
+      duration: settled - start,
+      ...summarizeStepEntries(after),
+      domNodes: after.nodes,
+      domGrowth: after.nodes - before.nodes,
+      requests: requests.length,
+      transferSize: requests.reduce((sum, request) => sum + (request.transferSize || 0), 0)
+    };
+    steps.push(measured);
+    console.log(`Journey step ${index + 1}/${journey.steps.length} "${step.name}": ${measured.duration}ms, INP ${measured.inp ?? '-'}ms, ${measured.longTasks} long task(s), ${measured.domGrowth >= 0 ? '+' : ''}${measured.domGrowth} nodes, ${measured.requests} request(s)`);
+  }
+
+  return {
+    name: journey.name,
+    completed: failedStep === null,
+    failedStep,
+    steps,
+    totals: summarizeSteps(steps)
+  };
+}
+
+/**
+ * runJourney()-shaped result for a journey that could not start
+ * @param {Object} journey - resolveJourney() result
+ * @param {string} error - Why it could not start
+ */
+export function failedJourney(journey, error) {
+  return {
+    name: journey.name,
+    completed: false,
+    failedStep: { index: 0, name: journey.steps[0].name, error },
+    steps: [],
+    totals: summarizeSteps([])
+  };
+}
+
+async function performStep(page, step, timeout) {
+  const visible = selector => page.waitForSelector(selector, { visible: true, timeout });
+
+  switch (step.action) {
+    case 'fill': {
+      const field = await visible(toSelector(step.fill));
+      await field.click({ clickCount: 3 }); // Select what's there so typing replaces it
+      await field.type(String(step.value));
+      await page.keyboard.press('Tab'); // Blur - AEM Forms runs the field's rules on change
+      return;
+    }
+    case 'choose': {
+      const selector = toSelector(step.choose);
+      await visible(selector);
+      const value = String(step.value);
+      for (const option of await page.$$(selector)) {
+        const { tag, optionValue } = await option.evaluate(el => ({ tag: el.tagName.toLowerCase(), optionValue: el.value }));
+        if (tag === 'select') {
+          await option.click();
+          await page.select(selector, value);
+          return;
+        }
+        if (optionValue === value) {
+          await option.click();
+          return;
+        }
+      }
+      throw new Error(`no option "${value}"`);
+    }
+    case 'click':
+      await (await visible(toSelector(step.click))).click();
+      return;
+    case 'next':
+      await (await visible(NEXT_BUTTON)).click();
+      return;
+    case 'addInstance': {
+      await visible(toSelector(step.addInstance));
+      const button = await page.evaluateHandle((selector, addSelector) => {
+        const panel = [...document.querySelectorAll(selector)].pop();
+        const buttons = panel?.closest('.repeat-wrapper')?.querySelectorAll(addSelector) || [];
+        return buttons[buttons.length - 1] || null;
+      }, toSelector(step.addInstance), ADD_INSTANCE_BUTTON);
+      if (!button.asElement()) throw new Error('no Add button (is the panel repeatable?)');
+      await button.asElement().click();
+      return;
+    }
+    case 'submit':
+      await (await visible(step.submit === true ? SUBMIT_BUTTON : toSelector(step.submit))).click();
+      return;
+    case 'waitFor':
+      await visible(toSelector(step.waitFor));
+      return;
+    default:
+      await new Promise(resolve => setTimeout(resolve, step.wait));
+  }
+}
+
+/**
+ * Field, button or panel name -> selector inside the form; selectors pass through
+ */
+function toSelector(target) {
+  return /^[A-Za-z_][\w-]*$/.test(target) ? `div.form [name="${target}"]` : target;
+}
+
+/**
+ * Interaction latency and long tasks recorded during one step
+ * @param {Object} entries - { longTasks: [{ startTime, duration }], events: [{ interactionId, duration }] }
+ * @returns {Object} { inp, longTasks, blockingTime } - inp is the slowest interaction (ms), null without one
+ */
+export function summarizeStepEntries({ longTasks = [], events = [] }) {
+  const byInteraction = new Map();
+  events.forEach(event => {
+    byInteraction.set(event.interactionId, Math.max(byInteraction.get(event.interactionId) || 0, event.duration));
+  });
+
+  return {
+    inp: byInteraction.size > 0 ? Math.round(Math.max(...byInteraction.values())) : null,
+    longTasks: longTasks.length,
+    blockingTime: Math.round(longTasks.reduce((sum, task) => sum + Math.max(0, task.duration - LONG_TASK_THRESHOLD_MS), 0))
+  };
+}
+
+function summarizeSteps(steps) {
+  const sum = key => steps.reduce((total, step) => total + (step[key] || 0), 0);
+  const inps = steps.map(step => step.inp).filter(value => value !== null);
+  return {
+    duration: sum('duration'),
+    inp: inps.length > 0 ? Math.max(...inps) : null,
+    blockingTime: sum('blockingTime'),
+    requests: sum('requests'),
+    transferSize: sum('transferSize'),
+    domGrowth: sum('domGrowth')
+  };
+}
+
+/**
+ * Combine the journeys of sampled runs of one URL
+ * Step metrics become medians over the runs that reached the step; the runs' step
+ * durations are kept in step.samples for significance testing.
+ * @param {Array} journeys - runJourney() results (null entries are skipped)
+ * @returns {Object|null} Journey with median step metrics, plus runs and failedRuns
+ */
+export function aggregateJourneyRuns(journeys) {
+  const measured = journeys.filter(Boolean);
+  if (measured.length === 0) return null;
+
+  const base = measured.find(journey => journey.completed) || measured[0];
+  const steps = base.steps.map(step => {
+    const runs = measured.map(journey => journey.steps.find(candidate => candidate.name === step.name)).filter(Boolean);
+    const medianOf = key => {
+      const values = runs.map(run => run[key]).filter(value => typeof value === 'number');
+      return values.length > 0 ? Math.round(median(values)) : null;
+    };
+    return {
+      ...step,
+      duration: medianOf('duration'),
+      inp: medianOf('inp'),
+      blockingTime: medianOf('blockingTime'),
+      samples: { duration: runs.map(run => run.duration) }
+    };
+  });
+
+  return {
+    ...base,
+    steps,
+    totals: summarizeSteps(steps),
+    runs: measured.length,
+    failedRuns: measured.filter(journey => !journey.completed).length
+  };
+}
@@ -0,0 +1,310 @@
+/**
+ * Network activity recording for URL analysis
+ *
+ * NetworkRecorder listens to DevTools protocol Network events for one page load and
+ * keeps every request: URL, resource type, status, sizes, timing, initiator and
+ * where it was served from (network, memory/disk cache, service worker).
+ *
+ * getRequests() returns a compact list for NetworkAnalyzer (budgets, before/after diff);
+ * toHAR() returns the full recording as a HAR 1.2 log. Response bodies are not kept.
+ */
+
+const HAR_VERSION = '1.2';
+
+export class NetworkRecorder {
+  constructor() {
+    this.entries = new Map(); // requestId -> entry in progress
+    this.finished = [];
+    this.client = null;
+    this.formRenderedAt = null;
+  }
+
+  /**
+   * Start recording a page (before navigating)
+   * @param {Object} page - Puppeteer page
+   */
+  async attach(page) {
+    this.client = await page.createCDPSession();
+
+    this.client.on('Network.requestWillBeSent', event => this.onRequest(event));
+    this.client.on('Network.requestServedFromCache', ({ requestId }) => {
+      const entry = this.entries.get(requestId);
+      if (entry) entry.cache = 'memory';
+    });
+    this.client.on('Network.responseReceived', event => this.onResponse(event));
+    this.client.on('Network.dataReceived', ({ requestId, dataLength }) => {
+      const entry = this.entries.get(requestId);
+      if (entry) entry.resourceSize += dataLength;
+    });
+    this.client.on('Network.loadingFinished', ({ requestId, timestamp, encodedDataLength }) => {
+      this.finish(requestId, timestamp, { transferSize: encodedDataLength });
+    });
+    this.client.on('Network.loadingFailed', ({ requestId, timestamp, errorText, canceled, blockedReason }) => {
+      this.finish(requestId, timestamp, { failed: true, errorText: blockedReason ? `blocked:${blockedReason}` : canceled ? 'canceled' : errorText });
+    });
+
+    await this.client.send('Network.enable');
+  }
+
+  /**
+   * Mark the moment the form rendered - requests started before it count as "before render"
+   */
+  markFormRendered() {
+    this.formRenderedAt = Date.now();
+  }
+
+  onRequest(event) {
+    const previous = this.entries.get(event.requestId);
+    if (previous && event.redirectResponse) {
+      // Redirects reuse the request id - close the hop that was redirected
+      this.applyResponse(previous, event.redirectResponse, event.timestamp);
+      this.finish(event.requestId, event.timestamp, { transferSize: event.redirectResponse.encodedDataLength || 0 });
+    }
+
+    this.entries.set(event.requestId, {
+      requestId: event.requestId,
+      url: event.request.url,
+      method: event.request.method,
+      requestHeaders: event.request.headers || {},
+      postDataSize: event.request.postData ? event.request.postData.length : 0,
+      resourceType: (event.type || 'Other').toLowerCase(),
+      initiator: summarizeInitiator(event.initiator),
+      timestamp: event.timestamp,
+      wallTime: event.wallTime,
+      requestedAt: Date.now(),
+      status: 0,
+      statusText: '',
+      mimeType: '',
+      protocol: '',
+      responseHeaders: {},
+      timing: null,
+      responseTimestamp: null,
+      cache: 'network',
+      transferSize: 0,
+      resourceSize: 0,
+      endTimestamp: null,
+      failed: false,
+      errorText: null
+    });
+  }
+
+  onResponse({ requestId, response, timestamp, type }) {
+    const entry = this.entries.get(requestId);
+    if (!entry) return;
+    if (type) entry.resourceType = type.toLowerCase();
+    this.applyResponse(entry, response, timestamp);
+  }
+
+  applyResponse(entry, response, timestamp) {
+    entry.status = response.status;
+    entry.statusText = response.statusText || '';
+    entry.mimeType = response.mimeType || '';
+    entry.protocol = response.protocol || '';
+    entry.responseHeaders = response.headers || {};
+    entry.timing = response.timing || null;
+    entry.responseTimestamp = timestamp;
+    if (response.fromServiceWorker) entry.cache = 'service-worker';
+    else if (response.fromPrefetchCache) entry.cache = 'prefetch';
+    else if (response.fromDiskCache) entry.cache = 'disk';
+  }
+
+  finish(requestId, timestamp, result) {
+    const entry = this.entries.get(requestId);
+    if (!entry) return;
+    this.entries.delete(requestId);
+
+    entry.endTimestamp = timestamp;
+    if (result.failed) {
+      entry.failed = true;
+      entry.errorText = result.errorText;
+    } else {
+      entry.transferSize = result.transferSize || 0;
+    }
+    this.finished.push(entry);
+  }
+
+  /**
+   * Every request made so far, in start order (requests still in flight included)
+   * @returns {Array<Object>} [{ url, method, resourceType, status, mimeType, transferSize, resourceSize,
+   *   startTime, duration, initiator, cache, failed, errorText, beforeRender }]
+   *   startTime is ms after the first request
+   */
+  getRequests() {
+    const all = this.getAllEntries();
+    const origin = all[0]?.timestamp || 0;
+
+    return all.map(entry => ({
+      url: entry.url,
+      method: entry.method,
+      resourceType: entry.resourceType,
+      status: entry.status,
+      mimeType: entry.mimeType,
+      transferSize: entry.transferSize,
+      resourceSize: entry.resourceSize,
+      startTime: roundMs((entry.timestamp - origin) * 1000),
+      duration: entry.endTimestamp === null ? null : roundMs((entry.endTimestamp - entry.timestamp) * 1000),
+      initiator: entry.initiator,
+      cache: entry.cache,
+      failed: entry.failed,
+      errorText: entry.errorText,
+      beforeRender: this.formRenderedAt === null || entry.requestedAt <= this.formRenderedAt
+    }));
+  }
+
+  /**
+   * Requests started at or after a time (e.g. during one journey step)
+   * @param {number} time - Date.now() timestamp
+   * @returns {Array<Object>} getRequests() entries
+   */
+  getRequestsSince(time) {
+    const entries = this.getAllEntries();
+    return this.getRequests().filter((request, i) => entries[i].requestedAt >= time);
+  }
+
+  /**
+   * The recording as a HAR 1.2 log
+   * @param {Object} page - { url, title } of the analyzed page
+   * @returns {Object} { log: { version, creator, pages, entries } }
+   */
+  toHAR(page = {}) {
+    const all = this.getAllEntries();
+    const first = all[0];
+    const pageId = 'page_1';
+    const startedDateTime = first ? toISODate(first) : new Date().toISOString();
+
+    return {
+      log: {
+        version: HAR_VERSION,
+        creator: { name: 'aem-forms-performance-bot', version: HAR_VERSION },
+        pages: [{
+          startedDateTime,
+          id: pageId,
+          title: page.title || page.url || '',
+          pageTimings: {
+            onContentLoad: page.domContentLoaded ?? -1,
+            onLoad: page.loadTime ?? -1
+          }
+        }],
+        entries: all.map(entry => toHAREntry(entry, pageId))
+      }
+    };
+  }
+
+  getAllEntries() {
+    return [...this.finished, ...this.entries.values()].sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  async detach() {
+    if (this.client) {
+      await this.client.detach().catch(() => {});
+      this.client = null;
+    }
+  }
+}
+
+function summarizeInitiator(initiator) {
+  if (!initiator) return { type: 'other' };
+  const frame = initiator.stack?.callFrames?.[0];
+  return {
+    type: initiator.type,
+    url: initiator.url || frame?.url || null,
+    lineNumber: initiator.lineNumber ?? frame?.lineNumber ?? null
+  };
+}
+
+/**
+ * HAR timings from the DevTools ResourceTiming (offsets in ms from requestTime)
+ */
+function toHARTimings(entry) {
+  const end = entry.endTimestamp ?? entry.responseTimestamp ?? entry.timestamp;
+  const timing = entry.timing;
+
+  if (!timing) {
+    // Served from cache (or failed before a response) - no connection phases
+    const wait = entry.responseTimestamp ? (entry.responseTimestamp - entry.timestamp) * 1000 : 0;
+    const receive = entry.responseTimestamp ? (end - entry.responseTimestamp) * 1000 : (end - entry.timestamp) * 1000;
+    return { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: roundMs(wait), receive: roundMs(Math.max(0, receive)) };
+  }
+
+  const phase = (start, finish) => (start >= 0 && finish >= 0 ? roundMs(finish - start) : -1);
+  const queued = (timing.requestTime - entry.timestamp) * 1000;
+  const firstPhase = [timing.dnsStart, timing.connectStart, timing.sendStart].find(value => value >= 0) ?? 0;
+
+  return {
+    blocked: roundMs(Math.max(0, queued + firstPhase)),
+    dns: phase(timing.dnsStart, timing.dnsEnd),
+    connect: phase(timing.connectStart, timing.connectEnd),
+    ssl: phase(timing.sslStart, timing.sslEnd),
+    send: roundMs(Math.max(0, timing.sendEnd - timing.sendStart)),
+    wait: roundMs(Math.max(0, timing.receiveHeadersEnd - timing.sendEnd)),
+    receive: roundMs(Math.max(0, (end - timing.requestTime) * 1000 - timing.receiveHeadersEnd))
+  };
+}
+
+function toHAREntry(entry, pageId) {
+  const timings = toHARTimings(entry);
+  // ssl is already included in connect
+  const time = ['blocked', 'dns', 'connect', 'send', 'wait', 'receive']
+    .reduce((sum, phase) => sum + Math.max(0, timings[phase]), 0);
+  const url = safeURL(entry.url);
+
+  return {
+    pageref: pageId,
+    startedDateTime: toISODate(entry),
+    time: roundMs(time),
+    request: {
+      method: entry.method,
+      url: entry.url,
+      httpVersion: entry.protocol || '',
+      cookies: [],
+      headers: toHARHeaders(entry.requestHeaders),
+      queryString: url ? [...url.searchParams].map(([name, value]) => ({ name, value })) : [],
+      headersSize: -1,
+      bodySize: entry.postDataSize
+    },
+    response: {
+      status: entry.status,
+      statusText: entry.failed ? entry.errorText || '' : entry.statusText,
+      httpVersion: entry.protocol || '',
+      cookies: [],
+      headers: toHARHeaders(entry.responseHeaders),
+      content: { size: entry.resourceSize, mimeType: entry.mimeType || 'x-unknown' },
+      redirectURL: entry.responseHeaders.location || entry.responseHeaders.Location || '',
+      headersSize: -1,
+      bodySize: entry.failed ? -1 : entry.transferSize,
+      _transferSize: entry.transferSize
+    },
+    cache: {},
+    timings,
+    _resourceType: entry.resourceType,
+    _initiator: entry.initiator,
+    _cache: entry.cache,
+    ...(entry.failed ? { _error: entry.errorText } : {})
+  };
+}
+
+// Credentials from auth profiles or a login must not end up in uploaded HAR files
+const REDACTED_HEADERS = ['authorization', 'proxy-authorization', 'cookie', 'set-cookie'];
+
+function toHARHeaders(headers) {
+  return Object.entries(headers || {}).map(([name, value]) => ({
+    name,
+    value: REDACTED_HEADERS.includes(name.toLowerCase()) ? '[redacted]' : String(value)
+  }));
+}
+
+function toISODate(entry) {
+  return new Date((entry.wallTime || entry.requestedAt / 1000) * 1000).toISOString();
+}
+
+function safeURL(url) {
+  try {
+    return new URL(url);
+  } catch (error) {
+    return null;
+  }
+}
+
+function roundMs(value) {
+  return Math.round(value * 100) / 100;
+}
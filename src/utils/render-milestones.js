@@ -0,0 +1,174 @@
+/**
+ * Form render milestones
+ *
+ * loadTime only says when the first field showed up. installRenderMilestones() runs in the
+ * page (page.evaluateOnNewDocument) and watches the DOM with a MutationObserver to record,
+ * in ms since navigation start:
+ *
+ *   formCreated       - the <form> element was added to the form block
+ *   firstField        - the first field rendered
+ *   allFieldsVisible  - the last visible field appeared (measured once per frame, after the
+ *                       DOM stopped getting new fields for settleTime ms)
+ *   modelReady        - the form model signalled ready: window[modelGlobal] was assigned
+ *                       (AEM Forms blocks expose the model as window.myForm) or readyEvent fired
+ *
+ * The time before formCreated is the page (HTML, scripts, styles); the time from formCreated
+ * to allFieldsVisible is the form runtime (model, rules, field rendering).
+ */
+
+// Same fields as the render check in URLAnalyzer
+export const FORM_FIELD_SELECTOR = 'div.form input, div.form button, div.form select';
+const FORM_SELECTOR = 'div.form form';
+
+const DEFAULT_OPTIONS = {
+  enabled: true,
+  modelGlobal: 'myForm',
+  readyEvent: null,
+  settleTime: 500 // No new visible field for this long means the form finished rendering (ms)
+};
+
+// Longest wait for the fields to settle after the first one rendered
+const MAX_SETTLE_WAIT_MS = 5000;
+
+/**
+ * Render milestone options from config.renderMilestones
+ * @param {Object} config - Bot configuration
+ */
+export function getRenderMilestoneOptions(config) {
+  return { ...DEFAULT_OPTIONS, ...(config?.renderMilestones || {}) };
+}
+
+/**
+ * Record milestones in window.__perfBotMilestones
+ * Runs in the browser before any page script - keep it self-contained
+ * @param {Object} options - { formSelector, fieldSelector, modelGlobal, readyEvent }
+ */
+export function installRenderMilestones({ formSelector, fieldSelector, modelGlobal, readyEvent }) {
+  const milestones = {
+    formCreated: null,
+    firstField: null,
+    allFieldsVisible: null,
+    visibleFields: 0,
+    modelReady: null,
+    lastChange: null
+  };
+  window.__perfBotMilestones = milestones;
+
+  const markReady = () => {
+    if (milestones.modelReady === null) milestones.modelReady = performance.now();
+  };
+
+  if (modelGlobal) {
+    let model;
+    try {
+      Object.defineProperty(window, modelGlobal, {
+        configurable: true,
+        get: () => model,
+        set: value => {
+          model = value;
+          if (value) markReady();
+        }
+      });
+    } catch (error) {
+      // Already defined by an extension or polyfill - modelReady stays null
+    }
+  }
+  if (readyEvent) {
+    document.addEventListener(readyEvent, markReady, { once: true, capture: true });
+  }
+
+  // Visibility needs layout - count visible fields once per frame, not on every mutation
+  let frameRequested = false;
+  const countVisibleFields = () => {
+    frameRequested = false;
+    const visible = [...document.querySelectorAll(fieldSelector)].filter(field => field.getClientRects().length > 0).length;
+    if (visible > milestones.visibleFields) {
+      milestones.visibleFields = visible;
+      milestones.allFieldsVisible = performance.now();
+    }
+  };
+
+  const observer = new MutationObserver(() => {
+    const now = performance.now();
+    if (milestones.formCreated === null && document.querySelector(formSelector)) {
+      milestones.formCreated = now;
+    }
+    if (milestones.firstField === null && document.querySelector(fieldSelector)) {
+      milestones.firstField = now;
+    }
+    if (milestones.firstField !== null) {
+      milestones.lastChange = now;
+      if (!frameRequested) {
+        frameRequested = true;
+        requestAnimationFrame(countVisibleFields);
+      }
+    }
+  });
+  observer.observe(document, { childList: true, subtree: true });
+  window.__perfBotMilestonesObserver = observer;
+}
+
+/**
+ * Wait until the form stopped rendering fields, then read the milestones
+ * @param {Object} page - Puppeteer page with installRenderMilestones() installed
+ * @param {Object} options - { settleTime }
+ * @returns {Promise<Object|null>} { formCreated, firstField, allFieldsVisible, visibleFields, modelReady }
+ *   (ms since navigation start, null when not reached) or null if nothing was recorded
+ */
+export async function collectRenderMilestones(page, options = {}) {
+  const settleTime = options.settleTime ?? DEFAULT_OPTIONS.settleTime;
+
+  const raw = await page.evaluate((settle, maxWait) => new Promise(resolve => {
+    const milestones = window.__perfBotMilestones;
+    if (!milestones) {
+      resolve(null);
+      return;
+    }
+
+    const started = performance.now();
+    const check = () => {
+      const now = performance.now();
+      const settled = milestones.firstField === null || now - milestones.lastChange >= settle;
+      if (settled || now - started >= maxWait) {
+        window.__perfBotMilestonesObserver?.disconnect();
+        resolve({ ...milestones });
+      } else {
+        setTimeout(check, 100);
+      }
+    };
+    // A last frame so fields added just now are counted
+    requestAnimationFrame(() => setTimeout(check, 0));
+  }), settleTime, MAX_SETTLE_WAIT_MS);
+
+  return raw ? summarizeRenderMilestones(raw) : null;
+}
+
+/**
+ * Round the recorded times (see installRenderMilestones)
+ * @param {Object} raw - window.__perfBotMilestones
+ * @returns {Object} { formCreated, firstField, allFieldsVisible, visibleFields, modelReady }
+ */
+export function summarizeRenderMilestones(raw) {
+  const round = value => (value === null || value === undefined ? null : Math.round(value));
+  return {
+    formCreated: round(raw.formCreated),
+    firstField: round(raw.firstField),
+    allFieldsVisible: round(raw.allFieldsVisible),
+    visibleFields: raw.visibleFields || 0,
+    modelReady: round(raw.modelReady)
+  };
+}
+
+/**
+ * Install the milestone observer for the next navigation
+ * @param {Object} page - Puppeteer page
+ * @param {Object} options - getRenderMilestoneOptions() result
+ */
+export async function startRenderMilestones(page, options = DEFAULT_OPTIONS) {
+  await page.evaluateOnNewDocument(installRenderMilestones, {
+    formSelector: FORM_SELECTOR,
+    fieldSelector: FORM_FIELD_SELECTOR,
+    modelGlobal: options.modelGlobal || null,
+    readyEvent: options.readyEvent || null
+  });
+}
@@ -0,0 +1,322 @@
+import { existsSync, readFileSync } from 'fs';
+import { basename, dirname, resolve } from 'path';
+import { getArtifactName, writeArtifact } from './artifacts.js';
+import { matchesURL } from './auth.js';
+
+/**
+ * Record-and-replay of network responses for URL loads
+ *
+ * Live backends, CDNs and third-party tags answer differently from one load to the next.
+ * In record mode, responses to everything except the page's own site are saved to an
+ * archive per form (<replay.dir>/<form path>.replay.json); in replay mode they are served
+ * from the archive through the DevTools Fetch domain, so only the deployment under test
+ * (the page's origin and replay.live patterns) still goes to the network.
+ *
+ *   off     - Everything live (default)
+ *   record  - Everything live; responses saved to the archive
+ *   replay  - Archived responses served; requests missing from the archive fail
+ *             (replay.unmatched: 'live' lets them through instead)
+ *   auto    - Replay when the archive has responses, otherwise record - with warmup runs
+ *             (config.sampling) the warmup records and the measured runs replay
+ *
+ * Replayed responses wait as long as the recorded ones took (replay.latency), so load
+ * times stay realistic but don't vary.
+ */
+
+export const REPLAY_MODES = ['off', 'record', 'replay', 'auto'];
+
+const DEFAULT_OPTIONS = {
+  mode: 'off',
+  dir: '.performance-bot/replay',
+  live: [],            // URL patterns always loaded live (besides the page's origin)
+  unmatched: 'fail',   // fail | live - requests missing from the archive
+  latency: true        // Delay replayed responses by their recorded duration
+};
+
+const ARCHIVE_VERSION = 1;
+const MAX_LISTED_MISSES = 20;
+
+// The body is stored decoded - these would describe the encoded original
+const DROPPED_HEADERS = ['content-encoding', 'content-length', 'transfer-encoding'];
+
+/**
+ * Replay options from config.replay
+ * @param {Object} config - Bot configuration
+ */
+export function getReplayOptions(config) {
+  const options = { ...DEFAULT_OPTIONS, ...(config?.replay || {}) };
+  if (!REPLAY_MODES.includes(options.mode)) {
+    throw new Error(`Unknown replay mode "${options.mode}". Use one of: ${REPLAY_MODES.join(', ')}`);
+  }
+  return options;
+}
+
+/**
+ * Recorded responses of one form, keyed by method and URL
+ */
+export class ReplayArchive {
+  constructor(file, pageUrl = null) {
+    this.file = file;
+    this.pageUrl = pageUrl;
+    this.entries = new Map();
+  }
+
+  /**
+   * Read an archive file (an empty archive when the file doesn't exist)
+   * @param {string} file - Archive path
+   * @returns {ReplayArchive}
+   */
+  static load(file) {
+    const archive = new ReplayArchive(file);
+    if (!existsSync(file)) return archive;
+
+    const data = JSON.parse(readFileSync(file, 'utf-8'));
+    if (data.version !== ARCHIVE_VERSION) {
+      throw new Error(`Replay archive ${file} has version ${data.version}, expected ${ARCHIVE_VERSION} - record it again`);
+    }
+    archive.pageUrl = data.pageUrl || null;
+    data.entries.forEach(entry => archive.add(entry));
+    return archive;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Keep a response - the first one recorded for a request wins, so replays don't
+   * change when the archive is recorded over several loads
+   */
+  add(entry) {
+    const key = `${entry.method} ${entry.url}`;
+    if (!this.entries.has(key)) {
+      this.entries.set(key, entry);
+    }
+  }
+
+  /**
+   * Recorded response for a request: same URL, else same URL without query string
+   * (cache busters and timestamps change on every load)
+   */
+  find(method, url) {
+    const exact = this.entries.get(`${method} ${url}`);
+    if (exact) return exact;
+
+    const path = stripQuery(url);
+    for (const entry of this.entries.values()) {
+      if (entry.method === method && stripQuery(entry.url) === path) return entry;
+    }
+    return null;
+  }
+
+  /**
+   * Write the archive file
+   * @returns {string} Path written
+   */
+  save() {
+    return writeArtifact(dirname(this.file), basename(this.file), {
+      version: ARCHIVE_VERSION,
+      pageUrl: this.pageUrl,
+      recordedAt: new Date().toISOString(),
+      entries: [...this.entries.values()]
+    });
+  }
+}
+
+/**
+ * Archives of the forms analyzed in a run - before and after URLs of a form share one
+ * (same path), so both sides get the same third-party responses
+ */
+export class ReplayStore {
+  constructor(config = null) {
+    this.options = getReplayOptions(config);
+    this.archives = new Map();
+  }
+
+  get enabled() {
+    return this.options.mode !== 'off';
+  }
+
+  /**
+   * Archive for a URL, read from replay.dir on first use
+   * @param {string} url - Analyzed URL
+   */
+  getArchive(url) {
+    const file = resolve(this.options.dir, `${getArtifactName(url)}.replay.json`);
+    if (!this.archives.has(file)) {
+      this.archives.set(file, ReplayArchive.load(file));
+    }
+    return this.archives.get(file);
+  }
+
+  /**
+   * Record or replay for the next load of a URL
+   * @returns {string} 'record' | 'replay'
+   */
+  getMode(archive) {
+    if (this.options.mode === 'auto') {
+      return archive.size > 0 ? 'replay' : 'record';
+    }
+    return this.options.mode;
+  }
+
+  /**
+   * Start recording or replaying a page's requests (before navigating)
+   * @param {Object} page - Puppeteer page
+   * @param {string} url - URL about to be loaded
+   * @param {Object} options - { mocks } - journey mocks are left to installMocks()
+   * @returns {Promise<ReplaySession|null>} null when replay is off
+   */
+  async start(page, url, options = {}) {
+    if (!this.enabled) return null;
+
+    const archive = this.getArchive(url);
+    if (this.options.mode === 'replay' && archive.size === 0) {
+      console.warn(`Replay archive ${archive.file} is empty - requests outside ${getOrigin(url)} will fail. Record it first (replay.mode: record)`);
+    }
+    const session = new ReplaySession(archive, this.getMode(archive), url, { ...this.options, mocks: options.mocks || [] });
+    await session.attach(page);
+    return session;
+  }
+}
+
+/**
+ * Records or replays the requests of one page load
+ */
+export class ReplaySession {
+  constructor(archive, mode, pageUrl, options = DEFAULT_OPTIONS) {
+    this.archive = archive;
+    this.mode = mode;
+    this.pageUrl = pageUrl;
+    this.options = options;
+    this.origin = getOrigin(pageUrl);
+    this.client = null;
+    this.started = new Map(); // requestId -> ms (record mode)
+    this.stats = { live: 0, recorded: 0, replayed: 0, missed: [] };
+  }
+
+  async attach(page) {
+    this.client = await page.createCDPSession();
+    this.client.on('Fetch.requestPaused', event => {
+      this.onRequestPaused(event).catch(() => {
+        // The request was cancelled (navigation away, page closed) - nothing to answer
+      });
+    });
+
+    const stages = this.mode === 'record' ? ['Request', 'Response'] : ['Request'];
+    await this.client.send('Fetch.enable', {
+      patterns: stages.map(requestStage => ({ urlPattern: '*', requestStage }))
+    });
+  }
+
+  /**
+   * Requests the page's deployment serves (and replay.live / journey mocks) stay live
+   */
+  isLive(request) {
+    return getOrigin(request.url) === this.origin ||
+      matchesURL({ match: this.options.live }, request.url) ||
+      this.options.mocks.some(mock => matchesURL(mock, request.url));
+  }
+
+  async onRequestPaused({ requestId, request, responseStatusCode, responseHeaders, responseErrorReason }) {
+    const continueRequest = () => this.client.send('Fetch.continueRequest', { requestId });
+    const atResponse = responseStatusCode !== undefined || responseErrorReason !== undefined;
+
+    if (this.isLive(request)) {
+      if (!atResponse) this.stats.live++;
+      return continueRequest();
+    }
+
+    if (this.mode === 'record') {
+      if (!atResponse) {
+        this.started.set(requestId, Date.now());
+      } else if (responseStatusCode !== undefined) {
+        await this.record(requestId, request, responseStatusCode, responseHeaders);
+      }
+      return continueRequest();
+    }
+
+    const entry = this.archive.find(request.method, request.url);
+    if (!entry) {
+      if (this.stats.missed.length < MAX_LISTED_MISSES) this.stats.missed.push(stripQuery(request.url));
+      return this.options.unmatched === 'live'
+        ? continueRequest()
+        : this.client.send('Fetch.failRequest', { requestId, errorReason: 'InternetDisconnected' });
+    }
+
+    if (this.options.latency && entry.duration > 0) {
+      await new Promise(resolve => setTimeout(resolve, entry.duration));
+    }
+    this.stats.replayed++;
+    return this.client.send('Fetch.fulfillRequest', {
+      requestId,
+      responseCode: entry.status,
+      responseHeaders: Object.entries(entry.headers).map(([name, value]) => ({ name, value })),
+      body: entry.body
+    });
+  }
+
+  async record(requestId, request, status, headers = []) {
+    // Redirects and empty responses have no body to read
+    const { body = '', base64Encoded = false } = await this.client.send('Fetch.getResponseBody', { requestId }).catch(() => ({}));
+    const started = this.started.get(requestId);
+    this.started.delete(requestId);
+
+    this.archive.add({
+      method: request.method,
+      url: request.url,
+      status,
+      headers: Object.fromEntries(headers
+        .filter(({ name }) => !DROPPED_HEADERS.includes(name.toLowerCase()))
+        .map(({ name, value }) => [name, value])),
+      body: base64Encoded ? body : Buffer.from(body).toString('base64'),
+      duration: started ? Date.now() - started : 0
+    });
+    this.stats.recorded++;
+  }
+
+  /**
+   * Stop intercepting; recorded responses are written to the archive
+   * @returns {Promise<Object>} { mode, archive, live, recorded, replayed, missed } - missed lists
+   *   URLs (without query) that replay had no response for
+   */
+  async detach() {
+    if (this.client) {
+      await this.client.send('Fetch.disable').catch(() => {});
+      await this.client.detach().catch(() => {});
+      this.client = null;
+    }
+    if (this.mode === 'record' && this.stats.recorded > 0) {
+      this.archive.pageUrl = this.archive.pageUrl || this.pageUrl;
+      this.archive.save();
+    }
+    return { mode: this.mode, archive: this.archive.file, ...this.stats };
+  }
+}
+
+/**
+ * One-line summary of a load's replay stats, e.g. "Replayed 42 response(s) from forms-apply.replay.json; ..."
+ * @param {Object} replay - ReplaySession.detach() result
+ */
+export function formatReplaySummary(replay) {
+  const archive = basename(replay.archive);
+  if (replay.mode === 'record') {
+    return `Network responses recorded to ${archive} (${replay.recorded}) - later loads can replay them.`;
+  }
+  const missed = replay.missed.length > 0
+    ? ` ${replay.missed.length} request(s) missing from the archive failed - record it again if the page changed.`
+    : '';
+  return `Replayed ${replay.replayed} response(s) from ${archive}; only the deployment under test (${replay.live} request(s)) loaded live.${missed}`;
+}
+
+function getOrigin(url) {
+  try {
+    return new URL(url).origin;
+  } catch (error) {
+    return null;
+  }
+}
+
+function stripQuery(url) {
+  return url.replace(/[?#].*$/, '');
+}
@@ -0,0 +1,250 @@
+/**
+ * Screenshots for URL analysis
+ *
+ * Each load keeps a screenshot of the rendered form (taken before anything is typed into
+ * it) and, when config.screenshots.filmstrip is on, a filmstrip of what the screen showed
+ * while the form loaded. Before/after pairs get a pixel diff: changed pixels in red over
+ * a faded copy of the after screenshot, plus the bounding boxes of the changed regions.
+ *
+ * Decoding and diffing PNGs runs in a browser page (canvas), so no image library is needed.
+ */
+
+const DEFAULT_OPTIONS = {
+  enabled: true,
+  fullPage: true,
+  filmstrip: false,
+  filmstripFrames: 8,
+  diffThreshold: 0.1
+};
+
+// Changed pixels are grouped into regions on a grid of this many pixels
+const REGION_CELL_SIZE = 16;
+const MAX_REGIONS = 10;
+const FILMSTRIP_FRAME_SIZE = { maxWidth: 360, maxHeight: 640 };
+
+/**
+ * Screenshot options from config.screenshots
+ * @param {Object} config - Bot configuration
+ */
+export function getScreenshotOptions(config) {
+  return { ...DEFAULT_OPTIONS, ...(config?.screenshots || {}) };
+}
+
+/**
+ * Screenshot of the page as a base64 PNG
+ * @param {Object} page - Puppeteer page
+ * @param {Object} options - { fullPage }
+ * @returns {Promise<Object>} { image, width, height } - image is base64 PNG data
+ */
+export async function captureScreenshot(page, options = {}) {
+  // Web fonts swap in late - wait for them so both sides show the same text
+  await page.evaluate(() => document.fonts?.ready).catch(() => {});
+  const image = await page.screenshot({ type: 'png', fullPage: options.fullPage !== false, encoding: 'base64' });
+  return { image, ...getPNGSize(image) };
+}
+
+/**
+ * Width and height from a PNG's IHDR chunk
+ * @param {string} image - Base64 PNG data
+ */
+export function getPNGSize(image) {
+  const header = Buffer.from(image.slice(0, 44), 'base64');
+  return { width: header.readUInt32BE(16), height: header.readUInt32BE(20) };
+}
+
+/**
+ * Start recording screencast frames (before navigating)
+ * Chrome only sends a frame when the screen changed, so the frames are the load's paints.
+ * @param {Object} page - Puppeteer page
+ * @returns {Promise<Object>} Handle for stopFilmstrip()
+ */
+export async function startFilmstrip(page) {
+  const session = await page.createCDPSession();
+  const frames = [];
+  session.on('Page.screencastFrame', ({ data, metadata, sessionId }) => {
+    frames.push({ timestamp: metadata.timestamp * 1000, image: data });
+    session.send('Page.screencastFrameAck', { sessionId }).catch(() => {});
+  });
+  await session.send('Page.startScreencast', { format: 'jpeg', quality: 60, ...FILMSTRIP_FRAME_SIZE });
+  return { session, frames };
+}
+
+/**
+ * Stop recording and keep evenly spaced frames
+ * @param {Object} handle - startFilmstrip() result
+ * @param {Object} options - { start, end, count } - start/end as epoch ms (navigation start, render)
+ * @returns {Promise<Array>} [{ time, image }] - time in ms since start, image is base64 JPEG
+ */
+export async function stopFilmstrip(handle, { start, end, count = DEFAULT_OPTIONS.filmstripFrames }) {
+  await handle.session.send('Page.stopScreencast').catch(() => {});
+  await handle.session.detach().catch(() => {});
+  return selectFrames(handle.frames, { start, end, count });
+}
+
+/**
+ * What the screen showed at `count` evenly spaced times between start and end
+ * Each slot takes the last frame painted by then; slots before the first paint are
+ * left out, and a frame showing in several slots is kept once.
+ * @param {Array} frames - [{ timestamp, image }] (epoch ms)
+ * @param {Object} options - { start, end, count }
+ * @returns {Array} [{ time, image }]
+ */
+export function selectFrames(frames, { start, end, count }) {
+  const sorted = [...frames].sort((a, b) => a.timestamp - b.timestamp);
+  const selected = [];
+
+  for (let slot = 1; slot <= count; slot++) {
+    const time = Math.round(((end - start) * slot) / count);
+    const frame = sorted.filter(candidate => candidate.timestamp - start <= time).pop();
+    if (frame && selected[selected.length - 1]?.frame !== frame) {
+      selected.push({ time, frame });
+    }
+  }
+
+  return selected.map(({ time, frame }) => ({ time, image: frame.image }));
+}
+
+/**
+ * Pixel diff of two screenshots
+ * Screenshots of different sizes are compared over the larger size - the part only one
+ * of them covers counts as changed.
+ * @param {Object} page - Puppeteer page (any page; nothing is loaded into it)
+ * @param {Object} before - captureScreenshot() result
+ * @param {Object} after - captureScreenshot() result
+ * @param {Object} options - { diffThreshold } - color difference (0-1) under which pixels are equal
+ * @returns {Promise<Object>} { width, height, changedPixels, changedPercent, regions, sizeChanged, image }
+ *   regions: [{ x, y, width, height }] largest first; image: base64 PNG of the diff
+ */
+export async function diffScreenshots(page, before, after, options = {}) {
+  const threshold = options.diffThreshold ?? DEFAULT_OPTIONS.diffThreshold;
+  const diff = await page.evaluate(diffInPage, before.image, after.image, threshold, REGION_CELL_SIZE);
+
+  return {
+    width: diff.width,
+    height: diff.height,
+    changedPixels: diff.changedPixels,
+    changedPercent: Math.round((diff.changedPixels / (diff.width * diff.height)) * 10000) / 100,
+    regions: groupRegions(diff.cells, diff.columns, REGION_CELL_SIZE, { width: diff.width, height: diff.height }),
+    sizeChanged: before.width !== after.width || before.height !== after.height,
+    image: diff.image
+  };
+}
+
+/**
+ * Merge touching grid cells with changed pixels into bounding boxes
+ * @param {Array<number>} cells - Indexes (row * columns + column) of changed cells
+ * @param {number} columns - Grid columns
+ * @param {number} cellSize - Cell size in pixels
+ * @param {Object} bounds - { width, height } to clip the boxes to
+ * @returns {Array} [{ x, y, width, height }] largest first, at most MAX_REGIONS
+ */
+export function groupRegions(cells, columns, cellSize, bounds) {
+  const remaining = new Set(cells);
+  const regions = [];
+
+  for (const cell of cells) {
+    if (!remaining.has(cell)) continue;
+    remaining.delete(cell);
+
+    const box = { left: Infinity, top: Infinity, right: -Infinity, bottom: -Infinity };
+    const queue = [cell];
+    while (queue.length > 0) {
+      const current = queue.pop();
+      const column = current % columns;
+      const row = Math.floor(current / columns);
+      box.left = Math.min(box.left, column);
+      box.right = Math.max(box.right, column);
+      box.top = Math.min(box.top, row);
+      box.bottom = Math.max(box.bottom, row);
+
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const neighbour = (row + dy) * columns + column + dx;
+          if (column + dx < 0 || column + dx >= columns || !remaining.has(neighbour)) continue;
+          remaining.delete(neighbour);
+          queue.push(neighbour);
+        }
+      }
+    }
+
+    const x = box.left * cellSize;
+    const y = box.top * cellSize;
+    regions.push({
+      x,
+      y,
+      width: Math.min((box.right + 1) * cellSize, bounds.width) - x,
+      height: Math.min((box.bottom + 1) * cellSize, bounds.height) - y
+    });
+  }
+
+  return regions
+    .sort((a, b) => b.width * b.height - a.width * a.height)
+    .slice(0, MAX_REGIONS);
+}
+
+/**
+ * Runs in the browser: decode both PNGs, compare them pixel by pixel and draw the diff
+ * Returns the changed grid cells; groupRegions() turns them into boxes.
+ */
+async function diffInPage(beforeImage, afterImage, threshold, cellSize) {
+  const decode = data => new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error('Could not decode screenshot'));
+    image.src = `data:image/png;base64,${data}`;
+  });
+  const [before, after] = await Promise.all([decode(beforeImage), decode(afterImage)]);
+  const width = Math.max(before.width, after.width);
+  const height = Math.max(before.height, after.height);
+
+  const draw = (image, faded = false) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d');
+    if (faded) {
+      context.fillStyle = '#fff';
+      context.fillRect(0, 0, width, height);
+      context.filter = 'grayscale(1)';
+      context.globalAlpha = 0.3;
+    }
+    context.drawImage(image, 0, 0);
+    return { canvas, context, pixels: context.getImageData(0, 0, width, height) };
+  };
+  const a = draw(before).pixels.data;
+  const b = draw(after).pixels.data;
+  const output = draw(after, true);
+  const diff = output.pixels.data;
+
+  const columns = Math.ceil(width / cellSize);
+  const cells = new Set();
+  const limit = threshold * threshold * 255 * 255 * 4;
+  let changedPixels = 0;
+
+  for (let i = 0; i < a.length; i += 4) {
+    let distance = 0;
+    for (let channel = 0; channel < 4; channel++) {
+      const delta = a[i + channel] - b[i + channel];
+      distance += delta * delta;
+    }
+    if (distance <= limit) continue;
+
+    changedPixels++;
+    diff[i] = 255;
+    diff[i + 1] = 0;
+    diff[i + 2] = 0;
+    diff[i + 3] = 255;
+    const pixel = i / 4;
+    cells.add(Math.floor(Math.floor(pixel / width) / cellSize) * columns + Math.floor((pixel % width) / cellSize));
+  }
+
+  output.context.putImageData(output.pixels, 0, 0);
+  return {
+    width,
+    height,
+    changedPixels,
+    columns,
+    cells: [...cells],
+    image: output.canvas.toDataURL('image/png').replace(/^data:image\/png;base64,/, '')
+  };
+}
@@ -0,0 +1,176 @@
+/**
+ * Statistics for repeated page-load measurements
+ *
+ * Single loads on shared CI runners are noisy, so before/after metrics are sampled
+ * several times and compared with the Mann-Whitney U test (rank based - no normality
+ * assumption, robust to the occasional slow outlier run).
+ */
+
+/**
+ * Percentile with linear interpolation between closest ranks
+ * @param {Array<number>} values - Samples
+ * @param {number} p - Percentile (0-100)
+ * @returns {number|null} Percentile, null without samples
+ */
+export function percentile(values, p) {
+  const sorted = toNumbers(values).sort((a, b) => a - b);
+  if (sorted.length === 0) return null;
+
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+export function median(values) {
+  return percentile(values, 50);
+}
+
+/**
+ * Summary of a sample
+ * @returns {Object} { runs, median, p75, p95, min, max }
+ */
+export function summarize(values) {
+  const numbers = toNumbers(values);
+  return {
+    runs: numbers.length,
+    median: median(numbers),
+    p75: percentile(numbers, 75),
+    p95: percentile(numbers, 95),
+    min: numbers.length > 0 ? Math.min(...numbers) : null,
+    max: numbers.length > 0 ? Math.max(...numbers) : null
+  };
+}
+
+/**
+ * Two-sided Mann-Whitney U test
+ * Exact p-value for small samples without ties, normal approximation (tie and
+ * continuity corrected) otherwise.
+ * @param {Array<number>} a - First sample
+ * @param {Array<number>} b - Second sample
+ * @returns {Object|null} { u, pValue, exact } or null if a sample is empty
+ */
+export function mannWhitneyU(a, b) {
+  const x = toNumbers(a);
+  const y = toNumbers(b);
+  const n1 = x.length;
+  const n2 = y.length;
+  if (n1 === 0 || n2 === 0) return null;
+
+  // Average ranks for ties
+  const pooled = [...x.map(value => ({ value, group: 0 })), ...y.map(value => ({ value, group: 1 }))]
+    .sort((l, r) => l.value - r.value);
+  const ranks = new Array(pooled.length);
+  const tieSizes = [];
+  for (let i = 0; i < pooled.length;) {
+    let j = i;
+    while (j + 1 < pooled.length && pooled[j + 1].value === pooled[i].value) j++;
+    for (let k = i; k <= j; k++) ranks[k] = (i + j) / 2 + 1;
+    if (j > i) tieSizes.push(j - i + 1);
+    i = j + 1;
+  }
+
+  const rankSum = pooled.reduce((sum, entry, i) => sum + (entry.group === 0 ? ranks[i] : 0), 0);
+  const u1 = rankSum - (n1 * (n1 + 1)) / 2;
+  const u = Math.min(u1, n1 * n2 - u1);
+
+  if (tieSizes.length === 0 && n1 * n2 <= 400) {
+    return { u, pValue: Math.min(1, 2 * exactLowerTail(u, n1, n2)), exact: true };
+  }
+
+  const n = n1 + n2;
+  const tieTerm = tieSizes.reduce((sum, t) => sum + (t ** 3 - t), 0) / (n * (n - 1));
+  const sigma = Math.sqrt((n1 * n2 / 12) * (n + 1 - tieTerm));
+  if (sigma === 0) {
+    return { u, pValue: 1, exact: false }; // Every value identical
+  }
+
+  const z = (Math.abs(u1 - (n1 * n2) / 2) - 0.5) / sigma;
+  return { u, pValue: Math.min(1, 2 * (1 - normalCDF(Math.max(0, z)))), exact: false };
+}
+
+/**
+ * Hodges-Lehmann estimate of the shift between two samples (median of pairwise b - a)
+ */
+export function hodgesLehmann(a, b) {
+  const x = toNumbers(a);
+  const y = toNumbers(b);
+  const differences = [];
+  y.forEach(after => x.forEach(before => differences.push(after - before)));
+  return median(differences);
+}
+
+/**
+ * Compare before/after samples of a metric
+ * @param {Array<number>} before - Before samples
+ * @param {Array<number>} after - After samples
+ * @param {Object} options - { alpha } significance level (default 0.05)
+ * @returns {Object} { before, after, delta, shift, pValue, significant, change }
+ *   change is 'increased', 'decreased', 'unchanged', or 'insufficient-data'
+ *   when there aren't enough runs to tell (fewer than 4 per side can never reach p < 0.05)
+ */
+export function compareSamples(before, after, options = {}) {
+  const alpha = options.alpha ?? 0.05;
+  const beforeSummary = summarize(before);
+  const afterSummary = summarize(after);
+  const test = mannWhitneyU(before, after);
+
+  const result = {
+    before: beforeSummary,
+    after: afterSummary,
+    delta: beforeSummary.median !== null && afterSummary.median !== null ? afterSummary.median - beforeSummary.median : null,
+    shift: hodgesLehmann(before, after),
+    pValue: test?.pValue ?? null,
+    significant: false,
+    change: 'insufficient-data'
+  };
+
+  if (!test || beforeSummary.runs < 2 || afterSummary.runs < 2) {
+    return result;
+  }
+
+  result.significant = test.pValue < alpha;
+  result.change = !result.significant || result.shift === 0 ? 'unchanged' : result.shift > 0 ? 'increased' : 'decreased';
+  return result;
+}
+
+/**
+ * P(U <= u) under the null hypothesis, by counting rank arrangements
+ */
+function exactLowerTail(u, n1, n2) {
+  // counts[i][j][k]: arrangements of i + j values with U = k
+  const maxU = n1 * n2;
+  let previous = Array.from({ length: n2 + 1 }, () => new Array(maxU + 1).fill(0));
+  for (let j = 0; j <= n2; j++) previous[j][0] = 1;
+
+  for (let i = 1; i <= n1; i++) {
+    const current = Array.from({ length: n2 + 1 }, () => new Array(maxU + 1).fill(0));
+    current[0][0] = 1;
+    for (let j = 1; j <= n2; j++) {
+      for (let k = 0; k <= maxU; k++) {
+        // Largest value from the second sample adds nothing; from the first it adds j
+        current[j][k] = current[j - 1][k] + (k >= j ? previous[j][k - j] : 0);
+      }
+    }
+    previous = current;
+  }
+
+  const counts = previous[n2];
+  const total = counts.reduce((sum, count) => sum + count, 0);
+  const tail = counts.slice(0, Math.floor(u) + 1).reduce((sum, count) => sum + count, 0);
+  return tail / total;
+}
+
+/**
+ * Standard normal CDF (Abramowitz-Stegun 7.1.26)
+ */
+function normalCDF(z) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))))
+    * Math.exp(-(z * z) / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+function toNumbers(values) {
+  return (values || []).filter(value => typeof value === 'number' && Number.isFinite(value));
+}
@@ -0,0 +1,377 @@
+import * as core from '@actions/core';
+import { fingerprintIssue, isKnownRule } from './issue-model.js';
+
+/**
+ * Inline suppressions
+ *
+ * Silence a single finding where it occurs. Every suppression needs a reason after `--`;
+ * one without a reason suppresses nothing and is reported as an `invalid-suppression` error.
+ *
+ * CSS and JS comments:
+ *   /* perf-bot-disable css-background-image -- LCP hero, preloaded *\/
+ *   // perf-bot-disable-next-line http-request-in-custom-function -- legacy API, tracked in FORMS-123
+ *   // perf-bot-disable-line dom-access-in-custom-function -- reason
+ *   /* perf-bot-enable css-background-image *\/
+ *
+ *   perf-bot-disable applies until a matching perf-bot-enable, the end of the enclosing
+ *   { } block (CSS rule, JS function) or the end of the file. Rules are comma or space
+ *   separated; without rules every rule is suppressed. A comment that names no built-in
+ *   rule (e.g. prose mentioning perf-bot-disable) is not a directive and is skipped.
+ *
+ * Form JSON - a `perf-bot:ignore` property on a node (or in its `properties`):
+ *   "perf-bot:ignore": { "rules": ["unnecessary-hidden-field"], "reason": "Set by prefill service" }
+ *
+ *   Applies to the node and everything inside it; on the form root it also covers
+ *   form-wide issues (component count, nesting depth, ...). Omit `rules` to ignore all rules.
+ *
+ * Suppressed issues are returned in `suppressedIssues` with a `suppression`
+ * ({ reason, file, line } or { reason, field }) so reports can list them.
+ */
+
+const DIRECTIVE_PATTERN = /(?:\/\*|\/\/)\s*(perf-bot-(?:disable-next-line|disable-line|disable|enable))\b(.*?)(?:\*\/|$)/gm;
+
+export const FORM_IGNORE_PROPERTY = 'perf-bot:ignore';
+
+/**
+ * Parse suppression comments in a CSS or JS file
+ * @param {string} content - File content
+ * @param {string} file - File path (as reported on issues)
+ * @returns {Object} { suppressions: [{ rules, reason, file, line, fromLine, toLine }], invalid: [issue] }
+ */
+export function parseCodeSuppressions(content, file) {
+  const suppressions = [];
+  const invalid = [];
+  const open = [];
+
+  if (!content || !content.includes('perf-bot-')) {
+    return { suppressions, invalid };
+  }
+
+  const lineStarts = getLineStarts(content);
+
+  let match;
+  DIRECTIVE_PATTERN.lastIndex = 0;
+  while ((match = DIRECTIVE_PATTERN.exec(content)) !== null) {
+    const directive = match[1];
+    const line = getLine(lineStarts, match.index);
+    const { rules, reason } = parseDirectiveText(match[2]);
+
+    // Words after the directive that are no rule ids - an ordinary comment, not a suppression
+    if (rules && !rules.some(isKnownRule)) continue;
+
+    if (directive === 'perf-bot-enable') {
+      // Close the open disables for these rules (all of them without rules)
+      open.filter(s => !rules || !s.rules || s.rules.some(rule => rules.includes(rule)))
+        .forEach(s => {
+          s.toLine = Math.min(s.toLine, line);
+          open.splice(open.indexOf(s), 1);
+        });
+      continue;
+    }
+
+    if (!reason) {
+      invalid.push(createInvalidSuppressionIssue(`${directive}${rules ? ` ${rules.join(', ')}` : ''}`, { file, line }));
+      continue;
+    }
+
+    const suppression = { rules, reason, file, line, fromLine: line, toLine: line };
+    if (directive === 'perf-bot-disable-next-line') {
+      suppression.fromLine = suppression.toLine = line + 1;
+    } else if (directive === 'perf-bot-disable') {
+      suppression.toLine = getLine(lineStarts, findBlockEnd(content, match.index + match[0].length));
+      open.push(suppression);
+    }
+    suppressions.push(suppression);
+  }
+
+  return { suppressions, invalid };
+}
+
+/**
+ * Split code issues (CSS, custom functions) into active and suppressed ones
+ * An issue is suppressed when a suppression covers its line, or covers every line
+ * in its details (e.g. each fetch() call inside a custom function).
+ * @param {Array} issues - Issues with file/line
+ * @param {Array} files - [{ filename, content }] the issues were found in
+ * @returns {Object} { issues, suppressedIssues } (invalid suppressions are added to issues)
+ */
+export function applyCodeSuppressions(issues, files = []) {
+  const byFile = new Map();
+  const invalid = [];
+
+  (files || []).forEach(file => {
+    const parsed = parseCodeSuppressions(file.content, file.filename);
+    if (parsed.suppressions.length > 0) {
+      byFile.set(file.filename, parsed.suppressions);
+    }
+    invalid.push(...parsed.invalid);
+  });
+
+  const active = [];
+  const suppressedIssues = [];
+
+  (issues || []).forEach(issue => {
+    const suppression = findCodeSuppression(issue, byFile.get(issue.file) || []);
+    if (suppression) {
+      suppressedIssues.push(withSuppression(issue, {
+        reason: suppression.reason,
+        file: suppression.file,
+        line: suppression.line
+      }));
+    } else {
+      active.push(issue);
+    }
+  });
+
+  logSuppressions(suppressedIssues, invalid);
+  return { issues: [...active, ...invalid], suppressedIssues };
+}
+
+/**
+ * Collect `perf-bot:ignore` entries from a form JSON
+ * @param {Object} formJson - Form JSON
+ * @returns {Object} { form: [ignore], fields: Map<name, [ignore]>, invalid: [issue] }
+ */
+export function parseFormSuppressions(formJson) {
+  const form = [];
+  const fields = new Map();
+  const invalid = [];
+
+  const visit = (node, inherited, isRoot) => {
+    if (!node || typeof node !== 'object') return;
+
+    const ignores = [...inherited];
+    const spec = node[FORM_IGNORE_PROPERTY] ?? node.properties?.[FORM_IGNORE_PROPERTY];
+    const name = node.name || (isRoot ? 'form' : null);
+
+    if (spec !== undefined) {
+      const ignore = parseFormIgnore(spec, name);
+      if (ignore) {
+        ignores.push(ignore);
+      } else {
+        invalid.push(createInvalidSuppressionIssue(`"${FORM_IGNORE_PROPERTY}" on "${name || 'unnamed node'}"`, { field: name }));
+      }
+    }
+
+    if (isRoot) {
+      form.push(...ignores);
+    }
+    if (node.name && ignores.length > 0) {
+      fields.set(node.name, [...(fields.get(node.name) || []), ...ignores]);
+    }
+
+    const children = Array.isArray(node.items) ? node.items : [];
+    const namedChildren = node[':items'] ? Object.values(node[':items']) : [];
+    [...children, ...namedChildren].forEach(child => visit(child, ignores, false));
+  };
+
+  visit(formJson, [], true);
+  return { form, fields, invalid };
+}
+
+/**
+ * Split form JSON issues into active and suppressed ones
+ * Issues are matched on their field (or any field of a rule cycle); issues without
+ * a field are form-wide and only matched by an ignore on the form root.
+ * @param {Array} issues - Issues with field/fields
+ * @param {Object} formJson - Form JSON the issues were found in
+ * @param {Object} options - { reportInvalid } add invalid ignores to issues (one analyzer per form does this)
+ * @returns {Object} { issues, suppressedIssues }
+ */
+export function applyFormSuppressions(issues, formJson, options = {}) {
+  const parsed = parseFormSuppressions(formJson);
+  const active = [];
+  const suppressedIssues = [];
+
+  (issues || []).forEach(issue => {
+    const ruleId = issue.ruleId || issue.type;
+    const names = Array.isArray(issue.fields) ? issue.fields : [issue.field].filter(Boolean);
+    const candidates = names.length > 0
+      ? names.flatMap(name => (parsed.fields.get(name) || []))
+      : parsed.form;
+    const ignore = candidates.find(candidate => matchesRule(candidate.rules, ruleId));
+
+    if (ignore) {
+      suppressedIssues.push(withSuppression(issue, { reason: ignore.reason, field: ignore.field }));
+    } else {
+      active.push(issue);
+    }
+  });
+
+  const invalid = options.reportInvalid ? parsed.invalid : [];
+  logSuppressions(suppressedIssues, invalid);
+  return { issues: [...active, ...invalid], suppressedIssues };
+}
+
+/**
+ * Suppressed issues in comparison results (current state of every analyzer)
+ * @param {Object} results - Results from runFormComparison()
+ * @returns {Array} Suppressed issues, each with `suppression`
+ */
+export function collectSuppressedIssues(results) {
+  const seen = new Set();
+  const suppressed = [];
+
+  Object.values(results || {}).forEach(analysis => {
+    (analysis?.after?.suppressedIssues || []).forEach(issue => {
+      const key = `${issue.file || ''}|${issue.fingerprint || fingerprintIssue(issue)}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+      suppressed.push(issue);
+    });
+  });
+
+  return suppressed;
+}
+
+/**
+ * Where a suppressed issue was suppressed, for reports ("file:line" or field)
+ */
+export function describeSuppression(issue) {
+  const suppression = issue.suppression || {};
+  if (suppression.file) {
+    return `${suppression.file}:${suppression.line}`;
+  }
+  return suppression.field ? `"${suppression.field}"` : 'form';
+}
+
+function findCodeSuppression(issue, suppressions) {
+  if (suppressions.length === 0) return null;
+
+  const ruleId = issue.ruleId || issue.type;
+  const covering = line => suppressions.find(s =>
+    matchesRule(s.rules, ruleId) && line >= s.fromLine && line <= s.toLine
+  );
+
+  const direct = issue.line ? covering(issue.line) : null;
+  if (direct) return direct;
+
+  const detailLines = (issue.details || []).map(detail => detail?.line).filter(Boolean);
+  if (detailLines.length === 0) return null;
+
+  const matches = detailLines.map(covering);
+  return matches.every(Boolean) ? matches[0] : null;
+}
+
+function matchesRule(rules, ruleId) {
+  return !rules || rules.includes(ruleId);
+}
+
+function withSuppression(issue, suppression) {
+  return { ...issue, suppressed: true, suppression };
+}
+
+/**
+ * "css-background-image, deep-selector -- reason" -> { rules, reason }
+ */
+function parseDirectiveText(text) {
+  const [rulesText, ...reasonParts] = text.split('--');
+  const rules = rulesText.split(/[\s,]+/).filter(Boolean);
+  const reason = reasonParts.join('--').trim();
+
+  return {
+    rules: rules.length > 0 ? rules : null,
+    reason: reason || null
+  };
+}
+
+/**
+ * Validate a perf-bot:ignore value: { rules?, reason } (reason required)
+ */
+function parseFormIgnore(spec, field) {
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) return null;
+
+  const reason = typeof spec.reason === 'string' ? spec.reason.trim() : '';
+  if (!reason) return null;
+
+  const rules = spec.rules === undefined ? null : [].concat(spec.rules).filter(Boolean);
+  return { rules: rules && rules.length > 0 ? rules : null, reason, field };
+}
+
+function createInvalidSuppressionIssue(what, location) {
+  return {
+    severity: 'error',
+    type: 'invalid-suppression',
+    ...location,
+    message: `Suppression ${what} has no reason. Suppressions without a reason are ignored.`,
+    recommendation: 'Add the reason after "--" in comments (perf-bot-disable <rule> -- <reason>) or a "reason" to perf-bot:ignore.',
+  };
+}
+
+function logSuppressions(suppressedIssues, invalid) {
+  suppressedIssues.forEach(issue => {
+    core.info(`  Suppressed ${issue.type} (${describeSuppression(issue)}): ${issue.suppression.reason}`);
+  });
+  invalid.forEach(issue => core.warning(`  ${issue.message}`));
+}
+
+/**
+ * Index of the closing brace of the block enclosing `index` (content length if none)
+ * Skips strings and comments so braces inside them don't count.
+ */
+function findBlockEnd(content, index) {
+  let depth = 0;
+  let i = index;
+
+  while (i < content.length) {
+    const char = content[i];
+    const next = content[i + 1];
+
+    if (char === '/' && next === '*') {
+      const end = content.indexOf('*/', i + 2);
+      i = end === -1 ? content.length : end + 2;
+      continue;
+    }
+    if (char === '/' && next === '/') {
+      const end = content.indexOf('\n', i);
+      i = end === -1 ? content.length : end;
+      continue;
+    }
+    if (char === '"' || char === '\'' || char === '`') {
+      i = skipString(content, i);
+      continue;
+    }
+
+    if (char === '{') depth++;
+    if (char === '}') {
+      if (depth === 0) return i;
+      depth--;
+    }
+    i++;
+  }
+
+  return content.length;
+}
+
+function skipString(content, start) {
+  const quote = content[start];
+  let i = start + 1;
+  while (i < content.length && content[i] !== quote) {
+    if (content[i] === '\\') i++;
+    if (content[i] === '\n' && quote !== '`') break; // Unterminated string
+    i++;
+  }
+  return i + 1;
+}
+
+function getLineStarts(content) {
+  const starts = [0];
+  for (let i = 0; i < content.length; i++) {
+    if (content[i] === '\n') starts.push(i + 1);
+  }
+  return starts;
+}
+
+function getLine(lineStarts, index) {
+  let low = 0;
+  let high = lineStarts.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (lineStarts[mid] <= index) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return low + 1;
+}
@@ -0,0 +1,133 @@
+/**
+ * Throttling profiles for URL analysis
+ *
+ * A profile emulates a class of device: network conditions and CPU slowdown (applied
+ * through the DevTools protocol), viewport and user agent. Built-in network values are
+ * the ones Lighthouse applies with DevTools throttling.
+ *
+ * Select a profile with throttling.profile in .performance-bot.json (or per scan URL),
+ * and add or adjust profiles in throttling.profiles.
+ */
+
+const MOBILE_USER_AGENT = 'Mozilla/5.0 (Linux; Android 11; moto g power (2022)) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Mobile Safari/537.36';
+const LOW_END_USER_AGENT = 'Mozilla/5.0 (Linux; Android 10; SM-A105F) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Mobile Safari/537.36';
+
+// Unthrottled unless a repo opts in - throttling changes every load time and its thresholds
+export const DEFAULT_PROFILE = 'none';
+
+export const THROTTLING_PROFILES = {
+  // Unthrottled desktop Chrome (what URL analysis measured before profiles existed)
+  none: {
+    description: 'No throttling, 1280x720',
+    network: null,
+    cpuSlowdown: 1,
+    viewport: { width: 1280, height: 720, deviceScaleFactor: 1, isMobile: false, hasTouch: false },
+    userAgent: null
+  },
+  'desktop-cable': {
+    description: 'Desktop, cable (40ms RTT, 10 Mbps)',
+    network: { downloadKbps: 10240, uploadKbps: 10240, latencyMs: 40 },
+    cpuSlowdown: 1,
+    viewport: { width: 1350, height: 940, deviceScaleFactor: 1, isMobile: false, hasTouch: false },
+    userAgent: null
+  },
+  'mobile-4g': {
+    description: 'Mid-range phone, slow 4G (150ms RTT, 1.6 Mbps), 4x CPU slowdown',
+    network: { downloadKbps: 1474.56, uploadKbps: 675, latencyMs: 562.5 },
+    cpuSlowdown: 4,
+    viewport: { width: 412, height: 823, deviceScaleFactor: 1.75, isMobile: true, hasTouch: true },
+    userAgent: MOBILE_USER_AGENT
+  },
+  'low-end-android': {
+    description: 'Low-end Android phone, 3G (300ms RTT, 700 Kbps), 6x CPU slowdown',
+    network: { downloadKbps: 630, uploadKbps: 630, latencyMs: 1125 },
+    cpuSlowdown: 6,
+    viewport: { width: 360, height: 640, deviceScaleFactor: 2, isMobile: true, hasTouch: true },
+    userAgent: LOW_END_USER_AGENT
+  }
+};
+
+/**
+ * Resolve a profile name (or inline profile) to a complete profile
+ * Profiles in config.throttling.profiles override built-in ones of the same name;
+ * new profiles start from "none" and can set extends to build on another profile.
+ * @param {string|Object|null} selection - Profile name, inline profile, or null for throttling.profile
+ * @param {Object} config - Configuration
+ * @returns {Object} { name, description, network, cpuSlowdown, viewport, userAgent }
+ */
+export function resolveThrottlingProfile(selection = null, config = null) {
+  const customProfiles = config?.throttling?.profiles || {};
+  const profiles = { ...THROTTLING_PROFILES, ...customProfiles };
+  const selected = selection ?? config?.throttling?.profile ?? DEFAULT_PROFILE;
+
+  const resolve = (name, seen = []) => {
+    if (seen.includes(name)) {
+      throw new Error(`Throttling profile "${name}" extends itself (${[...seen, name].join(' -> ')})`);
+    }
+    const profile = profiles[name];
+    if (!profile) {
+      throw new Error(`Unknown throttling profile "${name}". Available: ${Object.keys(profiles).join(', ')}`);
+    }
+    return mergeProfile(resolveParent(profile, name, [...seen, name]), profile);
+  };
+
+  const resolveParent = (profile, name, seen) => {
+    if (profile.extends) return resolve(profile.extends, seen);
+    // A custom profile named like a built-in one adjusts it
+    if (name && customProfiles[name] && THROTTLING_PROFILES[name]) return THROTTLING_PROFILES[name];
+    return THROTTLING_PROFILES.none;
+  };
+
+  if (selected && typeof selected === 'object') {
+    return { name: selected.name || 'custom', ...mergeProfile(resolveParent(selected, null, []), selected) };
+  }
+  return { name: selected, ...resolve(selected) };
+}
+
+/**
+ * Apply a profile to a page before navigating
+ * @param {Object} page - Puppeteer page
+ * @param {Object} profile - resolveThrottlingProfile() result
+ */
+export async function applyThrottling(page, profile) {
+  await page.setViewport(profile.viewport);
+
+  if (profile.userAgent) {
+    await page.setUserAgent(profile.userAgent);
+  }
+
+  const client = await page.createCDPSession();
+  if (profile.network) {
+    await client.send('Network.enable');
+    await client.send('Network.emulateNetworkConditions', {
+      offline: false,
+      latency: profile.network.latencyMs,
+      downloadThroughput: kbpsToBytesPerSecond(profile.network.downloadKbps),
+      uploadThroughput: kbpsToBytesPerSecond(profile.network.uploadKbps)
+    });
+  }
+  if (profile.cpuSlowdown > 1) {
+    await client.send('Emulation.setCPUThrottlingRate', { rate: profile.cpuSlowdown });
+  }
+}
+
+/**
+ * Whether a profile slows page loads down (navigation and render timeouts are doubled)
+ */
+export function isThrottled(profile) {
+  return !!profile?.network || (profile?.cpuSlowdown || 1) > 1;
+}
+
+function mergeProfile(base, profile) {
+  return {
+    description: profile.description ?? base.description,
+    network: profile.network === undefined ? base.network : profile.network && { ...base.network, ...profile.network },
+    cpuSlowdown: profile.cpuSlowdown ?? base.cpuSlowdown,
+    viewport: { ...base.viewport, ...profile.viewport },
+    userAgent: profile.userAgent === undefined ? base.userAgent : profile.userAgent
+  };
+}
+
+function kbpsToBytesPerSecond(kbps) {
+  return kbps === undefined || kbps === null ? -1 : Math.round((kbps * 1024) / 8);
+}
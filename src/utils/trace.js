@@ -0,0 +1,225 @@
+/**
+ * Chrome performance traces of URL loads
+ *
+ * Load time says a form got slower, not why. With config.trace.enabled, the load (and the
+ * journey, if any) is recorded with page.tracing - the trace Chrome's Performance panel
+ * shows - and reduced to where the main thread spent its time:
+ *
+ *   by category    script (compile + evaluation), styleLayout, paint, parse (HTML), gc, other
+ *   by script URL  self time of script evaluation, plus the work it triggered (style, layout,
+ *                  GC) while it ran
+ *   long tasks     tasks over 50ms with the script that took most of them
+ *
+ * Chrome records one trace at a time, so traced loads run one after another (the browser
+ * pool's concurrency is 1). The trace itself is kept for the artifacts (<form>.trace.json).
+ */
+
+const DEFAULT_OPTIONS = {
+  enabled: false,
+  save: true,         // Write the trace next to HAR files and screenshots
+  maxLongTasks: 10,   // Long tasks listed, longest first
+  maxScripts: 10      // Script URLs listed, most main-thread time first
+};
+
+const CATEGORIES = [
+  '-*',
+  'toplevel',
+  'devtools.timeline',
+  'disabled-by-default-devtools.timeline',
+  'v8',
+  'v8.execute',
+  'blink.user_timing'
+];
+
+const LONG_TASK_MS = 50;
+
+// Mark set in the page before the journey's first step - later long tasks belong to the journey
+export const JOURNEY_MARK = 'perf-bot:journey';
+
+// Trace event name -> main-thread category (events not listed inherit their parent's)
+const EVENT_CATEGORIES = {
+  script: [
+    'EvaluateScript', 'v8.evaluateModule', 'FunctionCall', 'TimerFire', 'FireIdleCallback', 'FireAnimationFrame',
+    'EventDispatch', 'RunMicrotasks', 'V8.Execute', 'XHRReadyStateChange', 'XHRLoad', 'v8.compile', 'v8.compileModule',
+    'V8.CompileCode'
+  ],
+  styleLayout: [
+    'UpdateLayoutTree', 'RecalculateStyles', 'ScheduleStyleRecalculation', 'ParseAuthorStyleSheet', 'Layout',
+    'InvalidateLayout', 'UpdateLayerTree'
+  ],
+  paint: ['Paint', 'PrePaint', 'PaintImage', 'CompositeLayers', 'Layerize', 'UpdateLayer', 'Commit', 'Decode Image', 'ImageDecodeTask', 'RasterTask'],
+  parse: ['ParseHTML'],
+  gc: ['MinorGC', 'MajorGC', 'GCEvent', 'V8.GCScavenger', 'V8.GCIncrementalMarking', 'V8.GCFinalizeMC', 'V8.GCCompactor', 'BlinkGC.AtomicPhase', 'ThreadState::performIdleLazySweep']
+};
+
+export const MAIN_THREAD_CATEGORIES = ['script', 'styleLayout', 'paint', 'parse', 'gc', 'other'];
+
+const CATEGORY_BY_EVENT = new Map(
+  Object.entries(EVENT_CATEGORIES).flatMap(([category, names]) => names.map(name => [name, category]))
+);
+
+/**
+ * Trace options from config.trace
+ * @param {Object} config - Bot configuration
+ */
+export function getTraceOptions(config) {
+  return { ...DEFAULT_OPTIONS, ...(config?.trace || {}) };
+}
+
+/**
+ * Start tracing (before navigating)
+ * @param {Object} page - Puppeteer page
+ */
+export async function startTrace(page) {
+  await page.tracing.start({ categories: CATEGORIES });
+}
+
+/**
+ * Mark the start of the journey in the trace
+ * @param {Object} page - Puppeteer page being traced
+ */
+export async function markJourneyStart(page) {
+  await page.evaluate(mark => performance.mark(mark), JOURNEY_MARK);
+}
+
+/**
+ * Stop tracing and summarize the main thread
+ * @param {Object} page - Puppeteer page
+ * @param {string} pageUrl - Analyzed URL
+ * @param {Object} options - getTraceOptions() result
+ * @returns {Promise<Object>} { trace, mainThread } - trace is the raw trace (Buffer) or null
+ *   when not saved; mainThread is summarizeTrace()'s result
+ */
+export async function stopTrace(page, pageUrl, options = DEFAULT_OPTIONS) {
+  const trace = await page.tracing.stop();
+  const { traceEvents } = JSON.parse(trace.toString('utf-8'));
+  return {
+    trace: options.save ? trace : null,
+    mainThread: summarizeTrace(traceEvents, pageUrl, options)
+  };
+}
+
+/**
+ * Reduce trace events to main-thread time by category, by script and the longest tasks
+ * Self time of each event (its duration minus its children's) goes to its category and to
+ * the script it ran for (its own URL or the nearest ancestor's).
+ * @param {Array} events - traceEvents
+ * @param {string} pageUrl - Analyzed URL
+ * @param {Object} options - { maxLongTasks, maxScripts }
+ * @returns {Object} { pageUrl, total, categories: { script, styleLayout, paint, parse, gc, other },
+ *   scripts: [{ url, time }], longTasks: [{ start, duration, url, category, phase }], longTaskCount,
+ *   blockingTime } - times in ms, long task start since navigation
+ */
+export function summarizeTrace(events, pageUrl, options = {}) {
+  const { maxLongTasks = DEFAULT_OPTIONS.maxLongTasks, maxScripts = DEFAULT_OPTIONS.maxScripts } = options;
+  const main = findMainThread(events);
+  const threadEvents = events.filter(event => event.pid === main?.pid && event.tid === main?.tid);
+
+  const navigationStart = findNavigationStart(events, main) ??
+    threadEvents.reduce((first, event) => (Number.isFinite(event.ts) ? Math.min(first, event.ts) : first), Infinity);
+  const journeyMark = events.find(event => event.name === JOURNEY_MARK)?.ts ?? null;
+
+  const categories = Object.fromEntries(MAIN_THREAD_CATEGORIES.map(category => [category, 0]));
+  const scripts = new Map();
+  const tasks = [];
+
+  const complete = threadEvents
+    .filter(event => event.ph === 'X' && event.dur > 0)
+    .sort((a, b) => a.ts - b.ts || b.dur - a.dur);
+
+  // Walk the nesting: an event is inside the previous one when it starts before that one ends
+  const stack = [];
+  const nodes = complete.map(event => {
+    while (stack.length > 0 && stack[stack.length - 1].end <= event.ts) stack.pop();
+    const parent = stack[stack.length - 1] || null;
+    const node = {
+      event,
+      end: event.ts + event.dur,
+      childTime: 0,
+      category: CATEGORY_BY_EVENT.get(event.name) || parent?.category || 'other',
+      url: getEventURL(event) || parent?.url || null,
+      task: parent ? parent.task : null
+    };
+    if (parent) {
+      parent.childTime += Math.min(event.dur, parent.end - event.ts);
+    } else {
+      node.task = { start: event.ts, duration: event.dur, scripts: new Map(), categories: new Map() };
+      tasks.push(node.task);
+    }
+    stack.push(node);
+    return node;
+  });
+
+  nodes.forEach(node => {
+    const self = Math.max(0, node.event.dur - node.childTime) / 1000;
+    categories[node.category] += self;
+    add(node.task.categories, node.category, self);
+    if (node.url) {
+      add(scripts, node.url, self);
+      add(node.task.scripts, node.url, self);
+    }
+  });
+
+  const longTasks = tasks
+    .filter(task => task.duration / 1000 > LONG_TASK_MS)
+    .map(task => ({
+      start: Math.round((task.start - navigationStart) / 1000),
+      duration: Math.round(task.duration / 1000),
+      url: largest(task.scripts), // Script that took most of the task
+      category: largest(task.categories) || 'other',
+      phase: journeyMark !== null && task.start >= journeyMark ? 'journey' : 'load'
+    }));
+
+  const round = value => Math.round(value);
+  return {
+    pageUrl,
+    total: round(Object.values(categories).reduce((sum, time) => sum + time, 0)),
+    categories: Object.fromEntries(Object.entries(categories).map(([category, time]) => [category, round(time)])),
+    scripts: [...scripts.entries()]
+      .map(([url, time]) => ({ url, time: round(time) }))
+      .sort((a, b) => b.time - a.time)
+      .slice(0, maxScripts),
+    longTasks: longTasks.sort((a, b) => b.duration - a.duration).slice(0, maxLongTasks),
+    longTaskCount: longTasks.length,
+    blockingTime: longTasks.reduce((sum, task) => sum + task.duration - LONG_TASK_MS, 0)
+  };
+}
+
+/**
+ * The page's renderer main thread - of the CrRendererMain threads, the busiest
+ */
+function findMainThread(events) {
+  const mainThreads = events
+    .filter(event => event.ph === 'M' && event.name === 'thread_name' && event.args?.name === 'CrRendererMain')
+    .map(event => ({ pid: event.pid, tid: event.tid, busy: 0 }));
+
+  events.forEach(event => {
+    if (event.ph !== 'X' || !event.dur) return;
+    const thread = mainThreads.find(candidate => candidate.pid === event.pid && candidate.tid === event.tid);
+    if (thread) thread.busy += event.dur;
+  });
+  return mainThreads.sort((a, b) => b.busy - a.busy)[0] || null;
+}
+
+function findNavigationStart(events, main) {
+  return events
+    .filter(event => event.name === 'navigationStart' && event.pid === main?.pid)
+    .reduce((first, event) => (first === null || event.ts < first ? event.ts : first), null);
+}
+
+function add(totals, key, time) {
+  totals.set(key, (totals.get(key) || 0) + time);
+}
+
+function largest(totals) {
+  let key = null;
+  totals.forEach((time, candidate) => {
+    if (key === null || time > totals.get(key)) key = candidate;
+  });
+  return key;
+}
+
+function getEventURL(event) {
+  const data = event.args?.data;
+  return data?.url || data?.stackTrace?.[0]?.url || event.args?.fileName || null;
+}
@@ -0,0 +1,209 @@
+/**
+ * Core Web Vitals lab measurement
+ *
+ * installWebVitalsObservers() runs in the page (page.evaluateOnNewDocument) and records
+ * raw PerformanceObserver entries. After the form rendered, measureInteractions() clicks
+ * and types into the first few form fields so INP has interactions to measure, and
+ * collectWebVitals() reads the entries back and computes:
+ *
+ *   lcp - last largest-contentful-paint before the first input (ms)
+ *   cls - largest session window of layout shifts without recent input (unitless)
+ *   tbt - sum of (duration - 50ms) of long tasks between FCP and the first scripted interaction (ms)
+ *   inp - worst interaction latency (p98 once there are 50+ interactions) (ms)
+ *
+ * Values are null when the browser reported nothing to compute them from.
+ */
+
+const LONG_TASK_THRESHOLD_MS = 50;
+const CLS_SESSION_GAP_MS = 1000;
+const CLS_SESSION_MAX_MS = 5000;
+
+const INTERACTIVE_FIELDS = [
+  'div.form input:not([type="hidden"]):not([type="file"]):not([type="submit"])',
+  'div.form select',
+  'div.form textarea'
+].join(', ');
+
+/**
+ * Record raw Web Vitals entries in window.__perfBotVitals
+ * Runs in the browser before any page script - keep it self-contained
+ */
+export function installWebVitalsObservers() {
+  const vitals = {
+    lcp: null,
+    fcp: null,
+    layoutShifts: [],
+    longTasks: [],
+    events: [],
+    interactionStart: null
+  };
+  window.__perfBotVitals = vitals;
+
+  const observe = (type, callback, options = {}) => {
+    try {
+      new PerformanceObserver(list => list.getEntries().forEach(callback))
+        .observe({ type, buffered: true, ...options });
+    } catch (error) {
+      // Entry type not supported by this browser - the metric stays null
+    }
+  };
+
+  observe('largest-contentful-paint', entry => {
+    vitals.lcp = entry.renderTime || entry.loadTime || entry.startTime;
+  });
+  observe('paint', entry => {
+    if (entry.name === 'first-contentful-paint') vitals.fcp = entry.startTime;
+  });
+  observe('layout-shift', entry => {
+    vitals.layoutShifts.push({ value: entry.value, startTime: entry.startTime, hadRecentInput: entry.hadRecentInput });
+  });
+  observe('longtask', entry => {
+    vitals.longTasks.push({ startTime: entry.startTime, duration: entry.duration });
+  });
+  observe('event', entry => {
+    if (entry.interactionId) {
+      vitals.events.push({ name: entry.name, interactionId: entry.interactionId, startTime: entry.startTime, duration: entry.duration });
+    }
+  }, { durationThreshold: 16 });
+}
+
+/**
+ * Interact with the first form fields (click, then type or pick an option)
+ * @param {Object} page - Puppeteer page with installWebVitalsObservers() installed
+ * @param {number} count - Number of fields to interact with
+ * @returns {Promise<number>} Number of fields interacted with
+ */
+export async function measureInteractions(page, count = 3) {
+  await page.evaluate(() => {
+    if (window.__perfBotVitals) window.__perfBotVitals.interactionStart = performance.now();
+  });
+
+  const fields = [];
+  for (const handle of await page.$$(INTERACTIVE_FIELDS)) {
+    const usable = await handle.evaluate(el => !el.disabled && !el.readOnly && el.getClientRects().length > 0);
+    if (usable && fields.length < count) {
+      fields.push(handle);
+    }
+  }
+
+  let interacted = 0;
+  for (const field of fields) {
+    try {
+      const { tag, type } = await field.evaluate(el => ({ tag: el.tagName.toLowerCase(), type: (el.type || '').toLowerCase() }));
+      await field.click();
+      if (tag === 'select') {
+        await page.keyboard.press('ArrowDown');
+      } else if (!['checkbox', 'radio', 'button', 'range', 'color'].includes(type)) {
+        await field.type(['number', 'tel'].includes(type) ? '1' : 'a');
+      }
+      interacted++;
+      await waitForNextPaint(page);
+    } catch (error) {
+      // Field detached or covered by another element - try the next one
+    }
+  }
+
+  // Event timing entries are dispatched after the next paint
+  await waitForNextPaint(page);
+  return interacted;
+}
+
+/**
+ * Read the recorded entries and compute LCP, CLS, TBT and INP
+ * @param {Object} page - Puppeteer page with installWebVitalsObservers() installed
+ * @returns {Promise<Object|null>} { lcp, cls, tbt, inp, fcp, interactions } or null if nothing was recorded
+ */
+export async function collectWebVitals(page) {
+  const raw = await page.evaluate(() => window.__perfBotVitals || null);
+  return raw ? summarizeWebVitals(raw) : null;
+}
+
+/**
+ * Compute the metrics from raw entries (see installWebVitalsObservers)
+ * @param {Object} raw - { lcp, fcp, layoutShifts, longTasks, events, interactionStart }
+ * @returns {Object} { lcp, cls, tbt, inp, fcp, interactions }
+ */
+export function summarizeWebVitals(raw) {
+  const interactions = getInteractionLatencies(raw.events || []);
+
+  return {
+    lcp: roundMs(raw.lcp),
+    cls: computeCLS(raw.layoutShifts || []),
+    tbt: computeTBT(raw.longTasks || [], raw.fcp, raw.interactionStart),
+    inp: computeINP(interactions),
+    fcp: roundMs(raw.fcp),
+    interactions: interactions.length
+  };
+}
+
+/**
+ * Largest session window: shifts less than 1s apart, windows capped at 5s
+ */
+function computeCLS(layoutShifts) {
+  let max = 0;
+  let current = 0;
+  let windowStart = null;
+  let previous = null;
+
+  layoutShifts
+    .filter(shift => !shift.hadRecentInput)
+    .sort((a, b) => a.startTime - b.startTime)
+    .forEach(shift => {
+      const newWindow = previous === null ||
+        shift.startTime - previous > CLS_SESSION_GAP_MS ||
+        shift.startTime - windowStart > CLS_SESSION_MAX_MS;
+
+      if (newWindow) {
+        current = 0;
+        windowStart = shift.startTime;
+      }
+      current += shift.value;
+      previous = shift.startTime;
+      max = Math.max(max, current);
+    });
+
+  return Math.round(max * 1000) / 1000;
+}
+
+function computeTBT(longTasks, fcp, interactionStart) {
+  if (fcp === null || fcp === undefined) return null;
+
+  const end = interactionStart ?? Infinity;
+  const blocking = longTasks
+    .filter(task => task.startTime >= fcp && task.startTime < end)
+    .reduce((sum, task) => sum + Math.max(0, task.duration - LONG_TASK_THRESHOLD_MS), 0);
+
+  return Math.round(blocking);
+}
+
+/**
+ * Latency of each interaction - the longest event that belongs to it
+ */
+function getInteractionLatencies(events) {
+  const byInteraction = new Map();
+  events.forEach(event => {
+    byInteraction.set(event.interactionId, Math.max(byInteraction.get(event.interactionId) || 0, event.duration));
+  });
+  return [...byInteraction.values()];
+}
+
+function computeINP(latencies) {
+  if (latencies.length === 0) return null;
+
+  // One outlier is ignored per 50 interactions
+  const sorted = [...latencies].sort((a, b) => b - a);
+  return Math.round(sorted[Math.min(sorted.length - 1, Math.floor(sorted.length / 50))]);
+}
+
+function roundMs(value) {
+  return value === null || value === undefined ? null : Math.round(value);
+}
+
+/**
+ * Resolve after the page painted the current state (event timing entries are dispatched then)
+ */
+export async function waitForNextPaint(page) {
+  await page.evaluate(() => new Promise(resolve => {
+    requestAnimationFrame(() => setTimeout(resolve, 50));
+  }));
+}
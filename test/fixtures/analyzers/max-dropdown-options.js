@@ -0,0 +1,35 @@
+/**
+ * Example third-party analyzer (house rule): dropdowns with too many options
+ * slow down rendering - use a lookup/autocomplete field instead
+ */
+export default {
+  id: 'maxDropdownOptions',
+  title: 'Dropdown Options',
+  inputs: ['formJson'],
+
+  analyze({ formJson, config }) {
+    const maxOptions = config?.houseRules?.maxDropdownOptions || 50;
+    const issues = [];
+
+    const visit = (node, path = '') => {
+      Object.entries(node?.[':items'] || {}).forEach(([key, child]) => {
+        const childPath = path ? `${path}.${key}` : key;
+        const options = child.enum || [];
+        if (child.fieldType === 'drop-down' && options.length > maxOptions) {
+          issues.push({
+            type: 'too-many-dropdown-options',
+            severity: 'error',
+            field: childPath,
+            count: options.length,
+            message: `Dropdown "${childPath}" has ${options.length} options (max ${maxOptions})`,
+            recommendation: 'Load options on demand or use an autocomplete field'
+          });
+        }
+        visit(child, childPath);
+      });
+    };
+
+    visit(formJson);
+    return { dropdowns: issues.length, issues };
+  }
+};
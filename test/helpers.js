@@ -0,0 +1,43 @@
+/**
+ * Shared harness for the test/test-*.js scripts
+ *
+ * Each script is run on its own (node test/test-<name>.js): start() prints the banner,
+ * check() logs one result per assertion, finish() prints the summary and exits with 1
+ * when a check failed.
+ */
+
+const SEPARATOR = '═══════════════════════════════════════════════════════════';
+
+let failures = 0;
+
+/**
+ * Print the banner of a test script
+ * @param {string} title - What is tested, e.g. 'Issue Baseline'
+ */
+export function start(title) {
+  console.log(`🧪 Testing ${title}\n`);
+  console.log(`${SEPARATOR}\n`);
+}
+
+/**
+ * Log one check and count it when it fails
+ * @param {boolean} condition - Result of the check
+ * @param {string} message - What was checked
+ */
+export function check(condition, message) {
+  console.log(`  ${condition ? '✓' : '✗'} ${message}`);
+  if (!condition) failures++;
+}
+
+/**
+ * Print the summary and exit with 1 when a check failed
+ * @param {string} name - Name in the success line, e.g. 'baseline' (All baseline tests passed!)
+ */
+export function finish(name) {
+  console.log(`\n${SEPARATOR}`);
+  if (failures > 0) {
+    console.log(`\n ${failures} check(s) failed`);
+    process.exit(1);
+  }
+  console.log(`\n All ${name} tests passed!`);
+}
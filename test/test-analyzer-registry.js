@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+
+/**
+ * Tests the analyzer registry and third-party analyzers from config
+ * Usage: node test/test-analyzer-registry.js
+ */
+
+import { readFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import {
+  AnalyzerRegistry,
+  createDefaultRegistry,
+  loadAnalyzerRegistry,
+  BUILTIN_ANALYZER_IDS
+} from '../src/analyzers/registry.js';
+import {
+  runFormComparison,
+  createFormAnalyzers,
+  analyzeWorkspace,
+  analyzeSingleForm,
+  detectCriticalIssues
+} from '../src/pipeline.js';
+import { start, check, finish } from './helpers.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const fixturesDir = join(__dirname, 'fixtures');
+
+function throws(fn, pattern) {
+  try {
+    fn();
+    return false;
+  } catch (error) {
+    return pattern.test(error.message);
+  }
+}
+
+start('Analyzer Registry');
+
+const formJson = JSON.parse(readFileSync(join(fixturesDir, 'sample-form.json'), 'utf-8'));
+const dropdownForm = JSON.parse(JSON.stringify(formJson));
+dropdownForm[':items'].country = {
+  id: 'country',
+  fieldType: 'drop-down',
+  name: 'country',
+  enum: Array.from({ length: 60 }, (_, i) => `c${i}`)
+};
+const config = { analyzers: ['analyzers/max-dropdown-options.js'] };
+
+console.log('TEST 1: Built-in analyzers');
+const registry = createDefaultRegistry();
+check(registry.list().length === BUILTIN_ANALYZER_IDS.length, `${BUILTIN_ANALYZER_IDS.length} built-in analyzers registered`);
+check(registry.list().every(d => d.builtin && d.inputs.length > 0), 'built-ins declare their inputs');
+check(registry.get('formCSS').scope === 'workspace', 'CSS analyzer runs once per workspace');
+
+console.log('\nTEST 2: Descriptor validation');
+const custom = new AnalyzerRegistry();
+check(throws(() => custom.register({ id: 'x' }, 'x.js'), /analyze/), 'missing analyze() rejected');
+check(throws(() => custom.register({ id: 'x', inputs: ['dom'], analyze: () => ({}) }), /unknown input/), 'unknown input rejected');
+check(throws(() => registry.register({ id: 'formCSS', analyze: () => ({}) }), /already registered/), 'duplicate id rejected');
+check(!custom.register({ id: 'x', analyze: () => ({}), builtin: true }).builtin, 'third-party analyzers cannot claim to be built-in');
+
+console.log('\nTEST 3: Third-party analyzer from config');
+const loaded = await loadAnalyzerRegistry(config, fixturesDir);
+check(!!loaded.get('maxDropdownOptions'), 'analyzer loaded from config.analyzers');
+let loadError = null;
+try {
+  await loadAnalyzerRegistry({ analyzers: ['analyzers/missing.js'] }, fixturesDir);
+} catch (error) {
+  loadError = error;
+}
+check(/missing\.js/.test(loadError?.message), 'missing analyzer module fails the run');
+
+console.log('\nTEST 4: PR comparison runs third-party analyzers');
+const results = await runFormComparison({ formJson }, { formJson: dropdownForm }, {
+  config,
+  workspaceRoot: fixturesDir
+});
+check(results.maxDropdownOptions?.newIssues.length === 1, 'new dropdown issue reported');
+check(results.maxDropdownOptions?.title === 'Dropdown Options', 'result carries the analyzer title');
+check(results.formStructure.after.components.total > 0, 'built-in results keep their keys');
+const critical = detectCriticalIssues(results);
+check(critical.issues.some(i => i.includes('Dropdown Options')), 'error-severity issues are critical');
+
+console.log('\nTEST 5: Scheduled scan runs third-party analyzers');
+const analyzers = await createFormAnalyzers(config, fixturesDir);
+const workspaceIssues = await analyzeWorkspace(analyzers, { cssFiles: [] });
+const formResult = await analyzeSingleForm({ url: 'forms/country.form.json', formJson: dropdownForm }, {
+  analyzers,
+  workspaceIssues
+});
+check(formResult.forms.issues.some(i => i.type === 'too-many-dropdown-options'), 'issue listed in the forms section');
+check(formResult.rules.issues[0]?.cycles === 1, 'rule cycles still reported');
+
+finish('analyzer registry');
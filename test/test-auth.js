@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+
+/**
+ * Tests auth profiles for URL analysis: selection, env secrets, headers, cookies and login scripts
+ * Usage: node test/test-auth.js
+ */
+
+import { EventEmitter } from 'events';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { resolveAuth, applyAuth } from '../src/utils/auth.js';
+import { loadConfig } from '../src/utils/config-loader.js';
+import { loadFormSource } from '../src/pipeline.js';
+import { NetworkRecorder } from '../src/utils/network-recorder.js';
+import { start, check, finish } from './helpers.js';
+
+const throws = (fn, pattern) => {
+  try {
+    fn();
+    return false;
+  } catch (error) {
+    return pattern.test(error.message);
+  }
+};
+
+start('Auth Profiles');
+
+const dir = mkdtempSync(join(tmpdir(), 'perf-bot-auth-'));
+const cookieFile = join(dir, 'cookies.json');
+writeFileSync(cookieFile, JSON.stringify({ cookies: [{ name: 'login-token', value: 'abc', domain: 'author.example.com', path: '/' }] }));
+const configFile = join(dir, '.performance-bot.json');
+writeFileSync(configFile, JSON.stringify({
+  auth: {
+    profiles: {
+      stage: { match: 'https://stage.example.com/*', type: 'basic', username: '${STAGE_USER}', password: '${STAGE_PASSWORD}' },
+      author: { match: ['https://author.example.com/*'], type: 'bearer', token: '${AEM_TOKEN}', headers: { 'X-Api-Key': 'key-${API_KEY:-none}' } },
+      jar: { type: 'cookies', file: cookieFile },
+      sso: {
+        type: 'login',
+        loginUrl: 'https://login.example.com/?client=perf',
+        steps: [{ fill: '#user', value: '${SSO_USER}' }, { fill: '#password', value: '${SSO_PASSWORD}' }, { click: 'button[type=submit]', waitForNavigation: true }]
+      }
+    }
+  }
+}));
+const config = await loadConfig(configFile);
+const env = { STAGE_USER: 'bot', STAGE_PASSWORD: 's3cret', AEM_TOKEN: 'tok', SSO_USER: 'perf@example.com', SSO_PASSWORD: 'pw' };
+
+try {
+  console.log('TEST 1: Picking a profile');
+  const stage = resolveAuth('https://stage.example.com/forms/apply', null, config, env);
+  check(stage.name === 'stage' && stage.headers.Authorization === `Basic ${Buffer.from('bot:s3cret').toString('base64')}`, 'matched by URL pattern, basic credentials from env');
+  check(resolveAuth('https://main--forms--org.aem.live/apply', null, config, env) === null, 'public URLs get no auth');
+  const local = resolveAuth('http://localhost:4502/content/forms/af/apply.html', null, config, {});
+  check(local?.name === 'local-aem' && local.headers.Authorization === `Basic ${Buffer.from('admin:admin').toString('base64')}`, 'local AEM SDK keeps admin:admin by default');
+  check(resolveAuth('http://localhost:4502/x.html', null, config, { AEM_PASSWORD: 'changed' }).headers.Authorization.endsWith(Buffer.from('admin:changed').toString('base64')), 'defaults overridable from env');
+  check(resolveAuth('https://stage.example.com/forms/apply', false, config, env) === null, 'auth: false turns auth off');
+  const named = resolveAuth('https://stage.example.com/forms/apply', 'author', config, env);
+  check(named.name === 'author' && named.headers.Authorization === 'Bearer tok' && named.headers['X-Api-Key'] === 'key-none', 'named profile wins over patterns; bearer token and extra headers');
+  check(named.match[0] === 'https://author.example.com/*', 'headers limited to the profile patterns');
+  check(resolveAuth('https://x.example.com/a', { type: 'bearer', token: 't' }, config, env).match[0] === 'https://x.example.com/*', 'inline profile without patterns is limited to the URL origin');
+
+  console.log('\nTEST 2: Errors');
+  check(throws(() => resolveAuth('https://stage.example.com/a', null, config, {}), /Auth profile "stage" needs environment variable STAGE_USER/), 'missing secret named');
+  check(throws(() => resolveAuth('https://a.example.com', 'prod', config, env), /Unknown auth profile "prod"\. Available: local-aem, stage, author, jar, sso/), 'unknown profile rejected');
+  check(throws(() => resolveAuth('https://a.example.com', { type: 'digest' }, config, env), /unknown type "digest"/), 'unknown type rejected');
+  check(throws(() => resolveAuth('https://a.example.com', { type: 'basic', username: 'u' }, config, env), /is missing password/), 'missing field rejected');
+  check(throws(() => resolveAuth('https://a.example.com', { type: 'login', steps: [{ type: '#x' }] }, config, env), /step 1 has no action/), 'login step without action rejected');
+  check(throws(() => resolveAuth('https://a.example.com', { type: 'cookies', file: join(dir, 'missing.json') }, config, env), /could not read cookie file/), 'missing cookie file reported');
+
+  console.log('\nTEST 3: Applying a profile to a page');
+  const calls = [];
+  const session = new EventEmitter();
+  session.send = async (method, params) => calls.push([method, params]);
+  const page = {
+    createCDPSession: async () => session,
+    browserContext: () => ({ setCookie: async (...cookies) => calls.push(['setCookie', cookies]) }),
+    goto: async (url, options) => calls.push(['goto', url, options.waitUntil]),
+    waitForSelector: async selector => calls.push(['waitForSelector', selector]),
+    $eval: async () => {},
+    type: async (selector, value) => calls.push(['type', selector, value]),
+    click: async selector => {
+      if (selector === '#broken') throw new Error('No element found');
+      calls.push(['click', selector]);
+    },
+    waitForNavigation: async () => calls.push(['waitForNavigation'])
+  };
+  await applyAuth(page, named);
+  const fetchEnable = calls.find(([method]) => method === 'Fetch.enable')[1];
+  check(fetchEnable.patterns.length === 1 && fetchEnable.patterns[0].urlPattern === 'https://author.example.com/*', 'only matching requests intercepted');
+  session.emit('Fetch.requestPaused', { requestId: '7', request: { url: 'https://author.example.com/a', headers: { Accept: '*/*', authorization: 'old' } } });
+  await new Promise(resolve => setTimeout(resolve, 0));
+  const continued = calls.find(([method]) => method === 'Fetch.continueRequest')[1];
+  const header = name => continued.headers.filter(entry => entry.name.toLowerCase() === name);
+  check(continued.requestId === '7' && header('authorization').length === 1 && header('authorization')[0].value === 'Bearer tok' && header('accept').length === 1, 'auth headers added, existing headers kept');
+
+  calls.length = 0;
+  await applyAuth(page, resolveAuth('https://author.example.com/a', 'jar', config, env));
+  check(calls.length === 1 && calls[0][0] === 'setCookie' && calls[0][1][0].name === 'login-token', 'cookie jar (storage state file) set on the browser context');
+
+  calls.length = 0;
+  const sso = resolveAuth('https://author.example.com/a', 'sso', config, env);
+  await applyAuth(page, sso);
+  check(calls[0][0] === 'goto' && calls[0][1] === 'https://login.example.com/?client=perf', 'login page opened first');
+  check(calls.some(([action, selector, value]) => action === 'type' && selector === '#password' && value === 'pw'), 'fields filled with secrets from env');
+  check(calls.slice(-2).map(([action]) => action).sort().join() === 'click,waitForNavigation', 'submit waits for the navigation');
+  const failed = await applyAuth(page, { ...sso, steps: [{ click: '#broken' }] }).catch(error => error.message);
+  check(failed === 'Login for auth profile "sso" failed at step 2 (click #broken): No element found', 'failed step named without secrets or query strings');
+
+  console.log('\nTEST 4: Per-URL profile and HAR redaction');
+  let received = null;
+  const urlAnalyzer = { analyze: async (url, options) => { received = options; return { url }; } };
+  await loadFormSource({ url: 'https://stage.example.com/forms/apply', auth: 'author' }, { urlAnalyzer });
+  check(received.auth === 'author', '{ url, auth } entry passes its profile to the analyzer');
+  const recorder = new NetworkRecorder();
+  recorder.onRequest({ requestId: '1', timestamp: 1, wallTime: 1, type: 'Document', request: { url: 'https://stage.example.com/forms/apply', method: 'GET', headers: { Authorization: 'Basic Ym90OnMzY3JldA==', Accept: 'text/html' } } });
+  const harHeaders = recorder.toHAR().log.entries[0].request.headers;
+  check(harHeaders.find(h => h.name === 'Authorization').value === '[redacted]' && harHeaders.find(h => h.name === 'Accept').value === 'text/html', 'credentials redacted in HAR files');
+} finally {
+  rmSync(dir, { recursive: true, force: true });
+}
+
+finish('auth');
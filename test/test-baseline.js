@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+
+/**
+ * Tests the issue baseline (accepted issues don't fail PR checks)
+ * Usage: node test/test-baseline.js
+ */
+
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import {
+  Baseline,
+  loadBaseline,
+  writeBaseline,
+  applyBaseline,
+  collectIssues,
+  countBaselinedIssues,
+  getFormKey
+} from '../src/utils/baseline.js';
+import { runFormComparison, detectCriticalIssues } from '../src/pipeline.js';
+import { start, check, finish } from './helpers.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const fixturesDir = join(__dirname, 'fixtures');
+
+start('Issue Baseline');
+
+const formJson = JSON.parse(readFileSync(join(fixturesDir, 'sample-form.json'), 'utf-8'));
+const css = readFileSync(join(fixturesDir, 'css', 'sample-form.css'), 'utf-8');
+const cssFiles = [{ filename: 'css/sample-form.css', content: css }];
+const formKey = 'forms/sample.form.json';
+
+const current = await runFormComparison({ formJson }, { formJson }, { cssFiles });
+
+console.log('TEST 1: Form keys');
+check(getFormKey('https://main--site--org.aem.live/forms/apply') === getFormKey('https://feature--site--org.aem.live/forms/apply'),
+  'URLs on other hosts share a key');
+check(getFormKey({ json: formKey, html: 'forms/sample.html' }) === formKey, 'form file entries keyed by their JSON path');
+
+console.log('\nTEST 2: Baseline from current issues');
+const baseline = new Baseline({ generatedAt: new Date().toISOString() });
+baseline.add(collectIssues(current), formKey);
+check(Object.keys(baseline.files).includes('css/sample-form.css'), 'CSS issues recorded per file');
+check(Object.keys(baseline.forms[formKey] || {}).length > 0, 'form issues recorded per form');
+check(Object.values(baseline.forms[formKey] || {}).some(entry => entry.ruleId === 'rule-cycle'), 'rule cycles recorded');
+
+console.log('\nTEST 3: Known issues do not fail the check');
+check(detectCriticalIssues(current).hasCritical, 'critical without a baseline');
+const accepted = applyBaseline(current, baseline, formKey);
+check(!detectCriticalIssues(accepted).hasCritical, 'not critical with every issue baselined');
+check(accepted.ruleCycles.newCycles.length === 0 && accepted.ruleCycles.baselinedCycles.length === 1, 'baselined cycle moved out of newCycles');
+check(countBaselinedIssues(accepted) > 0, `${countBaselinedIssues(accepted)} issue(s) accepted by the baseline`);
+check(accepted.formCSS.after.issues.length === current.formCSS.after.issues.length, 'current state still reported in full');
+check(current.ruleCycles.newCycles.length === 1, 'original results left untouched');
+
+console.log('\nTEST 4: Regressions still fail');
+const regressedCSS = [{ filename: 'css/sample-form.css', content: `${css}\n.promo {\n  background-image: url('/promo.jpg');\n}\n` }];
+const regressed = applyBaseline(await runFormComparison({ formJson }, { formJson }, { cssFiles: regressedCSS }), baseline, formKey);
+const critical = detectCriticalIssues(regressed);
+check(critical.hasCritical && critical.count === 1, 'only the new CSS issue is critical');
+check(regressed.formCSS.newIssues[0]?.selector === '.promo', 'new issue reported');
+const otherForm = applyBaseline(current, baseline, 'forms/other.form.json');
+check(otherForm.formCSS.newIssues.length === 0, 'file issues accepted in every form');
+check(otherForm.ruleCycles.newCycles.length === 1, 'form issues only accepted for their form');
+
+console.log('\nTEST 5: Baseline file');
+const workspace = mkdtempSync(join(tmpdir(), 'perf-bot-baseline-'));
+try {
+  check(loadBaseline(null, workspace) === null, 'no baseline file - nothing accepted');
+  const filePath = writeBaseline(baseline, null, workspace);
+  check(filePath.endsWith('.performance-bot-baseline.json'), 'written to .performance-bot-baseline.json');
+  const loaded = loadBaseline(null, workspace);
+  check(loaded?.size() === baseline.size(), 'round-trips through the file');
+  check(loadBaseline({ baseline: false }, workspace) === null, 'baseline: false disables it');
+} finally {
+  rmSync(workspace, { recursive: true, force: true });
+}
+
+finish('baseline');
@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+
+/**
+ * Tests browser error recording (exceptions, rejections, console errors, failed requests),
+ * attribution to repo files and the before/after comparison
+ * Usage: node test/test-browser-errors.js
+ */
+
+import { EventEmitter } from 'events';
+import { BrowserErrorRecorder, mergeBrowserErrors } from '../src/utils/browser-errors.js';
+import { BrowserErrorsAnalyzer, formatBrowserErrorsSummary } from '../src/analyzers/browser-errors-analyzer.js';
+import { runFormComparison, analyzeSingleForm, createFormAnalyzers, detectCriticalIssues } from '../src/pipeline.js';
+import { FormPRReporter } from '../src/reporters/pr-reporter-form.js';
+import { HTMLReporter } from '../src/reporters/html-reporter.js';
+import { start, check, finish } from './helpers.js';
+
+start('Browser Errors');
+
+const base = 'https://main--forms--org.aem.live';
+const branch = 'https://feature--forms--org.aem.live';
+const frame = (url, lineNumber, functionName = '') => ({ url, lineNumber, columnNumber: 4, functionName });
+
+// Plays the DevTools protocol events of one page load
+async function record(host, { brokenScript = false } = {}) {
+  const session = new EventEmitter();
+  const sent = [];
+  session.send = async method => sent.push(method);
+  session.detach = async () => sent.push('detach');
+
+  const recorder = new BrowserErrorRecorder();
+  await recorder.attach({ createCDPSession: async () => session });
+
+  session.emit('Network.requestWillBeSent', { requestId: '1', request: { url: `${host}/blocks/form/rules.js?v=3` }, type: 'Script' });
+  session.emit('Network.requestWillBeSent', { requestId: '2', request: { url: 'https://analytics.example.net/collect' }, type: 'XHR' });
+  session.emit('Network.requestWillBeSent', { requestId: '3', request: { url: `${host}/forms/apply.json` }, type: 'Fetch' });
+  session.emit('Network.responseReceived', { requestId: '1', response: { status: brokenScript ? 404 : 200, statusText: 'Not Found' } });
+  session.emit('Network.loadingFailed', { requestId: '2', errorText: 'net::ERR_FAILED', blockedReason: 'mixed-content' });
+  session.emit('Network.loadingFailed', { requestId: '3', errorText: 'net::ERR_ABORTED', canceled: true });
+  session.emit('Runtime.exceptionThrown', {
+    exceptionDetails: {
+      text: 'Uncaught',
+      exception: { description: 'TypeError: Cannot read properties of null (reading \'value\')\n    at validateIncome' },
+      stackTrace: { callFrames: [frame(`${host}/blocks/form/functions.js?v=3`, 41, 'validateIncome')] }
+    }
+  });
+
+  recorder.markFormRendered();
+  for (let i = 0; i < 3; i++) {
+    session.emit('Runtime.consoleAPICalled', {
+      type: 'error',
+      args: [{ type: 'string', value: 'Prefill failed:' }, { type: 'object', description: 'Error: 500\n    at fetchPrefill' }],
+      stackTrace: { callFrames: [frame('https://cdn.vendor.com/widget.js', 9)] }
+    });
+  }
+  session.emit('Runtime.consoleAPICalled', { type: 'log', args: [{ type: 'string', value: 'ready' }] });
+  session.emit('Runtime.exceptionThrown', {
+    exceptionDetails: { text: 'Uncaught (in promise)', exception: { description: 'Error: Submit endpoint missing' }, url: `${host}/forms/apply`, lineNumber: 11, columnNumber: 0 }
+  });
+
+  const errors = recorder.getErrors();
+  await recorder.detach();
+  return { sent, recording: { pageUrl: `${host}/forms/apply`, errors } };
+}
+
+console.log('TEST 1: Recording');
+const { sent, recording: afterRecording } = await record(branch, { brokenScript: true });
+const errors = afterRecording.errors;
+const byKind = kind => errors.filter(error => error.kind === kind);
+check(sent.includes('Runtime.enable') && sent.includes('Network.enable') && sent[sent.length - 1] === 'detach', 'runtime and network events enabled, session detached');
+const exception = byKind('exception')[0];
+check(exception.message === 'TypeError: Cannot read properties of null (reading \'value\')' && exception.line === 42 && exception.column === 5, 'exception message without stack, 1-based position');
+check(exception.url === `${branch}/blocks/form/functions.js` && exception.stack[0].functionName === 'validateIncome', 'stack kept without query strings');
+check(byKind('unhandled-rejection')[0]?.line === 12 && byKind('unhandled-rejection')[0].phase === 'interaction', 'rejections recorded with their phase');
+check(byKind('console-error').length === 1 && byKind('console-error')[0].count === 3 && byKind('console-error')[0].message === 'Prefill failed: Error: 500', 'repeated console errors kept once with a count');
+const failed = byKind('failed-request');
+check(failed.length === 2 && failed[0].message === `HTTP 404 Not Found: ${branch}/blocks/form/rules.js` && failed[0].resourceType === 'script', 'HTTP errors recorded with resource type');
+check(failed[1].reason === 'blocked (mixed-content)' && !errors.some(error => error.url?.endsWith('apply.json')), 'blocked requests recorded, canceled ones skipped');
+check(exception.phase === 'load', 'errors before render are load errors');
+
+const merged = mergeBrowserErrors([afterRecording, null, (await record(branch, { brokenScript: true })).recording]);
+check(merged.errors.length === errors.length && merged.errors.every(error => error.runs === 2) && merged.errors.find(error => error.kind === 'console-error').count === 6, 'runs merged, counts added');
+check(mergeBrowserErrors([null]) === null, 'nothing recorded, nothing merged');
+
+console.log('\nTEST 2: Attribution');
+const jsFiles = [{ filename: 'blocks/form/functions.js', content: '' }, { filename: 'blocks/form/rules.js', content: '' }];
+const analyzer = new BrowserErrorsAnalyzer({ browserErrors: { ignore: ['analytics.example.net'] } });
+const analyzed = analyzer.analyze(afterRecording, { jsFiles });
+const issue = ruleId => analyzed.issues.find(candidate => candidate.type === ruleId);
+check(issue('uncaught-exception').file === 'blocks/form/functions.js' && issue('uncaught-exception').line === 42 && issue('uncaught-exception').source === 'repo', 'exception attributed to the repo file and line');
+check(issue('uncaught-exception').severity === 'error' && issue('uncaught-exception').message.endsWith('(blocks/form/functions.js:42)'), 'uncaught errors are errors');
+check(issue('console-error').source === 'third-party' && issue('console-error').severity === 'warning' && issue('console-error').message.includes('after the form rendered'), 'console errors from vendor scripts are third-party warnings');
+check(issue('unhandled-rejection').source === 'inline', 'errors in the page itself are inline');
+check(issue('failed-request').severity === 'error' && !issue('failed-request').file, 'missing script is an error, not attributed to a file');
+check(!analyzed.errors.some(error => error.url?.includes('analytics')), 'ignored errors dropped');
+check(analyzed.summary.total === 6 && formatBrowserErrorsSummary(analyzed.summary) === '1 uncaught error, 1 unhandled rejection, 3 console errors, 1 failed request', 'summary counts every occurrence');
+check(new BrowserErrorsAnalyzer().analyze({ pageUrl: `${base}/forms/apply`, errors: [] }).issues.length === 0 && formatBrowserErrorsSummary({}) === 'No errors', 'clean page has no issues');
+
+console.log('\nTEST 3: Before/after comparison');
+const { recording: beforeRecording } = await record(base);
+const config = { browserErrors: { ignore: ['analytics.example.net'] } };
+const results = await runFormComparison(
+  { formJson: null, browserErrors: beforeRecording },
+  { formJson: null, browserErrors: afterRecording },
+  { config, jsFiles }
+);
+const compared = results.browserErrors;
+check(compared.newIssues.length === 1 && compared.newIssues[0].ruleId === 'failed-request', 'only the broken script is new - same errors match across hosts');
+check(compared.resolvedIssues.length === 0, 'nothing resolved');
+const critical = detectCriticalIssues(results);
+check(critical.hasCritical && critical.issues.some(message => /1 new error\(s\) in the browser/.test(message)), 'new browser errors fail the check');
+
+const unchanged = await runFormComparison(
+  { formJson: null, browserErrors: beforeRecording },
+  { formJson: null, browserErrors: (await record(branch)).recording },
+  { config, jsFiles }
+);
+check(unchanged.browserErrors.newIssues.length === 0 && !detectCriticalIssues(unchanged).issues.some(message => /browser/.test(message)), 'existing errors do not fail the check');
+
+console.log('\nTEST 4: Reports');
+const section = new FormPRReporter().buildBrowserErrorsSection(compared);
+check(section.includes('### Browser Errors') && section.includes('**1 new**'), 'PR comment counts new errors');
+check(section.includes('| **New** | Request failed - HTTP 404 Not Found:') && section.includes('| `blocks/form/functions.js:42` | 1 |'), 'errors listed with source, new first');
+check(new FormPRReporter().buildBrowserErrorsSection({ ...compared, after: { ...compared.after, issues: [] } }) === '', 'no section without errors');
+check(new FormPRReporter().buildMarkdownReport(results, {}).includes('### Browser Errors'), 'section in the PR comment');
+const html = new HTMLReporter().buildBrowserErrorsSection(compared);
+check(html.includes('<code>blocks/form/functions.js:42</code> in validateIncome()') && html.includes('3 times'), 'HTML report shows file, function and count');
+check(html.includes('(reading \'value\')') && html.includes('<span class="badge critical">New</span>'), 'HTML report marks new errors');
+
+const analyzers = await createFormAnalyzers(config);
+const formResult = await analyzeSingleForm({ url: `${branch}/forms/apply`, formJson: { items: [] }, browserErrors: afterRecording }, { analyzers, jsFiles, config });
+check(formResult.browserErrors?.total === 6 && formResult.customFunctions.issues.some(candidate => candidate.ruleId === 'uncaught-exception'), 'scan records summary and issues');
+
+finish('browser error');
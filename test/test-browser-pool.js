@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+
+/**
+ * Tests the shared browser pool: one launch, isolated contexts, concurrency limit, crash recovery
+ * Usage: node test/test-browser-pool.js
+ */
+
+import { EventEmitter } from 'events';
+import { BrowserPool } from '../src/utils/browser-pool.js';
+import { URLAnalyzer } from '../src/analyzers/url-analyzer.js';
+import { loadFormSources } from '../src/pipeline.js';
+import { start, check, finish } from './helpers.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+start('Browser Pool');
+
+// A browser that records contexts and can be crashed
+class FakeBrowser extends EventEmitter {
+  constructor(id) {
+    super();
+    this.id = id;
+    this.connected = true;
+    this.contexts = [];
+  }
+  async createBrowserContext() {
+    const context = { closed: false, newPage: async () => ({ browserId: this.id, context }), close: async () => { context.closed = true; } };
+    this.contexts.push(context);
+    return context;
+  }
+  crash() {
+    this.connected = false;
+    this.emit('disconnected');
+  }
+  async close() {
+    this.connected = false;
+  }
+}
+const browsers = [];
+let launchOptions = null;
+const launch = async options => {
+  launchOptions = options;
+  await sleep(5);
+  const browser = new FakeBrowser(browsers.length + 1);
+  browsers.push(browser);
+  return browser;
+};
+
+console.log('TEST 1: One browser, one context per load');
+const pool = new BrowserPool({ browser: { concurrency: 2 } }, launch);
+const pages = await Promise.all([1, 2, 3].map(() => pool.withPage(async page => page)));
+check(browsers.length === 1 && pages.every(page => page.browserId === 1), `concurrent first loads share one launch (${browsers.length})`);
+check(browsers[0].contexts.length === 3 && new Set(pages.map(page => page.context)).size === 3, 'each load gets its own browser context');
+check(browsers[0].contexts.every(context => context.closed), 'contexts closed after each load');
+check(launchOptions.headless === true && launchOptions.defaultViewport === null, 'viewport left to the throttling profile');
+
+console.log('\nTEST 2: Concurrency limit');
+let running = 0;
+let maxRunning = 0;
+const order = [];
+await Promise.all([1, 2, 3, 4, 5].map(n => pool.withPage(async () => {
+  running++;
+  maxRunning = Math.max(maxRunning, running);
+  await sleep(10);
+  running--;
+  order.push(n);
+})));
+check(maxRunning === 2, `at most browser.concurrency loads at once (${maxRunning})`);
+check(order.length === 5 && pool.active === 0 && pool.waiting.length === 0, 'every load ran and released its slot');
+check(new BrowserPool().getOptions().concurrency === 2 && new BrowserPool({ browser: { concurrency: 0 } }).getOptions().concurrency === 1, 'default concurrency, never below 1');
+
+console.log('\nTEST 3: Crash recovery');
+let attempts = 0;
+const recovered = await pool.withPage(async page => {
+  attempts++;
+  if (attempts === 1) {
+    browsers[0].crash();
+    throw new Error('Protocol error (Page.navigate): Target closed');
+  }
+  return page.browserId;
+});
+check(attempts === 2 && recovered === 2 && browsers.length === 2, 'crashed browser relaunched and the load retried');
+let pageCrashes = 0;
+const retriedContext = await pool.withPage(async page => {
+  if (pageCrashes++ === 0) throw new Error('Page crashed!');
+  return page.browserId;
+});
+check(retriedContext === 2 && browsers.length === 2, 'page crash retried on a fresh context in the same browser');
+let brokenAttempts = 0;
+const broken = await pool.withPage(async () => {
+  brokenAttempts++;
+  throw new Error('Navigation timeout of 60000 ms exceeded');
+}).catch(error => error.message);
+check(brokenAttempts === 1 && broken.startsWith('Navigation timeout'), 'page errors are not retried');
+let crashes = 0;
+const gaveUp = await pool.withPage(async () => {
+  crashes++;
+  throw new Error('Session closed. Most likely the page has been closed.');
+}).catch(error => error.message);
+check(crashes === 2 && gaveUp.startsWith('Session closed'), 'gives up after browser.retries');
+check(pool.active === 0, 'slot released after a failed load');
+
+console.log('\nTEST 4: Closing');
+await pool.close();
+check(!browsers[1].connected && pool.browser === null, 'close() closes the browser');
+await pool.withPage(async () => {});
+check(browsers.length === 3, 'next load launches a new browser');
+await pool.close();
+
+console.log('\nTEST 5: Loading many forms');
+const analyzer = new URLAnalyzer({ browser: { concurrency: 3 } });
+analyzer.browserPool = new BrowserPool({ browser: { concurrency: 3 } }, launch);
+let active = 0;
+let peak = 0;
+let loaded = 0;
+analyzer.analyzePage = async (page, url) => {
+  loaded++;
+  active++;
+  peak = Math.max(peak, active);
+  await sleep(url.endsWith('/1') ? 30 : 5);
+  active--;
+  if (url.endsWith('/4')) throw new Error('Form JSON missing');
+  return { url, formJson: {}, performanceMetrics: { formRendered: true, loadTime: 1 } };
+};
+const urls = [1, 2, 3, 4, 5, 6].map(n => `https://main--forms--org.aem.live/forms/${n}`);
+const loads = loadFormSources(urls, { urlAnalyzer: analyzer, fileExtractor: null });
+const settled = [];
+for (let i = 0; i < urls.length; i++) {
+  settled.push(await loads.next().then(data => data.url.split('/').pop(), error => error.message));
+  if (i === 0) {
+    await sleep(50);
+    check(loaded === 4, `only browser.concurrency loads started ahead of the form being analyzed (${loaded})`);
+  }
+}
+check(peak === 3, `URL loads limited by browser.concurrency (${peak})`);
+check(settled.join() === '1,2,3,Form JSON missing,5,6', 'results in source order, a failed load surfaces when awaited');
+
+console.log('\nTEST 6: Before and after load one after another');
+active = 0;
+peak = 0;
+const paired = new URLAnalyzer({ sampling: { runs: 2, warmupRuns: 0 }, browser: { concurrency: 2 } });
+paired.browserPool = new BrowserPool({ browser: { concurrency: 2 } }, launch);
+paired.analyzePage = analyzer.analyzePage;
+const { beforeData, afterData } = await paired.analyzePair(urls[1], urls[2]);
+check(peak === 1 && beforeData.performanceMetrics.runs === 2 && afterData.performanceMetrics.runs === 2, 'sides of a pair never load at the same time');
+await analyzer.close();
+await paired.close();
+
+finish('browser pool');
@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+
+/**
+ * Tests the weighted complexity model: panel costs, repeatable multipliers, dependents,
+ * thresholds, the before/after comparison, the treemap and report sections
+ * Usage: node test/test-complexity.js
+ */
+
+import { ComplexityAnalyzer, formatComplexitySummary, formatPanelCounts } from '../src/analyzers/complexity-analyzer.js';
+import { runFormComparison, analyzeSingleForm, createFormAnalyzers, detectCriticalIssues } from '../src/pipeline.js';
+import { FRAGMENT_PROPERTY } from '../src/utils/fragments.js';
+import { FormPRReporter } from '../src/reporters/pr-reporter-form.js';
+import { MarkdownReporter } from '../src/reporters/markdown-reporter.js';
+import { HTMLReporter } from '../src/reporters/html-reporter.js';
+import { start, check, finish } from './helpers.js';
+
+start('Form Complexity');
+
+const createForm = () => ({
+  id: 'apply',
+  items: [
+    {
+      name: 'personal',
+      fieldType: 'panel',
+      label: { value: 'Personal details' },
+      items: [
+        { name: 'firstName', fieldType: 'text-input', rules: { value: '$form.lastName' } },
+        { name: 'lastName', fieldType: 'text-input' },
+        { name: 'email', fieldType: 'email', events: { change: ['validate($field.value)'] } }
+      ]
+    },
+    {
+      name: 'address',
+      fieldType: 'panel',
+      repeatable: true,
+      minOccur: 1,
+      ':type': 'core/fd/components/form/fragment/v1/fragment',
+      properties: { 'fd:path': '/content/forms/af/fragments/address' },
+      ':items': {
+        street: { name: 'street', fieldType: 'text-input' },
+        city: { name: 'city', fieldType: 'text-input', rules: { visible: "$form.country == 'US'" } },
+        geo: {
+          name: 'geo',
+          fieldType: 'panel',
+          [FRAGMENT_PROPERTY]: '/content/forms/af/fragments/address',
+          items: [{ name: 'lat', fieldType: 'number-input' }, { name: 'lng', fieldType: 'number-input' }]
+        }
+      }
+    },
+    { name: 'country', fieldType: 'drop-down' },
+    { name: 'summary', fieldType: 'plain-text', rules: { value: '$form.firstName & $form.lastName' } }
+  ]
+});
+
+console.log('TEST 1: Panel costs');
+const analyzer = new ComplexityAnalyzer(null);
+const analysis = analyzer.analyze(createForm());
+const byName = name => analysis.panels.find(panel => panel.name === name);
+check(analysis.score === 41, `form score adds up panel costs (${analysis.score})`);
+check(analysis.panels.map(panel => panel.name).join() === 'address,personal,geo', 'panels ranked by cost');
+const personal = byName('personal');
+check(personal.fields === 3 && personal.rules === 1 && personal.events === 1 && personal.dependents === 3 && personal.cost === 13, 'fields, rules, events and dependents weighted');
+check(personal.label === 'Personal details' && personal.path === 'personal' && personal.share === 32, 'label, path and share of the score');
+const address = byName('address');
+check(address.repeatable && address.multiplier === 2 && address.ownCost === 14 && address.cost === 22, 'repeatable panel cost doubled, child panels included');
+check(byName('geo').multiplier === 2 && byName('geo').cost === 8 && byName('geo').path === 'address.geo', 'panels inside a repeatable panel multiplied too');
+check(address.fragment === '/content/forms/af/fragments/address' && byName('geo').fragment === address.fragment && personal.fragment === null, 'fragments and panels inside them carry the fragment');
+check(analysis.totals.fields === 9 && analysis.totals.panels === 3 && analysis.totals.dependents === 4, 'form totals');
+check(new ComplexityAnalyzer({ complexity: { weights: { repeatable: 1, rule: 0 } } }).analyze(createForm()).score === 21, 'weights from config');
+const threeInstances = createForm();
+threeInstances.items[1].minOccur = 3;
+check(new ComplexityAnalyzer(null).analyze(threeInstances).panels[0].multiplier === 3, 'minOccur over the multiplier counts every initial instance');
+check(analyzer.analyze(null).error && analyzer.analyze({ items: [] }).score === 0, 'missing and empty forms');
+
+console.log('\nTEST 2: Treemap');
+const sum = node => node.value + (node.children || []).reduce((total, child) => total + sum(child), 0);
+check(analysis.treemap.name === 'apply' && analysis.treemap.children.length === 2, 'treemap rooted at the form with its top-level panels');
+check(sum(analysis.treemap) === analysis.score && analysis.treemap.cost === analysis.score, 'own values sum to the form score');
+const addressNode = analysis.treemap.children.find(child => child.path === 'address');
+check(addressNode.value === 14 && addressNode.cost === 22 && addressNode.children[0].name === 'geo', 'panel nodes carry own value, total cost and children');
+check(analysis.treemap.children.find(child => child.path === 'personal').name === 'Personal details', 'panels named by label');
+
+console.log('\nTEST 3: Thresholds');
+const strict = new ComplexityAnalyzer({ thresholds: { complexity: { maxScore: 30, maxPanelCost: 7, maxIncrease: 2 } } });
+const strictAnalysis = strict.analyze(createForm());
+const scoreIssue = strictAnalysis.issues.find(issue => issue.type === 'complexity-score');
+check(scoreIssue?.message === 'Form complexity score is 41 (threshold 30) - the most expensive panel is "address" with 54%', 'score over the threshold names the most expensive panel');
+const panelIssues = strictAnalysis.issues.filter(issue => issue.type === 'expensive-panel');
+check(panelIssues.map(issue => issue.field).sort().join() === 'geo,personal', 'only the innermost expensive panels reported');
+check(panelIssues.find(issue => issue.field === 'personal').message === 'Panel "Personal details" (personal) costs 13 (32% of the form): 3 field(s), 1 rule(s), 1 event(s), 3 dependent(s)', 'panel issue says what the cost is made of');
+check(formatPanelCounts(byName('geo')) === '2 field(s), 0 rule(s), 0 event(s), 0 dependent(s), inside a repeatable panel x2', 'multiplier in the breakdown');
+check(analysis.issues.length === 0, 'defaults leave small forms alone');
+const ignored = createForm();
+ignored.items[0]['perf-bot:ignore'] = { rules: 'expensive-panel', reason: 'Split in the next release' };
+const suppressed = strict.analyze(ignored);
+check(suppressed.suppressedIssues.length === 1 && suppressed.suppressedIssues[0].field === 'personal', 'perf-bot:ignore on a panel suppresses its issue');
+check(new ComplexityAnalyzer({ thresholds: { complexity: { maxScore: null, maxPanelCost: null } } }).analyze(createForm()).issues.length === 0, 'null turns a threshold off');
+check(formatComplexitySummary(analysis) === 'score 41 - address 22 (54%), personal 13 (32%), geo 8 (20%)', 'one-line summary');
+
+console.log('\nTEST 4: Comparison');
+const grown = createForm();
+grown.items[0].items.push({ name: 'phone', fieldType: 'text-input', rules: { required: '$form.email != null' } });
+const comparison = strict.compare(strict.analyze(createForm()), strict.analyze(grown));
+check(comparison.delta.score === 5 && comparison.panels.find(panel => panel.name === 'personal').delta === 5, 'score and panel deltas (panels matched by path)');
+const increase = comparison.newIssues.find(issue => issue.type === 'complexity-increase');
+check(increase?.message === 'Form complexity score grew by 5 to 46 (was 41) - most in "Personal details" (personal) (+5)', 'larger score names the panel that grew');
+check(analyzer.compare(analysis, analyzer.analyze(grown)).newIssues.length === 0, 'within the default increase');
+
+console.log('\nTEST 5: Pipeline and reports');
+const config = { thresholds: { complexity: { maxScore: 30, maxPanelCost: 7, maxIncrease: 2 } } };
+const results = await runFormComparison({ formJson: createForm() }, { formJson: grown }, { config });
+check(results.complexity.newIssues.some(issue => issue.ruleId === 'complexity-increase' && issue.fingerprint), 'issues normalized with a fingerprint');
+check(results.complexity.after.issues.find(issue => issue.field === 'geo')?.fragment === '/content/forms/af/fragments/address', 'panel issues attributed to fragments');
+check(!detectCriticalIssues(results).issues.some(issue => issue.includes('omplexity')), 'complexity never fails the check');
+
+const reporter = new FormPRReporter();
+const section = reporter.buildComplexitySection(results.complexity);
+check(section.includes('### Form Complexity') && section.includes('**Score:** 41 → 46 (+5)'), 'PR comment shows the score before/after');
+check(section.includes('| `address` | 22 | 48% | - | 4 field(s), 1 rule(s), 0 event(s), 0 dependent(s), repeatable x2 |') && section.includes('| `personal` | 18 | 39% | +5 |'), 'PR comment ranks the most expensive panels');
+check(reporter.buildMarkdownReport(results, {}).includes('### Form Complexity'), 'section in the PR comment');
+check(reporter.buildComplexitySection(await runFormComparison({ formJson: createForm() }, { formJson: createForm() }, { config: null }).then(same => same.complexity)) === '', 'no section when nothing changed');
+check(reporter.calculateFormImpact(results).warnings.includes('Form complexity score +5 (now 46)'), 'complexity increase in the overall assessment');
+check(new MarkdownReporter().generateComparisonReport(results, {}, 0).includes('### Form Complexity'), 'section in the markdown report');
+const html = new HTMLReporter().buildComplexitySection(results.complexity);
+check(html.includes('Form Complexity') && html.includes('<code>address</code> <small>(fragment)</small>') && html.includes('<td>46</td>'), 'HTML report shows the score and panels');
+
+const analyzers = await createFormAnalyzers({ ...config, complexity: { maxPanels: 2 } });
+const formResult = await analyzeSingleForm({ url: 'forms/apply.form.json', formJson: createForm() }, { analyzers, config });
+check(formResult.complexity?.score === 41 && formResult.complexity.panels.length === 2 && formResult.complexity.treemap.cost === 41, 'scan records the score, top panels and treemap');
+check(formResult.forms.issues.some(issue => issue.type === 'expensive-panel'), 'scan lists complexity issues with the form issues');
+check(new MarkdownReporter().generateScanReport([formResult]).includes('- **Complexity:** score 41 - address 22 (54%), personal 13 (32%)'), 'complexity line in the scan report');
+
+finish('complexity');
@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+
+/**
+ * Tests JS/CSS coverage collection, mapping to repo files and unused code reporting
+ * Usage: node test/test-coverage.js
+ */
+
+import { startCoverage, stopCoverage, summarizeCoverage } from '../src/utils/coverage.js';
+import { CoverageAnalyzer, formatCoverageSummary } from '../src/analyzers/coverage-analyzer.js';
+import { runFormComparison, analyzeSingleForm, createFormAnalyzers, detectCriticalIssues } from '../src/pipeline.js';
+import { FormPRReporter } from '../src/reporters/pr-reporter-form.js';
+import { start, check, finish } from './helpers.js';
+
+start('Code Coverage');
+
+const base = 'https://main--forms--org.aem.live';
+const pageUrl = `${base}/forms/apply`;
+
+// 100 lines of 49 characters + newline = 5000 characters
+const formJs = Array.from({ length: 100 }, (_, i) => `export function h${String(i).padStart(3, '0')}() { return ${i}; }`.padEnd(49, ' ')).join('\n') + '\n';
+const formCss = '.form .field { display: block; }\n'.repeat(1000);
+
+console.log('TEST 1: Summarizing coverage entries');
+const jsEntries = [
+  // Lines 1-10 and 51-60 ran
+  { url: `${base}/blocks/form/form.js`, text: formJs, ranges: [{ start: 0, end: 500 }, { start: 2500, end: 3000 }] },
+  // Loaded a second time - its used range overlaps the first load
+  { url: `${base}/blocks/form/form.js`, text: formJs, ranges: [{ start: 400, end: 600 }] },
+  { url: pageUrl, text: 'window.a = 1;', ranges: [{ start: 0, end: 13 }] },
+  { url: pageUrl, text: 'function unused() {}', ranges: [] },
+  { url: 'https://cdn.chat.example/widget.js', text: 'x'.repeat(40000), ranges: [{ start: 0, end: 4000 }] }
+];
+const js = summarizeCoverage(jsEntries, 'js', pageUrl);
+const form = js.find(file => file.url.endsWith('form.js'));
+check(js.length === 3, `one record per URL (${js.length})`);
+check(form.totalBytes === 5000 && form.usedBytes === 1100 && form.unusedBytes === 3900 && form.unusedPercent === 78, 'used ranges of repeated loads merged');
+check(form.unusedRanges[0].startLine === 61 && form.unusedRanges[0].endLine === 100 && form.unusedRanges[0].bytes === 2000, 'largest unused range first, as lines');
+check(form.unusedRanges.length === 2 && form.unusedRanges[1].startLine === 13 && form.unusedRanges[1].endLine === 50, 'gap between used ranges');
+const inline = js.find(file => file.inline);
+check(inline.totalBytes === 33 && inline.usedBytes === 13 && inline.unusedRanges.length === 0, 'inline scripts reported under the page URL');
+check(!('text' in form) && !('ranges' in form), 'file texts are not kept');
+
+console.log('\nTEST 2: Collecting from a page');
+const calls = [];
+const page = {
+  coverage: {
+    startJSCoverage: async options => calls.push(['js', options]),
+    startCSSCoverage: async options => calls.push(['css', options]),
+    stopJSCoverage: async () => jsEntries,
+    stopCSSCoverage: async () => [{ url: `${base}/blocks/form/form.css`, text: formCss, ranges: [{ start: 0, end: 3400 }] }]
+  }
+};
+await startCoverage(page);
+check(calls.length === 2 && calls.every(([, options]) => options.resetOnNavigation === false), 'JS and CSS coverage started, kept across navigation');
+const coverage = await stopCoverage(page, pageUrl);
+check(coverage.pageUrl === pageUrl && coverage.files.length === 4 && coverage.files[3].type === 'css', 'scripts and stylesheets summarized');
+
+console.log('\nTEST 3: Mapping to repo files and thresholds');
+const jsFiles = [{ filename: 'blocks/form/form.js', content: formJs }];
+const cssFiles = [{ filename: 'blocks/form/form.css', content: formCss.slice(0, 100) }];
+const analysis = new CoverageAnalyzer().analyze(coverage, { jsFiles, cssFiles });
+const mapped = analysis.files.find(file => file.file === 'blocks/form/form.js');
+check(mapped && mapped.exact, 'script mapped to its repo file by path');
+check(analysis.files.find(file => file.type === 'css').file === 'blocks/form/form.css' && !analysis.files.find(file => file.type === 'css').exact, 'stylesheet mapped; modified copy is not exact');
+check(analysis.files[0].url === 'https://cdn.chat.example/widget.js', 'files sorted by unused bytes');
+check(analysis.issues.length === 1 && analysis.issues[0].type === 'unused-css', `only repo files over the thresholds raise issues (${analysis.issues.map(issue => issue.type).join()})`);
+check(analysis.issues[0].message === '90% of blocks/form/form.css is unused while the form loads (28.9 KB of 32.2 KB)' && analysis.issues[0].line === undefined, 'issue message; no line when the served file differs');
+check(analysis.summary.js.totalBytes === 45033 && analysis.summary.js.unusedPercent === 89 && analysis.summary.css.files === 1, 'totals by type');
+const strict = new CoverageAnalyzer({ thresholds: { coverage: { maxUnusedPercent: 70, minUnusedBytes: 1000 } } }).analyze(coverage, { jsFiles, cssFiles });
+const jsIssue = strict.issues.find(issue => issue.type === 'unused-javascript');
+check(jsIssue?.file === 'blocks/form/form.js' && jsIssue.line === 61, 'thresholds.coverage; issue points at the largest unused block');
+check(formatCoverageSummary(analysis.summary) === 'JS 89% unused of 44.0 KB, CSS 90% unused of 32.2 KB', 'one-line summary');
+
+console.log('\nTEST 4: Before/after comparison');
+const config = { thresholds: { coverage: { maxUnusedPercent: 70, minUnusedBytes: 1000 } } };
+const branch = 'https://feature--forms--org.aem.live';
+const beforeCoverage = {
+  pageUrl,
+  files: summarizeCoverage([{ url: `${base}/blocks/form/form.js`, text: formJs, ranges: [{ start: 0, end: 4000 }] }], 'js', pageUrl)
+};
+const afterCoverage = {
+  pageUrl: `${branch}/forms/apply`,
+  files: summarizeCoverage([
+    { url: `${branch}/blocks/form/form.js`, text: formJs, ranges: [{ start: 0, end: 500 }] },
+    { url: `${branch}/blocks/form/datepicker.js`, text: 'y'.repeat(3000), ranges: [] }
+  ], 'js', `${branch}/forms/apply`)
+};
+const results = await runFormComparison(
+  { formJson: null, coverage: beforeCoverage },
+  { formJson: null, coverage: afterCoverage },
+  { config, jsFiles }
+);
+const compared = results.coverage;
+check(compared.delta.jsUnusedBytes === 4500 + 3000 - 1000 && compared.delta.cssUnusedBytes === 0, 'unused bytes delta');
+const formFile = compared.files.find(file => file.file === 'blocks/form/form.js');
+check(formFile.beforeUnusedBytes === 1000 && compared.files.find(file => file.url.endsWith('datepicker.js')).beforeUnusedBytes === null, 'files matched across hosts; new file has no before');
+check(compared.newIssues.length === 1 && compared.newIssues[0].ruleId === 'unused-javascript', 'file pushed over the threshold is a new issue');
+check(!detectCriticalIssues(results).issues.some(issue => /unused/i.test(issue)), 'unused code does not fail the check');
+
+console.log('\nTEST 5: Reports');
+const section = new FormPRReporter().buildCoverageSection(compared);
+check(section.includes('### Unused Code') && section.includes('| **JavaScript** | 1.0 KB of 4.9 KB (20%) | 7.3 KB of 7.8 KB (94%) | +6.3 KB |'), 'totals table with change');
+check(section.includes('(first unused block at line 11)') && section.includes('| `blocks/form/form.js` | JS | 4.9 KB | 4.4 KB (90%) | +3.4 KB |') && section.includes('| new |'), 'new issue and files table');
+const analyzers = await createFormAnalyzers(config);
+const formResult = await analyzeSingleForm({ url: pageUrl, formJson: { items: [] }, coverage: afterCoverage }, { analyzers, jsFiles, config });
+check(formResult.coverage?.js.unusedBytes === 7500 && formResult.html.issues.some(issue => issue.ruleId === 'unused-javascript'), 'scan records totals and issues');
+
+finish('coverage');
@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+
+/**
+ * Tests file-based form input (no browser)
+ * Usage: node test/test-form-files.js
+ */
+
+import { readFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { FileExtractor } from '../src/extractors/file-extractor.js';
+import { runFormComparison, loadFormSource, extractFormNameFromUrl } from '../src/pipeline.js';
+import { start, check, finish } from './helpers.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const fixturesDir = join(__dirname, 'fixtures');
+
+start('Form File Input');
+
+const fileExtractor = new FileExtractor(fixturesDir);
+
+console.log('TEST 1: Form JSON with sibling HTML');
+const fromJson = fileExtractor.extract('sample-form.json');
+check(fromJson.formJson?.fieldType === 'form', 'form JSON parsed');
+check(typeof fromJson.html === 'string' && fromJson.html.includes('div'), 'sibling sample-form.html picked up');
+check(fromJson.performanceMetrics === null, 'no performance metrics without a browser');
+check(extractFormNameFromUrl(fromJson.url) === 'sample-form', 'form name derived from file name');
+
+console.log('\nTEST 2: Saved HTML only');
+const fromHtml = fileExtractor.extract('sample-form.html');
+check(fromHtml.html !== null, 'HTML loaded');
+check(Array.isArray(fromHtml.jsonErrors), 'extraction errors reported as a list');
+
+console.log('\nTEST 3: Core Components model.json wrapper');
+const formJson = JSON.parse(readFileSync(join(fixturesDir, 'sample-form.json'), 'utf-8'));
+const model = { ':type': 'page', ':items': { root: { ':items': { form: formJson } } } };
+const fromModel = fileExtractor.extractFromContent({ json: JSON.stringify(model) }, 'model.json');
+check(fromModel.formJson === null ? false : fromModel.formJson.id === formJson.id, 'form container found inside model.json');
+
+console.log('\nTEST 4: Invalid JSON');
+const invalid = fileExtractor.extractFromContent({ json: '{ not json' }, 'broken.form.json');
+check(invalid.formJson === null && invalid.jsonErrors.length === 1, 'parse failure reported');
+
+console.log('\nTEST 5: Full comparison from files');
+const beforeData = await loadFormSource('sample-form.json', { fileExtractor });
+const afterData = await loadFormSource({ json: 'sample-form.json', html: 'sample-form.html' }, { fileExtractor });
+const jsFiles = [{
+  filename: 'js/sample-functions.js',
+  content: readFileSync(join(fixturesDir, 'js/sample-functions.js'), 'utf-8')
+}];
+const results = await runFormComparison(beforeData, afterData, { jsFiles, cssFiles: [] });
+check(results.formStructure.after.components.total > 0, 'form structure analyzed');
+check(results.ruleCycles.after.cycles === 1, 'rule cycle detected');
+check(results.hiddenFields.after.unnecessaryHiddenFields > 0, 'hidden fields analyzed');
+check(!!results.formHTML.after.rendering, 'HTML analyzed from saved file');
+
+const noHtml = await runFormComparison({ formJson }, { formJson }, { jsFiles, cssFiles: [] });
+check(noHtml.formHTML.newIssues.length === 0, 'HTML analysis skipped without saved HTML');
+
+finish('form file');
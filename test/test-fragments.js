@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+
+/**
+ * Tests fragment resolution: inlining definitions from pages and form files, tagging
+ * their nodes, attributing issues to fragments and the per-fragment scan reports
+ * Usage: node test/test-fragments.js
+ */
+
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { FragmentResolver } from '../src/extractors/fragment-resolver.js';
+import { JSONExtractor } from '../src/extractors/json-extractor.js';
+import { FileExtractor } from '../src/extractors/file-extractor.js';
+import { FormAnalyzer } from '../src/analyzers/form-analyzer.js';
+import { FRAGMENT_PROPERTY, attributeIssuesToFragments, summarizeFragments, getFragmentName } from '../src/utils/fragments.js';
+import { runFormComparison, analyzeSingleForm, createFormAnalyzers } from '../src/pipeline.js';
+import { FormPRReporter } from '../src/reporters/pr-reporter-form.js';
+import { MarkdownReporter } from '../src/reporters/markdown-reporter.js';
+import { HTMLReporter } from '../src/reporters/html-reporter.js';
+import { SARIFReporter } from '../src/reporters/sarif-reporter.js';
+import { start, check, finish } from './helpers.js';
+
+start('Form Fragments');
+
+const ADDRESS = '/content/forms/af/fragments/address';
+const KYC = '/content/forms/af/fragments/kyc';
+
+const reference = (name, path) => ({ name, fieldType: 'panel', ':type': 'forms/components/fragment', properties: { 'fd:path': path } });
+
+const address = {
+  fieldType: 'panel',
+  ':type': 'forms/components/fragmentcontainer',
+  ':items': {
+    street: { name: 'street', fieldType: 'text-input' },
+    pincode: { name: 'pincode', fieldType: 'text-input', events: { initialize: ["request('/api/pincodes')"] } }
+  },
+  ':itemsOrder': ['street', 'pincode']
+};
+const kyc = {
+  fieldType: 'form',
+  items: [
+    { name: 'pan', fieldType: 'text-input' },
+    reference('kycAddress', ADDRESS) // Fragment inside a fragment
+  ]
+};
+
+const createForm = () => ({
+  fieldType: 'form',
+  name: 'apply',
+  items: [
+    { name: 'fullName', fieldType: 'text-input', events: { initialize: ["fetch('/api/profile')"] } },
+    reference('homeAddress', ADDRESS),
+    reference('kycStep', KYC)
+  ]
+});
+
+console.log('TEST 1: Resolving');
+const loaded = [];
+const loader = async path => {
+  loaded.push(path);
+  return { [ADDRESS]: { formJson: address, source: `${path}.model.json` }, [KYC]: { formJson: kyc, source: `${path}.model.json` } }[path] || null;
+};
+const form = createForm();
+const resolved = await new FragmentResolver().resolve(form, loader);
+const [, homeAddress, kycStep] = form.items;
+check(homeAddress[':items'].pincode.name === 'pincode' && homeAddress[':itemsOrder'].join() === 'street,pincode', 'definition children inlined into the reference');
+check(homeAddress[':items'].street[FRAGMENT_PROPERTY] === ADDRESS && !homeAddress[FRAGMENT_PROPERTY] && !form.items[0][FRAGMENT_PROPERTY], 'fragment nodes tagged, the reference and the form are not');
+check(kycStep.items[0][FRAGMENT_PROPERTY] === KYC && kycStep.items[1][':items'].street[FRAGMENT_PROPERTY] === ADDRESS, 'nested fragments tagged with the innermost fragment');
+check(loaded.join() === `${ADDRESS},${KYC}`, 'each fragment loaded once');
+check(homeAddress[':items'].street !== kycStep.items[1][':items'].street, 'every reference gets its own copy');
+check(resolved.fragments.map(fragment => `${fragment.path}:${fragment.components}:${fragment.resolved}`).join() === `${ADDRESS}:2:true,${KYC}:4:true`, 'fragments listed with their components');
+check(resolved.errors.length === 0, 'no errors');
+
+const inlined = { fieldType: 'form', ':items': { kyc: { ...reference('kyc', KYC), ':items': { pan: { name: 'pan' } } } } };
+const server = await new FragmentResolver().resolve(inlined, async () => { throw new Error('not called'); });
+check(inlined[':items'].kyc[':items'].pan[FRAGMENT_PROPERTY] === KYC && server.fragments[0].source === 'inline', 'fragments inlined by the server are tagged, not loaded');
+
+const missing = await new FragmentResolver().resolve({ fieldType: 'form', items: [reference('gone', '/content/forms/af/fragments/gone')] }, async () => null);
+check(missing.errors[0]?.message === 'Fragment /content/forms/af/fragments/gone not found' && missing.fragments[0].resolved === false, 'missing fragment stays a reference');
+const failed = await new FragmentResolver().resolve({ fieldType: 'form', items: [reference('kyc', KYC)] }, async () => { throw new Error('HTTP 500'); });
+check(failed.errors[0]?.message === 'HTTP 500', 'loader errors reported');
+
+const loop = { fieldType: 'panel', items: [{ name: 'a', fieldType: 'text-input' }, reference('again', '/fragments/loop')] };
+const looped = await new FragmentResolver().resolve({ fieldType: 'form', items: [reference('loop', '/fragments/loop')] }, async () => ({ formJson: loop }));
+check(looped.errors[0]?.message === 'Fragment /fragments/loop includes itself - not resolved', 'a fragment including itself is not resolved again');
+const shallow = await new FragmentResolver({ fragments: { maxDepth: 1 } }).resolve(createForm(), loader);
+check(shallow.errors[0]?.message.includes('nested deeper than 1'), 'nesting limited by maxDepth');
+const off = await new FragmentResolver({ fragments: { enabled: false } }).resolve(createForm(), loader);
+check(off.fragments === null && !off.formJson.items[1].items && !off.formJson.items[1][':items'], 'disabled: form JSON as embedded');
+
+const analysis = new FormAnalyzer().analyzeFragments(createForm());
+check(analysis.count === 2 && analysis.resolved === 0 && analysis.paths.join() === `${ADDRESS},${KYC}`, 'form analyzer finds references in items');
+check(new FormAnalyzer().analyzeFragments(form).resolved === 3, 'form analyzer counts resolved references');
+
+console.log('\nTEST 2: Loading from the page');
+const pageUrl = 'https://author.example.com/content/forms/af/apply.html';
+const fetched = [];
+const page = {
+  evaluate: async (fn, url, accept) => {
+    fetched.push([url, accept]);
+    if (url === 'https://author.example.com/content/forms/af/fragments/address.model.json') {
+      return { success: true, data: JSON.stringify({ ':items': { root: { ':items': { container: address } } } }) };
+    }
+    if (url === 'https://main--forms--org.aem.live/forms/fragments/contact') {
+      return { success: true, data: `<div class="form"><pre>${JSON.stringify({ fieldType: 'form', items: [{ name: 'email' }] })}</pre></div>` };
+    }
+    return { error: 'HTTP 404: Not Found' };
+  }
+};
+const jsonExtractor = new JSONExtractor();
+const model = await jsonExtractor.extractFragment(`${ADDRESS}/jcr:content/guideContainer`, pageUrl, page);
+check(model.formJson?.[':type'] === 'forms/components/fragmentcontainer' && model.source.endsWith('address.model.json'), 'fragment container found in model.json');
+check(fetched[0][0].endsWith('/fragments/address.model.json') && fetched[0][1] === 'application/json', 'model.json fetched on the page\'s host');
+const eds = await jsonExtractor.extractFragment('/forms/fragments/contact', 'https://main--forms--org.aem.live/forms/apply', page);
+check(eds.formJson?.items[0].name === 'email' && eds.source === 'https://main--forms--org.aem.live/forms/fragments/contact', 'EDS fragment read from its page');
+check((await jsonExtractor.extractFragment(KYC, pageUrl, page)).error === `Failed to fetch fragment ${KYC}: HTTP 404: Not Found`, 'fetch errors returned');
+check(getFragmentName(`${ADDRESS}/jcr:content/guideContainer`) === 'address' && getFragmentName('/forms/fragments/contact.html') === 'contact', 'fragment names');
+
+console.log('\nTEST 3: Form files');
+const dir = mkdtempSync(join(tmpdir(), 'perf-bot-fragments-'));
+try {
+  mkdirSync(join(dir, 'forms', 'fragments'), { recursive: true });
+  mkdirSync(join(dir, 'archive'), { recursive: true });
+  writeFileSync(join(dir, 'forms', 'apply.form.json'), JSON.stringify(createForm()));
+  writeFileSync(join(dir, 'forms', 'fragments', 'address.form.json'), JSON.stringify(address));
+  writeFileSync(join(dir, 'archive', 'address.form.json'), JSON.stringify({ fieldType: 'panel', items: [] }));
+  writeFileSync(join(dir, 'forms', 'fragments', 'kyc.form.json'), JSON.stringify({ ':items': { root: { ':items': { form: kyc } } } }));
+
+  const fileExtractor = new FileExtractor(dir);
+  check(fileExtractor.findFragmentFile(ADDRESS) === join('forms', 'fragments', 'address.form.json'), 'fragment file matched by name, folders break ties');
+  const fromFiles = fileExtractor.extract('forms/apply.form.json');
+  check(fromFiles.formJson.items[2].items[1][':items'].pincode[FRAGMENT_PROPERTY] === ADDRESS, 'fragments inlined from *.form.json files');
+  check(fromFiles.fragments.find(fragment => fragment.path === KYC)?.source === join('forms', 'fragments', 'kyc.form.json'), 'form file recorded as the fragment source');
+  check(new FileExtractor(dir, { fragments: { enabled: false } }).extract('forms/apply.form.json').fragments === null, 'disabled for form files');
+  check(fileExtractor.extractFromContent({ json: JSON.stringify(createForm()) }, 'base').fragments === null, 'content from another ref is left to the caller');
+} finally {
+  rmSync(dir, { recursive: true, force: true });
+}
+
+console.log('\nTEST 4: Attribution');
+const issues = attributeIssuesToFragments([
+  { type: 'api-call-in-initialize', field: 'pincode' },
+  { type: 'api-call-in-initialize', field: 'fullName' },
+  { type: 'slow-rule', field: { name: 'pan' } },
+  { type: 'rule-cycle', fields: ['street', 'pincode'] },
+  { type: 'rule-cycle', fields: ['street', 'fullName'] },
+  { type: 'form-too-large' }
+], form);
+check(issues.map(issue => issue.fragment || '-').join() === `${ADDRESS},-,${KYC},${ADDRESS},-,-`, 'issues on fragment fields attributed, form and mixed issues not');
+
+const before = createForm();
+const after = createForm();
+await new FragmentResolver().resolve(before, async path => (path === ADDRESS ? { formJson: { ...address, ':items': { street: address[':items'].street } } } : { formJson: kyc }));
+await new FragmentResolver().resolve(after, loader);
+const results = await runFormComparison({ formJson: before }, { formJson: after, fragments: resolved.fragments }, {});
+const pincodeIssues = results.formEvents.newIssues.filter(issue => issue.field === 'pincode');
+check(pincodeIssues.length === 2 && pincodeIssues.every(issue => issue.fragment === ADDRESS), 'issues in a fragment attributed to it wherever it is embedded');
+check(results.formEvents.newIssues.find(issue => issue.field === 'fullName')?.fragment === undefined, 'issues on form fields stay with the form');
+
+const prComment = new FormPRReporter().buildMarkdownReport(results, { afterData: { fragments: resolved.fragments } });
+check(prComment.includes('### Fragments') && prComment.includes(`| \`${ADDRESS}\` | 2 | 1 (api-call-in-initialize) |`), 'PR comment groups new issues by fragment');
+check(new FormPRReporter().buildFragmentsSection(await runFormComparison({ formJson: createForm() }, { formJson: createForm() }, {}), {}) === '', 'no section without fragment issues');
+check(new MarkdownReporter().generateComparisonReport(results, {}, null).includes('### Fragments'), 'section in the markdown comparison report');
+const workspace = mkdtempSync(join(tmpdir(), 'perf-bot-fragments-sarif-'));
+try {
+  writeFileSync(join(workspace, 'apply.form.json'), JSON.stringify(after, null, 2));
+  const sarif = JSON.parse(new SARIFReporter({ workspaceRoot: workspace, formFiles: ['apply.form.json'] }).generateReport(results));
+  check(sarif.runs[0].results.some(result => result.properties.fragment === ADDRESS), 'fragment in SARIF result properties');
+} finally {
+  rmSync(workspace, { recursive: true, force: true });
+}
+
+console.log('\nTEST 5: Scan reports');
+const analyzers = await createFormAnalyzers(null);
+const scan = [];
+for (const name of ['apply', 'loan', 'card']) {
+  const scanned = createForm();
+  const scannedFragments = (await new FragmentResolver().resolve(scanned, loader)).fragments;
+  scan.push(await analyzeSingleForm({ url: `forms/${name}.form.json`, formJson: scanned, fragments: name === 'card' ? scannedFragments.slice(0, 1) : scannedFragments }, { analyzers }));
+}
+const fragments = summarizeFragments(scan);
+check(fragments.map(fragment => `${fragment.name}:${fragment.forms.length}`).join() === 'address:3,kyc:2', 'each fragment listed once with the forms embedding it');
+check(fragments[0].issues.length === 1 && fragments[0].issues[0].field === 'pincode', 'fragment issues deduped across forms');
+check(scan[0].fragments.length === 2 && scan[0].forms.issues.filter(issue => issue.fragment).length === 2, 'scan result keeps fragments and attributed issues');
+
+const markdown = new MarkdownReporter().generateScanReport(scan);
+check(markdown.includes('- **Fragments:** address (1 issue(s)), kyc\n'), 'per-form line counts fragment issues once');
+check(markdown.includes(`| \`${ADDRESS}\` | 2 | 3 form(s): apply, loan, card | 1 |`), 'fragments table in the scan report');
+check(markdown.split('API call found in initialize event for field "pincode"').length === 2, 'fragment issue listed once, not per form');
+check(markdown.split('API call found in initialize event for field "fullName"').length === 4, 'form issues still listed per form');
+check(!new MarkdownReporter().generateScanReport([scan[0]].map(result => ({ ...result, fragments: null, forms: { issues: [] } }))).includes('Fragments'), 'no fragment lines without fragments');
+
+const summary = new HTMLReporter().generateScheduledSummaryReport(scan, { repository: 'org/forms', timestamp: new Date().toISOString() });
+check(summary.includes('Shared Fragments') && summary.includes(`<code>${ADDRESS}</code>`) && summary.includes('3 form(s)'), 'HTML summary lists shared fragments');
+const detail = new HTMLReporter().generateScheduledReport(scan[0], { repository: 'org/forms', analysisUrl: scan[0].url, timestamp: new Date().toISOString() });
+check(detail.includes('<strong>Fragments:</strong> address (1 issue(s)), kyc'), 'HTML form report names its fragments');
+
+finish('fragment');
@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+
+/**
+ * Tests the unified issue model (normalization, fingerprints, diffs)
+ * Usage: node test/test-issue-model.js
+ */
+
+import { readFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { normalizeIssue, fingerprintIssue, diffIssues, dedupeIssues } from '../src/utils/issue-model.js';
+import { FormCSSAnalyzer } from '../src/analyzers/form-css-analyzer.js';
+import { runFormComparison } from '../src/pipeline.js';
+import { start, check, finish } from './helpers.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const fixturesDir = join(__dirname, 'fixtures');
+
+start('Issue Model');
+
+console.log('TEST 1: Normalization');
+const cssIssue = normalizeIssue({
+  severity: 'error',
+  type: 'css-background-image',
+  file: 'blocks/form/form.css',
+  line: 12,
+  selector: '.hero',
+  message: 'CSS background-image detected'
+}, 'formCSS');
+check(cssIssue.ruleId === 'css-background-image', 'rule id taken from type');
+check(cssIssue.location.file === 'blocks/form/form.css' && cssIssue.location.line === 12, 'file/line location');
+check(cssIssue.cwvImpact === 'LCP', 'CWV impact filled in from rule id');
+check(cssIssue.analyzer === 'formCSS' && cssIssue.selector === '.hero', 'analyzer recorded, original fields kept');
+const fieldIssue = normalizeIssue({ type: 'unnecessary-hidden-field', field: 'userId', path: 'dataStorage.userId', severity: 'critical' });
+check(fieldIssue.location.path === 'dataStorage.userId', 'form path location');
+check(fieldIssue.severity === 'info', 'unknown severity normalized');
+
+console.log('\nTEST 2: Fingerprints');
+check(fingerprintIssue({ ...cssIssue, line: 40, message: 'moved' }) === cssIssue.fingerprint, 'line and message do not change the fingerprint');
+check(fingerprintIssue({ ...cssIssue, selector: '.banner' }) !== cssIssue.fingerprint, 'selector distinguishes issues');
+check(
+  fingerprintIssue({ type: 'dom-access-in-custom-function', file: 'f.js', functionName: 'a' }) !==
+  fingerprintIssue({ type: 'dom-access-in-custom-function', file: 'f.js', functionName: 'b' }),
+  'function name distinguishes issues'
+);
+check(
+  fingerprintIssue({ type: 'rule-cycle', fields: ['a', 'b', 'c', 'a'] }) ===
+  fingerprintIssue({ type: 'rule-cycle', fields: ['b', 'c', 'a', 'b'] }),
+  'same cycle reported from another field matches'
+);
+check(
+  fingerprintIssue({ type: 'excessive-dom-size', count: 900 }) === fingerprintIssue({ type: 'excessive-dom-size', count: 1200 }),
+  'counts do not change the fingerprint'
+);
+check(
+  fingerprintIssue({ type: 'heavy-rule', field: 'total', property: 'rules.value', step: 2 }) === fingerprintIssue({ type: 'heavy-rule', field: 'total' }) &&
+  fingerprintIssue({ type: 'unused-rule', field: 'total', property: 'rules.value' }) !== fingerprintIssue({ type: 'unused-rule', field: 'total', property: 'rules.label' }),
+  'rule-specific discriminators only apply to their rules'
+);
+
+console.log('\nTEST 3: Diff and dedupe');
+const a = { type: 'deep-selector', file: 'x.css', selector: '.a .b .c .d' };
+const b = { type: 'deep-selector', file: 'x.css', selector: '.e .f .g .h' };
+const c = { type: 'deep-selector', file: 'y.css', selector: '.a .b .c .d' };
+const diff = diffIssues([a, b], [{ ...b, line: 99 }, c]);
+check(diff.newIssues.length === 1 && diff.newIssues[0].file === 'y.css', 'new issue found');
+check(diff.resolvedIssues.length === 1 && diff.resolvedIssues[0].selector === a.selector, 'resolved issue found');
+check(diff.unchangedIssues.length === 1, 'moved issue unchanged');
+check(dedupeIssues([a, { ...a, line: 3 }, b]).length === 2, 'duplicates removed');
+
+console.log('\nTEST 4: Analyzers diff by fingerprint');
+const css = readFileSync(join(fixturesDir, 'css/sample-form.css'), 'utf-8');
+const cssAnalyzer = new FormCSSAnalyzer();
+const before = cssAnalyzer.analyze([{ filename: 'form.css', content: css }]);
+const after = cssAnalyzer.analyze([{ filename: 'form.css', content: `/* header */\n\n${css}` }]);
+const cssComparison = cssAnalyzer.compare(before, after);
+check(cssComparison.newIssues.length === 0 && cssComparison.resolvedIssues.length === 0, 'CSS shifted down two lines has no new/resolved issues');
+
+const formJson = JSON.parse(readFileSync(join(fixturesDir, 'sample-form.json'), 'utf-8'));
+const results = await runFormComparison({ formJson }, { formJson }, { cssFiles: [{ filename: 'form.css', content: css }] });
+const allIssues = Object.values(results).flatMap(r => r?.newIssues || []);
+check(allIssues.length > 0 && allIssues.every(i => i.fingerprint && i.ruleId && i.location), 'pipeline issues carry the unified fields');
+
+finish('issue model');
@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+
+/**
+ * Tests scripted user journeys: journey config, step runner, mocks, per-step metrics and reports
+ * Usage: node test/test-journey.js
+ */
+
+import { EventEmitter } from 'events';
+import { resolveJourney, runJourney, installMocks, aggregateJourneyRuns } from '../src/utils/journey.js';
+import { NetworkRecorder } from '../src/utils/network-recorder.js';
+import { JourneyAnalyzer, formatJourneySummary } from '../src/analyzers/journey-analyzer.js';
+import { runFormComparison, analyzeSingleForm, createFormAnalyzers, detectCriticalIssues, loadFormSource } from '../src/pipeline.js';
+import { FormPRReporter } from '../src/reporters/pr-reporter-form.js';
+import { start, check, finish } from './helpers.js';
+
+const throws = (fn, pattern) => {
+  try {
+    fn();
+    return false;
+  } catch (error) {
+    return pattern.test(error.message);
+  }
+};
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+start('User Journeys');
+
+const config = {
+  journeys: {
+    'loan-wizard': {
+      match: '*/forms/loan*',
+      mocks: [{ match: '*/api/submit*', method: 'POST', status: 201, body: { ok: true }, delayMs: 5 }],
+      steps: [
+        { fill: 'firstName', value: 'Ada' },
+        { choose: 'accountType', value: 'savings' },
+        { choose: 'consent', value: 'yes' },
+        { next: true },
+        { addInstance: 'dependents' },
+        { next: true },
+        { submit: true, name: 'Submit application' }
+      ]
+    },
+    kyc: { steps: [{ click: '#start' }] }
+  }
+};
+
+console.log('TEST 1: Picking and validating a journey');
+const journey = resolveJourney('https://main--forms--org.aem.live/forms/loan-application', null, config);
+check(journey?.name === 'loan-wizard' && journey.steps.length === 7 && journey.mocks.length === 1, 'matched by URL pattern');
+check(journey.steps.map(step => step.name).join() === 'fill firstName,choose accountType,choose consent,next,addInstance dependents,next #2,Submit application', 'steps named by action, repeats numbered, explicit names kept');
+check(resolveJourney('https://main--forms--org.aem.live/forms/contact', null, config) === null, 'other forms get no journey');
+check(resolveJourney('https://main--forms--org.aem.live/forms/loan', 'kyc', config).name === 'kyc', 'named journey wins over patterns');
+check(resolveJourney('https://main--forms--org.aem.live/forms/loan', false, config) === null, 'journey: false turns it off');
+check(throws(() => resolveJourney('https://a.example.com', 'apply', config), /Unknown journey "apply"\. Available: loan-wizard, kyc/), 'unknown journey rejected');
+check(throws(() => resolveJourney('https://a.example.com', { steps: [{ name: 'x' }] }, config), /step 1 needs exactly one action, found none/), 'step without action rejected');
+check(throws(() => resolveJourney('https://a.example.com', { steps: [{ click: 'a', next: true }] }, config), /found click, next/), 'step with two actions rejected');
+check(throws(() => resolveJourney('https://a.example.com', { steps: [{ fill: 'email' }] }, config), /step 1 \(fill email\) is missing value/), 'fill without value rejected');
+check(throws(() => resolveJourney('https://a.example.com', { steps: [] }, config), /has no steps/), 'empty journey rejected');
+
+console.log('\nTEST 2: Running the steps');
+// The in-page code runs in node against a small fake DOM
+const vitals = { longTasks: [], events: [], interactionStart: null };
+let nodes = 500;
+let interactionId = 0;
+const interact = (duration, longTask = 0) => {
+  const startTime = performance.now();
+  vitals.events.push({ name: 'pointerdown', interactionId: ++interactionId, startTime, duration });
+  if (longTask > 0) vitals.longTasks.push({ startTime, duration: longTask });
+};
+const addButton = { click: async () => { interact(40); nodes += 60; } };
+const wrapper = { querySelectorAll: () => [addButton] };
+globalThis.window = { __perfBotVitals: vitals };
+globalThis.document = {
+  getElementsByTagName: () => ({ length: nodes }),
+  querySelectorAll: selector => (selector === 'div.form [name="dependents"]' ? [{ closest: () => wrapper }] : [])
+};
+globalThis.requestAnimationFrame = callback => setTimeout(callback, 0);
+
+const actions = [];
+const recorder = new NetworkRecorder();
+let requestId = 0;
+const request = url => recorder.onRequest({ requestId: `${++requestId}`, timestamp: requestId, wallTime: requestId, type: 'Fetch', request: { url, method: 'GET', headers: {} } });
+const element = (selector, props = {}) => ({
+  click: async options => {
+    actions.push(['click', selector, options?.clickCount || 1]);
+    if (selector.includes('wizard-button-next')) {
+      await sleep(30);
+      interact(180, 150);
+      nodes += 200;
+      request('https://main--forms--org.aem.live/fragments/step.json');
+    } else {
+      interact(24);
+    }
+  },
+  type: async text => actions.push(['type', selector, text]),
+  evaluate: async fn => fn(props),
+  ...props
+});
+const page = {
+  evaluate: async (fn, ...args) => fn(...args),
+  evaluateHandle: async (fn, ...args) => {
+    const result = fn(...args);
+    return { asElement: () => result };
+  },
+  waitForSelector: async selector => {
+    if (selector === '#missing') throw new Error('Waiting for selector `#missing` failed: 15000ms exceeded');
+    return element(selector);
+  },
+  $$: async selector => (selector.includes('consent')
+    ? [element('no', { tagName: 'INPUT', value: 'no' }), element('yes', { tagName: 'INPUT', value: 'yes' })]
+    : [element(selector, { tagName: 'SELECT', value: '' })]),
+  select: async (selector, value) => actions.push(['select', selector, value]),
+  keyboard: { press: async key => actions.push(['press', key]) },
+  waitForNetworkIdle: async () => {}
+};
+
+const result = await runJourney(page, journey, { recorder });
+const [fill, choose, radio, next, addInstance, next2, submit] = result.steps;
+check(result.completed && result.steps.length === 7 && vitals.interactionStart !== null, 'all steps ran; long tasks from here on are left out of TBT');
+check(actions[0].join() === 'click,div.form [name="firstName"],3' && actions[1].join() === 'type,div.form [name="firstName"],Ada' && actions[2].join() === 'press,Tab', 'fill replaces the value and tabs out so rules run');
+check(actions.some(action => action.join() === 'select,div.form [name="accountType"],savings') && choose.inp === 24, 'dropdown option chosen after clicking it');
+check(actions.some(action => action.join() === 'click,yes,1') && !actions.some(action => action.join() === 'click,no,1') && radio.inp === 24, 'radio button picked by value');
+check(next.duration >= 30 && next.inp === 180 && next.longTasks === 1 && next.blockingTime === 100, `wizard step: duration, INP and blocking time (${next.duration}ms)`);
+check(next.domGrowth === 200 && next.domNodes === 700 && next.requests === 1 && fill.requests === 0, 'DOM growth and requests per step');
+check(addInstance.domGrowth === 60 && addInstance.inp === 40, 'repeatable panel instance added');
+check(next2.name === 'next #2' && submit.name === 'Submit application' && actions.some(action => action[1] === 'div.form button[type="submit"]'), 'submit clicks the form\'s submit button');
+check(result.totals.blockingTime === 200 && result.totals.inp === 180 && result.totals.domGrowth === 460 && result.totals.requests === 2, 'totals across steps');
+
+const broken = await runJourney(page, resolveJourney('https://a.example.com', { steps: [{ fill: 'firstName', value: 'x' }, { click: '#missing' }, { next: true }] }, config));
+check(!broken.completed && broken.steps.length === 1 && broken.failedStep.index === 1 && broken.failedStep.name === 'click #missing' && /15000ms exceeded/.test(broken.failedStep.error), 'stops at the first failing step');
+const noAdd = await runJourney(page, resolveJourney('https://a.example.com', { steps: [{ addInstance: 'address' }] }, config));
+check(noAdd.failedStep?.error === 'no Add button (is the panel repeatable?)', 'addInstance on a panel that is not repeatable');
+
+console.log('\nTEST 3: Mocked endpoints');
+const sent = [];
+const session = new EventEmitter();
+session.send = async (method, params) => sent.push([method, params]);
+await installMocks({ createCDPSession: async () => session }, journey.mocks);
+check(sent[0][0] === 'Fetch.enable' && sent[0][1].patterns.length === 1 && sent[0][1].patterns[0].urlPattern === '*/api/submit*', 'only mocked URLs intercepted');
+session.emit('Fetch.requestPaused', { requestId: 'a', request: { url: 'https://forms.example.com/api/submit?id=1', method: 'POST' } });
+session.emit('Fetch.requestPaused', { requestId: 'b', request: { url: 'https://forms.example.com/api/submit?id=1', method: 'GET' } });
+await sleep(20);
+const fulfilled = sent.find(([method]) => method === 'Fetch.fulfillRequest')[1];
+check(fulfilled.requestId === 'a' && fulfilled.responseCode === 201 && Buffer.from(fulfilled.body, 'base64').toString() === '{"ok":true}' && fulfilled.responseHeaders[0].value === 'application/json', 'matching request answered with the mock');
+check(sent.some(([method, params]) => method === 'Fetch.continueRequest' && params.requestId === 'b'), 'other methods go to the network');
+
+console.log('\nTEST 4: Sampled runs');
+const run = (durations, completed = true) => ({
+  name: 'loan-wizard',
+  completed,
+  failedStep: completed ? null : { index: 1, name: 'next', error: 'timeout' },
+  steps: durations.map((duration, index) => ({ index, name: index === 0 ? 'fill firstName' : 'next', action: 'next', duration, inp: 100 + duration / 100, blockingTime: 0, domGrowth: 10, domNodes: 500, requests: 1, transferSize: 1024, longTasks: 0 })),
+  totals: {}
+});
+const single = (durations, completed) => aggregateJourneyRuns([run(durations, completed)]);
+const aggregated = aggregateJourneyRuns([run([100, 900]), run([120, 1100]), run([110]), null]);
+check(aggregated.steps[0].duration === 110 && aggregated.steps[1].duration === 1000 && aggregated.steps[1].samples.duration.join() === '900,1100', 'median per step over the runs that reached it');
+check(aggregated.runs === 3 && aggregated.failedRuns === 0 && aggregated.totals.duration === 1110, 'run counts and totals');
+check(aggregateJourneyRuns([run([100], false), run([100, 800])]).failedRuns === 1 && aggregateJourneyRuns([run([100], false), run([100, 800])]).completed, 'a completed run is the base; failed runs counted');
+
+console.log('\nTEST 5: Thresholds and before/after comparison');
+const analyzer = new JourneyAnalyzer({ thresholds: { journey: { maxStepDuration: 1000 } } });
+const slow = analyzer.analyze(aggregateJourneyRuns([run([100, 1400]), run([110, 1500]), run([105, 1450]), run([100, 1600])]));
+check(slow.issues.length === 1 && slow.issues[0].type === 'slow-journey-step' && slow.issues[0].message === 'Step 2 "next" of journey "loan-wizard" took 1475ms (threshold: 1000ms)', 'slow step reported with its name');
+const laggy = single([100, 2900]);
+laggy.steps[1].inp = 350;
+check(new JourneyAnalyzer().analyze(laggy).issues.map(issue => issue.type).join() === 'slow-journey-interaction', 'default thresholds: step INP over 200ms');
+const fast = aggregateJourneyRuns([run([100, 500]), run([110, 520]), run([105, 510]), run([100, 505])]);
+const results = await runFormComparison({ formJson: null, journey: fast }, { formJson: null, journey: aggregateJourneyRuns([run([100, 1400]), run([110, 1500]), run([105, 1450]), run([100, 1600])]) }, { config: { thresholds: { journey: { maxStepDuration: 1000 } } } });
+const compared = results.journey;
+check(compared.steps[1].before === 508 && compared.steps[1].delta === 967 && compared.steps[1].change === 'increased', 'steps matched by name, slower step is significant');
+check(compared.newIssues.length === 1 && compared.newIssues[0].ruleId === 'slow-journey-step' && !detectCriticalIssues(results).hasCritical, 'newly slow step is a warning, not a failure');
+const noisy = analyzer.compare(analyzer.analyze(aggregateJourneyRuns([run([100, 900]), run([100, 1100]), run([100, 950]), run([100, 1200])])), analyzer.analyze(aggregateJourneyRuns([run([100, 1050]), run([100, 980]), run([100, 1150]), run([100, 930])])));
+check(noisy.newIssues.length === 0, 'threshold crossed within run-to-run noise is not new');
+
+const brokenResults = await runFormComparison({ formJson: null, journey: single([100, 500]) }, { formJson: null, journey: single([100], false) }, { config });
+const critical = detectCriticalIssues(brokenResults);
+check(brokenResults.journey.removedSteps.join() === 'next' && critical.hasCritical && critical.issues.includes('Journey "loan-wizard" failed at step 2 "next": timeout'), 'journey that no longer completes fails the check');
+
+console.log('\nTEST 6: Reports and scans');
+const section = new FormPRReporter().buildJourneySection(compared);
+check(section.includes('### User Journey: loan-wizard') && section.includes('| 2. next | 508ms | 1475ms | +967ms (slower) | 115ms | 0ms | +10 | 1 (1.0 KB) |'), 'per-step table with change');
+check(new FormPRReporter().buildJourneySection(brokenResults.journey).includes('**Failed at step 2 "next":** timeout'), 'failure shown above the steps');
+const analyzers = await createFormAnalyzers(config);
+const formResult = await analyzeSingleForm({ url: 'https://main--forms--org.aem.live/forms/loan', formJson: { items: [] }, journey: single([100], false) }, { analyzers, config });
+check(formResult.journey?.name === 'loan-wizard' && formResult.forms.issues.some(issue => issue.ruleId === 'journey-failed'), 'scan records the journey and its issues');
+check(formatJourneySummary(formResult.journey) === 'loan-wizard: 1 step in 100ms, slowest interaction 101ms, failed at step 2 (next)', 'one-line summary');
+let received = null;
+await loadFormSource({ url: 'https://main--forms--org.aem.live/forms/kyc', journey: 'kyc' }, { urlAnalyzer: { analyze: async (url, options) => { received = options; return { url }; } } });
+check(received.journey === 'kyc', '{ url, journey } entry passes its journey to the analyzer');
+
+finish('journey');
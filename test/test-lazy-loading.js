@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+
+/**
+ * Tests lazy-loading candidates: deferrable wizard/tab/accordion panels, their savings
+ * (estimated and from rendered HTML), rules that force them to load early and report sections
+ * Usage: node test/test-lazy-loading.js
+ */
+
+import { LazyLoadingAnalyzer, getLayout, formatLazyLoadingSummary } from '../src/analyzers/lazy-loading-analyzer.js';
+import { runFormComparison, analyzeSingleForm, createFormAnalyzers, detectCriticalIssues } from '../src/pipeline.js';
+import { FormPRReporter } from '../src/reporters/pr-reporter-form.js';
+import { MarkdownReporter } from '../src/reporters/markdown-reporter.js';
+import { HTMLReporter } from '../src/reporters/html-reporter.js';
+import { normalizeIssues } from '../src/utils/issue-model.js';
+import { start, check, finish } from './helpers.js';
+
+start('Lazy-Loading Candidates');
+
+const fields = (prefix, count) => Array.from({ length: count }, (_, i) => ({ name: `${prefix}${i + 1}`, fieldType: 'text-input' }));
+
+const createForm = ({ wizardId = 'wizard-c8af4b0005', summaryRule = true } = {}) => ({
+  id: 'loan',
+  ':itemsOrder': ['wizard', 'runtime', 'summary'],
+  ':items': {
+    wizard: {
+      id: wizardId,
+      fieldType: 'panel',
+      name: 'loanWizard',
+      ':itemsOrder': ['personal', 'employment', 'documents'],
+      ':items': {
+        documents: {
+          fieldType: 'panel',
+          name: 'documents',
+          items: [{ name: 'upload', fieldType: 'file-input', events: { initialize: ['fetchDocumentTypes()'] } }, ...fields('doc', 2)]
+        },
+        personal: {
+          fieldType: 'panel',
+          name: 'personal',
+          items: [{ name: 'firstName', fieldType: 'text-input' }, { name: 'income', fieldType: 'number-input' }]
+        },
+        employment: {
+          fieldType: 'panel',
+          name: 'employment',
+          label: { value: 'Employment' },
+          items: [
+            { name: 'employer', fieldType: 'text-input' },
+            { name: 'salary', fieldType: 'number-input', rules: { value: '$form.personal.income * 12' } },
+            ...fields('emp', 8),
+            {
+              fieldType: 'panel',
+              name: 'extras',
+              ':type': 'core/fd/components/form/tabsontop/v1/tabsontop',
+              items: [
+                { fieldType: 'panel', name: 'tabA', items: fields('a', 2) },
+                { fieldType: 'panel', name: 'tabB', items: fields('b', 2) }
+              ]
+            }
+          ]
+        }
+      }
+    },
+    runtime: { fieldType: 'panel', name: 'runtime', visible: false, items: fields('r', 2) },
+    summary: { name: 'summary', fieldType: 'plain-text', ...(summaryRule ? { rules: { value: "'Works at ' & $form.employer" } } : {}) }
+  }
+});
+
+console.log('TEST 1: Layouts');
+check(getLayout({ id: 'wizard-c8af4b0005', fieldType: 'panel' }) === 'wizard', 'wizard from the component id');
+check(getLayout({ fieldType: 'panel', ':type': 'core/fd/components/form/verticaltabs/v1/verticaltabs' }) === 'tabs', 'tabs from :type');
+check(getLayout({ fieldType: 'panel', properties: { 'fd:viewType': 'accordion' } }) === 'accordion', 'accordion from fd:viewType');
+check(getLayout({ fieldType: 'panel', id: 'panelcontainer-1' }) === null && getLayout({ fieldType: 'text-input', name: 'wizardName', id: 'wizard-1' }) === null, 'plain panels and fields are not layouts');
+
+console.log('\nTEST 2: Candidates');
+const analyzer = new LazyLoadingAnalyzer(null);
+const analysis = analyzer.analyze(createForm());
+check(analysis.layouts.length === 1 && analysis.layouts[0].layout === 'wizard' && analysis.layouts[0].initial === 'personal', 'first step in :itemsOrder is shown on first paint');
+check(analysis.candidates.map(candidate => candidate.name).join() === 'employment,documents,runtime', 'later steps and hidden panels are candidates, largest first');
+const [employment, documents, runtime] = analysis.candidates;
+check(employment.path === 'loanWizard.employment' && employment.layout === 'wizard' && employment.step === 2 && employment.container === 'loanWizard', 'candidate placement');
+check(employment.components === 18 && employment.rules === 1 && employment.events === 0, 'components and rules of the panel, nested tabs included');
+check(employment.domNodes === 68 && employment.domSource === 'estimate', 'DOM nodes estimated per field type');
+check(runtime.layout === 'hidden' && runtime.components === 3, 'panels that start hidden');
+check(analysis.totals.components === 25 && analysis.totals.share === 83 && analysis.totals.panels === 3, 'totals and share of the form');
+check(formatLazyLoadingSummary(analysis) === '3 panel(s) could be deferred: 25 component(s) (83%), 2 rule(s)/event(s), ~94 DOM node(s)', 'one-line summary');
+
+console.log('\nTEST 3: Rules that force panels to load early');
+const reads = employment.blockers.find(blocker => blocker.kind === 'reads-outside');
+check(reads?.field === 'salary' && reads.fields.join() === 'income', 'rule inside reading a field outside (panel names ignored)');
+const readBy = employment.blockers.find(blocker => blocker.kind === 'read-by-form');
+check(readBy?.field === 'summary' && readBy.fields.join() === 'employer', 'rule outside reading a field inside');
+check(documents.blockers.length === 1 && documents.blockers[0].kind === 'initialize' && documents.blockers[0].field === 'upload', 'initialize event inside');
+
+console.log('\nTEST 4: Issues');
+check(analysis.issues.filter(issue => issue.type === 'lazy-load-candidate').map(issue => issue.field).join() === 'employment', 'only panels with minComponents recommended');
+const candidateIssue = analysis.issues.find(issue => issue.type === 'lazy-load-candidate');
+check(candidateIssue.message === 'Step 2 "Employment" (employment) of wizard "loanWizard" is not visible on first paint - deferring it saves 18 component(s), 1 rule(s)/event(s) and ~68 DOM node(s)', 'recommendation names the step and the savings');
+check(candidateIssue.recommendation.includes('when the step is reached) after moving the 2 rule(s)'), 'recommendation mentions the rules to move first');
+const eager = analysis.issues.filter(issue => issue.type === 'eager-panel-rule');
+check(eager.length === 2 && eager[0].message === 'Rule "value" on "salary" reads income outside panel "employment", so the panel has to load with the form', 'rules that force the panel to load early flagged');
+const relaxed = new LazyLoadingAnalyzer({ thresholds: { lazyLoading: { minComponents: 3 } } }).analyze(createForm());
+check(relaxed.issues.some(issue => issue.message === 'Initialize event on "upload" makes panel "documents" load with the form') &&
+  relaxed.issues.some(issue => issue.message.startsWith('Hidden panel "runtime"') && issue.recommendation.includes('when it is shown')), 'minComponents from config');
+const rendered = analyzer.analyze(createForm(), '<div class="form"><fieldset name="employment"><div><input></div><div><label></label></div></fieldset></div>');
+check(rendered.candidates[0].domNodes === 5 && rendered.candidates[0].domSource === 'html', 'DOM nodes counted in the rendered HTML');
+check(analyzer.analyze(createForm({ wizardId: 'panelcontainer-1' })).candidates.map(candidate => `${candidate.name}:${candidate.layout}`).join() === 'tabB:tabs,runtime:hidden', 'nested layouts found once their panel is not deferred');
+const twoRules = createForm();
+twoRules[':items'].summary.rules.visible = "$form.employer != '' && $form.doc1 != ''";
+const blockers = normalizeIssues(new LazyLoadingAnalyzer({ thresholds: { lazyLoading: { minComponents: 3 } } }).analyze(twoRules).issues)
+  .filter(issue => issue.type === 'eager-panel-rule' && issue.field === 'summary');
+check(blockers.map(issue => `${issue.panel}:${issue.property}`).join() === 'employment:rules.value,employment:rules.visible,documents:rules.visible' &&
+  new Set(blockers.map(issue => issue.fingerprint)).size === 3, 'two rules on one field and one rule blocking two panels are separate issues');
+check(analyzer.analyze(null).error && analyzer.analyze({ items: [] }).totals.panels === 0, 'missing and empty forms');
+
+console.log('\nTEST 5: Pipeline and reports');
+const results = await runFormComparison(
+  { formJson: createForm({ wizardId: 'panelcontainer-1', summaryRule: false }) },
+  { formJson: createForm() },
+  { config: null }
+);
+check(results.lazyLoading.newIssues.length === 3 && results.lazyLoading.newIssues.every(issue => issue.fingerprint), 'new candidates and eager rules normalized');
+check(results.lazyLoading.delta.components === 19, 'deferrable components before/after');
+check(!detectCriticalIssues(results).issues.some(issue => issue.toLowerCase().includes('lazy')), 'recommendations never fail the check');
+
+const reporter = new FormPRReporter();
+const section = reporter.buildLazyLoadingSection(results.lazyLoading);
+check(section.includes('### Lazy-Loading Candidates') && section.includes('| **New** | `loanWizard.employment` | wizard step 2 | 18 | 1 | ~68 | 2 rule(s) |'), 'PR comment lists new candidates');
+check(section.includes('- Rule "value" on "summary" reads employer inside panel "employment", so the panel has to load with the form.'), 'PR comment lists the new eager rules');
+check(reporter.buildMarkdownReport(results, {}).includes('### Lazy-Loading Candidates'), 'section in the PR comment');
+check(reporter.calculateFormImpact(results).recommendations.includes('Defer 1 panel(s) not visible on first paint: `loanWizard.employment`'), 'recommendation in the overall assessment');
+const unchanged = await runFormComparison({ formJson: createForm() }, { formJson: createForm() }, { config: null });
+check(reporter.buildLazyLoadingSection(unchanged.lazyLoading) === '', 'no PR section when nothing new');
+check(new MarkdownReporter().generateComparisonReport(results, {}, 0).includes('### Lazy-Loading Candidates'), 'section in the markdown report');
+const html = new HTMLReporter().buildLazyLoadingSection(unchanged.lazyLoading);
+check(html.includes('Lazy-Loading Candidates') && html.includes('<code>upload</code> initialize event') && html.includes('<code>loanWizard.employment</code>'), 'HTML report lists candidates and their eager rules');
+
+const analyzers = await createFormAnalyzers(null);
+const formResult = await analyzeSingleForm({ url: 'forms/loan.form.json', formJson: createForm() }, { analyzers, config: null });
+check(formResult.lazyLoading?.totals.panels === 3 && formResult.forms.issues.some(issue => issue.type === 'lazy-load-candidate'), 'scan records candidates and recommendations');
+check(new MarkdownReporter().generateScanReport([formResult]).includes('- **Lazy loading:** 3 panel(s) could be deferred'), 'lazy-loading line in the scan report');
+
+finish('lazy-loading');
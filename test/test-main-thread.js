@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+
+/**
+ * Tests Chrome trace capture: main-thread time by category and script, long tasks,
+ * the before/after comparison, report sections and trace artifacts
+ * Usage: node test/test-main-thread.js
+ */
+
+import { existsSync, mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { summarizeTrace, stopTrace, startTrace, markJourneyStart, getTraceOptions, JOURNEY_MARK } from '../src/utils/trace.js';
+import { MainThreadAnalyzer, formatMainThreadSummary } from '../src/analyzers/main-thread-analyzer.js';
+import { URLAnalyzer } from '../src/analyzers/url-analyzer.js';
+import { runFormComparison, analyzeSingleForm, createFormAnalyzers, detectCriticalIssues } from '../src/pipeline.js';
+import { FormPRReporter } from '../src/reporters/pr-reporter-form.js';
+import { MarkdownReporter } from '../src/reporters/markdown-reporter.js';
+import { HTMLReporter } from '../src/reporters/html-reporter.js';
+import { writeTraceFiles } from '../src/utils/artifacts.js';
+import { start, check, finish } from './helpers.js';
+
+start('Main-Thread Activity');
+
+const pageUrl = 'https://main--forms--org.aem.live/forms/apply';
+const formScript = 'https://main--forms--org.aem.live/blocks/form/form.js';
+const tagScript = 'https://tags.vendor.com/tag.js?v=3';
+
+// Complete event on the page's main thread (times in ms, traces use µs)
+const task = (name, ts, dur, args = {}, pid = 1) => ({ ph: 'X', pid, tid: 1, name, ts: ts * 1000, dur: dur * 1000, args });
+
+const events = [
+  { ph: 'M', pid: 1, tid: 1, name: 'thread_name', args: { name: 'CrRendererMain' } },
+  { ph: 'M', pid: 2, tid: 1, name: 'thread_name', args: { name: 'CrRendererMain' } },
+  { ph: 'R', pid: 1, tid: 1, name: 'navigationStart', ts: 1000 * 1000 },
+  task('RunTask', 900, 5, {}, 2), // Another renderer (an iframe, a service worker page)
+  task('RunTask', 1100, 120),
+  task('EvaluateScript', 1100, 100, { data: { url: formScript } }),
+  task('v8.compile', 1100, 10),
+  task('Layout', 1150, 20),
+  task('RunTask', 1300, 30),
+  task('Paint', 1305, 20),
+  task('RunTask', 1400, 80),
+  task('MinorGC', 1410, 60),
+  { ph: 'R', pid: 1, tid: 1, name: JOURNEY_MARK, ts: 1500 * 1000 },
+  task('RunTask', 1600, 70),
+  task('FunctionCall', 1602, 65, { data: { url: tagScript } })
+];
+
+console.log('TEST 1: Trace summary');
+const summary = summarizeTrace(events, pageUrl);
+check(summary.categories.script === 145 && summary.categories.styleLayout === 20 && summary.categories.paint === 20 && summary.categories.gc === 60, 'self time by category (nested events subtracted)');
+check(summary.categories.other === 55 && summary.total === 300, 'task overhead as other, total busy time');
+check(summary.scripts[0].url === formScript && summary.scripts[0].time === 100 && summary.scripts[1].time === 65, 'script time includes the layout and compile it triggered');
+check(summary.longTaskCount === 3 && summary.longTasks.map(longTask => longTask.duration).join() === '120,80,70', 'long tasks over 50ms, longest first');
+const [first, gc, journey] = summary.longTasks;
+check(first.start === 100 && first.url === formScript && first.category === 'script' && first.phase === 'load', 'long task start since navigation, script and work');
+check(gc.url === null && gc.category === 'gc', 'tasks without a script keep their category');
+check(journey.phase === 'journey' && journey.url === tagScript, 'tasks after the journey mark belong to the journey');
+check(summary.blockingTime === 120, 'blocking time over 50ms per task');
+check(summarizeTrace(events, pageUrl, { maxLongTasks: 1, maxScripts: 1 }).longTasks.length === 1, 'long tasks and scripts capped');
+check(summarizeTrace([], pageUrl).total === 0, 'empty trace');
+
+console.log('\nTEST 2: Capture');
+let started = null;
+const tracedPage = {
+  tracing: {
+    start: async options => { started = options; },
+    stop: async () => Buffer.from(JSON.stringify({ traceEvents: events }))
+  },
+  evaluate: async (fn, mark) => { started.mark = mark; }
+};
+await startTrace(tracedPage);
+check(started.categories.includes('devtools.timeline') && started.categories[0] === '-*', 'timeline categories recorded');
+await markJourneyStart(tracedPage);
+check(started.mark === JOURNEY_MARK, 'journey start marked in the page');
+const stopped = await stopTrace(tracedPage, pageUrl, getTraceOptions(null));
+check(Buffer.isBuffer(stopped.trace) && stopped.mainThread.total === 300, 'trace kept and summarized');
+check((await stopTrace(tracedPage, pageUrl, getTraceOptions({ trace: { save: false } }))).trace === null, 'trace dropped with save: false');
+check(getTraceOptions(null).enabled === false, 'off by default');
+check(new URLAnalyzer({ trace: { enabled: true }, browser: { concurrency: 3 } }).browserPool.getOptions().concurrency === 1 &&
+  new URLAnalyzer({ browser: { concurrency: 3 } }).browserPool.getOptions().concurrency === 3, 'traced loads run one at a time');
+
+console.log('\nTEST 3: Comparison');
+const analyzer = new MainThreadAnalyzer({ thresholds: { mainThread: { maxIncrease: 100 } } });
+const jsFiles = [{ filename: 'blocks/form/form.js', content: '' }];
+const slower = {
+  ...summary,
+  pageUrl: 'https://feature--forms--org.aem.live/forms/apply',
+  total: 520,
+  categories: { ...summary.categories, script: 325, styleLayout: 60 },
+  scripts: [{ url: formScript.replace('main--', 'feature--'), time: 280 }, { url: tagScript, time: 65 }]
+};
+const before = analyzer.analyze(summary, { jsFiles });
+const after = analyzer.analyze(slower, { jsFiles });
+check(before.scripts[0].file === 'blocks/form/form.js' && before.longTasks[0].file === 'blocks/form/form.js' && before.scripts[1].file === null, 'scripts and long tasks mapped to repo files');
+check(formatMainThreadSummary(before) === '300ms busy: script evaluation 145ms, garbage collection 60ms, other 55ms - 3 long task(s)', 'one-line summary');
+
+const comparison = analyzer.compare(before, after);
+check(comparison.total.delta === 220 && comparison.categories.find(category => category.category === 'script').delta === 180, 'total and category deltas');
+check(comparison.scripts[0].before === 100 && comparison.scripts[0].delta === 180, 'scripts matched across deployments');
+const [issue] = comparison.newIssues;
+check(issue?.type === 'main-thread-regression' && issue.severity === 'warning' && issue.file === 'blocks/form/form.js', 'longer main thread reported on the script that grew');
+check(issue.message === 'The main thread is busy 220ms longer while the form loads: 520ms (was 300ms) - script evaluation +180ms, most in blocks/form/form.js (+180ms)', 'message names the category and the script');
+check(analyzer.compare(before, analyzer.analyze({ ...summary, total: 380 })).newIssues.length === 0, 'within the threshold');
+const sampled = (total, samples) => analyzer.analyze({ ...summary, total, samples: { total: samples } });
+check(analyzer.compare(sampled(300, [300, 280, 320, 300, 290]), sampled(500, [290, 520, 300, 280, 500])).newIssues.length === 0, 'sampled: no issue without a significant change');
+check(analyzer.compare(sampled(300, [300, 280, 320, 300, 290]), sampled(520, [500, 520, 540, 510, 530])).newIssues.length === 1, 'sampled: significantly longer reported');
+
+console.log('\nTEST 4: Sampled runs');
+const urlAnalyzer = new URLAnalyzer({ sampling: { runs: 3, warmupRuns: 0 }, trace: { enabled: true }, screenshots: { enabled: false } });
+let run = 0;
+urlAnalyzer.analyze = async url => {
+  run++;
+  return {
+    url,
+    formJson: { id: 'apply' },
+    performanceMetrics: { formRendered: true, loadTime: 1000 },
+    mainThread: { ...summary, total: 300 + run * 10, categories: { ...summary.categories, script: 145 + run * 10 } }
+  };
+};
+const pair = await urlAnalyzer.analyzePair(pageUrl, slower.pageUrl);
+const aggregated = pair.afterData.mainThread;
+check(aggregated.samples.total.length === 3 && aggregated.total === [...aggregated.samples.total].sort((a, b) => a - b)[1], 'total becomes the median with its samples');
+check(aggregated.categories.script === aggregated.total - 155 && aggregated.longTasks.length === 3, 'categories are medians, long tasks from the first run');
+
+console.log('\nTEST 5: Pipeline and reports');
+const config = { thresholds: { mainThread: { maxIncrease: 100 } } };
+const results = await runFormComparison(
+  { formJson: null, mainThread: summary },
+  { formJson: null, mainThread: slower },
+  { config, jsFiles }
+);
+check(results.mainThread.newIssues[0]?.ruleId === 'main-thread-regression' && results.mainThread.newIssues[0].fingerprint, 'issues normalized with a fingerprint');
+check(!detectCriticalIssues(results).hasCritical, 'a busier main thread is a warning, not a failure');
+
+const section = new FormPRReporter().buildMainThreadSection(results.mainThread);
+check(section.includes('### Main-Thread Activity') && section.includes('| Script evaluation | 145ms | 325ms | +180ms |') && section.includes('| **Total** | 300ms | 520ms | +220ms |'), 'PR comment lists time by category');
+check(section.includes('| `blocks/form/form.js` | 280ms | +180ms |') && section.includes('| `tags.vendor.com/tag.js` | 65ms | 0ms |'), 'PR comment lists the busiest scripts');
+check(section.includes('| 100ms | 120ms | `blocks/form/form.js` | script evaluation |') && section.includes('| 600ms (journey) | 70ms |'), 'PR comment lists the longest tasks with their scripts');
+check(new FormPRReporter().buildMarkdownReport(results, {}).includes('### Main-Thread Activity'), 'section in the PR comment');
+check(new FormPRReporter().buildMainThreadSection({ categories: [], scripts: [], newIssues: [], resolvedIssues: [] }) === '', 'no section without traces');
+check(new MarkdownReporter().generateComparisonReport(results, {}, 0).includes('### Main-Thread Activity'), 'section in the markdown report');
+const html = new HTMLReporter().buildMainThreadSection(results.mainThread);
+check(html.includes('Main-Thread Activity') && html.includes('<td>Garbage collection</td>') && html.includes('<small>(journey)</small>'), 'HTML report shows categories and long tasks');
+
+const analyzers = await createFormAnalyzers(config);
+const formResult = await analyzeSingleForm({ url: pageUrl, formJson: { items: [] }, mainThread: summary }, { analyzers, config, jsFiles });
+check(formResult.mainThread?.total === 300 && formResult.mainThread.longTasks[0].file === 'blocks/form/form.js' && !formResult.mainThread.issues, 'scan records main-thread time');
+check(new MarkdownReporter().generateScanReport([formResult]).includes('- **Main thread:** 300ms busy: script evaluation 145ms'), 'main-thread line in the scan report');
+
+const dir = mkdtempSync(join(tmpdir(), 'perf-bot-trace-'));
+try {
+  const written = writeTraceFiles(dir, [{ label: pageUrl, suffix: 'after', data: { trace: stopped.trace } }, { label: pageUrl, suffix: 'before', data: {} }]);
+  check(written.length === 1 && written[0].endsWith('forms-apply-after.trace.json') && existsSync(written[0]), 'trace written as an artifact');
+} finally {
+  rmSync(dir, { recursive: true, force: true });
+}
+
+finish('main-thread');
@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+
+/**
+ * Tests network recording (HAR export), request summaries, budgets and the before/after request diff
+ * Usage: node test/test-network.js
+ */
+
+import { EventEmitter } from 'events';
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { NetworkRecorder } from '../src/utils/network-recorder.js';
+import { NetworkAnalyzer } from '../src/analyzers/network-analyzer.js';
+import { runFormComparison, detectCriticalIssues } from '../src/pipeline.js';
+import { FormPRReporter } from '../src/reporters/pr-reporter-form.js';
+import { writeHARFiles, getArtifactName } from '../src/utils/artifacts.js';
+import { start, check, finish } from './helpers.js';
+
+start('Network Recording');
+
+// A DevTools session that replays protocol events
+class FakeSession extends EventEmitter {
+  async send() {}
+  async detach() {}
+}
+const session = new FakeSession();
+const page = { createCDPSession: async () => session };
+const timing = (requestTime, wait) => ({
+  requestTime, dnsStart: 1, dnsEnd: 5, connectStart: 5, connectEnd: 30, sslStart: 10, sslEnd: 30,
+  sendStart: 31, sendEnd: 32, receiveHeadersEnd: 32 + wait
+});
+const request = (requestId, url, type, timestamp, extra = {}) => session.emit('Network.requestWillBeSent', {
+  requestId, type, timestamp, wallTime: 1760000000 + timestamp,
+  request: { url, method: 'GET', headers: { accept: '*/*' } },
+  initiator: { type: 'parser', url: 'https://main--forms--org.aem.live/forms/apply' },
+  ...extra
+});
+const response = (requestId, url, timestamp, extra = {}) => session.emit('Network.responseReceived', {
+  requestId, timestamp, type: extra.type,
+  response: { url, status: 200, statusText: 'OK', mimeType: 'text/javascript', headers: {}, timing: timing(timestamp - 0.1, 40), ...extra.response }
+});
+const loadingFinished = (requestId, timestamp, encodedDataLength) => session.emit('Network.loadingFinished', { requestId, timestamp, encodedDataLength });
+
+console.log('TEST 1: Recording requests');
+const recorder = new NetworkRecorder();
+await recorder.attach(page);
+const base = 'https://main--forms--org.aem.live';
+request('1', `${base}/forms/apply`, 'Document', 10.0);
+response('1', `${base}/forms/apply`, 10.2, { response: { mimeType: 'text/html' } });
+session.emit('Network.dataReceived', { requestId: '1', dataLength: 60000 });
+loadingFinished('1', 10.3, 15000);
+// Redirected script: the same request id continues after the redirect
+request('2', `${base}/scripts/aem.js`, 'Script', 10.4);
+request('2', `${base}/scripts/aem.js?v=2`, 'Script', 10.5, {
+  redirectResponse: { url: `${base}/scripts/aem.js`, status: 301, statusText: 'Moved', headers: { location: '/scripts/aem.js?v=2' }, mimeType: '' }
+});
+response('2', `${base}/scripts/aem.js?v=2`, 10.7);
+loadingFinished('2', 10.8, 30000);
+request('3', `${base}/icons/logo.svg`, 'Image', 10.9);
+session.emit('Network.requestServedFromCache', { requestId: '3' });
+response('3', `${base}/icons/logo.svg`, 10.91, { response: { mimeType: 'image/svg+xml', timing: undefined } });
+loadingFinished('3', 10.92, 0);
+recorder.markFormRendered();
+await new Promise(resolve => setTimeout(resolve, 5));
+request('4', 'https://www.googletagmanager.com/gtm.js', 'Script', 11.5);
+session.emit('Network.loadingFailed', { requestId: '4', timestamp: 11.6, errorText: 'net::ERR_BLOCKED_BY_CLIENT' });
+request('5', `${base}/forms/apply/submit`, 'Fetch', 12.0);
+
+const requests = recorder.getRequests();
+check(requests.length === 6, `every request recorded, redirect hop and in-flight request included (${requests.length})`);
+check(requests[0].transferSize === 15000 && requests[0].resourceSize === 60000 && requests[0].resourceType === 'document', 'sizes and resource type');
+check(requests[1].status === 301 && requests[2].url.endsWith('?v=2') && requests[2].status === 200, 'redirect recorded as its own hop');
+check(requests[3].cache === 'memory' && requests[3].transferSize === 0, 'cache status');
+check(requests[4].failed && requests[4].errorText === 'net::ERR_BLOCKED_BY_CLIENT', 'failed request kept with its error');
+check(requests.filter(r => r.beforeRender).length === 4, 'requests before form render');
+check(requests[0].initiator.type === 'parser' && requests[2].startTime === 500, 'initiator and start time');
+
+console.log('\nTEST 2: HAR export');
+const har = recorder.toHAR({ url: `${base}/forms/apply`, title: 'Apply', loadTime: 2000 });
+const entries = har.log.entries;
+check(har.log.version === '1.2' && har.log.pages[0].title === 'Apply' && entries.length === 6, 'HAR 1.2 log with a page and every entry');
+check(entries.every(entry => entry.pageref === 'page_1' && !Number.isNaN(Date.parse(entry.startedDateTime))), 'entries reference the page with valid start dates');
+check(entries.every(entry => ['blocked', 'dns', 'connect', 'ssl', 'send', 'wait', 'receive'].every(phase => entry.timings[phase] >= -1) && entry.time >= 0), 'timings valid (-1 = not applicable)');
+const documentEntry = entries[0];
+check(documentEntry.timings.dns === 4 && documentEntry.timings.connect === 25 && documentEntry.timings.wait === 40, 'connection phases from resource timing');
+check(entries[1].response.redirectURL === '/scripts/aem.js?v=2' && entries[2].request.queryString[0]?.name === 'v', 'redirect URL and query string');
+check(entries[3]._cache === 'memory' && entries[4]._error === 'net::ERR_BLOCKED_BY_CLIENT', 'cache status and error kept');
+
+console.log('\nTEST 3: Summary and budgets');
+const analyzer = new NetworkAnalyzer({
+  thresholds: { network: { maxRequests: 5, maxScriptSize: 20000 } },
+  network: { firstPartyDomains: ['adobeaemcloud.com'] }
+});
+const pageUrl = `${base}/forms/apply`;
+const analysis = analyzer.analyze({ pageUrl, requests });
+const summary = analysis.summary;
+check(summary.requests === 6 && summary.transferSize === 45000, 'totals');
+check(summary.byType.script.requests === 3 && summary.byType.script.transferSize === 30000, 'bytes by resource type');
+check(summary.thirdParty.requests === 1 && summary.thirdParty.domains[0] === 'www.googletagmanager.com', 'first party vs third party');
+check(summary.requestsBeforeRender === 4 && summary.failedRequests === 1 && summary.cachedRequests === 1, 'before render, failed and cached counts');
+check(analysis.issues.map(issue => issue.type).join() === 'network-request-budget,network-script-budget', 'budgets crossed raise issues');
+check(analysis.issues[1].message === '29.3 KB of JavaScript transferred (budget: 19.5 KB)', 'budget message');
+check(new NetworkAnalyzer().analyze({ pageUrl, requests: [{ url: 'https://forms.adobeaemcloud.com/submit', resourceType: 'fetch' }] }).summary.thirdParty.requests === 1 &&
+  analyzer.analyze({ pageUrl, requests: [{ url: 'https://forms.adobeaemcloud.com/submit', resourceType: 'fetch' }] }).summary.firstParty.requests === 1,
+  'network.firstPartyDomains');
+
+console.log('\nTEST 4: Before/after comparison');
+const branch = 'https://feature--forms--org.aem.live';
+const toBranch = r => ({ ...r, url: r.url.replace(base, branch) });
+const afterRequests = [
+  ...requests.filter(r => !r.url.includes('logo.svg')).map(toBranch),
+  { url: `${branch}/blocks/form/widgets/datepicker.js`, method: 'GET', resourceType: 'script', transferSize: 42000, beforeRender: true },
+  { url: 'https://cdn.chat.example/widget.js', method: 'GET', resourceType: 'script', transferSize: 80000, beforeRender: true }
+];
+afterRequests[0] = { ...afterRequests[0], transferSize: 19000 };
+const beforeData = { formJson: null, network: { pageUrl, requests } };
+const afterData = { formJson: null, network: { pageUrl: `${branch}/forms/apply`, requests: afterRequests } };
+const config = { thresholds: { network: { maxRequests: 100, maxScriptSize: 100000 } } };
+const results = await runFormComparison(beforeData, afterData, { config });
+const { requestDiff, newIssues, delta } = results.network;
+check(requestDiff.added.length === 2 && requestDiff.added[0].url === 'https://cdn.chat.example/widget.js', 'added requests (largest first), branch host matched to main host');
+check(requestDiff.removed.length === 1 && requestDiff.removed[0].url.endsWith('logo.svg'), 'removed request');
+check(requestDiff.changed.length === 1 && requestDiff.changed[0].before === 15000, 'request that grew');
+check(delta.transferSize === 4000 + 42000 + 80000 && delta.thirdPartyRequests === 1, 'summary deltas');
+check(newIssues.length === 1 && newIssues[0].type === 'network-script-budget' && newIssues[0].ruleId === 'network-script-budget', 'budget newly crossed is a new issue');
+const critical = detectCriticalIssues(results);
+check(critical.hasCritical && critical.issues.some(issue => issue.startsWith('Network budget exceeded: ')), 'new budget violation fails the check');
+const unchanged = await runFormComparison(afterData, afterData, { config });
+check(unchanged.network.newIssues.length === 0 && !detectCriticalIssues(unchanged).hasCritical, 'budget already exceeded before is not new');
+
+console.log('\nTEST 5: PR comment and HAR files');
+const section = new FormPRReporter().buildNetworkSection(results.network);
+check(section.includes('### Network Requests') && section.includes('| **JavaScript** | 29.3 KB | 148.4 KB | +119.1 KB | Over budget (new) |'), 'totals table with budget status');
+check(section.includes('Request changes: 2 added, 1 removed, 1 changed') && section.includes('`cdn.chat.example/widget.js`') && section.includes('`/blocks/form/widgets/datepicker.js`'), 'request diff listed');
+const dir = mkdtempSync(join(tmpdir(), 'perf-bot-har-'));
+try {
+  const written = writeHARFiles(dir, [
+    { label: pageUrl, suffix: 'before', data: { har } },
+    { label: 'forms/apply.form.json', data: { har: null } }
+  ]);
+  check(written.length === 1 && written[0].endsWith('forms-apply-before.har'), 'HAR written per analyzed URL');
+  check(JSON.parse(readFileSync(written[0], 'utf-8')).log.entries.length === 6, 'HAR file is valid JSON');
+  check(getArtifactName('https://x.aem.live/') === 'form', 'artifact name for a root URL');
+} finally {
+  rmSync(dir, { recursive: true, force: true });
+}
+
+finish('network');
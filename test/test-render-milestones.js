@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+
+/**
+ * Tests form render milestones: the in-page observer, page/runtime phases, the before/after
+ * comparison and report sections
+ * Usage: node test/test-render-milestones.js
+ */
+
+import {
+  installRenderMilestones, startRenderMilestones, collectRenderMilestones, summarizeRenderMilestones,
+  getRenderMilestoneOptions, FORM_FIELD_SELECTOR
+} from '../src/utils/render-milestones.js';
+import { RenderMilestonesAnalyzer, formatRenderMilestones } from '../src/analyzers/render-milestones-analyzer.js';
+import { URLAnalyzer } from '../src/analyzers/url-analyzer.js';
+import { runFormComparison, analyzeSingleForm, createFormAnalyzers, detectCriticalIssues } from '../src/pipeline.js';
+import { FormPRReporter } from '../src/reporters/pr-reporter-form.js';
+import { HTMLReporter } from '../src/reporters/html-reporter.js';
+import { start, check, finish } from './helpers.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+start('Render Milestones');
+
+console.log('TEST 1: In-page observer');
+let installed = null;
+await startRenderMilestones({ evaluateOnNewDocument: async (fn, options) => { installed = { fn, options }; } }, getRenderMilestoneOptions(null));
+check(installed.fn === installRenderMilestones && installed.options.fieldSelector === FORM_FIELD_SELECTOR && installed.options.modelGlobal === 'myForm', 'observer installed with the render check fields and model global');
+
+// A page that adds the form, then fields - one of them hidden
+const dom = { form: null, fields: [] };
+const listeners = {};
+let mutated = null;
+let disconnected = false;
+globalThis.window = {};
+globalThis.document = {
+  querySelector: selector => (selector === 'div.form form' ? dom.form : dom.fields[0] || null),
+  querySelectorAll: () => dom.fields,
+  addEventListener: (name, listener) => { listeners[name] = listener; }
+};
+globalThis.MutationObserver = class {
+  constructor(callback) { mutated = callback; }
+  observe() {}
+  disconnect() { disconnected = true; }
+};
+globalThis.requestAnimationFrame = callback => setTimeout(callback, 0);
+const field = visible => ({ getClientRects: () => (visible ? [{}] : []) });
+
+installRenderMilestones({ formSelector: 'div.form form', fieldSelector: 'div.form input', modelGlobal: 'myForm', readyEvent: 'form:ready' });
+const milestones = globalThis.window.__perfBotMilestones;
+mutated();
+check(milestones.formCreated === null && milestones.firstField === null, 'nothing recorded before the form exists');
+await sleep(5);
+dom.form = {};
+mutated();
+check(milestones.formCreated !== null && milestones.firstField === null, 'form element recorded');
+await sleep(5);
+dom.fields.push(field(true), field(false));
+mutated();
+check(milestones.firstField >= milestones.formCreated, 'first field recorded');
+await sleep(5);
+check(milestones.visibleFields === 1 && milestones.allFieldsVisible >= milestones.firstField, 'hidden fields not counted as rendered');
+dom.fields.push(field(true));
+mutated();
+mutated();
+await sleep(5);
+check(milestones.visibleFields === 2, 'visible fields counted once per frame');
+globalThis.window.myForm = { id: 'apply' };
+const ready = milestones.modelReady;
+listeners['form:ready']();
+check(ready !== null && milestones.modelReady === ready && globalThis.window.myForm.id === 'apply', 'model assignment marks ready, still readable by the page');
+
+const page = { evaluate: (fn, ...args) => fn(...args) };
+const started = Date.now();
+const collected = await collectRenderMilestones(page, { settleTime: 30 });
+check(disconnected && Date.now() - started >= 20, 'waits for the fields to settle, then stops observing');
+check(collected.visibleFields === 2 && Number.isInteger(collected.formCreated) && !('lastChange' in collected), 'rounded milestones returned');
+delete globalThis.window.__perfBotMilestones;
+check(await collectRenderMilestones(page) === null, 'nothing installed, nothing collected');
+check(summarizeRenderMilestones({ firstField: 10.6 }).formCreated === null && summarizeRenderMilestones({ firstField: 10.6 }).firstField === 11, 'missing milestones stay null');
+
+console.log('\nTEST 2: Phases and comparison');
+const analyzer = new RenderMilestonesAnalyzer({ thresholds: { renderMilestones: { maxIncrease: 300 } } });
+const before = analyzer.analyze({ formCreated: 800, firstField: 900, allFieldsVisible: 1500, visibleFields: 20, modelReady: 1400 });
+check(before.phases.page === 800 && before.phases.runtime === 700, 'page until the form, runtime until all fields');
+check(analyzer.analyze({ formCreated: null, firstField: 900, allFieldsVisible: null }).phases.runtime === 0, 'forms without a <form> element start at the first field');
+check(formatRenderMilestones(before) === 'all 20 fields at 1500ms (page 800ms, form runtime 700ms), model ready at 1400ms', 'one-line summary');
+
+const slowerRuntime = analyzer.compare(before, analyzer.analyze({ formCreated: 820, firstField: 950, allFieldsVisible: 2300, visibleFields: 20, modelReady: 1500 }));
+check(slowerRuntime.deltas.find(milestone => milestone.key === 'allFieldsVisible').delta === 800 && slowerRuntime.phases.runtime.delta === 780, 'milestone and phase deltas');
+check(slowerRuntime.newIssues.length === 1 && slowerRuntime.newIssues[0].milestone === 'allFieldsVisible' && slowerRuntime.newIssues[0].phase === 'runtime', 'later milestone over the threshold reported');
+check(slowerRuntime.newIssues[0].message.includes('the form runtime grew by 780ms') && slowerRuntime.newIssues[0].severity === 'warning', 'blamed on the form runtime');
+
+const slowerPage = analyzer.compare(before, analyzer.analyze({ formCreated: 1800, firstField: 1900, allFieldsVisible: 2500, visibleFields: 20, modelReady: 2400 }));
+check(slowerPage.newIssues.length === 2 && slowerPage.newIssues.every(issue => issue.phase === 'page' && issue.message.includes('the page before the form grew by 1000ms')), 'blamed on the page');
+
+const sampled = (median, samples) => analyzer.analyze({ formCreated: 800, firstField: 900, allFieldsVisible: median, modelReady: null, visibleFields: 20, samples: { allFieldsVisible: samples } });
+const sampledBefore = sampled(1500, [1500, 1400, 1600, 1500, 1450]);
+check(analyzer.compare(sampledBefore, sampled(2000, [1400, 2200, 1500, 1450, 2000])).newIssues.length === 0, 'sampled: no issue without a significant change');
+check(analyzer.compare(sampledBefore, sampled(2050, [2000, 2100, 2050, 2200, 1990])).newIssues.length === 1, 'sampled: significantly later milestone reported');
+
+console.log('\nTEST 3: Sampled runs');
+const urlAnalyzer = new URLAnalyzer({ sampling: { runs: 3, warmupRuns: 0 }, screenshots: { enabled: false } });
+let run = 0;
+urlAnalyzer.analyze = async url => {
+  run++;
+  return {
+    url,
+    formJson: { id: 'apply' },
+    performanceMetrics: { formRendered: true, loadTime: 1000, renderMilestones: { formCreated: 800 + run, firstField: 900, allFieldsVisible: 1500 + run * 10, visibleFields: 20, modelReady: null } }
+  };
+};
+const pair = await urlAnalyzer.analyzePair('https://main--forms--org.aem.live/forms/apply', 'https://feature--forms--org.aem.live/forms/apply');
+const aggregated = pair.afterData.performanceMetrics.renderMilestones;
+check(aggregated.samples.allFieldsVisible.length === 3 && aggregated.allFieldsVisible === Math.round([...aggregated.samples.allFieldsVisible].sort((a, b) => a - b)[1]), 'milestones become medians with their samples');
+check(aggregated.modelReady === null && aggregated.samples.modelReady.length === 0, 'milestones never reached stay null');
+
+console.log('\nTEST 4: Pipeline and reports');
+const config = { thresholds: { renderMilestones: { maxIncrease: 300 } } };
+const results = await runFormComparison(
+  { formJson: null, performanceMetrics: { renderMilestones: { formCreated: 800, firstField: 900, allFieldsVisible: 1500, visibleFields: 20, modelReady: 1400 } } },
+  { formJson: null, performanceMetrics: { renderMilestones: { formCreated: 820, firstField: 950, allFieldsVisible: 2300, visibleFields: 24, modelReady: 1500 } } },
+  { config }
+);
+check(results.renderMilestones.newIssues[0]?.ruleId === 'slower-form-render' && results.renderMilestones.newIssues[0].fingerprint, 'issues normalized with a fingerprint');
+check(!detectCriticalIssues(results).hasCritical, 'a later render is a warning, not a failure');
+
+const section = new FormPRReporter().buildRenderMilestonesSection(results.renderMilestones);
+check(section.includes('### Form Render Milestones') && section.includes('| **All visible fields** | 1500ms | 2300ms | +800ms |'), 'PR comment lists milestones');
+check(section.includes('| *Form runtime (until all fields rendered)* | 700ms | 1480ms | +780ms |') && section.includes('the form runtime grew by 780ms'), 'PR comment shows the phases and the blame');
+check(new FormPRReporter().buildMarkdownReport(results, {}).includes('### Form Render Milestones'), 'section in the PR comment');
+check(new FormPRReporter().buildRenderMilestonesSection({ deltas: [], newIssues: [], resolvedIssues: [] }) === '', 'no section without milestones');
+const html = new HTMLReporter().buildRenderMilestonesSection(results.renderMilestones);
+check(html.includes('<td><em>Page</em></td>') && html.includes('+780ms') && html.includes('24 after the change'), 'HTML report shows milestones and phases');
+
+const analyzers = await createFormAnalyzers(config);
+const formResult = await analyzeSingleForm({
+  url: 'https://main--forms--org.aem.live/forms/apply',
+  formJson: { items: [] },
+  performanceMetrics: { renderMilestones: { formCreated: 800, firstField: 900, allFieldsVisible: 1500, visibleFields: 20, modelReady: null } }
+}, { analyzers, config });
+check(formResult.renderMilestones?.phases.runtime === 700 && !formResult.renderMilestones.issues, 'scan records milestones and phases');
+
+finish('render milestone');
@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+
+/**
+ * Tests repeatable panel scaling: per-instance cost, rules reading every instance, the growth
+ * measured by adding instances in af-core and report sections
+ * Usage: node test/test-repeatables.js
+ */
+
+import { RepeatableAnalyzer, formatRepeatableSummary, formatMeasuredScaling } from '../src/analyzers/repeatable-analyzer.js';
+import { RulePerformanceAnalyzer } from '../src/analyzers/rule-performance-analyzer.js';
+import { runFormComparison, analyzeSingleForm, createFormAnalyzers, detectCriticalIssues } from '../src/pipeline.js';
+import { FormPRReporter } from '../src/reporters/pr-reporter-form.js';
+import { MarkdownReporter } from '../src/reporters/markdown-reporter.js';
+import { HTMLReporter } from '../src/reporters/html-reporter.js';
+import { start, check, finish } from './helpers.js';
+
+start('Repeatable Panels');
+
+const createForm = ({ shareRule = '100 / count($form.nominees.nominee)', nomineeMax = 10 } = {}) => ({
+  id: 'loan',
+  fieldType: 'form',
+  items: [
+    {
+      name: 'coApplicant',
+      fieldType: 'panel',
+      type: 'object',
+      repeatable: true,
+      minOccur: 1,
+      maxOccur: 3,
+      label: { value: 'Co-applicant' },
+      items: [
+        { name: 'income', fieldType: 'number-input', type: 'number' },
+        { name: 'tax', fieldType: 'number-input', type: 'number', rules: { value: 'income * 0.3' } },
+        { name: 'relation', fieldType: 'drop-down', enum: ['spouse', 'parent', 'child'], events: { initialize: ['loadRelations()'] } }
+      ]
+    },
+    {
+      name: 'nominees',
+      fieldType: 'panel',
+      items: [{
+        name: 'nominee',
+        fieldType: 'panel',
+        type: 'object',
+        repeatable: true,
+        minOccur: 1,
+        maxOccur: nomineeMax,
+        items: [
+          { name: 'nomineeName', fieldType: 'text-input' },
+          { name: 'share', fieldType: 'number-input', type: 'number', rules: { value: shareRule } },
+          { name: 'guardian', fieldType: 'text-input', rules: { visible: '$form.minor == true' } }
+        ]
+      }]
+    },
+    { name: 'minor', fieldType: 'checkbox', type: 'boolean' },
+    { name: 'total', fieldType: 'number-input', type: 'number', rules: { value: 'sum($form.coApplicant[*].income)' } }
+  ]
+});
+
+console.log('TEST 1: Per-instance cost');
+const analyzer = new RepeatableAnalyzer(null);
+const analysis = analyzer.analyze(createForm());
+const [coApplicant, nominee] = analysis.panels;
+check(analysis.panels.map(panel => panel.path).join() === 'coApplicant,nominees.nominee', 'repeatable panels found at any depth');
+check(coApplicant.minOccur === 1 && coApplicant.maxOccur === 3 && coApplicant.label === 'Co-applicant', 'minOccur, maxOccur and label');
+check(coApplicant.perInstance.components === 4 && coApplicant.perInstance.domNodes === 18, 'components and estimated DOM nodes per instance');
+check(coApplicant.perInstance.executions === 3 && coApplicant.perInstance.dependencies === 3, 'rules, initialize events and outside totals run per instance');
+check(coApplicant.aggregates.length === 1 && coApplicant.aggregates[0].field === 'total', 'rules outside reading every instance');
+check(coApplicant.projected.instances === 3 && coApplicant.projected.domNodes === 54, 'projection capped by maxOccur');
+check(nominee.crossInstance.map(rule => rule.field).join() === 'share', 'rules inside reading every instance');
+check(nominee.readsOutside.length === 1 && nominee.readsOutside[0].fields.join() === 'minor', 'rules inside reading fields outside');
+check(nominee.projected.instances === 5 && nominee.projected.executions === 20, 'cross-instance rules re-run in the instances already there');
+check(new RepeatableAnalyzer({ repeatables: { instances: 3 } }).analyze(createForm()).panels[1].projected.executions === 9, 'instances from config');
+check(formatRepeatableSummary(analysis) === '2 repeatable panel(s) - coApplicant: 4 component(s), ~18 DOM node(s), 3 rule execution(s), 3 dependenc(ies) per instance', 'one-line summary');
+check(analyzer.analyze(null).error && analyzer.analyze({ items: [] }).panels.length === 0, 'missing forms and forms without repeatable panels');
+
+console.log('\nTEST 2: Thresholds');
+check(analysis.issues.length === 0, 'defaults leave small panels alone');
+const config = { thresholds: { repeatables: { maxDomNodes: 60, maxRuleExecutions: 15 } } };
+const strict = new RepeatableAnalyzer(config).analyze(createForm());
+check(strict.issues.length === 1 && strict.issues[0].type === 'repeatable-scaling' && strict.issues[0].field === 'nominee', 'panel over the thresholds at the projected instances');
+check(strict.issues[0].message === 'Repeatable panel "nominee" at 5 instance(s) costs ~75 DOM node(s) (threshold 60) and 20 rule execution(s) (threshold 15) - each instance adds 4 component(s), ~15 DOM node(s), 2 rule execution(s), 1 dependenc(ies)', 'message names what is over the threshold');
+check(strict.issues[0].recommendation.startsWith('Rules "value" on "share" read every instance'), 'recommendation names the cross-instance rules');
+const ignored = createForm();
+ignored.items[1].items[0]['perf-bot:ignore'] = { rules: 'repeatable-scaling', reason: 'Nominees are capped at 2 by the journey' };
+check(new RepeatableAnalyzer(config).analyze(ignored).suppressedIssues.length === 1, 'perf-bot:ignore on the panel suppresses its issue');
+check(new RepeatableAnalyzer({ thresholds: { repeatables: { maxDomNodes: null, maxRuleExecutions: 15 } } }).analyze(createForm()).issues[0].message.includes('costs 20 rule execution(s)'), 'null turns a threshold off');
+
+console.log('\nTEST 3: Instances added in af-core');
+const rules = await new RulePerformanceAnalyzer(null).analyze(createForm());
+const measuredCoApplicant = rules.repeatableScaling.find(panel => panel.name === 'coApplicant');
+const measuredNominee = rules.repeatableScaling.find(panel => panel.name === 'nominee');
+check(rules.repeatableScaling.length === 2 && measuredNominee.path === 'nominees.nominee', 'every repeatable panel measured, matched to its path');
+check(measuredCoApplicant.initial === 1 && measuredCoApplicant.steps.map(step => step.instances).join() === '2,3', 'instances added up to maxOccur');
+check(measuredCoApplicant.steps.every(step => step.executions === 3) && measuredCoApplicant.growth.executions === 1, 'linear panel costs the same for every instance');
+check(measuredNominee.steps.map(step => step.executions).join() === '3,4,5,6' && measuredNominee.growth.executions === 2, 'cross-instance rule makes every instance more expensive');
+check(measuredNominee.steps.every(step => step.dependencies === 2 && typeof step.ruleTime === 'number'), 'dependencies and rule time per added instance');
+check(formatMeasuredScaling(measuredNominee) === '1 → 5 instance(s): 3 → 6 rule execution(s) per added instance (x2)', 'measured growth summary');
+const slowdown = rules.issues.find(issue => issue.type === 'repeatable-slowdown');
+check(slowdown?.field === 'nominee' && rules.issues.length === 1 && rules.totalRules === 4, 'slowdown reported for the growing panel only, rules counted before adding instances');
+check(slowdown.message === 'Repeatable panel "nominee" gets slower with every instance: adding instance 5 ran 6 rule(s) and added 2 dependenc(ies), adding instance 2 ran 3 and added 2', 'slowdown message');
+check((await new RulePerformanceAnalyzer({ repeatables: { measure: false } }).analyze(createForm())).repeatableScaling.length === 0, 'measure: false skips adding instances');
+check((await new RulePerformanceAnalyzer({ thresholds: { repeatables: { maxGrowth: null } } }).analyze(createForm())).issues.length === 0, 'maxGrowth null turns the slowdown off');
+
+console.log('\nTEST 4: Pipeline and reports');
+const results = await runFormComparison({ formJson: createForm({ shareRule: 'nomineeName != null', nomineeMax: 3 }) }, { formJson: createForm() }, { config });
+check(results.repeatables.newIssues.length === 1 && results.repeatables.newIssues[0].fingerprint, 'new threshold issue normalized');
+check(results.ruleCycles.newSlowdowns.length === 1 && results.ruleCycles.newSlowdowns[0].fingerprint && results.ruleCycles.repeatableScaling.length === 2, 'new slowdown and measured panels in the rule results');
+check(!detectCriticalIssues(results).issues.some(issue => issue.toLowerCase().includes('repeatable')), 'repeatable issues never fail the check');
+
+const reporter = new FormPRReporter();
+const section = reporter.buildRepeatablesSection(results.repeatables, results.ruleCycles);
+check(section.includes('### Repeatable Panels') && section.includes('- **repeatable-slowdown**: Repeatable panel "nominee" gets slower'), 'PR comment lists the new issues');
+check(section.includes('| ⚠️ | `nominees.nominee` | 1/10 | 4 comp., ~15 DOM, 2 exec. | ~75 DOM, 20 exec. | 1 → 5 instance(s): 3 → 6 rule execution(s) per added instance (x2) |'), 'PR comment shows estimate and measurement per panel');
+check(reporter.buildMarkdownReport(results, {}).includes('### Repeatable Panels'), 'section in the PR comment');
+check(reporter.calculateFormImpact(results).warnings.includes('1 repeatable panel(s) get expensive with more instances: `nominees.nominee`'), 'warning in the overall assessment');
+const unchanged = await runFormComparison({ formJson: createForm() }, { formJson: createForm() }, { config });
+check(reporter.buildRepeatablesSection(unchanged.repeatables, unchanged.ruleCycles) === '', 'no PR section when nothing new');
+check(new MarkdownReporter().generateComparisonReport(results, {}, 0).includes('### Repeatable Panels'), 'section in the markdown report');
+const html = new HTMLReporter().buildRepeatablesSection(unchanged.repeatables, unchanged.ruleCycles);
+check(html.includes('Repeatable Panels') && html.includes('<code>nominees.nominee</code> <strong>(over threshold)</strong>') && html.includes('reads every instance: <code>share</code>'), 'HTML report lists panels, flags and cross-instance rules');
+
+const analyzers = await createFormAnalyzers(config);
+const formResult = await analyzeSingleForm({ url: 'forms/loan.form.json', formJson: createForm() }, { analyzers, config });
+check(formResult.repeatables?.panels.length === 2 && formResult.repeatables.panels[1].measured?.growth.executions === 2, 'scan records the estimate with the measured growth');
+check(formResult.forms.issues.filter(issue => issue.field === 'nominee').map(issue => issue.type).sort().join() === 'repeatable-scaling,repeatable-slowdown', 'scan lists both repeatable issues with the form issues');
+check(new MarkdownReporter().generateScanReport([formResult]).includes('- **Repeatable panels:** 2 repeatable panel(s) - coApplicant'), 'repeatable line in the scan report');
+
+finish('repeatable panel');
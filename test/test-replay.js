@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+
+/**
+ * Tests record-and-replay of network responses: recording to an archive, replaying it,
+ * live requests for the deployment under test and the report note
+ * Usage: node test/test-replay.js
+ */
+
+import { EventEmitter } from 'events';
+import { existsSync, mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { getReplayOptions, ReplayArchive, ReplayStore, formatReplaySummary } from '../src/utils/replay.js';
+import { URLAnalyzer } from '../src/analyzers/url-analyzer.js';
+import { FormPRReporter } from '../src/reporters/pr-reporter-form.js';
+import { start, check, finish } from './helpers.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+start('Record and Replay');
+
+// CDP session answering Fetch.getResponseBody with the bodies given per URL
+function createPage(bodies = {}) {
+  const session = new EventEmitter();
+  session.sent = [];
+  session.send = async (method, params = {}) => {
+    session.sent.push([method, params]);
+    if (method === 'Fetch.getResponseBody') {
+      const url = session.urls[params.requestId];
+      if (!(url in bodies)) throw new Error('No body');
+      return { body: bodies[url], base64Encoded: false };
+    }
+    return {};
+  };
+  session.detach = async () => session.sent.push(['detach']);
+  session.urls = {};
+  session.pause = async (requestId, url, response = null, method = 'GET') => {
+    session.urls[requestId] = url;
+    session.emit('Fetch.requestPaused', { requestId, request: { url, method }, ...(response || {}) });
+    await sleep(response?.wait ?? 5);
+  };
+  session.answers = requestId => session.sent.filter(([, params]) => params?.requestId === requestId).map(([method]) => method);
+  return { page: { createCDPSession: async () => session }, session };
+}
+
+const pageUrl = 'https://feature--forms--org.aem.live/forms/apply';
+const beforeUrl = 'https://main--forms--org.aem.live/forms/apply';
+const dir = mkdtempSync(join(tmpdir(), 'perf-bot-replay-'));
+
+try {
+  console.log('TEST 1: Options');
+  check(getReplayOptions(null).mode === 'off' && getReplayOptions(null).unmatched === 'fail', 'off by default');
+  let error = null;
+  try {
+    new URLAnalyzer({ replay: { mode: 'sometimes' } });
+  } catch (e) {
+    error = e;
+  }
+  check(error?.message.includes('Unknown replay mode "sometimes"'), 'unknown mode rejected up front');
+  check(await new ReplayStore(null).start({}, pageUrl) === null, 'nothing intercepted when off');
+
+  console.log('\nTEST 2: Recording');
+  const store = new ReplayStore({ replay: { mode: 'record', dir } });
+  const recording = createPage({ 'https://cdn.vendor.com/widget.js?v=7': 'widget()', 'https://api.example.com/rates': '{"rate":3}' });
+  const session = await store.start(recording.page, pageUrl);
+  check(recording.session.sent[0][1].patterns.map(pattern => pattern.requestStage).join() === 'Request,Response', 'requests and responses intercepted');
+
+  await recording.session.pause('1', 'https://cdn.vendor.com/widget.js?v=7');
+  await sleep(20);
+  await recording.session.pause('1', 'https://cdn.vendor.com/widget.js?v=7', {
+    responseStatusCode: 200,
+    responseHeaders: [{ name: 'Content-Type', value: 'text/javascript' }, { name: 'Content-Encoding', value: 'br' }]
+  });
+  await recording.session.pause('2', `${pageUrl.replace('/forms/apply', '/blocks/form/form.js')}`);
+  await recording.session.pause('3', 'https://api.example.com/rates');
+  await recording.session.pause('3', 'https://api.example.com/rates', { responseStatusCode: 200, responseHeaders: [] });
+  await recording.session.pause('4', 'https://cdn.vendor.com/moved');
+  await recording.session.pause('4', 'https://cdn.vendor.com/moved', { responseStatusCode: 301, responseHeaders: [{ name: 'Location', value: '/new' }] });
+  const recorded = await session.detach();
+
+  const widget = store.getArchive(pageUrl).find('GET', 'https://cdn.vendor.com/widget.js?v=7');
+  check(recording.session.answers('1').join() === 'Fetch.continueRequest,Fetch.getResponseBody,Fetch.continueRequest', 'responses read, then passed on unchanged');
+  check(Buffer.from(widget.body, 'base64').toString() === 'widget()' && widget.headers['Content-Type'] === 'text/javascript' && !widget.headers['Content-Encoding'], 'body stored decoded without encoding headers');
+  check(widget.duration >= 15, 'response time recorded');
+  check(!store.getArchive(pageUrl).find('GET', `${pageUrl.replace('/forms/apply', '/blocks/form/form.js')}`), 'the page\'s own origin is not recorded');
+  check(store.getArchive(pageUrl).find('GET', 'https://cdn.vendor.com/moved')?.status === 301, 'redirects recorded without a body');
+  check(recorded.mode === 'record' && recorded.recorded === 3 && recorded.live === 1, 'stats of the load');
+  const file = join(dir, 'forms-apply.replay.json');
+  check(existsSync(file) && JSON.parse(readFileSync(file, 'utf-8')).entries.length === 3, 'archive written per form path');
+  check(formatReplaySummary(recorded) === 'Network responses recorded to forms-apply.replay.json (3) - later loads can replay them.', 'record summary');
+
+  console.log('\nTEST 3: Replaying');
+  const replayStore = new ReplayStore({ replay: { mode: 'replay', dir, latency: false } });
+  check(replayStore.getArchive(beforeUrl).size === 3, 'before and after URLs share the archive');
+  const replaying = createPage();
+  const replay = await replayStore.start(replaying.page, beforeUrl);
+  check(replaying.session.sent[0][1].patterns.length === 1, 'only requests intercepted');
+
+  await replaying.session.pause('1', 'https://cdn.vendor.com/widget.js?v=8');
+  const fulfilled = replaying.session.sent.find(([method]) => method === 'Fetch.fulfillRequest')?.[1];
+  check(fulfilled?.responseCode === 200 && Buffer.from(fulfilled.body, 'base64').toString() === 'widget()', 'recorded response served (query string ignored as fallback)');
+  check(fulfilled.responseHeaders.some(header => header.name === 'Content-Type' && header.value === 'text/javascript'), 'recorded headers served');
+  await replaying.session.pause('2', 'https://main--forms--org.aem.live/blocks/form/form.js');
+  check(replaying.session.answers('2').join() === 'Fetch.continueRequest', 'deployment under test loaded live');
+  await replaying.session.pause('3', 'https://tags.example.net/new-tag.js');
+  check(replaying.session.answers('3').join() === 'Fetch.failRequest', 'requests missing from the archive fail');
+  await replaying.session.pause('4', 'https://api.example.com/rates', null, 'POST');
+  check(replaying.session.answers('4').join() === 'Fetch.failRequest', 'responses matched by method');
+  const replayed = await replay.detach();
+  check(replayed.replayed === 1 && replayed.live === 1 && replayed.missed.join() === 'https://tags.example.net/new-tag.js,https://api.example.com/rates', 'misses listed without query');
+  check(replaying.session.sent.some(([method]) => method === 'Fetch.disable') && replaying.session.sent.at(-1)[0] === 'detach', 'interception stopped');
+  check(JSON.parse(readFileSync(file, 'utf-8')).entries.length === 3, 'replay leaves the archive alone');
+
+  const lenient = createPage();
+  await new ReplayStore({ replay: { mode: 'replay', dir, unmatched: 'live', live: ['https://*.adobe.com/*'] } }).start(lenient.page, pageUrl, {
+    mocks: [{ match: 'https://api.example.com/submit' }]
+  });
+  await lenient.session.pause('1', 'https://tags.example.net/new-tag.js');
+  await lenient.session.pause('2', 'https://assets.adobe.com/font.woff2');
+  await lenient.session.pause('3', 'https://api.example.com/submit', null, 'POST');
+  check(['1', '2', '3'].every(id => lenient.session.answers(id).join() === 'Fetch.continueRequest'), 'unmatched: live, replay.live patterns and journey mocks go through');
+
+  const delayed = createPage();
+  const archive = new ReplayArchive(join(dir, 'forms-slow.replay.json'));
+  archive.add({ method: 'GET', url: 'https://cdn.vendor.com/slow.js', status: 200, headers: {}, body: '', duration: 40 });
+  archive.save();
+  await new ReplayStore({ replay: { mode: 'replay', dir } }).start(delayed.page, 'https://main--forms--org.aem.live/forms/slow');
+  const started = Date.now();
+  await delayed.session.pause('1', 'https://cdn.vendor.com/slow.js', { wait: 60 });
+  check(delayed.session.answers('1').join() === 'Fetch.fulfillRequest' && Date.now() - started >= 40, 'replayed response takes the recorded time');
+
+  console.log('\nTEST 4: Auto mode');
+  const auto = new ReplayStore({ replay: { mode: 'auto', dir } });
+  check(auto.getMode(auto.getArchive(pageUrl)) === 'replay', 'replays an existing archive');
+  check(auto.getMode(auto.getArchive('https://main--forms--org.aem.live/forms/loan')) === 'record', 'records a missing one');
+
+  console.log('\nTEST 5: Report');
+  const metrics = { loadTime: 1200, formRendered: true };
+  const section = new FormPRReporter().buildPerformanceMetricsSection(
+    { performanceMetrics: metrics, replay: replayed },
+    { performanceMetrics: metrics, replay: replayed }
+  );
+  check(section.includes('*Replayed 1 response(s) from forms-apply.replay.json; only the deployment under test (1 request(s)) loaded live. 2 request(s) missing from the archive failed'), 'PR comment says the load was replayed');
+  check(!new FormPRReporter().buildPerformanceMetricsSection({ performanceMetrics: metrics }, { performanceMetrics: metrics }).includes('Replayed'), 'no note without replay');
+} finally {
+  rmSync(dir, { recursive: true, force: true });
+}
+
+finish('record and replay');
@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+
+/**
+ * Tests rule expressions parsed with af-core's grammar: the checks on the syntax trees
+ * (fields, functions, expensive calls, unused rules, syntax errors), the AST-based API call
+ * and function detection and report sections
+ * Usage: node test/test-rule-expressions.js
+ */
+
+import {
+  RuleExpressionAnalyzer, parseExpression, collectExpressions, findReferences, findFunctionCalls, formatRuleExpressionSummary
+} from '../src/analyzers/rule-expression-analyzer.js';
+import { FormEventsAnalyzer } from '../src/analyzers/form-events-analyzer.js';
+import { RulePerformanceAnalyzer } from '../src/analyzers/rule-performance-analyzer.js';
+import { runFormComparison, analyzeSingleForm, createFormAnalyzers, detectCriticalIssues } from '../src/pipeline.js';
+import { FormPRReporter } from '../src/reporters/pr-reporter-form.js';
+import { MarkdownReporter } from '../src/reporters/markdown-reporter.js';
+import { HTMLReporter } from '../src/reporters/html-reporter.js';
+import { start, check, finish } from './helpers.js';
+
+start('Rule Expressions');
+
+const jsFiles = [{
+  filename: 'blocks/form/functions.js',
+  content: 'function formatAmount(value) { return value; }\nconst lookupBranch = async (zip) => zip;\nexport { formatAmount, lookupBranch };'
+}];
+
+const createForm = ({ taxRule = 'income * 0.3', totalRule = 'sum($form.loans[*].amount)', summaryClick = "dispatchEvent($form, 'custom:summary')" } = {}) => ({
+  id: 'loan',
+  fieldType: 'form',
+  events: { 'custom:summary': ["request(lookupBranch($form.personal.zip), 'GET')"] },
+  items: [
+    {
+      name: 'personal',
+      fieldType: 'panel',
+      items: [
+        { name: 'income', fieldType: 'number-input', type: 'number', displayValueExpression: 'formatAmount($field.$value)' },
+        { name: 'zip', fieldType: 'text-input', validationExpression: "length($field.$value) == 5 && country == 'US'" },
+        {
+          fieldType: 'panel',
+          items: [{ name: 'tax', fieldType: 'number-input', type: 'number', rules: { value: taxRule } }]
+        }
+      ]
+    },
+    {
+      name: 'loans',
+      fieldType: 'panel',
+      type: 'array',
+      repeatable: true,
+      minOccur: 1,
+      maxOccur: 3,
+      items: [{ name: 'amount', fieldType: 'number-input', type: 'number' }]
+    },
+    { name: 'total', fieldType: 'number-input', type: 'number', rules: { value: totalRule, visibility: '$form.personal.income > 0' } },
+    { name: 'minor', fieldType: 'checkbox', rules: { visible: '$form.personal.income == true' } },
+    { name: 'summary', fieldType: 'button', events: { click: [summaryClick, "'Loan summary' & toUpper(total)"] } }
+  ]
+});
+
+console.log('TEST 1: Parsing');
+const parsed = parseExpression('sum($form.loans[*].amount) + if(total > 1, getData().income, 0)');
+check(parsed.ast?.type === 'AddExpression' && parsed.error === null, 'expression parsed with af-core\'s grammar');
+check(findFunctionCalls(parsed.ast).join() === 'sum,if,getData', 'function calls from the syntax tree');
+check(findReferences(parsed.ast).map(reference => reference.text).join() === '$form.loans.amount,total', 'references: projections read the items, function results are not fields');
+check(findReferences(parseExpression("map(&amount, loans) + $form.a[?b > 1].c + {key: zip}.key").ast).map(reference => reference.text).join() === 'loans,$form.a.c,zip', 'names relative to items and hash keys are not references');
+check(parseExpression("income * ").error === 'Invalid token (EOF): ""', 'syntax errors carry the parser message');
+check(findFunctionCalls(parseExpression("'request(x)' & requested").ast).length === 0, 'names inside strings and field names are not calls');
+const expressions = collectExpressions(createForm());
+check(expressions.length === 9, 'rules, events, validation and display expressions collected');
+check(expressions.map(entry => entry.property).filter(property => property.startsWith('events.')).join() === 'events.custom:summary,events.click[0],events.click[1]', 'event handlers numbered when there are several');
+check(expressions.find(entry => entry.field === 'tax').path === 'personal.2.tax', 'paths of fields in unnamed panels');
+
+console.log('\nTEST 2: Checks');
+const analyzer = new RuleExpressionAnalyzer(null);
+const analysis = analyzer.analyze(createForm(), jsFiles);
+const byType = type => analysis.issues.filter(issue => issue.type === type);
+check(analysis.expressions === 9 && analysis.parsed === 9 && analysis.customFunctionsChecked, 'every expression parsed');
+check(analysis.functions.builtIn.join() === 'dispatchEvent,length,request,sum', 'json-formula and af-core functions are built-in');
+check(analysis.functions.custom.join() === 'formatAmount,lookupBranch' && analysis.functions.unknown.join() === 'toUpper', 'functions from the JS files are custom, the rest unknown');
+const unknownFields = byType('unknown-field-reference');
+check(unknownFields.map(issue => `${issue.field}:${issue.property}:${issue.reference}`).join() === 'zip:validationExpression:country,minor:rules.visible:true', 'references af-core resolves to null');
+check(unknownFields[0].message === 'Validation expression on "zip" reads country, but there is no field "country" there - it is always null', 'message names the property and the reference');
+check(unknownFields[1].recommendation === 'A bare true is read as a field name in json-formula - use true() instead.', 'bare true explained');
+check(!analysis.issues.some(issue => issue.field === 'tax'), 'bare names find siblings through unnamed panels');
+const unknownFunction = byType('unknown-function');
+check(unknownFunction.length === 1 && unknownFunction[0].path === 'summary' && unknownFunction[0].property === 'events.click[1]', 'unknown function points at the event handler');
+check(byType('expensive-function-call').length === 0, 'requests from events are not expensive calls');
+const unused = byType('unused-rule');
+check(unused.length === 1 && unused[0].field === 'total' && unused[0].property === 'rules.visibility', 'rule on a property af-core does not apply');
+check(byType('rule-syntax-error').length === 0, 'no syntax errors');
+
+const broken = analyzer.analyze(createForm({ taxRule: 'income * ', totalRule: 'exportData().amount + $form.loans[*].amount' }), jsFiles);
+const syntaxError = broken.issues.find(issue => issue.type === 'rule-syntax-error');
+check(syntaxError?.path === 'personal.2.tax' && syntaxError.property === 'rules.value' && syntaxError.severity === 'error', 'syntax error points at the field and rule');
+check(syntaxError.message === 'Rule "value" on "tax" does not parse: Invalid token (EOF): ""', 'syntax error message');
+const expensive = broken.issues.find(issue => issue.type === 'expensive-function-call');
+check(expensive?.reference === 'exportData' && expensive.message === 'Rule "value" on "total" calls exportData(), which serializes the data of the whole form, every time its inputs change', 'expensive call in a rule');
+check(broken.expressions === 9 && broken.parsed === 8, 'expressions that do not parse are counted');
+check(formatRuleExpressionSummary(broken) === '9 expression(s), 1 syntax error(s), 2 unknown field reference(s), 1 unknown function(s), 1 expensive call(s), 1 unused rule(s)', 'one-line summary');
+
+check(analyzer.analyze(createForm(), []).issues.every(issue => issue.type !== 'unknown-function'), 'unknown functions not reported without JS files');
+const configured = new RuleExpressionAnalyzer({ ruleExpressions: { expensiveFunctions: { sum: 'walks every instance', exportData: null }, functions: ['toUpper'] } });
+const custom = configured.analyze(createForm({ totalRule: 'exportData().amount + sum($form.loans[*].amount)' }), jsFiles);
+check(custom.issues.filter(issue => issue.type === 'expensive-function-call').map(issue => issue.reference).join() === 'sum', 'expensive functions from config, null turns one off');
+check(!custom.issues.some(issue => issue.type === 'unknown-function'), 'functions from config are known');
+const ignored = createForm();
+ignored.items[2]['perf-bot:ignore'] = { rules: 'unused-rule', reason: 'Read by the theme' };
+check(analyzer.analyze(ignored, jsFiles).suppressedIssues.map(issue => issue.type).join() === 'unused-rule', 'perf-bot:ignore on the field suppresses its issue');
+check(analyzer.analyze(null).error && analyzer.analyze({ items: [] }).expressions === 0, 'missing forms and forms without rules');
+
+console.log('\nTEST 3: API calls and mocked functions from the syntax tree');
+const events = new FormEventsAnalyzer(null);
+check(events.detectAPICall("requestWithRetry(externalize('/api'), 'GET')")?.type === 'request', 'request functions found as calls');
+check(events.detectAPICall("dispatchEvent(panel, 'custom:request(done)')") === null, 'request( inside a string is not a call');
+check(events.detectAPICall('$.get(url, callback);')?.type === 'jquery-ajax', 'expressions that do not parse fall back to text patterns');
+check(events.detectAPICall("axios.get('/api/branches')")?.type === 'axios' && events.detectAPICall("axios.post('/api', $form)")?.type === 'axios', 'library calls found in expressions that parse');
+const functionNames = new RulePerformanceAnalyzer(null).extractAllFunctionNames(createForm());
+check(functionNames.sort().join() === 'dispatchEvent,formatAmount,lookupBranch,request,toUpper', 'json-formula built-ins are not mocked, af-core and custom functions are');
+
+console.log('\nTEST 4: Pipeline and reports');
+const results = await runFormComparison(
+  { formJson: createForm() },
+  { formJson: createForm({ taxRule: 'income * ', totalRule: 'exportData().amount + $form.loans[*].amount' }) },
+  { jsFiles, config: null }
+);
+const newIssues = results.ruleExpressions.newIssues;
+check(newIssues.map(issue => issue.type).sort().join() === 'expensive-function-call,rule-syntax-error' && newIssues.every(issue => issue.fingerprint), 'new findings normalized');
+check(results.ruleExpressions.resolvedIssues.length === 0, 'findings on other properties stay unchanged');
+check(detectCriticalIssues(results).issues.includes('1 rule expression(s) that don\'t parse (never run)'), 'syntax errors fail the check');
+
+const reporter = new FormPRReporter();
+const section = reporter.buildRuleExpressionsSection(results.ruleExpressions);
+check(section.includes('### Rule Expressions') && section.includes('| 🔴 | `personal.2.tax` | `rules.value` | Rule "value" on "tax" does not parse'), 'PR comment lists the new findings by field and property');
+check(reporter.buildMarkdownReport(results, {}).includes('### Rule Expressions'), 'section in the PR comment');
+const impact = reporter.calculateFormImpact(results);
+check(impact.critical.includes('1 rule expression(s) that don\'t parse: `personal.2.tax` rules.value') && impact.warnings.some(warning => warning.startsWith('1 new rule expression issue(s)')), 'overall assessment');
+const unchanged = await runFormComparison({ formJson: createForm() }, { formJson: createForm() }, { jsFiles, config: null });
+check(reporter.buildRuleExpressionsSection(unchanged.ruleExpressions) === '', 'no PR section when nothing new');
+check(new MarkdownReporter().generateComparisonReport(results, {}, 0).includes('### Rule Expressions'), 'section in the markdown report');
+const html = new HTMLReporter().buildRuleExpressionsSection(results.ruleExpressions);
+check(html.includes('Rule Expressions') && html.includes('<code>personal.2.tax</code> <strong>(new)</strong>') && html.includes('<code>events.click[1]</code>'), 'HTML report lists every finding and marks new ones');
+
+const analyzers = await createFormAnalyzers(null);
+const formResult = await analyzeSingleForm({ url: 'forms/loan.form.json', formJson: createForm() }, { analyzers, jsFiles, config: null });
+check(formResult.ruleExpressions?.expressions === 9 && formResult.forms.issues.some(issue => issue.type === 'unknown-field-reference' && issue.property === 'validationExpression'), 'scan records the summary and the findings');
+check(new MarkdownReporter().generateScanReport([formResult]).includes('- **Rule expressions:** 9 expression(s), 2 unknown field reference(s), 1 unknown function(s), 1 unused rule(s)'), 'rule expressions line in the scan report');
+
+finish('rule expression');
@@ -52,14 +52,20 @@ class TestRunner {
       const formCSSAnalyzer = new FormCSSAnalyzer(config);
       const customFunctionAnalyzer = new CustomFunctionAnalyzer(config);
 
-      // Step 1: Fetch URLs
-      console.log('📥 Fetching before URL...');
-      const beforeData = await urlAnalyzer.analyze(beforeUrl);
-      console.log(` Before URL fetched (${(beforeData.rawSize / 1024).toFixed(2)} KB)`);
-
-      console.log('📥 Fetching after URL...');
-      const afterData = await urlAnalyzer.analyze(afterUrl);
-      console.log(` After URL fetched (${(afterData.rawSize / 1024).toFixed(2)} KB)\n`);
+      // Step 1: Fetch URLs (the analyzer keeps Chrome open until it is closed)
+      let beforeData;
+      let afterData;
+      try {
+        console.log('📥 Fetching before URL...');
+        beforeData = await urlAnalyzer.analyze(beforeUrl);
+        console.log(` Before URL fetched (${(beforeData.rawSize / 1024).toFixed(2)} KB)`);
+
+        console.log('📥 Fetching after URL...');
+        afterData = await urlAnalyzer.analyze(afterUrl);
+        console.log(` After URL fetched (${(afterData.rawSize / 1024).toFixed(2)} KB)\n`);
+      } finally {
+        await urlAnalyzer.close();
+      }
 
       // Load mock JS/CSS files if provided
       const jsFiles = options.jsFiles || [];
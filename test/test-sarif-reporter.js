@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+
+/**
+ * Tests the SARIF reporter (GitHub code scanning)
+ * Usage: node test/test-sarif-reporter.js
+ */
+
+import { readFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { SARIFReporter } from '../src/reporters/sarif-reporter.js';
+import { runFormComparison, createFormAnalyzers, analyzeWorkspace, analyzeSingleForm } from '../src/pipeline.js';
+import { start, check, finish } from './helpers.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const fixturesDir = join(__dirname, 'fixtures');
+
+start('SARIF Reporter');
+
+const formFile = 'sample-form.json';
+const formJson = JSON.parse(readFileSync(join(fixturesDir, formFile), 'utf-8'));
+const jsFiles = [{ filename: 'js/sample-functions.js', content: readFileSync(join(fixturesDir, 'js', 'sample-functions.js'), 'utf-8') }];
+const cssFiles = [{ filename: 'css/sample-form.css', content: readFileSync(join(fixturesDir, 'css', 'sample-form.css'), 'utf-8') }];
+
+const results = await runFormComparison({ formJson }, { formJson }, { jsFiles, cssFiles });
+const reporter = new SARIFReporter({ workspaceRoot: fixturesDir });
+const sarif = JSON.parse(reporter.generateReport(results, { formFile }));
+const run = sarif.runs[0];
+const byRule = ruleId => run.results.filter(r => r.ruleId === ruleId);
+const uriOf = result => result.locations[0].physicalLocation.artifactLocation.uri;
+const lineOf = result => result.locations[0].physicalLocation.region.startLine;
+
+console.log('TEST 1: SARIF 2.1.0 log');
+check(sarif.version === '2.1.0' && /sarif-2\.1\.0/.test(sarif.$schema), 'version and schema set');
+check(run.tool.driver.rules.length > 0, `${run.tool.driver.rules.length} rule(s) described`);
+check(run.results.every(r => run.tool.driver.rules[r.ruleIndex]?.id === r.ruleId), 'results point at their rule');
+check(run.results.every(r => ['error', 'warning', 'note'].includes(r.level)), 'severities mapped to SARIF levels');
+
+console.log('\nTEST 2: Rule metadata');
+const cycleRule = run.tool.driver.rules.find(rule => rule.id === 'rule-cycle');
+check(cycleRule?.shortDescription.text === 'Circular rule dependency', 'rule has a short description');
+check(cycleRule?.properties.tags.includes('INP'), 'Core Web Vitals impact added as tags');
+
+console.log('\nTEST 3: Code issues keep their file and line');
+const cssResults = byRule('css-background-image');
+check(cssResults.length > 0 && cssResults.every(r => uriOf(r) === 'css/sample-form.css' && lineOf(r) > 1), 'CSS issues at their line');
+const functionResults = run.results.filter(r => uriOf(r) === 'js/sample-functions.js');
+check(functionResults.length > 0, 'custom function issues in their JS file');
+
+console.log('\nTEST 4: Form JSON issues map to the form file');
+const formLines = readFileSync(join(fixturesDir, formFile), 'utf-8').split('\n');
+const hidden = byRule('unnecessary-hidden-field');
+check(hidden.length > 0 && hidden.every(r => uriOf(r) === formFile), 'hidden fields reported on the form file');
+const fieldName = r => r.locations[0].logicalLocations[0].fullyQualifiedName.split('.').pop();
+check(hidden.every(r => formLines[lineOf(r) - 1].includes(`"${fieldName(r)}"`)),
+  'hidden field line is the field definition');
+check(byRule('rule-cycle').length === 1 && uriOf(byRule('rule-cycle')[0]) === formFile, 'rule cycle reported on the form file');
+
+console.log('\nTEST 5: Fingerprints and unmapped issues');
+check(run.results.every(r => /^[0-9a-f]{16}$/.test(r.partialFingerprints['perfBotFingerprint/v1'])), 'issue fingerprint kept');
+const withoutFormFile = JSON.parse(new SARIFReporter({ workspaceRoot: fixturesDir }).generateReport(results));
+check(withoutFormFile.runs[0].results.every(r => uriOf(r) !== formFile), 'form issues left out when no form file exists');
+check(withoutFormFile.runs[0].results.some(r => uriOf(r) === 'css/sample-form.css'), 'code issues still reported');
+const discovered = JSON.parse(new SARIFReporter({ workspaceRoot: fixturesDir, formFiles: [formFile] }).generateReport(results));
+check(discovered.runs[0].results.some(r => r.ruleId === 'unnecessary-hidden-field'), 'form file found among repository form files');
+
+console.log('\nTEST 6: Scan report');
+const analyzers = await createFormAnalyzers(null, fixturesDir);
+const workspaceIssues = await analyzeWorkspace(analyzers, { cssFiles });
+const formResult = await analyzeSingleForm({ url: formFile, formJson }, { analyzers, jsFiles, cssFiles, workspaceIssues });
+const scan = JSON.parse(reporter.generateScanReport([formResult, { ...formResult, url: 'https://example.com/form' }]));
+const scanResults = scan.runs[0].results;
+check(scanResults.some(r => r.ruleId === 'rule-cycle' && uriOf(r) === formFile), 'cycle details reported as results');
+check(scanResults.filter(r => r.ruleId === 'css-background-image').length === cssResults.length, 'workspace CSS issues reported once');
+
+finish('SARIF reporter');
@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+
+/**
+ * Tests screenshots, filmstrips and the before/after pixel diff (artifacts and report sections)
+ * Usage: node test/test-screenshots.js
+ */
+
+import { EventEmitter } from 'events';
+import { mkdtempSync, readFileSync, readdirSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  getScreenshotOptions, captureScreenshot, getPNGSize, startFilmstrip, stopFilmstrip,
+  selectFrames, diffScreenshots, groupRegions
+} from '../src/utils/screenshots.js';
+import { URLAnalyzer } from '../src/analyzers/url-analyzer.js';
+import { writeScreenshotFiles, getScreenshotFileName } from '../src/utils/artifacts.js';
+import { FormPRReporter } from '../src/reporters/pr-reporter-form.js';
+import { HTMLReporter } from '../src/reporters/html-reporter.js';
+import { ConfigLoader } from '../src/utils/config-loader.js';
+import { start, check, finish } from './helpers.js';
+
+start('Screenshots');
+
+// PNG signature + IHDR header - enough for getPNGSize
+const png = (width, height) => {
+  const buffer = Buffer.alloc(33);
+  Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]).copy(buffer, 0);
+  buffer.writeUInt32BE(13, 8);
+  buffer.write('IHDR', 12);
+  buffer.writeUInt32BE(width, 16);
+  buffer.writeUInt32BE(height, 20);
+  return buffer.toString('base64');
+};
+
+console.log('TEST 1: Options and screenshots');
+check(getScreenshotOptions(null).enabled && getScreenshotOptions(null).filmstrip === false, 'screenshots on, filmstrip off by default');
+const defaults = await new ConfigLoader().load();
+check(new ConfigLoader().mergeConfig(defaults, { screenshots: { filmstrip: true } }).screenshots.diffThreshold === 0.1, 'config keeps defaults next to user settings');
+check(getPNGSize(png(1280, 2400)).width === 1280 && getPNGSize(png(1280, 2400)).height === 2400, 'size read from the PNG header');
+let screenshotOptions = null;
+const shot = await captureScreenshot({
+  evaluate: async () => {},
+  screenshot: async options => { screenshotOptions = options; return png(1280, 900); }
+}, { fullPage: true });
+check(screenshotOptions.fullPage && screenshotOptions.encoding === 'base64' && shot.width === 1280 && shot.height === 900, 'full-page PNG with its size');
+
+console.log('\nTEST 2: Filmstrip');
+const frames = [
+  { timestamp: 1200, image: 'spinner' },
+  { timestamp: 1900, image: 'header' },
+  { timestamp: 2050, image: 'fields' }
+];
+const selected = selectFrames(frames, { start: 1000, end: 2000, count: 4 });
+check(selected.map(frame => `${frame.time}:${frame.image}`).join() === '250:spinner,1000:header', 'last paint per slot, blank and repeated slots dropped');
+
+const sent = [];
+const session = new EventEmitter();
+session.send = async (method, params) => sent.push([method, params]);
+session.detach = async () => sent.push(['detach']);
+const recording = await startFilmstrip({ createCDPSession: async () => session });
+session.emit('Page.screencastFrame', { data: 'first-paint', sessionId: 3, metadata: { timestamp: 10.3 } });
+const filmstrip = await stopFilmstrip(recording, { start: 10000, end: 10500, count: 2 });
+check(sent[0][0] === 'Page.startScreencast' && sent[0][1].format === 'jpeg', 'screencast started as JPEG frames');
+check(sent.some(([method, params]) => method === 'Page.screencastFrameAck' && params.sessionId === 3), 'frames acknowledged so Chrome keeps sending them');
+check(filmstrip.length === 1 && filmstrip[0].time === 500 && filmstrip[0].image === 'first-paint', 'frames timed from navigation start');
+
+console.log('\nTEST 3: Pixel diff');
+// Grid of 4 columns: cells 0 and 5 touch diagonally, cell 11 is on its own
+const regions = groupRegions([0, 5, 11], 4, 16, { width: 60, height: 48 });
+check(regions.length === 2 && regions[0].x === 0 && regions[0].width === 32 && regions[0].height === 32, 'touching cells merged into one box');
+check(regions[1].x === 48 && regions[1].y === 32 && regions[1].width === 12, 'boxes clipped to the image');
+check(groupRegions([3, 4], 4, 16, { width: 64, height: 32 }).length === 2, 'cells on different rows edges are not neighbours');
+
+let evaluated = null;
+const before = { image: png(100, 50), width: 100, height: 50 };
+const after = { image: png(100, 60), width: 100, height: 60 };
+const diff = await diffScreenshots({
+  evaluate: async (fn, ...args) => {
+    evaluated = args;
+    return { width: 100, height: 60, changedPixels: 600, columns: 7, cells: [21, 22], image: 'diff-png' };
+  }
+}, before, after, { diffThreshold: 0.2 });
+check(evaluated[2] === 0.2 && evaluated[3] === 16, 'threshold and grid passed to the page');
+check(diff.changedPercent === 10 && diff.sizeChanged && diff.regions.length === 1 && diff.regions[0].y === 48 && diff.regions[0].height === 12, 'percent, size change and regions from the page result');
+
+console.log('\nTEST 4: Before/after pairs');
+const analyzer = new URLAnalyzer({ sampling: { runs: 1, warmupRuns: 0 } });
+analyzer.analyze = async url => ({
+  url,
+  formJson: { id: 'apply' },
+  screenshot: url.includes('after') ? after : before,
+  performanceMetrics: { formRendered: true, loadTime: 1000 }
+});
+analyzer.browserPool = { withPage: async task => task({ evaluate: async () => ({ width: 100, height: 60, changedPixels: 0, columns: 7, cells: [], image: 'blank' }) }) };
+const pair = await analyzer.analyzePair('https://before.example.com/apply', 'https://after.example.com/apply');
+check(pair.visualDiff?.changedPixels === 0 && pair.afterData.screenshot === after, 'analyzePair diffs the screenshots');
+analyzer.browserPool = { withPage: async () => { throw new Error('Could not decode screenshot'); } };
+check(await analyzer.compareScreenshots(pair.beforeData, pair.afterData) === null, 'failed diff skipped, not fatal');
+check(await analyzer.compareScreenshots(pair.beforeData, { ...pair.afterData, screenshot: null }) === null, 'no diff without both screenshots');
+
+console.log('\nTEST 5: Artifacts and reports');
+const dir = mkdtempSync(join(tmpdir(), 'perf-bot-screenshots-'));
+const urls = {
+  before: 'https://main--forms--org.aem.live/forms/apply',
+  after: 'https://feature--forms--org.aem.live/forms/apply',
+  beforeData: { screenshot: before, filmstrip: [{ time: 400, image: Buffer.from('jpeg').toString('base64') }] },
+  afterData: { screenshot: after, filmstrip: null },
+  visualDiff: { ...diff, image: png(100, 60) }
+};
+try {
+  const written = writeScreenshotFiles(dir, [
+    { label: urls.before, suffix: 'before', data: urls.beforeData },
+    { label: urls.after, suffix: 'after', data: urls.afterData }
+  ], urls.visualDiff);
+  check(readdirSync(dir).sort().join() === 'forms-apply-after.png,forms-apply-before-filmstrip-00400ms.jpg,forms-apply-before.png,forms-apply-diff.png', 'screenshots, filmstrip frames and diff written');
+  check(written.length === 4 && readFileSync(join(dir, 'forms-apply-diff.png')).subarray(1, 4).toString() === 'PNG', 'images written as binary');
+  check(getScreenshotFileName(urls.after, 'diff') === 'forms-apply-diff.png', 'reports link the same file names');
+} finally {
+  rmSync(dir, { recursive: true, force: true });
+}
+
+const reporter = new FormPRReporter(null, null, null, null);
+const linked = reporter.buildScreenshotsSection({ ...urls, artifactsUrl: 'https://github.com/org/repo/actions/runs/42' });
+check(linked.includes('**10%** of pixels changed in 1 region - page size 100x50 → 100x60'), 'PR comment summarizes the change');
+check(linked.includes('| 1 | 0, 48 | 32x12 |'), 'changed regions listed');
+check(linked.includes('`forms-apply-diff.png` in the [workflow run artifacts](https://github.com/org/repo/actions/runs/42)'), 'PR comment links the uploaded screenshots');
+check(reporter.buildScreenshotsSection(urls).includes('artifacts-dir'), 'hint when screenshots are not kept');
+check(reporter.buildScreenshotsSection(urls, { embedImages: true }).includes('![Diff](forms-apply-diff.png)'), 'local reports embed the files');
+check(reporter.buildScreenshotsSection({ ...urls, visualDiff: { ...diff, changedPixels: 0, regions: [] } }).includes('No visual change'), 'unchanged forms say so');
+check(reporter.buildScreenshotsSection({ ...urls, visualDiff: null }) === '', 'no section without a diff');
+check(reporter.buildMarkdownReport({}, urls).includes('### Visual Changes'), 'section in the PR comment');
+
+const html = new HTMLReporter().buildScreenshotsSection(urls);
+check(html.includes(`src="data:image/png;base64,${after.image}"`) && html.includes('data:image/jpeg;base64,'), 'HTML report embeds screenshots and filmstrip');
+check(html.includes('class="diff-region" style="left: 0%; top: 80%; width: 32%; height: 20%;"'), 'changed regions boxed over the diff');
+check(new HTMLReporter().buildScreenshotsSection({ ...urls, afterData: {} }) === '', 'no HTML section without both screenshots');
+
+finish('screenshot');
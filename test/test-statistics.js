@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+
+/**
+ * Tests multi-run sampling and the statistical before/after comparison
+ * Usage: node test/test-statistics.js
+ */
+
+import { percentile, median, summarize, mannWhitneyU, compareSamples } from '../src/utils/statistics.js';
+import { URLAnalyzer } from '../src/analyzers/url-analyzer.js';
+import { WebVitalsAnalyzer } from '../src/analyzers/web-vitals-analyzer.js';
+import { FormPRReporter } from '../src/reporters/pr-reporter-form.js';
+import { start, check, finish } from './helpers.js';
+
+const near = (value, expected, tolerance = 0.001) => Math.abs(value - expected) < tolerance;
+
+start('Sampling Statistics');
+
+console.log('TEST 1: Percentiles');
+check(median([5, 1, 3]) === 3 && median([1, 2, 3, 4]) === 2.5, 'median of odd and even samples');
+check(percentile([10, 20, 30, 40, 50], 75) === 40 && near(percentile([10, 20, 30, 40, 50], 95), 48), 'p75 / p95 interpolated');
+const summary = summarize([1200, 1100, 1300, null, 5000]);
+check(summary.runs === 4 && summary.median === 1250 && summary.max === 5000, 'summary ignores missing values');
+
+console.log('\nTEST 2: Mann-Whitney U');
+const separated = mannWhitneyU([1, 2, 3, 4], [5, 6, 7, 8]);
+check(separated.exact && separated.u === 0 && near(separated.pValue, 2 / 70), `exact p for fully separated 4 vs 4 (${separated.pValue.toFixed(4)})`);
+check(near(mannWhitneyU([1, 2, 3], [4, 5, 6]).pValue, 0.1), '3 vs 3 can never reach p < 0.05');
+const ties = mannWhitneyU([10, 10, 11, 12, 12, 13], [14, 15, 15, 16, 17, 18]);
+check(!ties.exact && ties.pValue < 0.01, `ties - normal approximation (p=${ties.pValue.toFixed(4)})`);
+check(mannWhitneyU([5, 5, 5], [5, 5, 5]).pValue === 1, 'identical samples - p = 1');
+
+console.log('\nTEST 3: Before/after comparison');
+const before = [1510, 1480, 1620, 1550, 1495];
+const slower = compareSamples(before, [1820, 1790, 1905, 1760, 1850]);
+check(slower.significant && slower.change === 'increased' && slower.delta === 310, `consistent slowdown is significant (p=${slower.pValue.toFixed(3)})`);
+const noisy = compareSamples(before, [1490, 1705, 1530, 1580, 1470]);
+check(!noisy.significant && noisy.change === 'unchanged', `noise is not a regression (p=${noisy.pValue.toFixed(3)})`);
+check(compareSamples([1500], [3000]).change === 'insufficient-data', 'single runs - insufficient data');
+
+console.log('\nTEST 4: Alternating runs with warmup');
+const analyzer = new URLAnalyzer({ sampling: { runs: 4, warmupRuns: 1, alternate: true, alpha: 0.05 } });
+const order = [];
+let load = 0;
+analyzer.analyze = async url => {
+  order.push(url);
+  load++;
+  const loadTime = url === 'before' ? 1000 + load : 1500 + load;
+  return {
+    url,
+    formJson: { id: url },
+    performanceMetrics: { loadTime, formRendered: true, webVitals: { lcp: loadTime, cls: 0.01, inp: 80, tbt: 10 } }
+  };
+};
+const { beforeData, afterData } = await analyzer.analyzePair('before', 'after');
+check(order.join() === 'before,after,after,before,before,after,after,before,before,after', 'warmup, then before/after order alternates');
+check(beforeData.performanceMetrics.samples.loadTime.length === 4, 'warmup runs discarded');
+check(beforeData.performanceMetrics.loadTime === Math.round(median(beforeData.performanceMetrics.samples.loadTime)), 'load time is the median');
+check(afterData.performanceMetrics.webVitals.samples.lcp.length === 4, 'Web Vitals sampled per run');
+check(afterData.performanceMetrics.sampling.alpha === 0.05, 'sampling settings travel with the metrics');
+
+const missing = new URLAnalyzer({ sampling: { runs: 4, warmupRuns: 1, alternate: true } });
+const loads = [];
+missing.analyze = async url => {
+  loads.push(url);
+  return { url, formJson: url === 'after' ? null : { id: url }, performanceMetrics: { loadTime: 1000, formRendered: true } };
+};
+const pair = await missing.analyzePair('before', 'after');
+check(loads.join() === 'before,after' && pair.beforeData?.formJson?.id === 'before' && pair.afterData.formJson === null, 'no form JSON on a warmup run - the other side is its warmup load');
+loads.length = 0;
+missing.analyze = async url => {
+  loads.push(url);
+  return { url, formJson: url === 'before' ? null : { id: url }, performanceMetrics: { loadTime: 1000, formRendered: true } };
+};
+const first = await missing.analyzePair('before', 'after');
+check(loads.join() === 'before,after' && first.beforeData.formJson === null && first.afterData?.formJson?.id === 'after', 'no form JSON on the first load - the other side is loaded once');
+
+console.log('\nTEST 5: Regressions need significance');
+const vitals = new WebVitalsAnalyzer();
+const sampledVitals = lcp => ({ lcp: median(lcp), cls: 0, inp: 50, tbt: 0, samples: { lcp, cls: [0, 0, 0, 0, 0], inp: [50, 50, 50, 50, 50], tbt: [0, 0, 0, 0, 0] } });
+const noiseOnly = vitals.compare(vitals.analyze(sampledVitals([2300, 2480, 2350, 2600, 2420])), vitals.analyze(sampledVitals([2450, 2380, 2560, 2320, 2510])));
+check(noiseOnly.newIssues.length === 0, 'LCP median over target by noise - no regression');
+const regressed = vitals.compare(vitals.analyze(sampledVitals([2100, 2150, 2080, 2200, 2120])), vitals.analyze(sampledVitals([2700, 2650, 2800, 2720, 2690])));
+check(regressed.newIssues[0]?.severity === 'error' && regressed.deltas[0].significant, 'significant LCP regression over target - error');
+
+const reporter = new FormPRReporter();
+const section = reporter.buildPerformanceMetricsSection(
+  { performanceMetrics: { loadTime: 1510, formRendered: true, samples: { loadTime: before } } },
+  { performanceMetrics: { loadTime: 1530, formRendered: true, samples: { loadTime: [1490, 1705, 1530, 1580, 1470] }, sampling: { warmupRuns: 1, alternate: true, alpha: 0.05 } } }
+);
+check(section.includes('No significant change') && section.includes('(p95)'), 'PR comment shows median/p75/p95 without calling noise a regression');
+check(section.includes('Mann-Whitney'), 'PR comment explains the test');
+
+finish('sampling statistics');
@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+
+/**
+ * Tests inline suppressions (perf-bot-disable comments, perf-bot:ignore in form JSON)
+ * Usage: node test/test-suppressions.js
+ */
+
+import { readFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { parseCodeSuppressions, FORM_IGNORE_PROPERTY } from '../src/utils/suppressions.js';
+import { runFormComparison } from '../src/pipeline.js';
+import { FormPRReporter } from '../src/reporters/pr-reporter-form.js';
+import { SARIFReporter } from '../src/reporters/sarif-reporter.js';
+import { start, check, finish } from './helpers.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const fixturesDir = join(__dirname, 'fixtures');
+
+start('Inline Suppressions');
+
+const formJson = JSON.parse(readFileSync(join(fixturesDir, 'sample-form.json'), 'utf-8'));
+const css = readFileSync(join(fixturesDir, 'css', 'sample-form.css'), 'utf-8');
+const js = readFileSync(join(fixturesDir, 'js', 'sample-functions.js'), 'utf-8');
+
+const countRule = (issues, ruleId) => (issues || []).filter(issue => issue.type === ruleId).length;
+
+console.log('TEST 1: Parsing comments');
+const parsed = parseCodeSuppressions([
+  '.a {',
+  '  /* perf-bot-disable css-background-image, css-import-blocking -- hero image, preloaded */',
+  '  background-image: url(a.png);',
+  '}',
+  '// perf-bot-disable-next-line',
+  '// perf-bot-disable-line dom-access-in-custom-function'
+].join('\n'), 'a.css');
+check(parsed.suppressions[0]?.rules.join() === 'css-background-image,css-import-blocking', 'rule list parsed');
+check(parsed.suppressions[0]?.reason === 'hero image, preloaded', 'reason parsed');
+check(parsed.suppressions[0]?.fromLine === 2 && parsed.suppressions[0]?.toLine === 4, 'disable ends with its block');
+check(parsed.invalid.length === 2 && parsed.invalid.every(issue => issue.type === 'invalid-suppression'), 'missing reasons reported');
+const prose = parseCodeSuppressions([
+  '// perf-bot-disable comments silence single findings (with a reason)',
+  '/* perf-bot-enable ends them early */',
+  '// perf-bot-disable-next-line typo-rule -- reason'
+].join('\n'), 'a.js');
+check(prose.suppressions.length === 0 && prose.invalid.length === 0, 'comments that mention the directive without rule ids are ignored');
+
+console.log('\nTEST 2: CSS');
+const base = await runFormComparison({ formJson }, { formJson }, { cssFiles: [{ filename: 'css/sample-form.css', content: css }] });
+const suppressedCSS = css.replace('.hero-banner {', '.hero-banner {\n  /* perf-bot-disable css-background-image -- LCP hero, preloaded in head.html */');
+const cssResults = await runFormComparison({ formJson }, { formJson }, { cssFiles: [{ filename: 'css/sample-form.css', content: suppressedCSS }] });
+const cssSuppressed = cssResults.formCSS.after.suppressedIssues;
+check(countRule(cssResults.formCSS.after.issues, 'css-background-image') === countRule(base.formCSS.after.issues, 'css-background-image') - 1,
+  'only the .hero-banner background image suppressed');
+check(cssSuppressed.length === 1 && cssSuppressed[0].selector === '.hero-banner', 'suppressed issue kept');
+check(cssSuppressed[0]?.suppression.reason === 'LCP hero, preloaded in head.html', 'reason attached');
+
+console.log('\nTEST 3: Custom functions');
+const suppressedJS = js.replace('  const input = document.querySelector',
+  '  // perf-bot-disable-next-line dom-access-in-custom-function -- widget not exposed to rules yet\n  const input = document.querySelector');
+const jsResults = await runFormComparison({ formJson }, { formJson }, { jsFiles: [{ filename: 'js/sample-functions.js', content: suppressedJS }] });
+check(countRule(jsResults.customFunctions.after.issues, 'dom-access-in-custom-function') === 0, 'DOM access suppressed');
+check(jsResults.customFunctions.after.suppressedIssues.length === 1, 'suppressed issue kept');
+const noReasonJS = js.replace('  const input = document.querySelector', '  // perf-bot-disable-next-line\n  const input = document.querySelector');
+const noReason = await runFormComparison({ formJson }, { formJson }, { jsFiles: [{ filename: 'js/sample-functions.js', content: noReasonJS }] });
+check(countRule(noReason.customFunctions.after.issues, 'dom-access-in-custom-function') === 1, 'suppression without a reason ignored');
+check(countRule(noReason.customFunctions.after.issues, 'invalid-suppression') === 1, 'suppression without a reason reported');
+
+console.log('\nTEST 4: Form JSON');
+const ignored = JSON.parse(JSON.stringify(formJson));
+ignored[':items'].dataStorage[FORM_IGNORE_PROPERTY] = { rules: ['unnecessary-hidden-field'], reason: 'Filled by the prefill service' };
+ignored[':items'].fieldB.properties = { ...ignored[':items'].fieldB.properties, [FORM_IGNORE_PROPERTY]: { reason: 'Intentional recalculation loop' } };
+const formResults = await runFormComparison({ formJson }, { formJson: ignored }, {});
+const hiddenPaths = formResults.hiddenFields.after.issues.map(issue => issue.field);
+check(!['dataStorage', 'userId', 'sessionId', 'email'].some(name => hiddenPaths.includes(name)), 'ignore covers the panel and its fields');
+check(hiddenPaths.includes('hiddenPanel'), 'other hidden fields still reported');
+check(formResults.ruleCycles.after.cycles === 0 && formResults.ruleCycles.after.suppressedIssues.length === 1, 'cycle through an ignored field suppressed');
+const rootIgnored = { ...formJson, [FORM_IGNORE_PROPERTY]: { reason: 'Legacy form, scheduled for rebuild' } };
+const rootResults = await runFormComparison({ formJson }, { formJson: rootIgnored }, {});
+check(rootResults.hiddenFields.after.issues.length === 0 && rootResults.ruleCycles.after.cycles === 0, 'ignore on the form root covers every field');
+const missingReason = { ...formJson, [FORM_IGNORE_PROPERTY]: { rules: ['rule-cycle'] } };
+const missingResults = await runFormComparison({ formJson }, { formJson: missingReason }, {});
+check(countRule(missingResults.formStructure.after.issues, 'invalid-suppression') === 1, 'form ignore without a reason reported');
+check(missingResults.ruleCycles.after.cycles === 1, 'form ignore without a reason ignored');
+
+console.log('\nTEST 5: Reports list suppressed issues with reasons');
+const markdown = new FormPRReporter().buildSuppressedIssuesSection(formResults);
+check(markdown.includes('Filled by the prefill service') && markdown.includes('Intentional recalculation loop'), 'PR comment lists reasons');
+const sarif = JSON.parse(new SARIFReporter({ workspaceRoot: fixturesDir }).generateReport(cssResults));
+const sarifSuppressed = sarif.runs[0].results.filter(result => result.suppressions);
+check(sarifSuppressed.length === 1 && sarifSuppressed[0].suppressions[0].justification === 'LCP hero, preloaded in head.html',
+  'SARIF result marked as suppressed in source');
+
+finish('suppression');
@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+
+/**
+ * Tests throttling profiles (network/CPU/viewport/user agent) for URL analysis
+ * Usage: node test/test-throttling.js
+ */
+
+import { resolveThrottlingProfile, applyThrottling, isThrottled, THROTTLING_PROFILES } from '../src/utils/throttling.js';
+import { loadFormSource, isFormURL } from '../src/pipeline.js';
+import { getFormKey } from '../src/utils/baseline.js';
+import { FormPRReporter } from '../src/reporters/pr-reporter-form.js';
+import { start, check, finish } from './helpers.js';
+
+const throws = (fn, pattern) => {
+  try {
+    fn();
+    return false;
+  } catch (error) {
+    return pattern.test(error.message);
+  }
+};
+
+start('Throttling Profiles');
+
+console.log('TEST 1: Built-in profiles');
+check(resolveThrottlingProfile().name === 'none' && !isThrottled(resolveThrottlingProfile()), 'unthrottled by default');
+const mobile = resolveThrottlingProfile('mobile-4g');
+check(mobile.cpuSlowdown === 4 && mobile.viewport.isMobile, 'mobile-4g emulates a phone with 4x CPU slowdown');
+check(['none', 'desktop-cable', 'mobile-4g', 'low-end-android'].every(name => THROTTLING_PROFILES[name]), 'named profiles available');
+const none = resolveThrottlingProfile('none');
+check(!isThrottled(none) && none.viewport.width === 1280 && none.userAgent === null, '"none" keeps the unthrottled 1280x720 desktop');
+check(isThrottled(resolveThrottlingProfile('desktop-cable')) && isThrottled(mobile), 'network or CPU throttling detected');
+check(resolveThrottlingProfile(null, { throttling: { profile: 'low-end-android' } }).cpuSlowdown === 6, 'throttling.profile from config');
+check(throws(() => resolveThrottlingProfile('mobile-5g'), /Unknown throttling profile "mobile-5g"\. Available: none, desktop-cable/), 'unknown profile rejected');
+
+console.log('\nTEST 2: Custom profiles');
+const config = {
+  throttling: {
+    profile: 'mobile-4g',
+    profiles: {
+      'mobile-4g': { cpuSlowdown: 2 },
+      tablet: { extends: 'mobile-4g', description: 'Tablet, slow 4G', viewport: { width: 820, height: 1180 } },
+      loop: { extends: 'loop' }
+    }
+  }
+};
+const adjusted = resolveThrottlingProfile(null, config);
+check(adjusted.cpuSlowdown === 2 && adjusted.network.latencyMs === 562.5, 'same-name profile adjusts the built-in one');
+const tablet = resolveThrottlingProfile('tablet', config);
+check(tablet.viewport.width === 820 && tablet.viewport.isMobile && tablet.cpuSlowdown === 2 && tablet.description === 'Tablet, slow 4G', 'extends builds on another profile');
+check(throws(() => resolveThrottlingProfile('loop', config), /extends itself/), 'extends cycle rejected');
+const inline = resolveThrottlingProfile({ network: { downloadKbps: 5000, uploadKbps: 1000, latencyMs: 100 } });
+check(inline.name === 'custom' && inline.network.downloadKbps === 5000 && inline.viewport.width === 1280, 'inline profile starts from "none"');
+
+console.log('\nTEST 3: Applying a profile to a page');
+const calls = [];
+const page = {
+  setViewport: async viewport => calls.push(['viewport', viewport]),
+  setUserAgent: async userAgent => calls.push(['userAgent', userAgent]),
+  createCDPSession: async () => ({ send: async (method, params) => calls.push([method, params]) })
+};
+await applyThrottling(page, mobile);
+const network = calls.find(([method]) => method === 'Network.emulateNetworkConditions')?.[1];
+check(network?.latency === 562.5 && network?.downloadThroughput === Math.round(1474.56 * 1024 / 8), 'network conditions sent over CDP (bytes/s)');
+check(calls.some(([method, params]) => method === 'Emulation.setCPUThrottlingRate' && params.rate === 4), 'CPU slowdown sent over CDP');
+check(calls.some(([method, value]) => method === 'userAgent' && /Mobile/.test(value)), 'mobile user agent set');
+calls.length = 0;
+await applyThrottling(page, none);
+check(calls.length === 1 && calls[0][0] === 'viewport', 'no CDP throttling for "none"');
+
+console.log('\nTEST 4: Per-URL profiles');
+const entry = { url: 'https://main--forms--org.aem.live/apply', throttling: 'low-end-android' };
+let received = null;
+const urlAnalyzer = { analyze: async (url, options) => { received = { url, options }; return { url }; } };
+await loadFormSource(entry, { urlAnalyzer });
+check(isFormURL(entry) && received.url === entry.url && received.options.throttling === 'low-end-android', '{ url, throttling } entry passes its profile to the analyzer');
+check(getFormKey(entry) === '/apply', 'baseline key of a URL entry is its path');
+
+console.log('\nTEST 5: PR comment names the profile');
+const metrics = { loadTime: 1800, formRendered: true, throttling: { name: 'mobile-4g', description: THROTTLING_PROFILES['mobile-4g'].description } };
+const section = new FormPRReporter().buildPerformanceMetricsSection({ performanceMetrics: metrics }, { performanceMetrics: metrics });
+check(section.includes('Throttling profile: `mobile-4g`'), 'profile listed under Form Load Performance');
+
+finish('throttling');
@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+
+/**
+ * Tests Core Web Vitals computation and the before/after judgement against targets
+ * Usage: node test/test-web-vitals.js
+ */
+
+import { readFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { summarizeWebVitals } from '../src/utils/web-vitals.js';
+import { WebVitalsAnalyzer } from '../src/analyzers/web-vitals-analyzer.js';
+import { runFormComparison, detectCriticalIssues, createFormAnalyzers, analyzeSingleForm } from '../src/pipeline.js';
+import { FormPRReporter } from '../src/reporters/pr-reporter-form.js';
+import { start, check, finish } from './helpers.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const formJson = JSON.parse(readFileSync(join(__dirname, 'fixtures', 'sample-form.json'), 'utf-8'));
+
+start('Core Web Vitals');
+
+console.log('TEST 1: Metrics from raw entries');
+const vitals = summarizeWebVitals({
+  lcp: 1834.6,
+  fcp: 900,
+  layoutShifts: [
+    { value: 0.05, startTime: 1000, hadRecentInput: false },
+    { value: 0.04, startTime: 1500, hadRecentInput: false },
+    { value: 0.3, startTime: 1600, hadRecentInput: true }, // Caused by input - ignored
+    { value: 0.02, startTime: 4000, hadRecentInput: false } // New session window
+  ],
+  longTasks: [
+    { startTime: 500, duration: 200 }, // Before FCP - ignored
+    { startTime: 1000, duration: 120 },
+    { startTime: 1500, duration: 80 },
+    { startTime: 3000, duration: 400 } // During scripted interactions - counts toward INP, not TBT
+  ],
+  events: [
+    { name: 'pointerdown', interactionId: 1, startTime: 3000, duration: 40 },
+    { name: 'click', interactionId: 1, startTime: 3000, duration: 64 },
+    { name: 'keydown', interactionId: 2, startTime: 3200, duration: 240 }
+  ],
+  interactionStart: 2900
+});
+check(vitals.lcp === 1835, `LCP ${vitals.lcp}ms`);
+check(vitals.cls === 0.09, `CLS ${vitals.cls} (largest session window, input shifts ignored)`);
+check(vitals.tbt === 100, `TBT ${vitals.tbt}ms (long tasks between FCP and the first interaction)`);
+check(vitals.inp === 240 && vitals.interactions === 2, `INP ${vitals.inp}ms from ${vitals.interactions} interactions`);
+const empty = summarizeWebVitals({ lcp: null, fcp: null, layoutShifts: [], longTasks: [], events: [] });
+check(empty.lcp === null && empty.inp === null && empty.tbt === null && empty.cls === 0, 'nothing recorded - metrics not measured');
+
+console.log('\nTEST 2: Targets from thresholds.performance');
+const analyzer = new WebVitalsAnalyzer({ thresholds: { performance: { targetLCP: 1500 } } });
+const analysis = analyzer.analyze(vitals);
+check(analysis.issues.map(i => i.type).join() === 'lcp-over-target,inp-over-target', 'LCP and INP over target');
+check(new WebVitalsAnalyzer().getTargets().cls === 0.1, 'default targets without config');
+
+console.log('\nTEST 3: Before/after deltas');
+const measured = webVitals => ({ formJson, performanceMetrics: { loadTime: 1000, formRendered: true, webVitals } });
+const good = { lcp: 1800, cls: 0.02, inp: 120, tbt: 150, interactions: 3 };
+const results = await runFormComparison(measured(good), measured({ ...good, lcp: 3200, inp: 140 }), {});
+const lcp = results.webVitals.deltas.find(m => m.metric === 'LCP');
+check(lcp.before === 1800 && lcp.after === 3200 && lcp.delta === 1400, 'LCP delta computed');
+check(results.webVitals.newIssues.length === 1 && results.webVitals.newIssues[0].severity === 'error', 'crossing the target is an error');
+const critical = detectCriticalIssues(results);
+check(critical.hasCritical && critical.issues.some(issue => issue.startsWith('LCP over target')), 'regression fails the check');
+const slowBefore = { ...good, inp: 400 };
+const worse = await runFormComparison(measured(slowBefore), measured({ ...slowBefore, inp: 450 }), {});
+const mentionsCWV = result => detectCriticalIssues(result).issues.some(issue => issue.includes('Core Web Vital'));
+check(worse.webVitals.newIssues[0]?.severity === 'warning' && !mentionsCWV(worse), 'already over target and worse - warning only');
+const fixed = await runFormComparison(measured(slowBefore), measured(good), {});
+check(fixed.webVitals.newIssues.length === 0 && fixed.webVitals.resolvedIssues.length === 1, 'back under target - resolved');
+const files = await runFormComparison({ formJson }, { formJson }, {});
+check(files.webVitals.deltas.length === 0 && !mentionsCWV(files), 'form files (nothing rendered) - skipped');
+
+console.log('\nTEST 4: Reports');
+const section = new FormPRReporter().buildWebVitalsSection(results.webVitals);
+check(section.includes('| **LCP** | 1800ms | 3200ms | +1400ms | 2500ms | Regressed |'), 'PR comment table with target and status');
+const analyzers = await createFormAnalyzers();
+const formResult = await analyzeSingleForm({ url: 'https://example.com/form', ...measured({ ...good, inp: 350 }) }, { analyzers });
+check(formResult.webVitals?.find(m => m.metric === 'INP')?.status === 'over-target', 'scan result keeps the measured metrics');
+check(formResult.forms.issues.some(issue => issue.type === 'inp-over-target'), 'scan lists metrics over target');
+
+finish('Core Web Vitals');